@@ -0,0 +1,30 @@
+// backend/src/middleware/auth.js
+const jwt = require('jsonwebtoken');
+
+// Verify the bearer token, the same JWT the socket handshake uses
+const authenticate = (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.userId = decoded.userId;
+    req.userRole = decoded.role;
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, message: 'Authentication error' });
+  }
+};
+
+// Restrict a route to the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.userRole)) {
+    return res.status(403).json({ success: false, message: 'Forbidden' });
+  }
+  next();
+};
+
+module.exports = { authenticate, authorize };
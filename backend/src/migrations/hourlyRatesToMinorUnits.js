@@ -0,0 +1,62 @@
+// backend/src/migrations/hourlyRatesToMinorUnits.js
+//
+// Earner rates used to be saved in major units (500 meaning ₹500 an hour).
+// Pricing now reads them as minor units, so this converts every earner's
+// hourlyRate and per-service rates once, records the currency they are in,
+// and marks the profile with rateUnit: 'minor'. Profiles already marked
+// are skipped, so running it again is safe.
+//
+//   MONGODB_URI=... node backend/src/migrations/hourlyRatesToMinorUnits.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+async function up(db) {
+  const users = db.collection('users');
+  const cursor = users.find({
+    earnerProfile: { $exists: true },
+    'earnerProfile.rateUnit': { $ne: 'minor' }
+  });
+  
+  let converted = 0;
+  for await (const user of cursor) {
+    const profile = user.earnerProfile || {};
+    const currency = money.normalizeCurrency(profile.currency);
+    const toMinor = (rate) => (typeof rate === 'number' ? money.toMinor(rate, currency) : rate);
+    
+    const set = {
+      'earnerProfile.currency': currency,
+      'earnerProfile.rateUnit': 'minor'
+    };
+    if (profile.hourlyRate !== undefined) {
+      set['earnerProfile.hourlyRate'] = toMinor(profile.hourlyRate);
+    }
+    Object.entries(profile.rates || {}).forEach(([service, rate]) => {
+      set[`earnerProfile.rates.${service}`] = toMinor(rate);
+    });
+    
+    // Guarded again so a concurrent run cannot convert a profile twice
+    const result = await users.updateOne(
+      { _id: user._id, 'earnerProfile.rateUnit': { $ne: 'minor' } },
+      { $set: set }
+    );
+    converted += result.modifiedCount;
+  }
+  
+  return converted;
+}
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => up(mongoose.connection.db))
+    .then((converted) => {
+      console.log(`Converted rates for ${converted} earners`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error('Rate migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,109 @@
+// backend/src/models/Availability.js
+const mongoose = require('mongoose');
+const time = require('../utils/time');
+
+// A recurring window on one weekday, in the earner's local time
+const windowSchema = new mongoose.Schema({
+  // 0 = Sunday
+  weekday: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    validate: { validator: time.isValidTime, message: 'Times are HH:MM' }
+  },
+  end: {
+    type: String,
+    required: true,
+    validate: { validator: time.isValidTime, message: 'Times are HH:MM' }
+  }
+}, {
+  _id: false
+});
+
+// Whole local days the earner takes off, inclusive
+const blackoutSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: true,
+    validate: { validator: time.isValidDate, message: 'Dates are YYYY-MM-DD' }
+  },
+  endDate: {
+    type: String,
+    required: true,
+    validate: { validator: time.isValidDate, message: 'Dates are YYYY-MM-DD' }
+  },
+  reason: String
+});
+
+// An earner's bookable hours. Windows are wall-clock times in the earner's
+// zone, so they keep their local hours across daylight saving changes.
+const availabilitySchema = new mongoose.Schema({
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  timezone: {
+    type: String,
+    required: true,
+    validate: { validator: time.isValidTimeZone, message: 'Unknown time zone' }
+  },
+  weekly: [windowSchema],
+  blackouts: [blackoutSchema],
+  serviceTypes: {
+    type: [{ type: String, enum: ['chat', 'voice', 'video'] }],
+    default: ['chat']
+  },
+  // Bookings start on slot boundaries and last whole slots
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: 15,
+    max: 240
+  },
+  // Gap kept free around each booking
+  bufferMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 120
+  },
+  minNoticeHours: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+  maxAdvanceDays: {
+    type: Number,
+    default: 60,
+    min: 1,
+    max: 365
+  },
+  // Bumped by every booking, so concurrent bookings for the same earner
+  // conflict inside their transactions
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+availabilitySchema.pre('validate', function(next) {
+  const invalid = this.weekly.find(window => time.minutesOf(window.start) >= time.minutesOf(window.end));
+  if (invalid) {
+    return next(new Error('A window must start before it ends'));
+  }
+  if (this.blackouts.some(blackout => blackout.startDate > blackout.endDate)) {
+    return next(new Error('A blackout must start before it ends'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Availability', availabilitySchema);
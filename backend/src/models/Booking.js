@@ -0,0 +1,119 @@
+// backend/src/models/Booking.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  pending_payment: ['confirmed', 'expired', 'cancelled'],
+  confirmed: ['in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed'],
+  completed: [],
+  expired: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Statuses that hold their time slot
+const ACTIVE = ['pending_payment', 'confirmed', 'in_progress'];
+
+const statusChangeSchema = new mongoose.Schema({
+  status: String,
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A prepaid session at a fixed time. Times are stored in UTC; timezone is
+// the booker's, for reminders and display.
+const bookingSchema = new mongoose.Schema({
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceType: {
+    type: String,
+    enum: ['chat', 'voice', 'video'],
+    default: 'chat'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  minutes: {
+    type: Number,
+    required: true
+  },
+  timezone: String,
+  
+  // What the booker pays, in minor units of their currency
+  amount: Number,
+  currency: String,
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent'
+  },
+  paymentExpiresAt: Date,
+  
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'pending_payment'
+  },
+  statusHistory: [statusChangeSchema],
+  
+  attendance: {
+    userJoinedAt: Date,
+    earnerJoinedAt: Date
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  noShowBy: {
+    type: String,
+    enum: ['user', 'earner', 'both']
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  }
+}, {
+  timestamps: true
+});
+
+bookingSchema.index({ earnerId: 1, startsAt: 1 });
+bookingSchema.index({ userId: 1, startsAt: 1 });
+bookingSchema.index({ chatId: 1 });
+
+// Statuses a booking can move to the given one from
+bookingSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+bookingSchema.statics.TRANSITIONS = TRANSITIONS;
+bookingSchema.statics.ACTIVE = ACTIVE;
+
+module.exports = mongoose.model('Booking', bookingSchema);
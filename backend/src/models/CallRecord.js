@@ -0,0 +1,71 @@
+// backend/src/models/CallRecord.js
+const mongoose = require('mongoose');
+
+// Call detail record: what happened on one call, written once it ends. Its
+// _id is the call's ID, shared with the call's billing session.
+const callRecordSchema = new mongoose.Schema({
+  callerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  calleeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['voice', 'video'],
+    required: true
+  },
+  isVideo: Boolean,
+  
+  // When it started ringing, was answered and ended
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  answeredAt: Date,
+  endedAt: Date,
+  endReason: {
+    type: String,
+    enum: ['completed', 'rejected', 'cancelled', 'missed', 'connection_lost', 'insufficient_funds', 'billing_failed'],
+    required: true
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Connected time only
+  durationSeconds: {
+    type: Number,
+    default: 0
+  },
+  
+  // What the caller paid, in minor units of the ledger currency
+  cost: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    currency: String,
+    billedMinutes: Number
+  },
+  
+  // The conversation the call shows up in
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  // When the callee saw a missed call
+  seenAt: Date
+}, {
+  timestamps: true
+});
+
+callRecordSchema.index({ callerId: 1, startedAt: -1 });
+callRecordSchema.index({ calleeId: 1, startedAt: -1 });
+callRecordSchema.index({ calleeId: 1, endReason: 1, seenAt: 1 });
+
+module.exports = mongoose.model('CallRecord', callRecordSchema);
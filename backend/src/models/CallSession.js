@@ -0,0 +1,84 @@
+// backend/src/models/CallSession.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  ringing: ['active', 'cancelled'],
+  active: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+const minorUnits = {
+  validator: Number.isSafeInteger,
+  message: 'Amounts are integers in minor units'
+};
+
+// The billing side of one paid call. Its _id is the call's ID. Money is
+// held from the caller's wallet ahead of use and charged per started minute
+// when the call ends; amounts are minor units of the ledger currency.
+const callSessionSchema = new mongoose.Schema({
+  callerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  serviceType: {
+    type: String,
+    enum: ['voice', 'video'],
+    required: true
+  },
+  isVideo: Boolean,
+  
+  // Price locked when the call was placed
+  perMinute: {
+    type: Number,
+    required: true,
+    validate: minorUnits
+  },
+  currency: String,
+  minimumMinutes: {
+    type: Number,
+    required: true
+  },
+  // Minutes the hold currently covers
+  heldMinutes: {
+    type: Number,
+    default: 0
+  },
+  
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'ringing'
+  },
+  connectedAt: Date,
+  endedAt: Date,
+  endReason: String,
+  durationSeconds: Number,
+  billedMinutes: Number,
+  amount: {
+    type: Number,
+    validate: minorUnits
+  }
+}, {
+  timestamps: true
+});
+
+callSessionSchema.index({ status: 1, createdAt: 1 });
+
+// Statuses a session can move to the given one from
+callSessionSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+callSessionSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('CallSession', callSessionSchema);
@@ -0,0 +1,101 @@
+// backend/src/models/ChatRequest.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update.
+// An accepted request is cancelled only if its chat could not be opened.
+const TRANSITIONS = {
+  awaiting_payment: ['pending', 'expired', 'cancelled'],
+  pending: ['accepted', 'declined', 'expired', 'cancelled'],
+  accepted: ['cancelled'],
+  declined: [],
+  expired: [],
+  cancelled: []
+};
+
+// Statuses still waiting on the payer or the earner
+const OPEN = ['awaiting_payment', 'pending'];
+
+const statusChangeSchema = new mongoose.Schema({
+  status: String,
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A user's request for a paid chat with an earner. The payment is held in
+// the user's held account until the earner answers.
+const chatRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  minutes: {
+    type: Number,
+    required: true
+  },
+  chatType: String,
+  message: String,
+  
+  // What the user pays, in minor units of their currency
+  amount: Number,
+  currency: String,
+  // The held amount, in ledger minor units
+  heldAmount: Number,
+  // What the earner is shown, in their own currency
+  earnerPrice: {
+    amount: Number,
+    currency: String
+  },
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent'
+  },
+  
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'awaiting_payment'
+  },
+  statusHistory: [statusChangeSchema],
+  // When the current status lapses: payment first, then the earner's answer
+  expiresAt: Date,
+  
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  declineReason: String,
+  // Set once the hold has gone back to the user's wallet
+  releasedAt: Date,
+  chatEndedAt: Date
+}, {
+  timestamps: true
+});
+
+chatRequestSchema.index({ earnerId: 1, status: 1, createdAt: 1 });
+chatRequestSchema.index({ userId: 1, status: 1 });
+chatRequestSchema.index({ chatId: 1 });
+
+// Statuses a request can move to the given one from
+chatRequestSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+chatRequestSchema.statics.TRANSITIONS = TRANSITIONS;
+chatRequestSchema.statics.OPEN = OPEN;
+
+module.exports = mongoose.model('ChatRequest', chatRequestSchema);
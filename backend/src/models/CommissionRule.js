@@ -0,0 +1,70 @@
+// backend/src/models/CommissionRule.js
+const mongoose = require('mongoose');
+
+// One way of splitting a payment between earner and platform. Criteria left
+// empty match everything; CommissionService picks the most specific match,
+// and promotional rules beat standard ones while their window is open.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['standard', 'promotional'],
+    default: 'standard'
+  },
+  
+  // Criteria
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tier: String,
+  serviceType: {
+    type: String,
+    enum: ['chat', 'voice', 'video', 'group']
+  },
+  
+  // Platform share of the gross amount, 0.2 = 20%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // Breaks ties between rules that are equally specific
+  priority: {
+    type: Number,
+    default: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ isActive: 1, endsAt: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.kind === 'promotional' && !this.endsAt) {
+    return next(new Error('Promotional rules need an end date'));
+  }
+  if (this.startsAt && this.endsAt && this.startsAt >= this.endsAt) {
+    return next(new Error('A rule must start before it ends'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,112 @@
+// backend/src/models/Earning.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  held: ['released', 'disputed', 'reversed'],
+  disputed: ['held', 'reversed'],
+  released: [],
+  reversed: ['held']
+};
+
+const minorUnits = {
+  validator: Number.isSafeInteger,
+  message: 'Amounts are integers in minor units'
+};
+
+// The earner's side of one settled payment. The share sits in the earner's
+// pending_earnings account until the session is over and the hold window
+// passes without a dispute; the release worker then moves it to the wallet.
+const earningSchema = new mongoose.Schema({
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  payerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // How the payer paid: wallet or a provider
+  method: String,
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    index: true
+  },
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent',
+    index: true
+  },
+  // Journal key of the payment, shared with its ledger entries and refunds
+  chargeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  serviceType: {
+    type: String,
+    enum: ['chat', 'voice', 'video', 'group'],
+    default: 'chat'
+  },
+  // Session time the payment bought
+  minutes: Number,
+  
+  // Minor units of the ledger currency
+  grossAmount: {
+    type: Number,
+    required: true,
+    validate: minorUnits
+  },
+  commission: {
+    amount: {
+      type: Number,
+      validate: minorUnits
+    },
+    rate: Number,
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule'
+    },
+    ruleName: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    validate: minorUnits
+  },
+  // Part of the share taken back by refunds before release
+  clawedBack: {
+    type: Number,
+    default: 0,
+    validate: minorUnits
+  },
+  currency: String,
+  
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'held'
+  },
+  releaseAt: Date,
+  releasedAt: Date,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+earningSchema.index({ status: 1, releaseAt: 1 });
+earningSchema.index({ earnerId: 1, createdAt: -1 });
+earningSchema.index({ createdAt: 1 });
+earningSchema.index({ payerId: 1, createdAt: 1 });
+
+// Statuses an earning can move to from the given one
+earningSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+earningSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('Earning', earningSchema);
@@ -0,0 +1,110 @@
+// backend/src/models/GroupRoom.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  open: ['live', 'cancelled'],
+  live: ['ended'],
+  ended: [],
+  cancelled: []
+};
+
+const minorUnits = {
+  validator: Number.isSafeInteger,
+  message: 'Amounts are integers in minor units'
+};
+
+// A paid seat. The price is held from the participant's wallet when they
+// take it, charged once the session has run and released if it never does.
+const seatSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    validate: minorUnits
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'held', 'charged', 'released'],
+    default: 'pending'
+  },
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: Date
+}, { _id: false });
+
+// A multi-party voice or video room. Media runs through the SFU; this is
+// the room's lasting record: who hosts it, its controls and its seats.
+// Prices are minor units of the ledger currency.
+const groupRoomSchema = new mongoose.Schema({
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  type: {
+    type: String,
+    enum: ['voice', 'video'],
+    required: true
+  },
+  
+  // Zero for free rooms
+  seatPrice: {
+    type: Number,
+    default: 0,
+    validate: minorUnits
+  },
+  currency: String,
+  maxSeats: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  seats: [seatSchema],
+  
+  // Host controls: a locked room admits nobody new, removed users never again
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  removedUserIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'open'
+  },
+  startedAt: Date,
+  endedAt: Date,
+  endReason: String
+}, {
+  timestamps: true
+});
+
+groupRoomSchema.index({ status: 1, createdAt: -1 });
+groupRoomSchema.index({ 'seats.userId': 1 });
+
+// Statuses a room can move to the given one from
+groupRoomSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+groupRoomSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('GroupRoom', groupRoomSchema);
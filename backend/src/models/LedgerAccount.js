@@ -0,0 +1,40 @@
+// backend/src/models/LedgerAccount.js
+const mongoose = require('mongoose');
+const { LEDGER_CURRENCY } = require('../utils/money');
+
+// Cached balance of a ledger account, kept in step with the journal
+// inside the same transaction that posts each entry
+const ledgerAccountSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['wallet', 'pending_earnings', 'held', 'pending_withdrawal', 'withdrawn', 'platform', 'external'],
+    required: true
+  },
+  // Minor units of the ledger currency
+  balance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: LEDGER_CURRENCY
+  },
+  allowNegative: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,109 @@
+// backend/src/models/LedgerEntry.js
+const mongoose = require('mongoose');
+const { LEDGER_CURRENCY } = require('../utils/money');
+
+const minorUnits = {
+  validator: Number.isSafeInteger,
+  message: 'Ledger amounts are integers in minor units'
+};
+
+// One journal line; every entry's debits and credits sum to the same amount
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: minorUnits
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: minorUnits
+  }
+}, {
+  _id: false
+});
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'opening_balance',
+      'topup',
+      'chat_charge',
+      'chat_hold',
+      'chat_hold_release',
+      'call_hold',
+      'call_hold_release',
+      'group_seat_hold',
+      'group_seat_hold_release',
+      'earner_credit',
+      'platform_commission',
+      'earnings_released',
+      'refund',
+      'withdrawal_request',
+      'withdrawal_completed',
+      'withdrawal_reversed'
+    ],
+    required: true
+  },
+  currency: {
+    type: String,
+    default: LEDGER_CURRENCY
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent'
+  },
+  withdrawalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  description: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+ledgerEntrySchema.index({ chatId: 1 });
+
+// The journal is append-only; corrections are posted as new entries
+const rejectMutation = function() {
+  throw new Error('Ledger entries are append-only');
+};
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => ledgerEntrySchema.pre(operation, rejectMutation));
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,153 @@
+// backend/src/models/PaymentIntent.js
+const mongoose = require('mongoose');
+
+// Allowed status moves. Provider events can arrive late or out of order,
+// so anything not listed here is ignored rather than applied. Intents the
+// risk engine holds start in review and have no provider order until approved.
+const TRANSITIONS = {
+  review: ['pending', 'failed'],
+  pending: ['authorized', 'completed', 'failed'],
+  authorized: ['completed', 'failed'],
+  failed: ['authorized', 'completed'],
+  completed: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  disputed: ['completed', 'partially_refunded', 'refunded'],
+  refunded: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  source: String,
+  eventId: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const minorUnits = {
+  validator: Number.isSafeInteger,
+  message: 'Amounts are integers in minor units'
+};
+
+// An FX conversion locked when the order was created
+const quoteSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    validate: minorUnits
+  },
+  currency: String,
+  rate: Number,
+  source: String,
+  quotedAt: Date
+}, {
+  _id: false
+});
+
+const paymentIntentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['wallet_topup', 'chat_extension', 'booking', 'chat_request'],
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['razorpay', 'paypal', 'wallet'],
+    required: true
+  },
+  // What the payer is charged, in minor units of their currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: minorUnits
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // The same amount in the ledger currency, as booked
+  settlement: {
+    type: quoteSchema,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'pending',
+    index: true
+  },
+  statusHistory: [statusChangeSchema],
+  paymentData: mongoose.Schema.Types.Mixed,
+  providerPaymentId: {
+    type: String,
+    index: true
+  },
+  // In the payment's own currency
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    validate: minorUnits
+  },
+  
+  // Chat extension details
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  earnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  minutes: Number,
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  chatRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRequest'
+  },
+  serviceType: {
+    type: String,
+    enum: ['chat', 'voice', 'video']
+  },
+  // The earner's price the amount was converted from, with the locked rate
+  earnerPrice: quoteSchema,
+  // The risk engine let a chat purchase through but froze the earner's share
+  // until an admin reviews it
+  riskReview: Boolean,
+  // A chat extension is due on the live clock from applyAfter until it has
+  // been applied, or refunded because the chat had ended
+  applyAfter: Date,
+  appliedAt: Date,
+  extensionOutcome: {
+    type: String,
+    enum: ['applied', 'refunded']
+  },
+  
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentIntentSchema.index({ 'paymentData.orderId': 1 });
+paymentIntentSchema.index({ applyAfter: 1 }, { sparse: true });
+
+// Statuses an intent may be in to move to the given status
+paymentIntentSchema.statics.sourcesFor = function(status) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(status));
+};
+
+paymentIntentSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,149 @@
+// backend/src/models/Refund.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  completed: [],
+  failed: []
+};
+
+const minorUnits = {
+  validator: Number.isSafeInteger,
+  message: 'Amounts are integers in minor units'
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  status: String,
+  note: String,
+  source: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const refundSchema = new mongoose.Schema({
+  // The payment being refunded, identified by its journal key
+  chargeKey: {
+    type: String,
+    required: true,
+    index: true
+  },
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent',
+    index: true
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Ledger currency minor units
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: minorUnits
+  },
+  currency: String,
+  
+  // The same refund in the currency the payer paid in
+  paymentAmount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: minorUnits
+  },
+  paymentCurrency: String,
+  reason: {
+    type: String,
+    enum: [
+      'chat_ended_early',
+      'booking_cancelled',
+      'no_show',
+      'request_declined',
+      'request_expired',
+      'customer_request',
+      'service_issue',
+      'duplicate',
+      'dispute',
+      'provider_initiated',
+      'fraud',
+      'other'
+    ],
+    required: true
+  },
+  note: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Where the money goes: back through the provider it came from, or
+  // to the payer's wallet
+  destination: {
+    type: String,
+    enum: ['original', 'wallet'],
+    default: 'original'
+  },
+  method: {
+    type: String,
+    enum: ['razorpay', 'paypal', 'wallet']
+  },
+  providerRefundId: String,
+  
+  // Pro-rating inputs for refunds of unused chat time
+  usage: {
+    paidMinutes: Number,
+    unusedMinutes: Number,
+    paidAmount: Number
+  },
+  
+  // Part of the reversal the credited accounts could not cover
+  writtenOff: {
+    type: Number,
+    default: 0
+  },
+  
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [statusChangeSchema],
+  failureReason: String,
+  // When a processing refund is next checked with its provider, in case
+  // the webhook never comes or the refund call's outcome was unknown
+  checkAfter: Date,
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ method: 1, providerRefundId: 1 });
+refundSchema.index({ status: 1, checkAfter: 1 });
+
+// Statuses a refund can move to from the given one
+refundSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+refundSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,84 @@
+// backend/src/models/RiskAssessment.js
+const mongoose = require('mongoose');
+
+// One rule that contributed to a score
+const signalSchema = new mongoose.Schema({
+  rule: String,
+  score: Number,
+  detail: String
+}, {
+  _id: false
+});
+
+// The risk score for one top-up, chat purchase or withdrawal. Every attempt
+// is kept, blocked ones included: they are the history the velocity and
+// device rules read. Reviews hold the payment or withdrawal until an admin
+// approves or rejects it.
+const riskAssessmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['topup', 'chat_purchase', 'withdrawal'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The earner a chat purchase pays
+  counterpartyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Minor units of the ledger currency
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: String,
+  ip: String,
+  deviceId: String,
+  
+  score: {
+    type: Number,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['allow', 'review', 'block'],
+    required: true
+  },
+  signals: [signalSchema],
+  
+  // What was held, once it exists
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent'
+  },
+  withdrawalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+riskAssessmentSchema.index({ userId: 1, kind: 1, createdAt: -1 });
+riskAssessmentSchema.index({ 'review.status': 1, createdAt: 1 });
+riskAssessmentSchema.index({ deviceId: 1 });
+riskAssessmentSchema.index({ ip: 1 });
+
+module.exports = mongoose.model('RiskAssessment', riskAssessmentSchema);
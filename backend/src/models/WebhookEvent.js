@@ -0,0 +1,46 @@
+// backend/src/models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay', 'paypal'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  // processing: claimed by a worker until lockedUntil; failed and deferred
+  // (the payment it concerns does not exist yet) are tried again when the
+  // provider redelivers, deferred ones until they have waited too long;
+  // processed and ignored are final
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'deferred', 'failed'],
+    default: 'processing'
+  },
+  lockedUntil: Date,
+  paymentIntentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent'
+  },
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Providers redeliver events; each one is handled once
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
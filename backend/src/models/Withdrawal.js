@@ -0,0 +1,111 @@
+// backend/src/models/Withdrawal.js
+const mongoose = require('mongoose');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  awaiting_approval: ['pending', 'rejected'],
+  pending: ['processing', 'completed', 'failed', 'needs_review'],
+  // Submits whose outcome stayed unknown; an admin checks the provider
+  needs_review: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed', 'reversed'],
+  completed: ['reversed'],
+  failed: [],
+  reversed: [],
+  rejected: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  status: String,
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A withdrawal doubles as its own payout job: the worker claims due
+// documents by nextAttemptAt and leases them with lockedUntil
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Minor units of the ledger currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: Number.isSafeInteger,
+      message: 'Amounts are integers in minor units'
+    }
+  },
+  currency: String,
+  // What the provider pays out, converted at the rate locked on request
+  payout: {
+    amount: Number,
+    currency: String,
+    rate: Number,
+    source: String,
+    quotedAt: Date
+  },
+  method: {
+    type: String,
+    enum: ['bank', 'upi', 'paypal'],
+    required: true
+  },
+  details: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [statusChangeSchema],
+  
+  // Payout job state
+  provider: String,
+  payoutId: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  // Set once a submit may have reached the provider; such a withdrawal is
+  // never failed automatically
+  submissionUncertain: {
+    type: Boolean,
+    default: false
+  },
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  failureReason: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+withdrawalSchema.index({ status: 1, nextAttemptAt: 1 });
+withdrawalSchema.index({ provider: 1, payoutId: 1 });
+
+// Statuses a withdrawal can move to from the given one
+withdrawalSchema.statics.sourcesFor = function(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+};
+
+withdrawalSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
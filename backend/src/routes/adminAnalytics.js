@@ -0,0 +1,30 @@
+// backend/src/routes/adminAnalytics.js
+const express = require('express');
+const AnalyticsService = require('../services/AnalyticsService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'moderator'));
+
+// Bucketed GMV, refunds, take rate and session value, with payer cohorts.
+// ?interval=hour|day|week&from&to&groupBy=method|currency|earner|serviceType
+router.get('/payments', async (req, res, next) => {
+  const { interval, from, to, groupBy } = req.query;
+  
+  let query;
+  try {
+    query = AnalyticsService.parseQuery({ interval, from, to, groupBy });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  
+  try {
+    const analytics = await AnalyticsService.getPaymentTimeSeries(query);
+    res.json({ success: true, analytics });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// backend/src/routes/adminRisk.js
+const express = require('express');
+const RiskService = require('../services/RiskService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// The review queue; ?status=approved|rejected shows past decisions
+router.get('/reviews', async (req, res, next) => {
+  try {
+    const assessments = await RiskService.listReviews({
+      status: req.query.status || 'pending',
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+    res.json({ success: true, assessments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Every scored movement for one user, newest first
+router.get('/users/:userId', async (req, res, next) => {
+  try {
+    const RiskAssessment = require('../models/RiskAssessment');
+    
+    const assessments = await RiskAssessment.find({ userId: req.params.userId })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+    
+    res.json({ success: true, assessments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/reviews/:id/approve', async (req, res, next) => {
+  try {
+    const assessment = await RiskService.resolveReview(req.params.id, req.userId, true, req.body.note);
+    res.json({ success: true, assessment });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+router.post('/reviews/:id/reject', async (req, res, next) => {
+  try {
+    const assessment = await RiskService.resolveReview(req.params.id, req.userId, false, req.body.note);
+    res.json({ success: true, assessment });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+module.exports = router;
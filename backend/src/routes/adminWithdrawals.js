@@ -0,0 +1,62 @@
+// backend/src/routes/adminWithdrawals.js
+const express = require('express');
+const PayoutService = require('../services/PayoutService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// Withdrawals by status; defaults to the approval queue, oldest first
+router.get('/', async (req, res, next) => {
+  try {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const withdrawals = await Withdrawal.find({ status: req.query.status || 'awaiting_approval' })
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+    
+    res.json({ success: true, withdrawals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/approve', async (req, res, next) => {
+  try {
+    const withdrawal = await PayoutService.approve(req.params.id, req.userId);
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+router.post('/:id/reject', async (req, res, next) => {
+  try {
+    const withdrawal = await PayoutService.reject(req.params.id, req.userId, req.body.reason);
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+// Settle a withdrawal whose payout outcome was unknown, after checking the
+// provider's dashboard
+router.post('/:id/resolve', async (req, res, next) => {
+  try {
+    const withdrawal = await PayoutService.resolveReview(req.params.id, req.userId, {
+      status: req.body.status,
+      payoutId: req.body.payoutId,
+      reason: req.body.reason
+    });
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// backend/src/routes/bookings.js
+const express = require('express');
+const BookingService = require('../services/BookingService');
+const PaymentService = require('../services/PaymentService');
+const RiskService = require('../services/RiskService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Free slots of an earner; ?from&to are ISO instants, at most 31 days apart
+router.get('/earners/:earnerId/slots', async (req, res, next) => {
+  try {
+    const slots = await BookingService.getSlots(req.params.earnerId, req.query);
+    res.json({ success: true, ...slots });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+// Book and pay. Wallet bookings come back confirmed; provider bookings carry
+// the order to pay within the payment window.
+router.post('/', async (req, res, next) => {
+  try {
+    const { earnerId, startsAt, minutes, serviceType, currency, method, timezone } = req.body;
+    const result = await BookingService.book({
+      userId: req.userId,
+      earnerId,
+      startsAt,
+      minutes,
+      serviceType,
+      currency,
+      method,
+      timezone,
+      context: RiskService.contextFromRequest(req)
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+// The caller's bookings; ?as=earner lists bookings with them
+router.get('/', async (req, res, next) => {
+  try {
+    const bookings = await BookingService.listBookings(req.userId, {
+      as: req.query.as,
+      status: req.query.status,
+      from: req.query.from,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+    res.json({ success: true, bookings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getBooking(req.params.id, req.userId);
+    res.json({ success: true, booking });
+  } catch (error) {
+    error.status = 404;
+    next(error);
+  }
+});
+
+// Client-side proof for Razorpay/PayPal; the webhook settles it otherwise
+router.post('/:id/confirm-payment', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getBooking(req.params.id, req.userId);
+    await PaymentService.confirmBookingPayment(booking.paymentIntentId, req.userId, req.body);
+    await BookingService.confirm(booking._id);
+    res.json({ success: true, booking: await BookingService.getBooking(booking._id, req.userId) });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const booking = await BookingService.cancel(req.params.id, req.userId, req.body.reason);
+    res.json({ success: true, booking });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// backend/src/routes/calls.js
+const express = require('express');
+const CallBillingService = require('../services/CallBillingService');
+const CallRecordService = require('../services/CallRecordService');
+const IceServerService = require('../services/IceServerService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// The user's call log, newest first. ?with=<userId> narrows to calls with
+// one person, ?missed=true to calls they missed; page with ?before=<startedAt>.
+router.get('/', async (req, res, next) => {
+  try {
+    const calls = await CallRecordService.listForUser(req.userId, {
+      withUserId: req.query.with,
+      missed: req.query.missed === 'true',
+      before: req.query.before,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+    const unseenMissed = await CallRecordService.countUnseenMissed(req.userId);
+    res.json({ success: true, calls, unseenMissed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/missed/seen', async (req, res, next) => {
+  try {
+    const updated = await CallRecordService.markMissedSeen(req.userId);
+    res.json({ success: true, updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The caller's paid calls with duration and cost; ?as=earner lists calls
+// the caller took as the earner
+router.get('/sessions', async (req, res, next) => {
+  try {
+    const sessions = await CallBillingService.listSessions(req.userId, {
+      as: req.query.as,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+    res.json({ success: true, sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// STUN and short-lived TURN credentials for this user's calls. ?region=
+// picks a region; otherwise the CDN's country header decides.
+router.get('/ice-servers', (req, res, next) => {
+  try {
+    const config = IceServerService.getConfig(req.userId, {
+      region: req.query.region,
+      country: req.get('CF-IPCountry')
+    });
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...config });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const call = await CallRecordService.getRecord(req.params.id, req.userId);
+    res.json({ success: true, call });
+  } catch (error) {
+    error.status = 404;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// backend/src/routes/chatMessages.js
+const express = require('express');
+const MessageHistoryService = require('../services/MessageHistoryService');
+const MessageReactionService = require('../services/MessageReactionService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate);
+
+// A page of the chat's history, oldest first: the latest messages, or those
+// ?before= or ?after= a message ID, or ?around= one to jump to it
+router.get('/', async (req, res, next) => {
+  try {
+    const { before, after, around, limit } = req.query;
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ success: false, message: 'Use one of before, after or around' });
+    }
+    
+    const page = await MessageHistoryService.getPage(req.params.chatId, req.userId, { before, after, around, limit });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Who reacted to a message, newest first; ?emoji= narrows it to one emoji
+router.get('/:messageId/reactions', async (req, res, next) => {
+  try {
+    const reactions = await MessageReactionService.listReactors(req.params.messageId, req.userId, req.query.emoji);
+    res.json({ success: true, reactions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
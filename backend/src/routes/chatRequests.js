@@ -0,0 +1,50 @@
+// backend/src/routes/chatRequests.js
+const express = require('express');
+const ChatRequestService = require('../services/ChatRequestService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// The earner's unanswered requests, oldest first
+router.get('/queue', authorize('female_earner'), async (req, res, next) => {
+  try {
+    const queue = await ChatRequestService.getQueue(req.userId);
+    res.json({ success: true, ...queue });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/settings', authorize('female_earner'), async (req, res, next) => {
+  try {
+    const maxParallelChats = await ChatRequestService.setMaxParallelChats(req.userId, req.body.maxParallelChats);
+    res.json({ success: true, maxParallelChats });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+router.post('/:id/decline', authorize('female_earner'), async (req, res, next) => {
+  try {
+    const request = await ChatRequestService.decline(req.params.id, req.userId, req.body.reason);
+    res.json({ success: true, request });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const request = await ChatRequestService.cancel(req.params.id, req.userId);
+    res.json({ success: true, request });
+  } catch (error) {
+    error.status = 409;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// backend/src/routes/commissionRules.js
+const express = require('express');
+const CommissionService = require('../services/CommissionService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', async (req, res, next) => {
+  try {
+    const { active, serviceType, earnerId } = req.query;
+    const rules = await CommissionService.listRules({
+      active: active === undefined ? undefined : active === 'true',
+      serviceType,
+      earnerId
+    });
+    
+    res.json({ success: true, rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The rule that would apply to an earner's service right now, or at ?at
+router.get('/resolve', async (req, res, next) => {
+  try {
+    const { earnerId, serviceType, at } = req.query;
+    if (!earnerId) {
+      return res.status(400).json({ success: false, message: 'earnerId is required' });
+    }
+    
+    const commission = await CommissionService.resolve({
+      earnerId,
+      serviceType,
+      at: at ? new Date(at) : undefined
+    });
+    res.json({ success: true, commission });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    const rule = await CommissionService.createRule(req.body, req.userId);
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+// Also used to switch a rule off with { isActive: false }
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const rule = await CommissionService.updateRule(req.params.id, req.body);
+    res.json({ success: true, rule });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+module.exports = router;
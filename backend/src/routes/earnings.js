@@ -0,0 +1,44 @@
+// backend/src/routes/earnings.js
+const express = require('express');
+const EarningService = require('../services/EarningService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('female_earner'));
+
+// Totals per status (held, disputed, released, reversed) for the dashboard
+router.get('/summary', async (req, res, next) => {
+  try {
+    const summary = await EarningService.getSummary(req.userId);
+    res.json({ success: true, summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The earner's earnings with their split and release date, newest first
+router.get('/', async (req, res, next) => {
+  try {
+    const Earning = require('../models/Earning');
+    
+    const query = { earnerId: req.userId };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.before) {
+      query.createdAt = { $lt: new Date(req.query.before) };
+    }
+    
+    const earnings = await Earning.find(query)
+      .select('-lockedUntil -commission.ruleId')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+    
+    res.json({ success: true, earnings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// backend/src/routes/groupRooms.js
+const express = require('express');
+const GroupRoomService = require('../services/GroupRoomService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Open a room; seatPrice (minor units of the earner's currency) makes it paid
+router.post('/', async (req, res, next) => {
+  try {
+    const { title, type, seatPrice, maxSeats } = req.body;
+    const room = await GroupRoomService.create(req.userId, { title, type, seatPrice, maxSeats });
+    res.status(201).json({ success: true, room: GroupRoomService.toView(room) });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+// Rooms that can still be joined; ?hostId= narrows to one host's
+router.get('/', async (req, res, next) => {
+  try {
+    const rooms = await GroupRoomService.listRooms({
+      hostId: req.query.hostId,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+    res.json({ success: true, rooms });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The host also sees who holds a seat and how it settled
+router.get('/:id', async (req, res, next) => {
+  try {
+    const room = await GroupRoomService.getRoom(req.params.id);
+    const isHost = room.hostId.toString() === req.userId;
+    res.json({
+      success: true,
+      room: isHost ? { ...GroupRoomService.toView(room), seats: room.seats } : GroupRoomService.toView(room)
+    });
+  } catch (error) {
+    error.status = 404;
+    next(error);
+  }
+});
+
+router.post('/:id/end', async (req, res, next) => {
+  try {
+    const room = await GroupRoomService.getRoom(req.params.id);
+    GroupRoomService.assertHost(room, req.userId);
+    
+    const ended = await GroupRoomService.end(room._id, 'ended_by_host');
+    if (!ended) {
+      return res.status(409).json({ success: false, message: `Room is ${room.status}` });
+    }
+    res.json({ success: true, room: GroupRoomService.toView(ended) });
+  } catch (error) {
+    error.status = 403;
+    next(error);
+  }
+});
+
+module.exports = router;
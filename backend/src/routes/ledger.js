@@ -0,0 +1,34 @@
+// backend/src/routes/ledger.js
+const express = require('express');
+const LedgerService = require('../services/LedgerService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// Compare cached balances against the journal
+router.get('/reconcile', async (req, res, next) => {
+  try {
+    const report = await LedgerService.reconcile();
+    res.status(report.balanced ? 200 : 409).json({ success: report.balanced, ...report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Journal entries touching one account, newest first
+router.get('/accounts/:key/entries', async (req, res, next) => {
+  try {
+    const entries = await LedgerService.getEntries(req.params.key, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      before: req.query.before
+    });
+    const balance = await LedgerService.getBalance(req.params.key);
+    res.json({ success: true, account: req.params.key, balance, entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
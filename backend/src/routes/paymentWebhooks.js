@@ -0,0 +1,27 @@
+// backend/src/routes/paymentWebhooks.js
+const express = require('express');
+const WebhookService = require('../services/WebhookService');
+
+const router = express.Router();
+
+// Signatures are computed over the exact bytes the provider sent
+router.use(express.raw({ type: 'application/json', limit: '1mb' }));
+
+// Provider Webhook (/razorpay, /paypal)
+router.post('/:provider', async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    
+    const event = await WebhookService.parse(provider, req.headers, req.body);
+    if (!event) {
+      return res.status(400).json({ success: false, message: 'Invalid signature' });
+    }
+    
+    const result = await WebhookService.receive(provider, event.eventId, event.type, event.payload);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
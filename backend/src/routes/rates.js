@@ -0,0 +1,30 @@
+// backend/src/routes/rates.js
+const express = require('express');
+const PricingService = require('../services/PricingService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('female_earner'));
+
+router.get('/', async (req, res, next) => {
+  try {
+    const rates = await PricingService.getRates(req.userId);
+    res.json({ success: true, ...rates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hourly rates in minor units of the currency, e.g. { hourlyRate: 50000,
+// rates: { video: 80000 }, currency: 'INR' }
+router.put('/', async (req, res, next) => {
+  try {
+    const rates = await PricingService.setRates(req.userId, req.body);
+    res.json({ success: true, ...rates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
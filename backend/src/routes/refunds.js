@@ -0,0 +1,76 @@
+// backend/src/routes/refunds.js
+const express = require('express');
+const RefundService = require('../services/RefundService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// Refund a payment, or the unused time of a chat
+router.post('/', async (req, res, next) => {
+  try {
+    const { paymentIntentId, chatId, amount, unusedMinutes, reason, note, destination } = req.body;
+    
+    if (chatId) {
+      const refunds = await RefundService.refundChatRemainder(chatId, {
+        unusedMinutes: Number(unusedMinutes),
+        reason: reason || 'service_issue',
+        requestedBy: req.userId,
+        destination
+      });
+      return res.status(201).json({ success: true, refunds });
+    }
+    
+    const refund = await RefundService.refundPaymentIntent(paymentIntentId, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason: reason || 'customer_request',
+      note,
+      destination,
+      requestedBy: req.userId,
+      // Lets a retried request return the first refund
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    res.status(201).json({ success: true, refund });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+// Refunds by status, newest first
+router.get('/', async (req, res, next) => {
+  try {
+    const Refund = require('../models/Refund');
+    
+    const query = {};
+    ['status', 'paymentIntentId', 'chatId', 'userId'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+    
+    const refunds = await Refund.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+    
+    res.json({ success: true, refunds });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const Refund = require('../models/Refund');
+    
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+    
+    res.json({ success: true, refund });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// backend/src/routes/schedule.js
+const express = require('express');
+const BookingService = require('../services/BookingService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('female_earner'));
+
+router.get('/availability', async (req, res, next) => {
+  try {
+    const availability = await BookingService.getAvailability(req.userId);
+    res.json({ success: true, availability });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Weekly windows are local 'HH:MM' times in the given IANA time zone
+router.put('/availability', async (req, res, next) => {
+  try {
+    const availability = await BookingService.setAvailability(req.userId, req.body);
+    res.json({ success: true, availability });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+router.post('/availability/blackouts', async (req, res, next) => {
+  try {
+    const availability = await BookingService.addBlackout(req.userId, req.body);
+    res.status(201).json({ success: true, availability });
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+router.delete('/availability/blackouts/:id', async (req, res, next) => {
+  try {
+    const availability = await BookingService.removeBlackout(req.userId, req.params.id);
+    res.json({ success: true, availability });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// backend/src/routes/statements.js
+const express = require('express');
+const StatementService = require('../services/StatementService');
+const { monthlyStatementCsv, yearlySummaryCsv } = require('../services/statements/csv');
+const { monthlyStatementPdf, yearlySummaryPdf } = require('../services/statements/pdf');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('female_earner'));
+
+// Send a statement as JSON, or as a download with ?format=csv|pdf
+const send = (req, res, data, filename, { csv, pdf }) => {
+  switch (req.query.format) {
+    case 'csv':
+      res.attachment(`${filename}.csv`);
+      res.type('text/csv');
+      return res.send(csv(data));
+    
+    case 'pdf':
+      res.attachment(`${filename}.pdf`);
+      res.type('application/pdf');
+      return pdf(data).pipe(res);
+    
+    default:
+      return res.json({ success: true, statement: data });
+  }
+};
+
+// Yearly summary for tax filing
+router.get('/:year', async (req, res, next) => {
+  try {
+    const year = Number(req.params.year);
+    const summary = await StatementService.getYearlySummary(req.userId, year);
+    
+    send(req, res, summary, `earnings-${year}`, { csv: yearlySummaryCsv, pdf: yearlySummaryPdf });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Monthly statement
+router.get('/:year/:month', async (req, res, next) => {
+  try {
+    const year = Number(req.params.year);
+    const month = Number(req.params.month);
+    const statement = await StatementService.getMonthlyStatement(req.userId, year, month);
+    
+    send(req, res, statement, `statement-${year}-${String(month).padStart(2, '0')}`, {
+      csv: monthlyStatementCsv,
+      pdf: monthlyStatementPdf
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// backend/src/routes/withdrawals.js
+const express = require('express');
+const PaymentService = require('../services/PaymentService');
+const RiskService = require('../services/RiskService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Request a withdrawal of earnings
+router.post('/', async (req, res, next) => {
+  try {
+    const { amount, method, details } = req.body;
+    const result = await PaymentService.processWithdrawal(
+      req.userId,
+      Number(amount),
+      method,
+      details,
+      RiskService.contextFromRequest(req)
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    error.status = 400;
+    next(error);
+  }
+});
+
+// The earner's withdrawals with their status history, newest first
+router.get('/', async (req, res, next) => {
+  try {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const query = { userId: req.userId };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.before) {
+      query.createdAt = { $lt: new Date(req.query.before) };
+    }
+    
+    const withdrawals = await Withdrawal.find(query)
+      .select('-details -lockedUntil')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+    
+    res.json({ success: true, withdrawals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const withdrawal = await Withdrawal.findOne({ _id: req.params.id, userId: req.userId })
+      .select('-details -lockedUntil');
+    if (!withdrawal) {
+      return res.status(404).json({ success: false, message: 'Withdrawal not found' });
+    }
+    
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
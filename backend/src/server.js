@@ -30,6 +30,10 @@ if (cluster.isMaster) {
   const app = express();
   const server = http.createServer(app);
   
+  // The number of our own proxies in front of the app. req.ip skips only
+  // the X-Forwarded-For entries they added, so a client cannot pick its own.
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
+  
   // Socket.IO with Redis Adapter for scaling
   const io = new Server(server, {
     cors: {
@@ -64,6 +68,10 @@ if (cluster.isMaster) {
   app.use(compression());
   app.use(morgan('combined'));
   
+  // Provider webhooks need the raw body for signature checks and are exempt
+  // from the per-IP limit, since providers deliver from a few addresses
+  app.use('/api/v1/payment/webhooks', require('./routes/paymentWebhooks'));
+  
   // Rate limiting
   const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -99,6 +107,7 @@ if (cluster.isMaster) {
   });
   redisClient.on('error', (err) => console.error('Redis Client Error', err));
   redisClient.connect();
+  require('./services/AnalyticsService').attach(redisClient);
   
   // Import routes
   const authRoutes = require('./routes/auth');
@@ -107,14 +116,46 @@ if (cluster.isMaster) {
   const userRoutes = require('./routes/user');
   const adminRoutes = require('./routes/admin');
   const walletRoutes = require('./routes/wallet');
+  const ledgerRoutes = require('./routes/ledger');
+  const withdrawalRoutes = require('./routes/withdrawals');
+  const adminWithdrawalRoutes = require('./routes/adminWithdrawals');
+  const refundRoutes = require('./routes/refunds');
+  const earningRoutes = require('./routes/earnings');
+  const commissionRuleRoutes = require('./routes/commissionRules');
+  const statementRoutes = require('./routes/statements');
+  const adminAnalyticsRoutes = require('./routes/adminAnalytics');
+  const adminRiskRoutes = require('./routes/adminRisk');
+  const bookingRoutes = require('./routes/bookings');
+  const scheduleRoutes = require('./routes/schedule');
+  const rateRoutes = require('./routes/rates');
+  const chatRequestRoutes = require('./routes/chatRequests');
+  const callRoutes = require('./routes/calls');
+  const groupRoomRoutes = require('./routes/groupRooms');
+  const chatMessageRoutes = require('./routes/chatMessages');
   
   // API routes
   app.use('/api/v1/auth', authRoutes);
+  app.use('/api/v1/chat/:chatId/messages', chatMessageRoutes);
   app.use('/api/v1/chat', chatRoutes);
   app.use('/api/v1/payment', paymentRoutes);
   app.use('/api/v1/user', userRoutes);
   app.use('/api/v1/admin', adminRoutes);
   app.use('/api/v1/wallet', walletRoutes);
+  app.use('/api/v1/admin/ledger', ledgerRoutes);
+  app.use('/api/v1/wallet/withdrawals', withdrawalRoutes);
+  app.use('/api/v1/admin/withdrawals', adminWithdrawalRoutes);
+  app.use('/api/v1/admin/refunds', refundRoutes);
+  app.use('/api/v1/wallet/earnings', earningRoutes);
+  app.use('/api/v1/wallet/statements', statementRoutes);
+  app.use('/api/v1/admin/commission-rules', commissionRuleRoutes);
+  app.use('/api/v1/admin/analytics', adminAnalyticsRoutes);
+  app.use('/api/v1/admin/risk', adminRiskRoutes);
+  app.use('/api/v1/bookings', bookingRoutes);
+  app.use('/api/v1/schedule', scheduleRoutes);
+  app.use('/api/v1/rates', rateRoutes);
+  app.use('/api/v1/chat-requests', chatRequestRoutes);
+  app.use('/api/v1/calls', callRoutes);
+  app.use('/api/v1/group-rooms', groupRoomRoutes);
   
   // Health check
   app.get('/health', (req, res) => {
@@ -128,6 +169,27 @@ if (cluster.isMaster) {
   // Socket.IO implementation
   require('./socket/socketHandler')(io, redisClient);
   
+  // Payout, earnings release and refund status workers; jobs are leased
+  // atomically, so every worker can poll
+  require('./services/PayoutService').start();
+  require('./services/EarningService').start();
+  require('./services/RefundService').start();
+  
+  // Booking payment expiry, reminders and no-show checks
+  require('./services/BookingService').start(redisClient);
+  
+  // Chat request payment and response timeouts
+  require('./services/ChatRequestService').start(redisClient);
+  
+  // Per-minute metering of paid calls
+  require('./services/CallBillingService').start(redisClient);
+  
+  // Group room media, and the time limit that ends forgotten rooms
+  require('./services/SfuService').start(redisClient).catch(error => {
+    console.error('SFU start error:', error);
+  });
+  require('./services/GroupRoomService').start(redisClient);
+  
   // Error handling middleware
   app.use((err, req, res, next) => {
     console.error(err.stack);
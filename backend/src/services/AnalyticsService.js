@@ -0,0 +1,322 @@
+// backend/src/services/AnalyticsService.js
+const crypto = require('crypto');
+const money = require('../utils/money');
+
+const INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Default lookback per interval
+const DEFAULT_BUCKETS = {
+  hour: 48,
+  day: 30,
+  week: 12
+};
+
+// Fields a series can be broken down by, once sales are annotated
+const DIMENSIONS = {
+  method: '$method',
+  currency: '$currency',
+  earner: '$earnerId',
+  serviceType: '$serviceType'
+};
+
+const MAX_BUCKETS = 1000;
+
+// Payment time series for the admin dashboard, read from escrowed earnings
+// (one per paid block of session time) and completed refunds. Amounts are
+// minor units of the ledger currency, whatever currency the payer used.
+class AnalyticsService {
+  constructor() {
+    this.redis = null;
+    this.cacheSeconds = parseInt(process.env.ANALYTICS_CACHE_SECONDS, 10) || 300;
+    // Ranges that ended before the cache window can no longer change
+    this.closedCacheSeconds = 24 * 60 * 60;
+    this.timezone = process.env.ANALYTICS_TIMEZONE || 'UTC';
+  }
+  
+  attach(redisClient) {
+    this.redis = redisClient;
+  }
+  
+  parseQuery({ from, to, interval = 'day', groupBy } = {}) {
+    if (!INTERVALS[interval]) {
+      throw new Error(`Interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+    }
+    if (groupBy && !DIMENSIONS[groupBy]) {
+      throw new Error(`groupBy must be one of ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+    
+    // An open-ended range ends at the next cache window boundary, so repeat
+    // requests share a cache key
+    const windowMs = this.cacheSeconds * 1000;
+    const end = to ? new Date(to) : new Date(Math.ceil(Date.now() / windowMs) * windowMs);
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_BUCKETS[interval] * INTERVALS[interval]);
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      throw new Error('Invalid date range');
+    }
+    if ((end - start) / INTERVALS[interval] > MAX_BUCKETS) {
+      throw new Error(`Range is too long for ${interval} buckets`);
+    }
+    
+    return { from: start, to: end, interval, groupBy };
+  }
+  
+  bucketOf(field, interval) {
+    return {
+      $dateTrunc: { date: field, unit: interval, timezone: this.timezone, startOfWeek: 'monday' }
+    };
+  }
+  
+  // Earnings in range, annotated with how and in what currency they were paid
+  salesStages(from, to) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    return [
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      {
+        $lookup: {
+          from: PaymentIntent.collection.name,
+          localField: 'paymentIntentId',
+          foreignField: '_id',
+          pipeline: [{ $project: { currency: 1 } }],
+          as: 'intent'
+        }
+      },
+      {
+        $addFields: {
+          method: { $ifNull: ['$method', 'wallet'] },
+          currency: { $ifNull: [{ $first: '$intent.currency' }, money.LEDGER_CURRENCY] }
+        }
+      }
+    ];
+  }
+  
+  // GMV, commission and session counts per bucket (and dimension key)
+  async salesSeries({ from, to, interval }, dimension) {
+    const Earning = require('../models/Earning');
+    
+    return Earning.aggregate([
+      ...this.salesStages(from, to),
+      {
+        $group: {
+          _id: { bucket: this.bucketOf('$createdAt', interval), key: dimension || null },
+          gmv: { $sum: '$grossAmount' },
+          commission: { $sum: '$commission.amount' },
+          chats: { $addToSet: '$chatId' },
+          payers: { $addToSet: '$payerId' }
+        }
+      },
+      {
+        $project: {
+          gmv: 1,
+          commission: 1,
+          sessions: { $size: '$chats' },
+          payers: { $size: '$payers' }
+        }
+      }
+    ]);
+  }
+  
+  // Completed refunds per bucket, attributed to the payment they reverse
+  async refundSeries({ from, to, interval }, groupBy) {
+    const Refund = require('../models/Refund');
+    const Earning = require('../models/Earning');
+    
+    const dimensions = {
+      method: { $ifNull: [{ $first: '$earning.method' }, '$method'] },
+      currency: '$paymentCurrency',
+      earner: { $first: '$earning.earnerId' },
+      serviceType: { $first: '$earning.serviceType' }
+    };
+    
+    return Refund.aggregate([
+      { $match: { status: 'completed', completedAt: { $gte: from, $lt: to } } },
+      {
+        $lookup: {
+          from: Earning.collection.name,
+          localField: 'chargeKey',
+          foreignField: 'chargeKey',
+          pipeline: [{ $project: { method: 1, earnerId: 1, serviceType: 1 } }],
+          as: 'earning'
+        }
+      },
+      {
+        $group: {
+          _id: { bucket: this.bucketOf('$completedAt', interval), key: groupBy ? dimensions[groupBy] : null },
+          refunds: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+  }
+  
+  // New vs returning payers per bucket: a payer is new in the bucket that
+  // holds their first ever payment
+  async cohortSeries({ from, to, interval }) {
+    const Earning = require('../models/Earning');
+    
+    const cohorts = await Earning.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to }, payerId: { $ne: null } } },
+      {
+        $group: {
+          _id: { bucket: this.bucketOf('$createdAt', interval), payerId: '$payerId' },
+          gmv: { $sum: '$grossAmount' }
+        }
+      },
+      {
+        $lookup: {
+          from: Earning.collection.name,
+          let: { payerId: '$_id.payerId' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$payerId', '$$payerId'] } } },
+            { $sort: { createdAt: 1 } },
+            { $limit: 1 },
+            { $project: { createdAt: 1 } }
+          ],
+          as: 'first'
+        }
+      },
+      {
+        $addFields: {
+          isNew: { $gte: [{ $first: '$first.createdAt' }, '$_id.bucket'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.bucket',
+          newPayers: { $sum: { $cond: ['$isNew', 1, 0] } },
+          returningPayers: { $sum: { $cond: ['$isNew', 0, 1] } },
+          newGmv: { $sum: { $cond: ['$isNew', '$gmv', 0] } },
+          returningGmv: { $sum: { $cond: ['$isNew', 0, '$gmv'] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    return cohorts.map(({ _id, ...values }) => ({ bucket: _id, ...values }));
+  }
+  
+  // Merge sales and refunds into one point per bucket and key
+  mergeSeries(sales, refunds) {
+    const points = new Map();
+    const pointFor = ({ bucket, key }) => {
+      const id = `${bucket.toISOString()}|${key ?? ''}`;
+      if (!points.has(id)) {
+        points.set(id, {
+          bucket,
+          key: key ?? undefined,
+          gmv: 0,
+          commission: 0,
+          refunds: 0,
+          refundCount: 0,
+          sessions: 0,
+          payers: 0
+        });
+      }
+      return points.get(id);
+    };
+    
+    sales.forEach(({ _id, ...values }) => Object.assign(pointFor(_id), values));
+    refunds.forEach(({ _id, refunds: amount, count }) => {
+      const point = pointFor(_id);
+      point.refunds = amount;
+      point.refundCount = count;
+    });
+    
+    return [...points.values()]
+      .map(point => ({
+        ...point,
+        takeRate: point.gmv ? point.commission / point.gmv : 0,
+        averageSessionValue: point.sessions ? Math.round(point.gmv / point.sessions) : 0
+      }))
+      .sort((a, b) => a.bucket - b.bucket);
+  }
+  
+  // Display names for earner keys
+  async labelsFor(groupBy, keys) {
+    if (groupBy !== 'earner' || !keys.length) return {};
+    
+    const User = require('../models/User');
+    const users = await User.find({ _id: { $in: keys } }).select('username').lean();
+    return Object.fromEntries(users.map(user => [user._id.toString(), user.username]));
+  }
+  
+  async compute(query) {
+    const [sales, refunds, cohorts] = await Promise.all([
+      this.salesSeries(query),
+      this.refundSeries(query),
+      this.cohortSeries(query)
+    ]);
+    
+    const result = {
+      ...query,
+      currency: money.LEDGER_CURRENCY,
+      timezone: this.timezone,
+      series: this.mergeSeries(sales, refunds),
+      cohorts
+    };
+    
+    if (query.groupBy) {
+      const [groupedSales, groupedRefunds] = await Promise.all([
+        this.salesSeries(query, DIMENSIONS[query.groupBy]),
+        this.refundSeries(query, query.groupBy)
+      ]);
+      
+      const byKey = new Map();
+      this.mergeSeries(groupedSales, groupedRefunds).forEach(({ key, ...point }) => {
+        const id = key === undefined || key === null ? 'unknown' : key.toString();
+        if (!byKey.has(id)) byKey.set(id, []);
+        byKey.get(id).push(point);
+      });
+      
+      const labels = await this.labelsFor(query.groupBy, [...byKey.keys()].filter(key => key !== 'unknown'));
+      result.breakdown = [...byKey.entries()].map(([key, series]) => ({
+        key,
+        label: labels[key] || key,
+        totals: {
+          gmv: series.reduce((sum, point) => sum + point.gmv, 0),
+          refunds: series.reduce((sum, point) => sum + point.refunds, 0),
+          commission: series.reduce((sum, point) => sum + point.commission, 0)
+        },
+        series
+      })).sort((a, b) => b.totals.gmv - a.totals.gmv);
+    }
+    
+    return result;
+  }
+  
+  // Get Payment Time Series, cached in Redis by query
+  async getPaymentTimeSeries(params) {
+    const query = this.parseQuery(params);
+    const cacheKey = `analytics:payments:${crypto.createHash('sha1').update(JSON.stringify(query)).digest('hex')}`;
+    
+    if (this.redis) {
+      try {
+        const cached = await this.redis.get(cacheKey);
+        if (cached) return { ...JSON.parse(cached), cached: true };
+      } catch (error) {
+        console.error('Analytics cache read failed:', error.message);
+      }
+    }
+    
+    const result = await this.compute(query);
+    
+    if (this.redis) {
+      const closed = Date.now() - query.to.getTime() > this.cacheSeconds * 1000;
+      try {
+        await this.redis.set(cacheKey, JSON.stringify(result), {
+          EX: closed ? this.closedCacheSeconds : this.cacheSeconds
+        });
+      } catch (error) {
+        console.error('Analytics cache write failed:', error.message);
+      }
+    }
+    
+    return { ...result, cached: false };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,131 @@
+// backend/src/services/AutoExtendService.js
+const WalletService = require('./WalletService');
+const LedgerService = require('./LedgerService');
+const PricingService = require('./PricingService');
+const money = require('../utils/money');
+
+class AutoExtendService {
+  constructor() {
+    this.blockMinutes = parseInt(process.env.AUTO_EXTEND_BLOCK_MINUTES, 10) || 15;
+  }
+  
+  // What the payer's auto-extend control shows; the cap and the amount
+  // spent are in minor units of the ledger currency
+  toView(paymentDetails = {}) {
+    return {
+      autoExtend: Boolean(paymentDetails.autoExtend),
+      spendingCap: paymentDetails.autoExtendCap ?? null,
+      spent: paymentDetails.autoExtendSpent || 0,
+      currency: money.LEDGER_CURRENCY,
+      blockMinutes: this.blockMinutes
+    };
+  }
+  
+  // Get Auto-extend Settings (payer only)
+  async getSettings(chatId, userId) {
+    const Chat = require('../models/Chat');
+    
+    const chat = await Chat.findOne({
+      _id: chatId,
+      participants: { $elemMatch: { userId, role: { $ne: 'earner' } } }
+    }).select('paymentDetails');
+    
+    if (!chat) {
+      throw new Error('Only the paying participant can see auto-extend');
+    }
+    
+    return this.toView(chat.paymentDetails);
+  }
+  
+  // Update Auto-extend Settings (payer only)
+  async updateSettings(chatId, userId, { enabled, spendingCap }) {
+    const Chat = require('../models/Chat');
+    
+    // Caps are in minor units of the ledger currency, like wallet balances
+    if (spendingCap !== undefined && spendingCap !== null
+      && !(Number.isSafeInteger(spendingCap) && spendingCap >= 0)) {
+      throw new Error('Spending cap must be a positive amount in minor units');
+    }
+    
+    const chat = await Chat.findOneAndUpdate(
+      {
+        _id: chatId,
+        participants: { $elemMatch: { userId, role: { $ne: 'earner' } } }
+      },
+      {
+        $set: {
+          'paymentDetails.autoExtend': Boolean(enabled),
+          'paymentDetails.autoExtendCap': spendingCap ?? null
+        }
+      },
+      { new: true }
+    );
+    
+    if (!chat) {
+      throw new Error('Only the paying participant can change auto-extend');
+    }
+    
+    return this.toView(chat.paymentDetails);
+  }
+  
+  // Charge One Block
+  async chargeBlock(chat, idempotencyKey) {
+    const Chat = require('../models/Chat');
+    const User = require('../models/User');
+    const LedgerEntry = require('../models/LedgerEntry');
+    
+    const payer = chat.participants.find(p => p.role !== 'earner');
+    const earnerParticipant = chat.participants.find(p => p.role === 'earner');
+    const earner = await User.findById(earnerParticipant.userId);
+    
+    const minutes = this.blockMinutes;
+    const quote = await PricingService.quoteChat(earner, minutes, money.LEDGER_CURRENCY);
+    const amount = quote.settlement.amount;
+    
+    // Stop before the user-defined cap would be exceeded
+    const { autoExtendCap, autoExtendSpent = 0 } = chat.paymentDetails;
+    if (autoExtendCap !== undefined && autoExtendCap !== null && autoExtendSpent + amount > autoExtendCap) {
+      return { extended: false, reason: 'spending_cap_reached', amount, currency: money.LEDGER_CURRENCY };
+    }
+    
+    // The charge and the added minutes commit together or not at all
+    try {
+      await LedgerService.transaction(async (session) => {
+        const alreadyCharged = await LedgerEntry.exists({
+          idempotencyKey: `${idempotencyKey}:chat_charge`
+        }).session(session);
+        if (alreadyCharged) return;
+        
+        await WalletService.chargeForChat({
+          payerId: payer.userId,
+          earnerId: earnerParticipant.userId,
+          amount,
+          minutes,
+          chatId: chat._id,
+          idempotencyKey,
+          description: `Auto-extend ${minutes} minutes`
+        }, { session });
+        
+        await Chat.updateOne(
+          { _id: chat._id },
+          {
+            $inc: {
+              'paymentDetails.totalDuration': minutes,
+              'paymentDetails.autoExtendSpent': amount
+            }
+          },
+          { session }
+        );
+      });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        return { extended: false, reason: 'insufficient_balance', amount, currency: money.LEDGER_CURRENCY };
+      }
+      throw error;
+    }
+    
+    return { extended: true, minutes, amount, currency: money.LEDGER_CURRENCY };
+  }
+}
+
+module.exports = new AutoExtendService();
@@ -0,0 +1,669 @@
+// backend/src/services/BookingService.js
+const DeadlineQueue = require('./DeadlineQueue');
+const LedgerService = require('./LedgerService');
+const PaymentService = require('./PaymentService');
+const PricingService = require('./PricingService');
+const RefundService = require('./RefundService');
+const EarningService = require('./EarningService');
+const NotificationService = require('./NotificationService');
+const time = require('../utils/time');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Longest range the slot calendar is computed for in one request
+const MAX_SLOT_RANGE_MS = 31 * DAY;
+
+const parseMinutes = (value) => value
+  .split(',')
+  .map(minutes => parseInt(minutes, 10))
+  .filter(minutes => minutes > 0);
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Users book and prepay sessions inside an earner's published hours.
+// Payment expiry, reminders and no-show checks are deadlines in Redis,
+// fired by a single leader worker like the chat timers.
+class BookingService {
+  constructor() {
+    this.paymentMs = envNumber(process.env.BOOKING_PAYMENT_MINUTES, 15) * MINUTE;
+    this.joinEarlyMs = envNumber(process.env.BOOKING_JOIN_EARLY_MINUTES, 5) * MINUTE;
+    this.noShowMs = envNumber(process.env.BOOKING_NO_SHOW_MINUTES, 10) * MINUTE;
+    this.freeCancelMs = envNumber(process.env.BOOKING_FREE_CANCEL_HOURS, 24) * 60 * MINUTE;
+    // Share of the price a booker forfeits to the earner by cancelling late
+    // or not showing up
+    this.lateFee = envNumber(process.env.BOOKING_LATE_FEE_PERCENT, 50) / 100;
+    this.reminders = parseMinutes(process.env.BOOKING_REMINDERS || '1440,60,10');
+    this.queue = null;
+  }
+  
+  start(redisClient) {
+    this.queue = new DeadlineQueue(redisClient, 'booking-events', {
+      pollInterval: envNumber(process.env.BOOKING_POLL_MS, 5000)
+    });
+    this.queue.start(member => this.handleEvent(member));
+    
+    // Provider payments settle from the client or a webhook, on any worker
+    PaymentService.on('booking-paid', (paymentIntent) => {
+      this.confirm(paymentIntent.bookingId).catch(error => {
+        console.error('Booking confirmation error:', error);
+      });
+    });
+  }
+  
+  async stop() {
+    if (this.queue) {
+      await this.queue.stop();
+    }
+  }
+  
+  // Move a booking to a new status if the state machine allows it.
+  // Returns null when another update got there first.
+  async transition(bookingId, to, { note, actor, filter = {}, set = {} } = {}, session) {
+    const Booking = require('../models/Booking');
+    
+    return Booking.findOneAndUpdate(
+      { _id: bookingId, status: { $in: Booking.sourcesFor(to) }, ...filter },
+      {
+        $set: { status: to, ...set },
+        $push: { statusHistory: { status: to, note, actor } }
+      },
+      { new: true, session }
+    );
+  }
+  
+  async getAvailability(earnerId) {
+    const Availability = require('../models/Availability');
+    return Availability.findOne({ earnerId });
+  }
+  
+  // Replace the earner's weekly hours and booking rules; blackouts are kept
+  async setAvailability(earnerId, { timezone, weekly, serviceTypes, slotMinutes, bufferMinutes, minNoticeHours, maxAdvanceDays }) {
+    try {
+      const Availability = require('../models/Availability');
+      
+      const availability = await Availability.findOne({ earnerId }) || new Availability({ earnerId });
+      const updates = { timezone, weekly, serviceTypes, slotMinutes, bufferMinutes, minNoticeHours, maxAdvanceDays };
+      Object.keys(updates).forEach(key => {
+        if (updates[key] !== undefined) {
+          availability[key] = updates[key];
+        }
+      });
+      
+      await availability.save();
+      return availability;
+    } catch (error) {
+      throw new Error(`Availability update failed: ${error.message}`);
+    }
+  }
+  
+  // Block out whole local days. Bookings already made on them stand until
+  // the earner cancels them.
+  async addBlackout(earnerId, { startDate, endDate, reason }) {
+    try {
+      const availability = await this.getAvailability(earnerId);
+      if (!availability) {
+        throw new Error('Set your weekly hours first');
+      }
+      
+      availability.blackouts.push({ startDate, endDate: endDate || startDate, reason });
+      await availability.save();
+      return availability;
+    } catch (error) {
+      throw new Error(`Blackout failed: ${error.message}`);
+    }
+  }
+  
+  async removeBlackout(earnerId, blackoutId) {
+    const Availability = require('../models/Availability');
+    
+    return Availability.findOneAndUpdate(
+      { earnerId },
+      { $pull: { blackouts: { _id: blackoutId } } },
+      { new: true }
+    );
+  }
+  
+  // A local date's windows as instants; none if the date is blacked out
+  windowsOn(availability, date) {
+    const { timezone } = availability;
+    if (availability.blackouts.some(blackout => blackout.startDate <= date && date <= blackout.endDate)) {
+      return [];
+    }
+    
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return availability.weekly
+      .filter(window => window.weekday === weekday)
+      .map(window => ({
+        start: time.zonedTime(date, window.start, timezone).getTime(),
+        end: time.zonedTime(date, window.end, timezone).getTime()
+      }));
+  }
+  
+  // Earliest and latest start times the earner accepts, in epoch ms
+  bookableRange(availability) {
+    const now = Date.now();
+    return {
+      earliest: now + availability.minNoticeHours * 60 * MINUTE,
+      latest: now + availability.maxAdvanceDays * DAY
+    };
+  }
+  
+  // Whether a session lies inside one window, on the slot grid
+  fits(availability, startsAt, minutes) {
+    const start = startsAt.getTime();
+    const end = start + minutes * MINUTE;
+    const slotMs = availability.slotMinutes * MINUTE;
+    const { date } = time.localDate(startsAt, availability.timezone);
+    
+    return this.windowsOn(availability, date).some(window =>
+      start >= window.start && end <= window.end && (start - window.start) % slotMs === 0
+    );
+  }
+  
+  // Bookings holding time that overlaps [from, to)
+  async activeBookings(query, from, to, session) {
+    const Booking = require('../models/Booking');
+    
+    return Booking.find({
+      ...query,
+      status: { $in: Booking.ACTIVE },
+      startsAt: { $lt: to },
+      endsAt: { $gt: from }
+    }).session(session || null);
+  }
+  
+  // Free slots of an earner in a range, for the booking calendar
+  async getSlots(earnerId, { from, to } = {}) {
+    const availability = await this.getAvailability(earnerId);
+    if (!availability) {
+      return { timezone: null, slotMinutes: null, serviceTypes: [], slots: [] };
+    }
+    
+    const { earliest, latest } = this.bookableRange(availability);
+    const requestedStart = from ? new Date(from).getTime() : Date.now();
+    const requestedEnd = to ? new Date(to).getTime() : requestedStart + 7 * DAY;
+    if (isNaN(requestedStart) || isNaN(requestedEnd) || requestedStart >= requestedEnd) {
+      throw new Error('Invalid date range');
+    }
+    if (requestedEnd - requestedStart > MAX_SLOT_RANGE_MS) {
+      throw new Error('Ranges are limited to 31 days');
+    }
+    
+    const start = Math.max(requestedStart, earliest);
+    const end = Math.min(requestedEnd, latest);
+    const result = {
+      timezone: availability.timezone,
+      slotMinutes: availability.slotMinutes,
+      serviceTypes: availability.serviceTypes,
+      slots: []
+    };
+    if (start >= end) return result;
+    
+    const slotMs = availability.slotMinutes * MINUTE;
+    const bufferMs = availability.bufferMinutes * MINUTE;
+    const bookings = await this.activeBookings({ earnerId }, new Date(start - bufferMs), new Date(end + bufferMs));
+    const isTaken = (slotStart) => bookings.some(booking =>
+      booking.startsAt.getTime() - bufferMs < slotStart + slotMs &&
+      booking.endsAt.getTime() + bufferMs > slotStart
+    );
+    
+    const lastDate = time.localDate(new Date(end), availability.timezone).date;
+    for (let date = time.localDate(new Date(start), availability.timezone).date; date <= lastDate; date = time.addDays(date, 1)) {
+      this.windowsOn(availability, date).forEach(window => {
+        for (let slotStart = window.start; slotStart + slotMs <= window.end; slotStart += slotMs) {
+          if (slotStart >= start && slotStart < end && !isTaken(slotStart)) {
+            result.slots.push({ startsAt: new Date(slotStart), endsAt: new Date(slotStart + slotMs) });
+          }
+        }
+      });
+    }
+    
+    return result;
+  }
+  
+  // Book a session and start paying for it. The slot is claimed in a
+  // transaction that also bumps the earner's availability version, so two
+  // bookings for the same earner cannot both pass the conflict check.
+  async book({ userId, earnerId, startsAt, minutes, serviceType = 'chat', currency, method = 'wallet', timezone, context }) {
+    const Booking = require('../models/Booking');
+    const Availability = require('../models/Availability');
+    const User = require('../models/User');
+    
+    let booking = null;
+    try {
+      startsAt = new Date(startsAt);
+      minutes = Number(minutes);
+      if (isNaN(startsAt)) {
+        throw new Error('Invalid start time');
+      }
+      if (String(userId) === String(earnerId)) {
+        throw new Error('You cannot book yourself');
+      }
+      if (timezone && !time.isValidTimeZone(timezone)) {
+        throw new Error('Unknown time zone');
+      }
+      
+      const earner = await User.findById(earnerId);
+      const availability = await Availability.findOne({ earnerId });
+      if (!earner || !earner.earnerProfile || !earner.earnerProfile.isActive || !availability) {
+        throw new Error('Earner is not taking bookings');
+      }
+      if (!availability.serviceTypes.includes(serviceType)) {
+        throw new Error(`Earner does not offer ${serviceType} sessions`);
+      }
+      if (!(minutes > 0) || minutes % availability.slotMinutes !== 0) {
+        throw new Error(`Sessions last a multiple of ${availability.slotMinutes} minutes`);
+      }
+      
+      const { earliest, latest } = this.bookableRange(availability);
+      if (startsAt.getTime() < earliest || startsAt.getTime() > latest) {
+        throw new Error('That time is outside the booking window');
+      }
+      if (!this.fits(availability, startsAt, minutes)) {
+        throw new Error('That time is not available');
+      }
+      
+      // Price the session in the booker's currency, locked now
+      const quote = await PricingService.quoteChat(
+        earner,
+        minutes,
+        await PricingService.payerCurrency(userId, currency)
+      );
+      
+      const endsAt = new Date(startsAt.getTime() + minutes * MINUTE);
+      const bufferMs = availability.bufferMinutes * MINUTE;
+      booking = await LedgerService.transaction(async (session) => {
+        await Availability.updateOne({ _id: availability._id }, { $inc: { version: 1 } }, { session });
+        
+        const [taken] = await this.activeBookings(
+          { earnerId },
+          new Date(startsAt.getTime() - bufferMs),
+          new Date(endsAt.getTime() + bufferMs),
+          session
+        );
+        if (taken) {
+          throw new Error('That time has just been booked');
+        }
+        const [clash] = await this.activeBookings({ userId }, startsAt, endsAt, session);
+        if (clash) {
+          throw new Error('You already have a booking at that time');
+        }
+        
+        const [created] = await Booking.create([{
+          earnerId,
+          userId,
+          serviceType,
+          startsAt,
+          endsAt,
+          minutes,
+          timezone,
+          paymentExpiresAt: new Date(Date.now() + this.paymentMs),
+          statusHistory: [{ status: 'pending_payment', note: 'Booked', actor: userId }]
+        }], { session });
+        return created;
+      });
+      
+      await this.queue.schedule(`${booking._id}:expire`, booking.paymentExpiresAt.getTime());
+      
+      const paymentIntent = await PaymentService.createBookingPayment({
+        booking,
+        earnerName: earner.username,
+        quote,
+        method,
+        context
+      });
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { paymentIntentId: paymentIntent._id, amount: paymentIntent.amount, currency: paymentIntent.currency } }
+      );
+      
+      // Wallet payments settle at once
+      if (paymentIntent.status === 'completed') {
+        await this.confirm(booking._id);
+      }
+      
+      return {
+        booking: await Booking.findById(booking._id),
+        payment: paymentIntent.status === 'completed' ? null : {
+          paymentIntentId: paymentIntent._id,
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          method: paymentIntent.method,
+          ...paymentIntent.paymentData
+        }
+      };
+    } catch (error) {
+      // Free the slot if payment never got going
+      if (booking) {
+        await this.transition(booking._id, 'cancelled', {
+          note: error.message,
+          filter: { status: 'pending_payment' }
+        });
+        await this.clearEvents(booking);
+      }
+      throw new Error(`Booking failed: ${error.message}`);
+    }
+  }
+  
+  // Confirm a booking once its payment has settled. Runs for every
+  // settlement signal, so repeats are no-ops.
+  async confirm(bookingId) {
+    const Booking = require('../models/Booking');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const paymentIntent = await PaymentIntent.findOne({ bookingId });
+    if (!paymentIntent || paymentIntent.status !== 'completed') return null;
+    
+    const booking = await this.transition(bookingId, 'confirmed', {
+      note: 'Paid',
+      set: {
+        paymentIntentId: paymentIntent._id,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency
+      }
+    });
+    
+    if (!booking) {
+      // Paid after the booking lapsed: the slot may be gone, so pay it back
+      const lapsed = await Booking.findById(bookingId);
+      if (lapsed && ['expired', 'cancelled'].includes(lapsed.status)) {
+        await this.refund(lapsed, 1, 'booking_cancelled', 'Paid after the booking lapsed');
+      }
+      return null;
+    }
+    
+    await this.queue.cancel(`${booking._id}:expire`);
+    for (const minutes of this.reminders) {
+      const at = booking.startsAt.getTime() - minutes * MINUTE;
+      if (at > Date.now()) {
+        await this.queue.schedule(`${booking._id}:remind:${minutes}`, at);
+      }
+    }
+    await this.queue.schedule(`${booking._id}:no_show`, booking.startsAt.getTime() + this.noShowMs);
+    
+    // Keep the earner's share escrowed until after the session
+    await EarningService.holdUntilAfter(paymentIntent._id, booking.endsAt);
+    
+    this.notifyBoth(booking, 'booking-confirmed');
+    return booking;
+  }
+  
+  async clearEvents(booking) {
+    await this.queue.cancel(`${booking._id}:expire`);
+    await this.queue.cancel(`${booking._id}:no_show`);
+    for (const minutes of this.reminders) {
+      await this.queue.cancel(`${booking._id}:remind:${minutes}`);
+    }
+  }
+  
+  // Members are '<bookingId>:<event>[:<arg>]'
+  async handleEvent(member) {
+    const [bookingId, event, arg] = member.split(':');
+    
+    switch (event) {
+      case 'expire':
+        return this.expire(bookingId);
+      case 'remind':
+        return this.remind(bookingId, Number(arg));
+      case 'no_show':
+        return this.checkAttendance(bookingId);
+    }
+  }
+  
+  async expire(bookingId) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    // A settlement whose event was lost still confirms
+    if (await this.confirm(bookingId)) return;
+    
+    const booking = await this.transition(bookingId, 'expired', {
+      note: 'Not paid in time',
+      filter: { status: 'pending_payment' }
+    });
+    if (!booking) return;
+    
+    const paymentIntent = await PaymentIntent.findOne({ bookingId });
+    if (paymentIntent) {
+      await PaymentService.transitionIntent(paymentIntent._id, 'failed', { source: 'booking_expired' });
+    }
+    NotificationService.notify(booking.userId, 'booking-expired', { bookingId: booking._id });
+  }
+  
+  async remind(bookingId, minutes) {
+    const Booking = require('../models/Booking');
+    
+    const booking = await Booking.findById(bookingId);
+    if (!booking || booking.status !== 'confirmed') return;
+    this.notifyBoth(booking, 'booking-reminder', { minutesUntil: minutes });
+  }
+  
+  // Record a participant arriving; the second arrival starts the session.
+  // Returns the booking and whether this call started it.
+  async join(bookingId, userId) {
+    const Booking = require('../models/Booking');
+    
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    
+    let role = null;
+    if (booking.userId.equals(userId)) role = 'user';
+    if (booking.earnerId.equals(userId)) role = 'earner';
+    if (!role) {
+      throw new Error('Not your booking');
+    }
+    
+    if (booking.status === 'in_progress') {
+      return { booking, started: false };
+    }
+    if (booking.status !== 'confirmed') {
+      throw new Error(`Booking is ${booking.status.replace('_', ' ')}`);
+    }
+    
+    const now = Date.now();
+    if (now < booking.startsAt.getTime() - this.joinEarlyMs) {
+      throw new Error('The session has not opened yet');
+    }
+    if (now > booking.startsAt.getTime() + this.noShowMs) {
+      throw new Error('The session is closed');
+    }
+    
+    const field = `attendance.${role}JoinedAt`;
+    const updated = await Booking.findOneAndUpdate(
+      { _id: bookingId, status: 'confirmed', [field]: null },
+      { $set: { [field]: new Date() } },
+      { new: true }
+    ) || await Booking.findById(bookingId);
+    
+    const { userJoinedAt, earnerJoinedAt } = updated.attendance || {};
+    if (!userJoinedAt || !earnerJoinedAt) {
+      return { booking: updated, started: false };
+    }
+    
+    const started = await this.transition(bookingId, 'in_progress', { note: 'Both joined' });
+    return started
+      ? { booking: started, started: true }
+      : { booking: await Booking.findById(bookingId), started: false };
+  }
+  
+  // The chat a started session runs in
+  async attachChat(bookingId, chatId) {
+    const Booking = require('../models/Booking');
+    
+    const booking = await Booking.findByIdAndUpdate(bookingId, { $set: { chatId } }, { new: true });
+    await EarningService.attachChat(booking.paymentIntentId, chatId);
+    await this.queue.cancel(`${bookingId}:no_show`);
+    return booking;
+  }
+  
+  // A booked session's chat has ended
+  async chatEnded(chatId) {
+    const Booking = require('../models/Booking');
+    
+    const booking = await Booking.findOne({ chatId, status: 'in_progress' });
+    if (!booking) return null;
+    return this.transition(booking._id, 'completed', { note: 'Session ended' });
+  }
+  
+  // After the join window closes: whoever stayed away is a no-show. The
+  // booker gets everything back unless they were the only one missing.
+  async checkAttendance(bookingId) {
+    const Booking = require('../models/Booking');
+    
+    let booking = await Booking.findById(bookingId);
+    if (!booking) return;
+    
+    if (booking.status === 'confirmed') {
+      const { userJoinedAt, earnerJoinedAt } = booking.attendance || {};
+      let noShowBy = 'both';
+      if (userJoinedAt && !earnerJoinedAt) noShowBy = 'earner';
+      if (earnerJoinedAt && !userJoinedAt) noShowBy = 'user';
+      
+      booking = await this.transition(bookingId, 'no_show', {
+        note: `No-show: ${noShowBy}`,
+        filter: { status: 'confirmed' },
+        set: { noShowBy }
+      });
+      if (!booking) return;
+      this.notifyBoth(booking, 'booking-no-show', { noShowBy });
+    }
+    
+    // Also reached on retries after a failed refund
+    if (booking.status === 'no_show' && !booking.refundId) {
+      await this.refund(booking, booking.noShowBy === 'user' ? 1 - this.lateFee : 1, 'no_show', `No-show: ${booking.noShowBy}`);
+    }
+  }
+  
+  // Cancel a booking. Earners always refund in full; bookers get everything
+  // back until the free cancellation window closes, and pay the late fee
+  // after it.
+  async cancel(bookingId, actorId, reason) {
+    try {
+      const Booking = require('../models/Booking');
+      const PaymentIntent = require('../models/PaymentIntent');
+      
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
+      const byEarner = booking.earnerId.equals(actorId);
+      if (!byEarner && !booking.userId.equals(actorId)) {
+        throw new Error('Not your booking');
+      }
+      
+      const cancelled = await this.transition(bookingId, 'cancelled', {
+        note: reason || 'Cancelled',
+        actor: actorId,
+        filter: { status: booking.status },
+        set: { cancelledBy: actorId, cancellationReason: reason }
+      });
+      if (!cancelled) {
+        throw new Error(`Booking is ${booking.status.replace('_', ' ')}`);
+      }
+      await this.clearEvents(cancelled);
+      
+      if (booking.status === 'confirmed') {
+        const late = !byEarner && booking.startsAt.getTime() - Date.now() < this.freeCancelMs;
+        await this.refund(cancelled, late ? 1 - this.lateFee : 1, 'booking_cancelled', reason);
+      } else {
+        const paymentIntent = await PaymentIntent.findOne({ bookingId });
+        if (paymentIntent) {
+          await PaymentService.transitionIntent(paymentIntent._id, 'failed', { source: 'booking_cancelled' });
+        }
+      }
+      
+      const notifyId = byEarner ? cancelled.userId : cancelled.earnerId;
+      NotificationService.notify(notifyId, 'booking-cancelled', {
+        bookingId: cancelled._id,
+        startsAt: cancelled.startsAt,
+        cancelledBy: byEarner ? 'earner' : 'user',
+        reason
+      });
+      
+      return Booking.findById(bookingId);
+    } catch (error) {
+      throw new Error(`Cancellation failed: ${error.message}`);
+    }
+  }
+  
+  // Refund a share of a booking's payment to the booker. What the earner
+  // keeps starts its hold window now, since there is no session to wait for.
+  async refund(booking, share, reason, note) {
+    const Booking = require('../models/Booking');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const paymentIntent = await PaymentIntent.findOne({ bookingId: booking._id });
+    if (!paymentIntent || !['completed', 'partially_refunded'].includes(paymentIntent.status)) {
+      return null;
+    }
+    
+    let refund = null;
+    const amount = Math.round(paymentIntent.amount * share);
+    if (amount > 0) {
+      refund = await RefundService.refundPaymentIntent(paymentIntent._id, {
+        amount: share >= 1 ? undefined : amount,
+        reason,
+        note,
+        idempotencyKey: `booking:${booking._id}:refund`
+      });
+      await Booking.updateOne({ _id: booking._id }, { $set: { refundId: refund._id } });
+    }
+    
+    if (share < 1) {
+      await EarningService.startHold({ paymentIntentId: paymentIntent._id });
+    }
+    return refund;
+  }
+  
+  notifyBoth(booking, event, extra = {}) {
+    const payload = {
+      bookingId: booking._id,
+      startsAt: booking.startsAt,
+      endsAt: booking.endsAt,
+      minutes: booking.minutes,
+      serviceType: booking.serviceType,
+      status: booking.status,
+      ...extra
+    };
+    NotificationService.notify(booking.userId, event, payload);
+    NotificationService.notify(booking.earnerId, event, payload);
+  }
+  
+  // A participant's bookings, soonest first
+  async listBookings(userId, { as = 'user', status, from, limit = 50 } = {}) {
+    const Booking = require('../models/Booking');
+    
+    const query = { [as === 'earner' ? 'earnerId' : 'userId']: userId };
+    if (status) {
+      query.status = status;
+    }
+    if (from) {
+      query.startsAt = { $gte: new Date(from) };
+    }
+    
+    return Booking.find(query)
+      .populate(as === 'earner' ? 'userId' : 'earnerId', 'username')
+      .sort({ startsAt: 1 })
+      .limit(Math.min(limit, 200));
+  }
+  
+  async getBooking(bookingId, userId) {
+    const Booking = require('../models/Booking');
+    
+    const booking = await Booking.findOne({
+      _id: bookingId,
+      $or: [{ userId }, { earnerId: userId }]
+    });
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    return booking;
+  }
+}
+
+module.exports = new BookingService();
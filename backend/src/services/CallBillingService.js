@@ -0,0 +1,248 @@
+// backend/src/services/CallBillingService.js
+const EventEmitter = require('events');
+const DeadlineQueue = require('./DeadlineQueue');
+const LedgerService = require('./LedgerService');
+const WalletService = require('./WalletService');
+const PricingService = require('./PricingService');
+const EarningService = require('./EarningService');
+const NotificationService = require('./NotificationService');
+const money = require('../utils/money');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Paid voice and video calls are billed per started minute from the wallet.
+// Placing a call holds the minimum; while it runs, the hold grows a block at
+// a time just before the paid time runs out, and when it cannot grow the
+// call is cut where the money ends. Hanging up charges the minutes used and
+// releases the rest. Emits 'funds-exhausted' with the session to cut.
+class CallBillingService extends EventEmitter {
+  constructor() {
+    super();
+    this.minimumMinutes = envNumber(process.env.CALL_MINIMUM_MINUTES, 3);
+    this.blockMinutes = envNumber(process.env.CALL_BILLING_BLOCK_MINUTES, 1);
+    // How early the next block is held, so a slow wallet never gaps the call
+    this.leadMs = envNumber(process.env.CALL_BILLING_LEAD_SECONDS, 20) * SECOND;
+    this.queue = null;
+  }
+  
+  start(redisClient) {
+    this.queue = new DeadlineQueue(redisClient, 'call-billing', {
+      pollInterval: envNumber(process.env.CALL_BILLING_POLL_MS, 1000)
+    });
+    this.queue.start(callId => this.meter(callId));
+  }
+  
+  async stop() {
+    if (this.queue) {
+      await this.queue.stop();
+    }
+  }
+  
+  // Move a session to a new status if the state machine allows it.
+  // Returns null when another update got there first.
+  async transition(callId, to, set = {}, session) {
+    const CallSession = require('../models/CallSession');
+    
+    return CallSession.findOneAndUpdate(
+      { _id: callId, status: { $in: CallSession.sourcesFor(to) } },
+      { $set: { status: to, ...set } },
+      { new: true, session }
+    );
+  }
+  
+  // Price a call and hold its minimum before the earner's phone rings
+  async open({ callerId, earner, serviceType, isVideo }) {
+    try {
+      const CallSession = require('../models/CallSession');
+      
+      const quote = await PricingService.quoteChat(earner, 1, money.LEDGER_CURRENCY, serviceType);
+      const perMinute = quote.settlement.amount;
+      
+      const callSession = await CallSession.create({
+        callerId,
+        earnerId: earner._id,
+        serviceType,
+        isVideo,
+        perMinute,
+        currency: money.LEDGER_CURRENCY,
+        minimumMinutes: this.minimumMinutes
+      });
+      
+      try {
+        await this.hold(callSession, this.minimumMinutes);
+      } catch (error) {
+        await this.transition(callSession._id, 'cancelled', { endReason: 'insufficient_funds' });
+        throw error.code === 'INSUFFICIENT_FUNDS'
+          ? new Error(`Your balance does not cover the ${this.minimumMinutes} minute minimum`)
+          : error;
+      }
+      
+      return CallSession.findById(callSession._id);
+    } catch (error) {
+      throw new Error(`Call billing failed: ${error.message}`);
+    }
+  }
+  
+  // Hold more minutes. Each block has its own journal key, so a retried
+  // block is never held twice.
+  async hold(callSession, minutes) {
+    const CallSession = require('../models/CallSession');
+    
+    await WalletService.holdFunds({
+      userId: callSession.callerId,
+      amount: callSession.perMinute * minutes,
+      type: 'call_hold',
+      idempotencyKey: `call_hold:${callSession._id}:${callSession.heldMinutes}`,
+      description: `Held for ${callSession.serviceType} call`
+    });
+    
+    return CallSession.findOneAndUpdate(
+      { _id: callSession._id, heldMinutes: callSession.heldMinutes },
+      { $inc: { heldMinutes: minutes } },
+      { new: true }
+    );
+  }
+  
+  // The call was answered: paid time starts now
+  async connect(callId, connectedAt) {
+    const callSession = await this.transition(callId, 'active', { connectedAt: new Date(connectedAt) });
+    if (!callSession) return null;
+    
+    await this.queue.schedule(callId, this.coveredUntil(callSession) - this.leadMs);
+    return callSession;
+  }
+  
+  coveredUntil(callSession) {
+    return callSession.connectedAt.getTime() + callSession.heldMinutes * MINUTE;
+  }
+  
+  // Fired shortly before the held time runs out, and again when it does
+  async meter(callId) {
+    const CallSession = require('../models/CallSession');
+    
+    const callSession = await CallSession.findById(callId);
+    if (!callSession || callSession.status !== 'active') return;
+    
+    try {
+      const extended = await this.hold(callSession, this.blockMinutes);
+      if (extended) {
+        await this.queue.schedule(callId, this.coveredUntil(extended) - this.leadMs);
+      }
+      return;
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_FUNDS') throw error;
+    }
+    
+    const coveredUntil = this.coveredUntil(callSession);
+    if (Date.now() >= coveredUntil) {
+      this.emit('funds-exhausted', callSession);
+      return;
+    }
+    
+    // One more try when the paid time runs out, in case they top up
+    NotificationService.notify(callSession.callerId, 'call-low-balance', {
+      callId,
+      endsAt: coveredUntil
+    });
+    await this.queue.schedule(callId, coveredUntil);
+  }
+  
+  // Settle a call once it has ended: charge every started minute, at least
+  // the minimum, and release what is left of the hold. Unanswered calls
+  // release everything.
+  async finish({ callId, answeredAt, endedAt, endReason }) {
+    const CallSession = require('../models/CallSession');
+    
+    const callSession = await CallSession.findById(callId);
+    if (!callSession || !['ringing', 'active'].includes(callSession.status)) return null;
+    if (this.queue) {
+      await this.queue.cancel(callId);
+    }
+    
+    const heldAmount = callSession.perMinute * callSession.heldMinutes;
+    
+    if (!answeredAt || callSession.status === 'ringing') {
+      return LedgerService.transaction(async (session) => {
+        if (heldAmount > 0) {
+          await this.release(callSession, heldAmount, session);
+        }
+        return this.transition(callId, 'cancelled', { endedAt: new Date(endedAt), endReason }, session);
+      });
+    }
+    
+    const durationSeconds = Math.max(0, Math.round((endedAt - answeredAt) / SECOND));
+    const billedMinutes = Math.min(
+      callSession.heldMinutes,
+      Math.max(callSession.minimumMinutes, Math.ceil(durationSeconds / 60))
+    );
+    const amount = billedMinutes * callSession.perMinute;
+    
+    const completed = await LedgerService.transaction(async (session) => {
+      if (amount > 0) {
+        await WalletService.chargeHeldForChat({
+          payerId: callSession.callerId,
+          earnerId: callSession.earnerId,
+          amount,
+          minutes: billedMinutes,
+          serviceType: callSession.serviceType,
+          idempotencyKey: `call:${callId}`,
+          description: `${callSession.isVideo ? 'Video' : 'Voice'} call ${billedMinutes} minutes`
+        }, { session });
+      }
+      if (heldAmount > amount) {
+        await this.release(callSession, heldAmount - amount, session);
+      }
+      
+      return this.transition(callId, 'completed', {
+        endedAt: new Date(endedAt),
+        endReason,
+        durationSeconds,
+        billedMinutes,
+        amount
+      }, session);
+    });
+    if (!completed) return null;
+    
+    // The call is over, so the earner's hold window starts now
+    await EarningService.startHold({ chargeKey: `call:${callId}` });
+    
+    const summary = {
+      callId,
+      durationSeconds,
+      minutes: billedMinutes,
+      amount,
+      currency: completed.currency
+    };
+    NotificationService.notify(completed.callerId, 'call-billed', summary);
+    NotificationService.notify(completed.earnerId, 'call-billed', summary);
+    return completed;
+  }
+  
+  async release(callSession, amount, session) {
+    return WalletService.releaseFunds({
+      userId: callSession.callerId,
+      amount,
+      type: 'call_hold_release',
+      idempotencyKey: `call_hold_release:${callSession._id}`,
+      description: `${callSession.serviceType} call hold released`
+    }, { session });
+  }
+  
+  // A user's paid calls, newest first
+  async listSessions(userId, { as = 'caller', limit = 50 } = {}) {
+    const CallSession = require('../models/CallSession');
+    
+    const filter = as === 'earner' ? { earnerId: userId } : { callerId: userId };
+    return CallSession.find({ ...filter, status: { $in: ['completed', 'active'] } })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, 100));
+  }
+}
+
+module.exports = new CallBillingService();
@@ -0,0 +1,127 @@
+// backend/src/services/CallRecordService.js
+const MessageDeliveryService = require('./MessageDeliveryService');
+
+// Persists call detail records once calls end and serves the call log
+class CallRecordService {
+  // Record an ended call from its session state and, for paid calls, its
+  // settled billing. Repeats return the first record.
+  async record(call, billing) {
+    try {
+      const CallRecord = require('../models/CallRecord');
+      
+      const record = await CallRecord.findOneAndUpdate(
+        { _id: call.callId },
+        {
+          $setOnInsert: {
+            callerId: call.callerId,
+            calleeId: call.calleeId,
+            type: call.type,
+            isVideo: call.isVideo,
+            startedAt: new Date(call.createdAt),
+            answeredAt: call.answeredAt ? new Date(call.answeredAt) : undefined,
+            endedAt: new Date(call.endedAt),
+            endReason: call.endReason,
+            endedBy: call.endedBy || undefined,
+            durationSeconds: call.answeredAt ? Math.max(0, Math.round((call.endedAt - call.answeredAt) / 1000)) : 0,
+            cost: {
+              amount: (billing && billing.amount) || 0,
+              currency: billing ? billing.currency : undefined,
+              billedMinutes: billing ? billing.billedMinutes : undefined
+            }
+          }
+        },
+        { upsert: true, new: true }
+      );
+      
+      let message = null;
+      if (record.endReason === 'missed' && !record.chatId) {
+        message = await this.logMissedCall(record);
+      }
+      return { record, message };
+    } catch (error) {
+      throw new Error(`Call record failed: ${error.message}`);
+    }
+  }
+  
+  // Post a missed call into the participants' conversation as a system
+  // message. Returns the message, or null if they have never chatted.
+  async logMissedCall(record) {
+    const Chat = require('../models/Chat');
+    const CallRecord = require('../models/CallRecord');
+    
+    const chat = await Chat.findOne({
+      'participants.userId': { $all: [record.callerId, record.calleeId] }
+    }).sort({ updatedAt: -1 });
+    if (!chat) return null;
+    
+    const { message } = await MessageDeliveryService.send({
+      chatId: chat._id,
+      senderId: record.callerId,
+      clientId: `call:${record._id}`,
+      content: `Missed ${record.type} call`,
+      type: 'system',
+      metadata: {
+        event: 'missed_call',
+        callId: record._id,
+        isVideo: record.isVideo
+      }
+    });
+    await CallRecord.updateOne({ _id: record._id }, { $set: { chatId: chat._id } });
+    return message;
+  }
+  
+  // A user's calls, newest first. `withUserId` narrows to calls with one
+  // person; `missed` to calls they missed.
+  async listForUser(userId, { withUserId, missed, before, limit = 50 } = {}) {
+    const CallRecord = require('../models/CallRecord');
+    
+    let filter = { $or: [{ callerId: userId }, { calleeId: userId }] };
+    if (missed) {
+      filter = { calleeId: userId, endReason: 'missed' };
+    }
+    if (withUserId) {
+      filter = {
+        ...filter,
+        $and: [{ $or: [{ callerId: withUserId }, { calleeId: withUserId }] }]
+      };
+    }
+    if (before) {
+      filter.startedAt = { $lt: new Date(before) };
+    }
+    
+    return CallRecord.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(limit, 100))
+      .populate('callerId calleeId', 'username profile.avatar');
+  }
+  
+  async getRecord(recordId, userId) {
+    const CallRecord = require('../models/CallRecord');
+    
+    const record = await CallRecord.findOne({
+      _id: recordId,
+      $or: [{ callerId: userId }, { calleeId: userId }]
+    }).populate('callerId calleeId', 'username profile.avatar');
+    if (!record) {
+      throw new Error('Call not found');
+    }
+    return record;
+  }
+  
+  async countUnseenMissed(userId) {
+    const CallRecord = require('../models/CallRecord');
+    return CallRecord.countDocuments({ calleeId: userId, endReason: 'missed', seenAt: null });
+  }
+  
+  async markMissedSeen(userId) {
+    const CallRecord = require('../models/CallRecord');
+    
+    const result = await CallRecord.updateMany(
+      { calleeId: userId, endReason: 'missed', seenAt: null },
+      { $set: { seenAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new CallRecordService();
@@ -0,0 +1,528 @@
+// backend/src/services/ChatRequestService.js
+const DeadlineQueue = require('./DeadlineQueue');
+const PaymentService = require('./PaymentService');
+const PricingService = require('./PricingService');
+const RefundService = require('./RefundService');
+const WalletService = require('./WalletService');
+const EarningService = require('./EarningService');
+const NotificationService = require('./NotificationService');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Highest parallel chat limit an earner can set
+const MAX_PARALLEL_CHATS = 10;
+
+// Adds a member to an earner's open chats only while they are under their
+// limit, so two accepts cannot both take the last place
+const CLAIM_SLOT_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then
+  return 1
+end
+if redis.call('SCARD', KEYS[1]) >= tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('SADD', KEYS[1], ARGV[1])
+return 1
+`;
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Users ask an earner for a paid chat. The payment is taken up front and
+// held in the user's name; accepting settles it into the chat, while a
+// decline, cancellation or timeout gives it back. Expiry is a deadline in
+// Redis, fired by a single leader worker like the chat timers.
+class ChatRequestService {
+  constructor() {
+    this.paymentMs = envNumber(process.env.CHAT_REQUEST_PAYMENT_MINUTES, 15) * MINUTE;
+    this.responseMs = envNumber(process.env.CHAT_REQUEST_RESPONSE_SECONDS, 120) * SECOND;
+    this.defaultMaxParallel = envNumber(process.env.DEFAULT_MAX_PARALLEL_CHATS, 1);
+    this.redis = null;
+    this.queue = null;
+  }
+  
+  start(redisClient) {
+    this.redis = redisClient;
+    this.queue = new DeadlineQueue(redisClient, 'chat-requests', {
+      pollInterval: envNumber(process.env.CHAT_REQUEST_POLL_MS, 2000)
+    });
+    this.queue.start(requestId => this.expire(requestId));
+    
+    // Provider payments settle from the client or a webhook, on any worker
+    PaymentService.on('chat-request-paid', (paymentIntent) => {
+      this.markPaid(paymentIntent.chatRequestId).catch(error => {
+        console.error('Chat request payment error:', error);
+      });
+    });
+  }
+  
+  async stop() {
+    if (this.queue) {
+      await this.queue.stop();
+    }
+  }
+  
+  // Move a request to a new status if the state machine allows it.
+  // Returns null when another update got there first.
+  async transition(requestId, to, { note, actor, filter = {}, set = {} } = {}) {
+    const ChatRequest = require('../models/ChatRequest');
+    
+    return ChatRequest.findOneAndUpdate(
+      { _id: requestId, status: { $in: ChatRequest.sourcesFor(to) }, ...filter },
+      {
+        $set: { status: to, ...set },
+        $push: { statusHistory: { status: to, note, actor } }
+      },
+      { new: true }
+    );
+  }
+  
+  // Ask an earner for a chat. Wallet payments are held at once and reach the
+  // earner straight away; provider payments do once they settle.
+  async create({ userId, earnerId, minutes, chatType, message, currency, method = 'wallet', context }) {
+    const ChatRequest = require('../models/ChatRequest');
+    const User = require('../models/User');
+    
+    let request = null;
+    try {
+      minutes = Number(minutes);
+      if (!(minutes > 0)) {
+        throw new Error('Invalid chat length');
+      }
+      if (String(userId) === String(earnerId)) {
+        throw new Error('You cannot request a chat with yourself');
+      }
+      
+      const earner = await User.findById(earnerId);
+      if (!earner || !earner.earnerProfile || !earner.earnerProfile.isActive) {
+        throw new Error('Earner is not available');
+      }
+      
+      const open = await ChatRequest.findOne({ userId, earnerId, status: { $in: ChatRequest.OPEN } });
+      if (open) {
+        throw new Error('You already have a request waiting with this earner');
+      }
+      
+      // Price the chat in the payer's currency, locked now
+      const quote = await PricingService.quoteChat(
+        earner,
+        minutes,
+        await PricingService.payerCurrency(userId, currency)
+      );
+      
+      request = await ChatRequest.create({
+        userId,
+        earnerId,
+        minutes,
+        chatType,
+        message,
+        earnerPrice: { amount: quote.earnerAmount, currency: quote.earnerCurrency },
+        expiresAt: new Date(Date.now() + this.paymentMs),
+        statusHistory: [{ status: 'awaiting_payment', note: 'Requested', actor: userId }]
+      });
+      await this.queue.schedule(request._id, request.expiresAt.getTime());
+      
+      const paymentIntent = await PaymentService.createChatRequestPayment({
+        request,
+        earnerName: earner.username,
+        quote,
+        method,
+        context
+      });
+      await ChatRequest.updateOne(
+        { _id: request._id },
+        {
+          $set: {
+            paymentIntentId: paymentIntent._id,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            heldAmount: paymentIntent.settlement.amount
+          }
+        }
+      );
+      
+      // Wallet payments are held at once
+      if (paymentIntent.status === 'completed') {
+        await this.markPaid(request._id);
+      }
+      
+      return {
+        request: await ChatRequest.findById(request._id),
+        payment: paymentIntent.status === 'completed' ? null : {
+          paymentIntentId: paymentIntent._id,
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          method: paymentIntent.method,
+          ...paymentIntent.paymentData
+        }
+      };
+    } catch (error) {
+      if (request) {
+        await this.transition(request._id, 'cancelled', {
+          note: error.message,
+          filter: { status: 'awaiting_payment' }
+        });
+        await this.queue.cancel(request._id);
+      }
+      throw new Error(`Chat request failed: ${error.message}`);
+    }
+  }
+  
+  // Pass a request on to the earner once its payment is held. Runs for every
+  // settlement signal, so repeats are no-ops.
+  async markPaid(requestId) {
+    const ChatRequest = require('../models/ChatRequest');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const paymentIntent = await PaymentIntent.findOne({ chatRequestId: requestId });
+    if (!paymentIntent || paymentIntent.status !== 'completed') return null;
+    
+    const request = await this.transition(requestId, 'pending', {
+      note: 'Paid',
+      set: { expiresAt: new Date(Date.now() + this.responseMs) }
+    });
+    
+    if (!request) {
+      // Paid after the request lapsed: nobody will answer it now
+      const lapsed = await ChatRequest.findById(requestId);
+      if (lapsed && ['expired', 'cancelled'].includes(lapsed.status)) {
+        await this.release(lapsed, 'request_expired', 'Paid after the request lapsed');
+      }
+      return null;
+    }
+    
+    await this.queue.schedule(request._id, request.expiresAt.getTime());
+    
+    NotificationService.notify(request.earnerId, 'chat-request', this.toEarnerView(request));
+    this.notifyUser(request);
+    await this.pushQueue(request.earnerId);
+    return request;
+  }
+  
+  // Fired when a request's current deadline passes
+  async expire(requestId) {
+    const ChatRequest = require('../models/ChatRequest');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const current = await ChatRequest.findById(requestId);
+    if (!current || !ChatRequest.OPEN.includes(current.status)) return;
+    
+    // A settlement whose event was lost still reaches the earner
+    if (current.status === 'awaiting_payment' && await this.markPaid(requestId)) return;
+    
+    const request = await this.transition(requestId, 'expired', {
+      note: current.status === 'pending' ? 'Not answered in time' : 'Not paid in time',
+      filter: { status: current.status }
+    });
+    if (!request) return;
+    
+    if (current.status === 'pending') {
+      await this.release(request, 'request_expired', 'Not answered in time');
+      await this.pushQueue(request.earnerId);
+    } else {
+      const paymentIntent = await PaymentIntent.findOne({ chatRequestId: requestId });
+      if (paymentIntent) {
+        await PaymentService.transitionIntent(paymentIntent._id, 'failed', { source: 'chat_request_expired' });
+      }
+    }
+    this.notifyUser(request);
+  }
+  
+  // Accept a pending request and take one of the earner's chat places. The
+  // caller opens the chat and hands it to startChat.
+  async accept(requestId, earnerId) {
+    try {
+      const ChatRequest = require('../models/ChatRequest');
+      
+      const request = await ChatRequest.findById(requestId);
+      if (!request) {
+        throw new Error('Request not found');
+      }
+      if (!request.earnerId.equals(earnerId)) {
+        throw new Error('This request is not for you');
+      }
+      if (request.status !== 'pending') {
+        throw new Error(`Request is ${request.status.replace('_', ' ')}`);
+      }
+      
+      const limit = await this.maxParallelFor(earnerId);
+      if (!await this.claimSlot(earnerId, `request:${requestId}`, limit)) {
+        throw new Error(`You already have ${limit} chat${limit === 1 ? '' : 's'} open`);
+      }
+      
+      const accepted = await this.transition(requestId, 'accepted', {
+        note: 'Accepted',
+        actor: earnerId,
+        filter: { status: 'pending', earnerId }
+      });
+      if (!accepted) {
+        await this.releaseSlot(earnerId, `request:${requestId}`);
+        throw new Error('Request is no longer pending');
+      }
+      await this.queue.cancel(requestId);
+      await this.pushQueue(earnerId);
+      
+      return accepted;
+    } catch (error) {
+      throw new Error(`Accept failed: ${error.message}`);
+    }
+  }
+  
+  // Settle the held payment into the chat the accepted request opened
+  async startChat(request, chatId) {
+    const ChatRequest = require('../models/ChatRequest');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const paymentIntent = await PaymentIntent.findById(request.paymentIntentId);
+    await WalletService.chargeHeldForChat({
+      payerId: request.userId,
+      earnerId: request.earnerId,
+      amount: request.heldAmount,
+      minutes: request.minutes,
+      chatId,
+      paymentIntentId: paymentIntent._id,
+      idempotencyKey: `request:${paymentIntent._id}`,
+      description: `Chat request ${request.minutes} minutes`
+    });
+    
+    // The risk engine let the payment through with the earner's share frozen
+    if (paymentIntent.riskReview) {
+      await EarningService.dispute(paymentIntent._id);
+    }
+    
+    const started = await ChatRequest.findByIdAndUpdate(request._id, { $set: { chatId } }, { new: true });
+    this.notifyUser(started);
+    return started;
+  }
+  
+  // Back out of an accepted request whose chat could not be opened
+  async abandon(request, reason) {
+    const cancelled = await this.transition(request._id, 'cancelled', {
+      note: reason,
+      filter: { status: 'accepted', chatId: null }
+    });
+    if (!cancelled) return null;
+    
+    await this.releaseSlot(cancelled.earnerId, `request:${cancelled._id}`);
+    await this.release(cancelled, 'service_issue', reason);
+    this.notifyUser(cancelled, { reason });
+    return cancelled;
+  }
+  
+  async decline(requestId, earnerId, reason) {
+    try {
+      const ChatRequest = require('../models/ChatRequest');
+      
+      const request = await ChatRequest.findById(requestId);
+      if (!request) {
+        throw new Error('Request not found');
+      }
+      if (!request.earnerId.equals(earnerId)) {
+        throw new Error('This request is not for you');
+      }
+      
+      const declined = await this.transition(requestId, 'declined', {
+        note: reason || 'Declined',
+        actor: earnerId,
+        filter: { status: 'pending' },
+        set: { declineReason: reason }
+      });
+      if (!declined) {
+        throw new Error(`Request is ${request.status.replace('_', ' ')}`);
+      }
+      await this.queue.cancel(requestId);
+      
+      await this.release(declined, 'request_declined', reason);
+      this.notifyUser(declined, { reason });
+      await this.pushQueue(earnerId);
+      return declined;
+    } catch (error) {
+      throw new Error(`Decline failed: ${error.message}`);
+    }
+  }
+  
+  // The user withdraws a request the earner has not answered
+  async cancel(requestId, userId) {
+    try {
+      const ChatRequest = require('../models/ChatRequest');
+      const PaymentIntent = require('../models/PaymentIntent');
+      
+      const request = await ChatRequest.findById(requestId);
+      if (!request) {
+        throw new Error('Request not found');
+      }
+      if (!request.userId.equals(userId)) {
+        throw new Error('Not your request');
+      }
+      
+      const cancelled = await this.transition(requestId, 'cancelled', {
+        note: 'Cancelled by user',
+        actor: userId,
+        filter: { status: { $in: ChatRequest.OPEN } }
+      });
+      if (!cancelled) {
+        throw new Error(`Request is ${request.status.replace('_', ' ')}`);
+      }
+      await this.queue.cancel(requestId);
+      
+      if (request.status === 'pending') {
+        await this.release(cancelled, 'customer_request', 'Cancelled by user');
+        NotificationService.notify(cancelled.earnerId, 'chat-request-cancelled', { requestId: cancelled._id });
+        await this.pushQueue(cancelled.earnerId);
+      } else {
+        const paymentIntent = await PaymentIntent.findOne({ chatRequestId: requestId });
+        if (paymentIntent) {
+          await PaymentService.transitionIntent(paymentIntent._id, 'failed', { source: 'chat_request_cancelled' });
+        }
+      }
+      
+      this.notifyUser(cancelled);
+      return cancelled;
+    } catch (error) {
+      throw new Error(`Cancellation failed: ${error.message}`);
+    }
+  }
+  
+  // Give a closed request's hold back to the user's wallet, and send
+  // provider payments back to where they came from. Safe to repeat.
+  async release(request, reason, note) {
+    const ChatRequest = require('../models/ChatRequest');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const paymentIntent = await PaymentIntent.findOne({ chatRequestId: request._id });
+    if (!paymentIntent || paymentIntent.status !== 'completed') return;
+    
+    await WalletService.releaseHold({
+      userId: request.userId,
+      amount: paymentIntent.settlement.amount,
+      chatRequestId: request._id,
+      paymentIntentId: paymentIntent._id
+    });
+    await ChatRequest.updateOne({ _id: request._id }, { $set: { releasedAt: new Date() } });
+    
+    if (paymentIntent.method !== 'wallet') {
+      try {
+        await RefundService.refundPaymentIntent(paymentIntent._id, {
+          reason,
+          note,
+          idempotencyKey: `chat_request:${request._id}:refund`
+        });
+      } catch (error) {
+        // The money is back in the wallet either way
+        console.error('Chat request refund error:', error);
+      }
+    }
+  }
+  
+  // A chat opened by a request has ended and frees its place
+  async chatEnded(chatId) {
+    const ChatRequest = require('../models/ChatRequest');
+    
+    const request = await ChatRequest.findOneAndUpdate(
+      { chatId, chatEndedAt: null },
+      { $set: { chatEndedAt: new Date() } },
+      { new: true }
+    );
+    if (!request) return null;
+    
+    await this.releaseSlot(request.earnerId, `request:${request._id}`);
+    return request;
+  }
+  
+  slotsKey(earnerId) {
+    return `earner:${earnerId}:open-chats`;
+  }
+  
+  async claimSlot(earnerId, member, limit) {
+    const claimed = await this.redis.eval(CLAIM_SLOT_SCRIPT, {
+      keys: [this.slotsKey(earnerId)],
+      arguments: [member, String(limit)]
+    });
+    return claimed === 1;
+  }
+  
+  // Count a chat against the earner's limit without checking it, for
+  // sessions they already committed to, like bookings
+  async occupySlot(earnerId, member) {
+    await this.redis.sAdd(this.slotsKey(earnerId), member);
+    await this.pushQueue(earnerId);
+  }
+  
+  async releaseSlot(earnerId, member) {
+    await this.redis.sRem(this.slotsKey(earnerId), member);
+    await this.pushQueue(earnerId);
+  }
+  
+  async maxParallelFor(earnerId) {
+    const User = require('../models/User');
+    
+    const earner = await User.findById(earnerId).select('earnerProfile.maxParallelChats');
+    return (earner && earner.earnerProfile && earner.earnerProfile.maxParallelChats) || this.defaultMaxParallel;
+  }
+  
+  async setMaxParallelChats(earnerId, maxParallelChats) {
+    const User = require('../models/User');
+    
+    const limit = Number(maxParallelChats);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PARALLEL_CHATS) {
+      throw new Error(`Parallel chats must be between 1 and ${MAX_PARALLEL_CHATS}`);
+    }
+    
+    await User.updateOne({ _id: earnerId }, { $set: { 'earnerProfile.maxParallelChats': limit } });
+    await this.pushQueue(earnerId);
+    return limit;
+  }
+  
+  // An earner's unanswered requests, oldest first, with how many chats
+  // they have open
+  async getQueue(earnerId) {
+    const ChatRequest = require('../models/ChatRequest');
+    
+    const requests = await ChatRequest.find({ earnerId, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('userId', 'username profile.avatar');
+    
+    return {
+      requests: requests.map(request => this.toEarnerView(request)),
+      openChats: await this.redis.sCard(this.slotsKey(earnerId)),
+      maxParallelChats: await this.maxParallelFor(earnerId)
+    };
+  }
+  
+  async pushQueue(earnerId) {
+    NotificationService.notify(earnerId, 'chat-request-queue', await this.getQueue(earnerId));
+  }
+  
+  toEarnerView(request) {
+    const user = request.userId && request.userId.username ? request.userId : null;
+    return {
+      requestId: request._id,
+      userId: user ? user._id : request.userId,
+      username: user ? user.username : undefined,
+      avatar: user && user.profile ? user.profile.avatar : undefined,
+      minutes: request.minutes,
+      chatType: request.chatType,
+      message: request.message,
+      amount: request.earnerPrice.amount,
+      currency: request.earnerPrice.currency,
+      requestedAt: request.createdAt,
+      expiresAt: request.expiresAt
+    };
+  }
+  
+  notifyUser(request, extra = {}) {
+    NotificationService.notify(request.userId, 'chat-request-updated', {
+      requestId: request._id,
+      earnerId: request.earnerId,
+      status: request.status,
+      expiresAt: request.expiresAt,
+      chatId: request.chatId,
+      ...extra
+    });
+  }
+}
+
+module.exports = new ChatRequestService();
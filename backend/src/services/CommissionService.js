@@ -0,0 +1,132 @@
+// backend/src/services/CommissionService.js
+
+// Weight of each criterion when ranking matching rules; an earner-specific
+// rule beats a tier rule, which beats a service type rule
+const SPECIFICITY = {
+  earnerId: 4,
+  tier: 2,
+  serviceType: 1
+};
+
+class CommissionService {
+  constructor() {
+    this.defaultRate = parseFloat(process.env.PLATFORM_COMMISSION_RATE || '0.2');
+    this.cacheMs = (parseInt(process.env.COMMISSION_CACHE_SECONDS, 10) || 60) * 1000;
+    this.cached = null;
+    this.fetchedAt = 0;
+  }
+  
+  // Rules that are on and not over yet, cached per worker
+  async getRules() {
+    if (this.cached && Date.now() - this.fetchedAt < this.cacheMs) {
+      return this.cached;
+    }
+    
+    const CommissionRule = require('../models/CommissionRule');
+    this.cached = await CommissionRule.find({
+      isActive: true,
+      $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+    }).lean();
+    this.fetchedAt = Date.now();
+    return this.cached;
+  }
+  
+  // Drop the cache after an admin change; other workers catch up on expiry
+  invalidate() {
+    this.cached = null;
+  }
+  
+  specificity(rule) {
+    return Object.keys(SPECIFICITY)
+      .filter(criterion => rule[criterion])
+      .reduce((sum, criterion) => sum + SPECIFICITY[criterion], 0);
+  }
+  
+  matches(rule, { earnerId, tier, serviceType, at }) {
+    if (rule.earnerId && rule.earnerId.toString() !== earnerId.toString()) return false;
+    if (rule.tier && rule.tier !== tier) return false;
+    if (rule.serviceType && rule.serviceType !== serviceType) return false;
+    if (rule.startsAt && rule.startsAt > at) return false;
+    if (rule.endsAt && rule.endsAt <= at) return false;
+    return true;
+  }
+  
+  // Resolve Commission: the rule that applies to an earner's service at a
+  // given time, falling back to the global default
+  async resolve({ earnerId, serviceType = 'chat', at = new Date() }) {
+    const User = require('../models/User');
+    
+    const earner = await User.findById(earnerId).select('earnerProfile.tier');
+    const criteria = { earnerId, tier: earner?.earnerProfile?.tier, serviceType, at };
+    
+    const [rule] = (await this.getRules())
+      .filter(candidate => this.matches(candidate, criteria))
+      .sort((a, b) =>
+        (b.kind === 'promotional') - (a.kind === 'promotional') ||
+        this.specificity(b) - this.specificity(a) ||
+        b.priority - a.priority ||
+        b.createdAt - a.createdAt
+      );
+    
+    if (!rule) {
+      return { rate: this.defaultRate, ruleId: null, ruleName: 'default' };
+    }
+    return { rate: rule.rate, ruleId: rule._id, ruleName: rule.name };
+  }
+  
+  // Split a gross amount in minor units; the earner gets the rounding
+  split(amount, rate) {
+    const commission = Math.round(amount * rate);
+    return { commission, earnerShare: amount - commission };
+  }
+  
+  // Get Rules, newest first
+  async listRules({ active, serviceType, earnerId } = {}) {
+    const CommissionRule = require('../models/CommissionRule');
+    
+    const query = {};
+    if (active !== undefined) query.isActive = active;
+    if (serviceType) query.serviceType = serviceType;
+    if (earnerId) query.earnerId = earnerId;
+    
+    return CommissionRule.find(query).sort({ createdAt: -1 });
+  }
+  
+  // Create Rule
+  async createRule(data, adminId) {
+    try {
+      const CommissionRule = require('../models/CommissionRule');
+      
+      const rule = await CommissionRule.create({ ...data, createdBy: adminId });
+      this.invalidate();
+      return rule;
+    } catch (error) {
+      throw new Error(`Commission rule creation failed: ${error.message}`);
+    }
+  }
+  
+  // Update Rule; settled payments keep the rate they were split at
+  async updateRule(ruleId, data) {
+    try {
+      const CommissionRule = require('../models/CommissionRule');
+      
+      const rule = await CommissionRule.findById(ruleId);
+      if (!rule) {
+        throw new Error('Rule not found');
+      }
+      
+      const changes = { ...data };
+      delete changes._id;
+      delete changes.createdBy;
+      rule.set(changes);
+      await rule.save();
+      
+      this.invalidate();
+      return rule;
+    } catch (error) {
+      throw new Error(`Commission rule update failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CommissionService();
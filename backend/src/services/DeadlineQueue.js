@@ -0,0 +1,149 @@
+// backend/src/services/DeadlineQueue.js
+const os = require('os');
+
+// Atomically moves due members from one sorted set into the processing set,
+// scored by their lease expiry, so only one claimer ever sees a member.
+const CLAIM_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[3])
+for _, member in ipairs(due) do
+  redis.call('ZREM', KEYS[1], member)
+  redis.call('ZADD', KEYS[2], ARGV[2], member)
+end
+return due
+`;
+
+// Extends the leader lock only if this worker still holds it
+const RENEW_LEADER_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+class DeadlineQueue {
+  constructor(redisClient, name, options = {}) {
+    this.redis = redisClient;
+    this.name = name;
+    this.keys = {
+      deadlines: `${name}:deadlines`,
+      processing: `${name}:processing`,
+      leader: `${name}:leader`
+    };
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = options.pollInterval || 1000;
+    this.leaseMs = options.leaseMs || 30000;
+    this.batchSize = options.batchSize || 50;
+    this.isLeader = false;
+    this.polling = false;
+    this.timer = null;
+    this.inFlight = null;
+    this.handler = null;
+  }
+  
+  // Schedule (or move) a member's deadline, in epoch milliseconds
+  async schedule(member, at) {
+    await this.redis.zAdd(this.keys.deadlines, { score: at, value: String(member) });
+  }
+  
+  // Remove a member whether it is waiting or being processed
+  async cancel(member) {
+    await this.redis.zRem(this.keys.deadlines, String(member));
+    await this.redis.zRem(this.keys.processing, String(member));
+  }
+  
+  // Get a member's pending deadline, or null if none is scheduled
+  async getDeadline(member) {
+    const score = await this.redis.zScore(this.keys.deadlines, String(member));
+    return score === null ? null : Number(score);
+  }
+  
+  // Get every pending member with its deadline
+  async getAll() {
+    const entries = await this.redis.zRangeWithScores(this.keys.deadlines, 0, -1);
+    return entries.map(({ value, score }) => ({ member: value, deadline: Number(score) }));
+  }
+  
+  // Start polling; every worker calls this but only the leader claims
+  start(handler) {
+    this.handler = handler;
+    this.timer = setInterval(() => {
+      if (!this.polling) this.inFlight = this.poll();
+    }, this.pollInterval);
+  }
+  
+  // Stop polling and hand leadership to another worker
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.inFlight;
+    
+    if (this.isLeader) {
+      this.isLeader = false;
+      await this.redis.eval(RENEW_LEADER_SCRIPT, {
+        keys: [this.keys.leader],
+        arguments: [this.workerId, '1']
+      });
+    }
+  }
+  
+  // Leader Election
+  async acquireLeadership() {
+    const ttl = String(this.pollInterval * 5);
+    
+    if (this.isLeader) {
+      const renewed = await this.redis.eval(RENEW_LEADER_SCRIPT, {
+        keys: [this.keys.leader],
+        arguments: [this.workerId, ttl]
+      });
+      this.isLeader = renewed === 1;
+    }
+    
+    if (!this.isLeader) {
+      const acquired = await this.redis.set(this.keys.leader, this.workerId, {
+        NX: true,
+        PX: Number(ttl)
+      });
+      this.isLeader = acquired === 'OK';
+    }
+    
+    return this.isLeader;
+  }
+  
+  async claim(fromKey, now) {
+    return this.redis.eval(CLAIM_SCRIPT, {
+      keys: [fromKey, this.keys.processing],
+      arguments: [String(now), String(now + this.leaseMs), String(this.batchSize)]
+    });
+  }
+  
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    
+    try {
+      if (!(await this.acquireLeadership())) return;
+      
+      // Members whose lease ran out were claimed by a worker that died
+      // mid-handler, so they are retried before new deadlines
+      const now = Date.now();
+      const stale = await this.claim(this.keys.processing, now);
+      const due = await this.claim(this.keys.deadlines, now);
+      
+      for (const member of [...stale, ...due]) {
+        try {
+          await this.handler(member);
+          await this.redis.zRem(this.keys.processing, member);
+        } catch (error) {
+          // Left in the processing set; retried once the lease expires
+          console.error(`${this.name} handler error:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`${this.name} poll error:`, error);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = DeadlineQueue;
@@ -0,0 +1,279 @@
+// backend/src/services/EarningService.js
+const LedgerService = require('./LedgerService');
+const NotificationService = require('./NotificationService');
+
+// Statuses whose share is still in the earner's pending_earnings account
+const ESCROWED = ['held', 'disputed', 'reversed'];
+
+// Earner shares are escrowed per payment and released to the wallet by a
+// worker once the session has ended and the hold window passed quietly.
+// Like payouts, earnings are their own job queue, leased with lockedUntil.
+class EarningService {
+  constructor() {
+    this.holdMs = (parseInt(process.env.EARNINGS_HOLD_HOURS, 10) || 24) * 60 * 60 * 1000;
+    // Backstop for sessions that never report their end
+    this.maxHoldMs = (parseInt(process.env.EARNINGS_MAX_HOLD_DAYS, 10) || 14) * 24 * 60 * 60 * 1000;
+    this.pollInterval = parseInt(process.env.EARNINGS_POLL_MS, 10) || 60000;
+    this.leaseMs = 2 * 60 * 1000;
+    this.polling = false;
+    this.timer = null;
+  }
+  
+  // Move an earning to a new status if the state machine allows it.
+  // Returns null when another update got there first.
+  async transition(earningId, to, { filter = {}, set = {} } = {}, session) {
+    const Earning = require('../models/Earning');
+    
+    return Earning.findOneAndUpdate(
+      { _id: earningId, status: { $in: Earning.sourcesFor(to) }, ...filter },
+      { $set: { status: to, ...set } },
+      { new: true, session }
+    );
+  }
+  
+  // Record the escrowed share of a settled payment; replays are no-ops
+  async record({ chargeKey, earnerId, payerId, method, chatId, paymentIntentId, serviceType, minutes, grossAmount, commission, amount }, session) {
+    const Earning = require('../models/Earning');
+    const { LEDGER_CURRENCY } = require('../utils/money');
+    
+    const existing = await Earning.findOne({ chargeKey }).session(session);
+    if (existing) return existing;
+    
+    const [earning] = await Earning.create([{
+      chargeKey,
+      earnerId,
+      payerId,
+      method,
+      chatId,
+      paymentIntentId,
+      serviceType,
+      minutes,
+      grossAmount,
+      commission,
+      amount,
+      currency: LEDGER_CURRENCY,
+      releaseAt: new Date(Date.now() + this.maxHoldMs)
+    }], { session });
+    return earning;
+  }
+  
+  // Start the hold window for the matching earnings, unless they are due
+  // sooner already
+  async startHold(filter) {
+    const Earning = require('../models/Earning');
+    const releaseAt = new Date(Date.now() + this.holdMs);
+    
+    await Earning.updateMany(
+      { ...filter, status: 'held', releaseAt: { $gt: releaseAt } },
+      { $set: { releaseAt } }
+    );
+  }
+  
+  // Session Completed: start the hold window for the session's earnings
+  async sessionCompleted(chatId) {
+    return this.startHold({ chatId });
+  }
+  
+  // Booked sessions are paid ahead, so the backstop counts from the session
+  async holdUntilAfter(paymentIntentId, endsAt) {
+    const Earning = require('../models/Earning');
+    
+    await Earning.updateMany(
+      { paymentIntentId, status: 'held' },
+      { $set: { releaseAt: new Date(endsAt.getTime() + this.maxHoldMs) } }
+    );
+  }
+  
+  // Tie a prepaid payment's earnings to the chat it paid for
+  async attachChat(paymentIntentId, chatId) {
+    const Earning = require('../models/Earning');
+    await Earning.updateMany({ paymentIntentId }, { $set: { chatId } });
+  }
+  
+  // Freeze a payment's earnings while its dispute is open
+  async dispute(paymentIntentId) {
+    const Earning = require('../models/Earning');
+    
+    const earning = await Earning.findOne({ paymentIntentId });
+    if (!earning) return null;
+    return this.transition(earning._id, 'disputed');
+  }
+  
+  // A won dispute restarts the hold window
+  async clearDispute(paymentIntentId) {
+    const Earning = require('../models/Earning');
+    
+    const earning = await Earning.findOne({ paymentIntentId });
+    if (!earning) return null;
+    return this.transition(earning._id, 'held', {
+      filter: { status: 'disputed' },
+      set: { releaseAt: new Date(Date.now() + this.holdMs) }
+    });
+  }
+  
+  // Journal lines taking a refund's share back from an earner: first from
+  // the payment's escrowed share, then from the wallet if it was released.
+  // Returns the lines and the amount they cover.
+  async clawback(chargeKey, earnerId, amount, session) {
+    const Earning = require('../models/Earning');
+    const LedgerAccount = require('../models/LedgerAccount');
+    const { accounts } = LedgerService;
+    
+    const earning = await Earning.findOne({ chargeKey }).session(session);
+    const escrowed = earning && ESCROWED.includes(earning.status)
+      ? earning.amount - earning.clawedBack
+      : 0;
+    const fromEscrow = Math.min(amount, escrowed);
+    
+    const wallet = await LedgerAccount.findOne({ key: accounts.wallet(earnerId) }).session(session);
+    const fromWallet = Math.min(amount - fromEscrow, Math.max(0, wallet ? wallet.balance : 0));
+    
+    const lines = [];
+    if (fromEscrow > 0) {
+      const clawedBack = earning.clawedBack + fromEscrow;
+      await Earning.updateOne(
+        { _id: earning._id },
+        { $set: { clawedBack, status: clawedBack >= earning.amount ? 'reversed' : earning.status } },
+        { session }
+      );
+      lines.push({ account: accounts.pendingEarnings(earnerId), debit: fromEscrow });
+    }
+    if (fromWallet > 0) {
+      lines.push({ account: accounts.wallet(earnerId), debit: fromWallet });
+    }
+    
+    return { lines, taken: fromEscrow + fromWallet };
+  }
+  
+  // A failed refund returns what it took from escrow. If the earning was
+  // released meanwhile, the money goes straight to the wallet instead.
+  // Returns the account to credit.
+  async restore(chargeKey, earnerId, amount, session) {
+    const Earning = require('../models/Earning');
+    const { accounts } = LedgerService;
+    
+    const earning = await Earning.findOne({ chargeKey }).session(session);
+    if (!earning || !ESCROWED.includes(earning.status)) {
+      return accounts.wallet(earnerId);
+    }
+    
+    await Earning.updateOne(
+      { _id: earning._id },
+      {
+        $inc: { clawedBack: -amount },
+        $set: { status: earning.status === 'reversed' ? 'held' : earning.status }
+      },
+      { session }
+    );
+    return accounts.pendingEarnings(earnerId);
+  }
+  
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  // Claim the next due earning by taking its lease
+  async claimNext() {
+    const Earning = require('../models/Earning');
+    const now = new Date();
+    
+    return Earning.findOneAndUpdate(
+      {
+        status: 'held',
+        releaseAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { sort: { releaseAt: 1 }, new: true }
+    );
+  }
+  
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    
+    try {
+      let earning;
+      while ((earning = await this.claimNext())) {
+        await this.release(earning);
+      }
+    } catch (error) {
+      console.error('Earnings release poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+  
+  // Release Earning: move what is left of the share to the wallet
+  async release(earning) {
+    const { accounts } = LedgerService;
+    
+    const released = await LedgerService.transaction(async (session) => {
+      const changed = await this.transition(earning._id, 'released', {
+        filter: { releaseAt: { $lte: new Date() } },
+        set: { releasedAt: new Date(), lockedUntil: null }
+      }, session);
+      if (!changed) return null;
+      
+      const amount = changed.amount - changed.clawedBack;
+      if (amount > 0) {
+        await LedgerService.post({
+          type: 'earnings_released',
+          lines: LedgerService.transfer(
+            accounts.pendingEarnings(changed.earnerId),
+            accounts.wallet(changed.earnerId),
+            amount
+          ),
+          idempotencyKey: `earnings_released:${changed._id}`,
+          chatId: changed.chatId,
+          paymentIntentId: changed.paymentIntentId,
+          description: `Earnings released (${changed.serviceType})`
+        }, { session });
+      }
+      
+      return changed;
+    });
+    
+    if (released) {
+      NotificationService.notify(released.earnerId, 'earnings-released', {
+        earningId: released._id,
+        chatId: released.chatId,
+        amount: released.amount - released.clawedBack,
+        currency: released.currency
+      });
+    }
+    return released;
+  }
+  
+  // Get Earnings Summary: totals per status, net of clawbacks
+  async getSummary(earnerId) {
+    const mongoose = require('mongoose');
+    const Earning = require('../models/Earning');
+    
+    const totals = await Earning.aggregate([
+      { $match: { earnerId: new mongoose.Types.ObjectId(earnerId) } },
+      {
+        $group: {
+          _id: '$status',
+          gross: { $sum: '$grossAmount' },
+          commission: { $sum: '$commission.amount' },
+          net: { $sum: { $subtract: ['$amount', '$clawedBack'] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    return totals.reduce((summary, { _id, ...values }) => {
+      summary[_id] = values;
+      return summary;
+    }, {});
+  }
+}
+
+module.exports = new EarningService();
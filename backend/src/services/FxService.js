@@ -0,0 +1,68 @@
+// backend/src/services/FxService.js
+const fx = require('./fx');
+const money = require('../utils/money');
+
+class FxService {
+  constructor() {
+    this.cacheMs = (parseInt(process.env.FX_CACHE_SECONDS, 10) || 300) * 1000;
+    this.cached = null;
+    this.fetchedAt = 0;
+  }
+  
+  // Rates from the source, cached per worker
+  async getRates() {
+    if (this.cached && Date.now() - this.fetchedAt < this.cacheMs) {
+      return this.cached;
+    }
+    
+    try {
+      this.cached = await fx.getSource().getRates();
+      this.fetchedAt = Date.now();
+      return this.cached;
+    } catch (error) {
+      // Stale rates beat no rates; prices are locked per order anyway
+      if (this.cached) {
+        console.error('FX refresh failed, using cached rates:', error.message);
+        return this.cached;
+      }
+      throw new Error(`FX rates unavailable: ${error.message}`);
+    }
+  }
+  
+  // Units of `to` per unit of `from`
+  async getRate(from, to) {
+    from = money.normalizeCurrency(from);
+    to = money.normalizeCurrency(to);
+    if (from === to) return 1;
+    
+    const { base, rates } = await this.getRates();
+    const fromRate = from === base ? 1 : rates[from];
+    const toRate = to === base ? 1 : rates[to];
+    if (!fromRate || !toRate) {
+      throw new Error(`No FX rate for ${from}/${to}`);
+    }
+    
+    return toRate / fromRate;
+  }
+  
+  // Quote: convert minor units and record the rate used, so the amount can
+  // be locked onto an order and replayed exactly later
+  async quote(amount, from, to) {
+    money.assertMinor(amount);
+    from = money.normalizeCurrency(from);
+    to = money.normalizeCurrency(to);
+    
+    const rate = await this.getRate(from, to);
+    return {
+      amount: money.convert(amount, from, to, rate),
+      currency: to,
+      fromAmount: amount,
+      fromCurrency: from,
+      rate,
+      source: from === to ? 'identity' : fx.getSource().name,
+      quotedAt: new Date()
+    };
+  }
+}
+
+module.exports = new FxService();
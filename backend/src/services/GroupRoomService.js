@@ -0,0 +1,356 @@
+// backend/src/services/GroupRoomService.js
+const EventEmitter = require('events');
+const DeadlineQueue = require('./DeadlineQueue');
+const LedgerService = require('./LedgerService');
+const WalletService = require('./WalletService');
+const PricingService = require('./PricingService');
+const EarningService = require('./EarningService');
+const NotificationService = require('./NotificationService');
+const SfuService = require('./SfuService');
+const money = require('../utils/money');
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Multi-party rooms and their paid seats. Anyone may host a free room;
+// earners may sell seats at a price they set. A seat's price is held when it
+// is taken, charged to the host once the session has gone live and ended,
+// and released if it never goes live or the host removes the participant.
+// Rooms end on their own after GROUP_ROOM_MAX_HOURS. Emits 'room-ended'
+// with the room, however it ended.
+class GroupRoomService extends EventEmitter {
+  constructor() {
+    super();
+    this.maxSeats = envNumber(process.env.GROUP_ROOM_MAX_SEATS, 25);
+    this.maxDurationMs = envNumber(process.env.GROUP_ROOM_MAX_HOURS, 4) * 60 * 60 * 1000;
+    this.queue = null;
+  }
+  
+  start(redisClient) {
+    this.queue = new DeadlineQueue(redisClient, 'group-room-deadlines', {
+      pollInterval: envNumber(process.env.GROUP_ROOM_POLL_MS, 5000)
+    });
+    this.queue.start(roomId => this.end(roomId, 'time_limit'));
+  }
+  
+  async stop() {
+    if (this.queue) {
+      await this.queue.stop();
+    }
+  }
+  
+  // Move a room to a new status if the state machine allows it.
+  // Returns null when another update got there first.
+  async transition(roomId, to, set = {}) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    return GroupRoom.findOneAndUpdate(
+      { _id: roomId, status: { $in: GroupRoom.sourcesFor(to) } },
+      { $set: { status: to, ...set } },
+      { new: true }
+    );
+  }
+  
+  async create(hostId, { title, type, seatPrice = 0, maxSeats }) {
+    try {
+      const GroupRoom = require('../models/GroupRoom');
+      const User = require('../models/User');
+      
+      if (!['voice', 'video'].includes(type)) {
+        throw new Error('Unknown room type');
+      }
+      maxSeats = Number(maxSeats) || this.maxSeats;
+      if (maxSeats < 1 || maxSeats > this.maxSeats) {
+        throw new Error(`Rooms take 1 to ${this.maxSeats} participants`);
+      }
+      
+      // Seat prices are set in the earner's currency and locked in the
+      // ledger currency
+      let price = { amount: 0, currency: money.LEDGER_CURRENCY };
+      if (Number(seatPrice) > 0) {
+        const host = await User.findById(hostId);
+        if (!host || host.role !== 'female_earner' || !host.earnerProfile || !host.earnerProfile.isActive) {
+          throw new Error('Only earners can sell seats');
+        }
+        const earnerCurrency = money.normalizeCurrency(host.earnerProfile.currency);
+        price = await PricingService.quoteSettlement(money.assertMinor(Number(seatPrice), 'Seat price'), earnerCurrency);
+      }
+      
+      const room = await GroupRoom.create({
+        hostId,
+        title,
+        type,
+        seatPrice: price.amount,
+        currency: price.currency,
+        maxSeats
+      });
+      
+      await SfuService.openRoom(room._id.toString());
+      await this.queue.schedule(room._id, room.createdAt.getTime() + this.maxDurationMs);
+      return room;
+    } catch (error) {
+      throw new Error(`Group room failed: ${error.message}`);
+    }
+  }
+  
+  async getRoom(roomId) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    const room = await GroupRoom.findById(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    return room;
+  }
+  
+  // Rooms people can still join, newest first
+  async listRooms({ hostId, limit = 50 } = {}) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    const filter = { status: { $in: ['open', 'live'] }, locked: false };
+    if (hostId) {
+      filter.hostId = hostId;
+    }
+    return GroupRoom.find(filter)
+      .select('-seats -removedUserIds')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, 100))
+      .populate('hostId', 'username profile.avatar');
+  }
+  
+  assertHost(room, userId) {
+    if (room.hostId.toString() !== String(userId)) {
+      throw new Error('Only the host can do this');
+    }
+  }
+  
+  hasSeat(room, userId) {
+    return room.seats.some(seat =>
+      seat.userId.toString() === String(userId) && ['held', 'charged'].includes(seat.status)
+    );
+  }
+  
+  // Let a user into the room, taking a seat in paid rooms. `present` is how
+  // many are in a free room right now, since free rooms keep no seats.
+  async admit(roomId, userId, { present = 0 } = {}) {
+    const room = await this.getRoom(roomId);
+    if (!['open', 'live'].includes(room.status)) {
+      throw new Error('This room has ended');
+    }
+    if (room.hostId.toString() === String(userId)) return room;
+    
+    if (room.removedUserIds.some(id => id.toString() === String(userId))) {
+      throw new Error('You were removed from this room');
+    }
+    if (room.seatPrice > 0 && this.hasSeat(room, userId)) return room;
+    if (room.locked) {
+      throw new Error('This room is locked');
+    }
+    
+    if (room.seatPrice === 0) {
+      if (present >= room.maxSeats) {
+        throw new Error('This room is full');
+      }
+      return room;
+    }
+    return this.takeSeat(room, userId);
+  }
+  
+  // Claim a place atomically, then hold its price. A failed hold gives the
+  // place back.
+  async takeSeat(room, userId) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    const claimed = await GroupRoom.findOneAndUpdate(
+      {
+        _id: room._id,
+        status: { $in: ['open', 'live'] },
+        locked: false,
+        'seats.userId': { $ne: userId },
+        $expr: { $lt: [{ $size: '$seats' }, '$maxSeats'] }
+      },
+      { $push: { seats: { userId, amount: room.seatPrice } } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('This room is full');
+    }
+    
+    try {
+      await WalletService.holdFunds({
+        userId,
+        amount: room.seatPrice,
+        type: 'group_seat_hold',
+        idempotencyKey: `group_seat_hold:${room._id}:${userId}`,
+        description: `Seat in ${room.title}`
+      });
+    } catch (error) {
+      await GroupRoom.updateOne(
+        { _id: room._id },
+        { $pull: { seats: { userId, status: 'pending' } } }
+      );
+      throw error.code === 'INSUFFICIENT_FUNDS'
+        ? new Error('Your balance does not cover this seat')
+        : error;
+    }
+    
+    return GroupRoom.findOneAndUpdate(
+      { _id: room._id, seats: { $elemMatch: { userId, status: 'pending' } } },
+      { $set: { 'seats.$.status': 'held' } },
+      { new: true }
+    );
+  }
+  
+  // The session is under way; from here seats are charged when it ends
+  async goLive(roomId, hostId) {
+    const room = await this.getRoom(roomId);
+    this.assertHost(room, hostId);
+    
+    const live = await this.transition(roomId, 'live', { startedAt: new Date() });
+    if (!live) {
+      throw new Error(`Room is ${room.status}`);
+    }
+    return live;
+  }
+  
+  async setLocked(roomId, hostId, locked) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    const room = await this.getRoom(roomId);
+    this.assertHost(room, hostId);
+    
+    return GroupRoom.findOneAndUpdate(
+      { _id: roomId },
+      { $set: { locked: Boolean(locked) } },
+      { new: true }
+    );
+  }
+  
+  // Remove a participant for good; they get their seat's money back
+  async removeParticipant(roomId, hostId, userId) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    const room = await this.getRoom(roomId);
+    this.assertHost(room, hostId);
+    if (String(userId) === String(hostId)) {
+      throw new Error('The host cannot be removed');
+    }
+    
+    const updated = await GroupRoom.findOneAndUpdate(
+      { _id: roomId },
+      { $addToSet: { removedUserIds: userId } },
+      { new: true }
+    );
+    
+    const seat = updated.seats.find(s => s.userId.toString() === String(userId) && s.status === 'held');
+    if (seat) {
+      await this.settleSeat(updated, seat, false);
+    }
+    return updated;
+  }
+  
+  // End a room, exactly once. Seats are charged if it went live and
+  // released if it never did.
+  async end(roomId, reason = 'ended') {
+    const room = await this.getRoom(roomId);
+    const charge = room.status === 'live';
+    
+    const ended = await this.transition(roomId, charge ? 'ended' : 'cancelled', {
+      endedAt: new Date(),
+      endReason: reason
+    });
+    if (!ended) return null;
+    
+    if (this.queue) {
+      await this.queue.cancel(roomId);
+    }
+    this.emit('room-ended', ended);
+    await SfuService.request(roomId.toString(), 'closeRoom').catch(error => {
+      console.error('SFU close error:', error);
+    });
+    
+    let seats = 0;
+    let total = 0;
+    for (const seat of ended.seats.filter(s => s.status === 'held')) {
+      try {
+        await this.settleSeat(ended, seat, charge);
+        seats += 1;
+        total += seat.amount;
+      } catch (error) {
+        console.error(`Seat settlement error for room ${roomId}:`, error);
+      }
+    }
+    
+    if (charge && total > 0) {
+      // The session is over, so the host's hold window starts now
+      await EarningService.startHold({
+        chargeKey: { $in: ended.seats.map(seat => `group_seat:${roomId}:${seat.userId}`) }
+      });
+      NotificationService.notify(ended.hostId, 'group-room-settled', {
+        roomId,
+        seats,
+        amount: total,
+        currency: ended.currency
+      });
+    }
+    return ended;
+  }
+  
+  // Charge a held seat to the host, or release it to the participant
+  async settleSeat(room, seat, charge) {
+    const GroupRoom = require('../models/GroupRoom');
+    
+    const minutes = room.startedAt
+      ? Math.max(1, Math.ceil((Date.now() - room.startedAt.getTime()) / 60000))
+      : 0;
+    
+    return LedgerService.transaction(async (session) => {
+      if (charge) {
+        await WalletService.chargeHeldForChat({
+          payerId: seat.userId,
+          earnerId: room.hostId,
+          amount: seat.amount,
+          minutes,
+          serviceType: 'group',
+          idempotencyKey: `group_seat:${room._id}:${seat.userId}`,
+          description: `Seat in ${room.title}`
+        }, { session });
+      } else {
+        await WalletService.releaseFunds({
+          userId: seat.userId,
+          amount: seat.amount,
+          type: 'group_seat_hold_release',
+          idempotencyKey: `group_seat_hold_release:${room._id}:${seat.userId}`,
+          description: `Seat in ${room.title} released`
+        }, { session });
+      }
+      
+      await GroupRoom.updateOne(
+        { _id: room._id, seats: { $elemMatch: { userId: seat.userId, status: 'held' } } },
+        { $set: { 'seats.$.status': charge ? 'charged' : 'released', 'seats.$.settledAt': new Date() } },
+        { session }
+      );
+    });
+  }
+  
+  // What participants see of a room
+  toView(room) {
+    return {
+      _id: room._id,
+      hostId: room.hostId,
+      title: room.title,
+      type: room.type,
+      seatPrice: room.seatPrice,
+      currency: room.currency,
+      maxSeats: room.maxSeats,
+      seatsTaken: room.seats.filter(seat => ['held', 'charged'].includes(seat.status)).length,
+      locked: room.locked,
+      status: room.status,
+      startedAt: room.startedAt
+    };
+  }
+}
+
+module.exports = new GroupRoomService();
@@ -0,0 +1,133 @@
+// backend/src/services/IceServerService.js
+const crypto = require('crypto');
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// ICE servers for WebRTC calls. TURN credentials follow coturn's REST API
+// scheme: the username is '<expiry unix time>:<userId>' and the password is
+// the base64 HMAC-SHA1 of the username keyed with the secret coturn shares,
+// so coturn can check them without calling us. A local coturn for testing
+// needs only:
+//   turnserver --use-auth-secret --static-auth-secret=$TURN_SECRET --realm=dev
+// with TURN_URLS=turn:localhost:3478.
+//
+// Regions come from ICE_REGIONS, JSON keyed by region name:
+//   { "eu": { "stun": ["stun:eu.example.com:3478"],
+//             "turn": ["turn:eu.example.com:3478", "turns:eu.example.com:5349?transport=tcp"],
+//             "countries": ["DE", "FR"] } }
+// Without it a single region is built from STUN_URLS and TURN_URLS.
+class IceServerService {
+  constructor() {
+    this.secret = process.env.TURN_SECRET;
+    this.ttlSeconds = envNumber(process.env.TURN_CREDENTIAL_TTL_SECONDS, 3600);
+    this.regions = this.loadRegions();
+    this.defaultRegion = process.env.ICE_DEFAULT_REGION || Object.keys(this.regions)[0];
+    if (!this.regions[this.defaultRegion]) {
+      throw new Error(`ICE_DEFAULT_REGION ${this.defaultRegion} is not one of the ICE_REGIONS`);
+    }
+  }
+  
+  // Checked when the app loads, so a bad value stops it with a message that
+  // says what to fix
+  loadRegions(value = process.env.ICE_REGIONS) {
+    if (value) {
+      let regions;
+      try {
+        regions = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`ICE_REGIONS is not valid JSON: ${error.message}`);
+      }
+      
+      if (!regions || typeof regions !== 'object' || Array.isArray(regions) || !Object.keys(regions).length) {
+        throw new Error('ICE_REGIONS must be an object with at least one region');
+      }
+      const isList = (item) => item === undefined
+        || (Array.isArray(item) && item.every(entry => typeof entry === 'string'));
+      Object.entries(regions).forEach(([name, region]) => {
+        if (!region || typeof region !== 'object'
+          || !isList(region.stun) || !isList(region.turn) || !isList(region.countries)) {
+          throw new Error(`ICE_REGIONS region ${name} must list stun, turn and countries as arrays of strings`);
+        }
+      });
+      return regions;
+    }
+    
+    return {
+      default: {
+        stun: process.env.STUN_URLS ? list(process.env.STUN_URLS) : ['stun:stun.l.google.com:19302'],
+        turn: list(process.env.TURN_URLS)
+      }
+    };
+  }
+  
+  // The region asked for, else the one serving the caller's country (as the
+  // CDN reports it), else the default
+  pickRegion({ region, country } = {}) {
+    if (region && this.regions[region]) return region;
+    
+    if (country) {
+      const code = country.toUpperCase();
+      const match = Object.keys(this.regions).find(name =>
+        (this.regions[name].countries || []).includes(code)
+      );
+      if (match) return match;
+    }
+    return this.defaultRegion;
+  }
+  
+  // Short-lived TURN credentials for one user
+  credentialsFor(userId, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + this.ttlSeconds;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto
+      .createHmac('sha1', this.secret)
+      .update(username)
+      .digest('base64');
+    
+    return { username, credential, expiresAt: expiresAt * 1000 };
+  }
+  
+  // An RTCConfiguration-shaped answer for the client: STUN for every call,
+  // plus TURN relays when a secret is configured
+  getConfig(userId, hints = {}) {
+    try {
+      const region = this.pickRegion(hints);
+      const servers = this.regions[region];
+      if (!servers) {
+        throw new Error('No ICE servers are configured');
+      }
+      
+      const iceServers = [];
+      if (servers.stun && servers.stun.length) {
+        iceServers.push({ urls: servers.stun });
+      }
+      
+      let expiresAt = null;
+      if (this.secret && servers.turn && servers.turn.length) {
+        const credentials = this.credentialsFor(userId);
+        iceServers.push({
+          urls: servers.turn,
+          username: credentials.username,
+          credential: credentials.credential
+        });
+        expiresAt = credentials.expiresAt;
+      }
+      
+      return {
+        region,
+        iceServers,
+        ttl: expiresAt ? this.ttlSeconds : null,
+        expiresAt
+      };
+    } catch (error) {
+      throw new Error(`ICE config failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new IceServerService();
@@ -0,0 +1,302 @@
+// backend/src/services/LedgerService.js
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+// User document fields that cache ledger account balances
+const USER_CACHE_FIELDS = {
+  wallet: 'wallet.balance',
+  pending_withdrawal: 'wallet.pendingWithdrawal',
+  pending_earnings: 'wallet.pendingEarnings',
+  withdrawn: 'wallet.totalWithdrawn'
+};
+
+// Every amount is an integer in minor units of money.LEDGER_CURRENCY, so
+// entries balance exactly and no rounding can drift.
+class LedgerService {
+  constructor() {
+    // Account keys; balances are always credits minus debits
+    this.accounts = {
+      wallet: (userId) => `user:${userId}:wallet`,
+      // Earner shares in escrow until their session clears
+      pendingEarnings: (userId) => `user:${userId}:pending_earnings`,
+      // Payments for chat requests the earner has not answered yet
+      held: (userId) => `user:${userId}:held`,
+      pendingWithdrawal: (userId) => `user:${userId}:pending_withdrawal`,
+      withdrawn: (userId) => `user:${userId}:withdrawn`,
+      chatClearing: () => 'platform:chat_clearing',
+      commission: () => 'platform:commission',
+      refundClearing: () => 'platform:refund_clearing',
+      writeOffs: () => 'platform:write_offs',
+      external: (provider) => `external:${provider}`
+    };
+  }
+  
+  describeAccount(key) {
+    const [scope, id, kind] = key.split(':');
+    
+    if (scope === 'user') {
+      return { kind, ownerId: id, allowNegative: false };
+    }
+    if (key === this.accounts.writeOffs()) {
+      // Losses the platform absorbs, e.g. refunds of credit already spent
+      return { kind: 'platform', allowNegative: true };
+    }
+    if (scope === 'external') {
+      // Money held by providers or banks on the other side of our books
+      return { kind: 'external', allowNegative: true };
+    }
+    return { kind: 'platform', allowNegative: false };
+  }
+  
+  // Two balanced lines moving an amount from one account to another
+  transfer(from, to, amount) {
+    return [
+      { account: from, debit: amount },
+      { account: to, credit: amount }
+    ];
+  }
+  
+  // Run work in a transaction, joining the caller's session if one is given
+  async transaction(work, session) {
+    if (session) {
+      return work(session);
+    }
+    
+    const ownSession = await mongoose.startSession();
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        result = await work(ownSession);
+      });
+      return result;
+    } finally {
+      ownSession.endSession();
+    }
+  }
+  
+  // Post Journal Entry
+  async post(entry, { session } = {}) {
+    const LedgerEntry = require('../models/LedgerEntry');
+    
+    const lines = entry.lines.map(line => ({
+      account: line.account,
+      debit: money.assertMinor(line.debit || 0, 'Debit'),
+      credit: money.assertMinor(line.credit || 0, 'Credit')
+    }));
+    
+    const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+    const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+    if (debits <= 0 || debits !== credits) {
+      throw new Error('Journal entry is not balanced');
+    }
+    
+    try {
+      return await this.transaction(async (txSession) => {
+        // Replays of the same business event return the original entry
+        const existing = await LedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey })
+          .session(txSession);
+        if (existing) return existing;
+        
+        const [created] = await LedgerEntry.create([{ ...entry, lines }], { session: txSession });
+        
+        const deltas = new Map();
+        lines.forEach(line => {
+          deltas.set(line.account, (deltas.get(line.account) || 0) + line.credit - line.debit);
+        });
+        for (const [account, delta] of deltas) {
+          await this.applyToAccount(account, delta, txSession);
+        }
+        
+        return created;
+      }, session);
+    } catch (error) {
+      // A concurrent post of the same event won the race
+      if (error.code === 11000 && !session) {
+        return LedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+      }
+      throw error;
+    }
+  }
+  
+  // Post several entries atomically
+  async postAll(entries, { session } = {}) {
+    return this.transaction(async (txSession) => {
+      const posted = [];
+      for (const entry of entries) {
+        posted.push(await this.post(entry, { session: txSession }));
+      }
+      return posted;
+    }, session);
+  }
+  
+  async applyToAccount(key, delta, session) {
+    const LedgerAccount = require('../models/LedgerAccount');
+    const User = require('../models/User');
+    
+    const { kind, ownerId, allowNegative } = this.describeAccount(key);
+    
+    const opened = await LedgerAccount.updateOne(
+      { key },
+      { $setOnInsert: { key, kind, ownerId, allowNegative, currency: money.LEDGER_CURRENCY, balance: 0 } },
+      { upsert: true, session }
+    );
+    if (opened.upsertedCount) {
+      await this.postOpeningBalance(key, kind, ownerId, session);
+    }
+    
+    const filter = { key };
+    if (delta < 0 && !allowNegative) {
+      filter.balance = { $gte: -delta };
+    }
+    
+    const account = await LedgerAccount.findOneAndUpdate(
+      filter,
+      { $inc: { balance: delta } },
+      { new: true, session }
+    );
+    
+    if (!account) {
+      const error = new Error('Insufficient balance');
+      error.code = 'INSUFFICIENT_FUNDS';
+      throw error;
+    }
+    
+    // Mirror onto the user document, which the rest of the app reads
+    if (USER_CACHE_FIELDS[kind]) {
+      await User.updateOne(
+        { _id: ownerId },
+        { $set: { [USER_CACHE_FIELDS[kind]]: account.balance } },
+        { session }
+      );
+    }
+    
+    return account;
+  }
+  
+  // Carry a balance held on the user document before the ledger existed.
+  // Those fields predate minor units and hold major amounts.
+  async postOpeningBalance(key, kind, ownerId, session) {
+    if (!USER_CACHE_FIELDS[kind]) return;
+    
+    const User = require('../models/User');
+    const LedgerEntry = require('../models/LedgerEntry');
+    const LedgerAccount = require('../models/LedgerAccount');
+    
+    const user = await User.findById(ownerId).select('wallet').session(session);
+    const [, field] = USER_CACHE_FIELDS[kind].split('.');
+    const amount = money.toMinor(user?.wallet?.[field] || 0, money.LEDGER_CURRENCY);
+    if (amount <= 0) return;
+    
+    const source = this.accounts.external('opening_balances');
+    await LedgerEntry.create([{
+      type: 'opening_balance',
+      lines: this.transfer(source, key, amount),
+      idempotencyKey: `opening:${key}`,
+      description: 'Balance carried over from wallet fields'
+    }], { session });
+    
+    await LedgerAccount.updateOne({ key }, { $inc: { balance: amount } }, { session });
+    await this.applyToAccount(source, -amount, session);
+  }
+  
+  // Get Account Balance
+  async getBalance(key) {
+    const LedgerAccount = require('../models/LedgerAccount');
+    const account = await LedgerAccount.findOne({ key });
+    return account ? account.balance : 0;
+  }
+  
+  // Get Account Statement
+  async getEntries(key, { limit = 50, before } = {}) {
+    const LedgerEntry = require('../models/LedgerEntry');
+    
+    const query = { 'lines.account': key };
+    if (before) {
+      query.createdAt = { $lt: new Date(before) };
+    }
+    
+    return LedgerEntry.find(query).sort({ createdAt: -1 }).limit(limit);
+  }
+  
+  // Reconcile cached balances against the journal and report any drift
+  async reconcile() {
+    const LedgerEntry = require('../models/LedgerEntry');
+    const LedgerAccount = require('../models/LedgerAccount');
+    const User = require('../models/User');
+    
+    const journalBalances = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      }
+    ]);
+    const journal = new Map(journalBalances.map(({ _id, balance }) => [_id, balance]));
+    
+    const unbalancedEntries = await LedgerEntry.aggregate([
+      {
+        $project: {
+          difference: {
+            $abs: { $subtract: [{ $sum: '$lines.debit' }, { $sum: '$lines.credit' }] }
+          }
+        }
+      },
+      { $match: { difference: { $gt: 0 } } }
+    ]);
+    
+    const accounts = await LedgerAccount.find().lean();
+    const accountDrift = [];
+    const cachedByOwner = new Map();
+    
+    accounts.forEach(account => {
+      const expected = journal.get(account.key) || 0;
+      if (expected !== account.balance) {
+        accountDrift.push({
+          account: account.key,
+          cached: account.balance,
+          journal: expected,
+          difference: account.balance - expected
+        });
+      }
+      
+      if (USER_CACHE_FIELDS[account.kind]) {
+        const fields = cachedByOwner.get(account.ownerId.toString()) || {};
+        fields[account.kind] = expected;
+        cachedByOwner.set(account.ownerId.toString(), fields);
+      }
+    });
+    
+    const users = await User.find({ _id: { $in: [...cachedByOwner.keys()] } })
+      .select('wallet')
+      .lean();
+    const userCacheDrift = [];
+    
+    users.forEach(user => {
+      const expected = cachedByOwner.get(user._id.toString());
+      Object.entries(expected).forEach(([kind, balance]) => {
+        const [, field] = USER_CACHE_FIELDS[kind].split('.');
+        const cached = user.wallet?.[field] || 0;
+        if (cached !== balance) {
+          userCacheDrift.push({
+            userId: user._id,
+            field: USER_CACHE_FIELDS[kind],
+            cached,
+            journal: balance
+          });
+        }
+      });
+    });
+    
+    return {
+      balanced: !accountDrift.length && !userCacheDrift.length && !unbalancedEntries.length,
+      accountDrift,
+      userCacheDrift,
+      unbalancedEntries: unbalancedEntries.map(entry => entry._id),
+      checkedAt: new Date()
+    };
+  }
+}
+
+module.exports = new LedgerService();
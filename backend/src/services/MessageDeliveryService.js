@@ -0,0 +1,146 @@
+// backend/src/services/MessageDeliveryService.js
+const mongoose = require('mongoose');
+const ChatService = require('./ChatService');
+const MessageHistoryService = require('./MessageHistoryService');
+
+const MAX_SYNC = 200;
+
+// Exactly-once message sends over an unreliable socket. Clients name each
+// message with their own ID and retry until acknowledged; a retry of a saved
+// message returns the saved one instead of posting it again. Every message
+// gets the chat's next sequence number, so a reconnecting client asks for
+// everything after the last one it saw; edits and deletions take a number
+// too, so those are caught up on as well.
+class MessageDeliveryService {
+  constructor() {
+    this.redis = null;
+    // Long enough for any save; a crashed save frees the ID after it
+    this.inFlightMs = 30000;
+  }
+  
+  attach(redisClient) {
+    this.redis = redisClient;
+  }
+  
+  inFlightKey(senderId, clientId) {
+    return `message-send:${senderId}:${clientId}`;
+  }
+  
+  async findByClientId(chatId, senderId, clientId) {
+    const Message = require('../models/Message');
+    return Message.findOne({ chatId, senderId, clientId });
+  }
+  
+  // The chat's next sequence number, from a counter on the chat itself
+  async nextSeq(chatId) {
+    const Chat = require('../models/Chat');
+    
+    const chat = await Chat.findOneAndUpdate(
+      { _id: chatId },
+      { $inc: { messageSeq: 1 } },
+      { new: true, projection: { messageSeq: 1 } }
+    );
+    if (!chat) {
+      const error = new Error('Chat not found');
+      error.retryable = false;
+      throw error;
+    }
+    return chat.messageSeq;
+  }
+  
+  // What a reply shows of the message it quotes, copied so the quote needs
+  // no second lookup
+  async replyPreview(chatId, replyTo) {
+    const Message = require('../models/Message');
+    
+    const quoted = mongoose.Types.ObjectId.isValid(replyTo)
+      ? await Message.findOne({ _id: replyTo, chatId })
+      : null;
+    if (!quoted || quoted.deletedAt) {
+      const error = new Error('The message you replied to is gone');
+      error.retryable = false;
+      throw error;
+    }
+    return {
+      messageId: quoted._id,
+      senderId: quoted.senderId,
+      type: quoted.type,
+      content: (quoted.content || '').slice(0, 140)
+    };
+  }
+  
+  // Save a message once per client ID. Returns the message and whether it
+  // had already been saved, in which case nobody needs telling again.
+  async send({ chatId, senderId, clientId, content, type, media, metadata, replyTo }) {
+    if (!clientId || typeof clientId !== 'string' || clientId.length > 64) {
+      const error = new Error('Messages need a client ID');
+      error.retryable = false;
+      throw error;
+    }
+    
+    const saved = await this.findByClientId(chatId, senderId, clientId);
+    if (saved) {
+      return { message: saved, duplicate: true };
+    }
+    
+    // Two copies of a retry can arrive together; the second waits its turn
+    const key = this.inFlightKey(senderId, clientId);
+    const claimed = await this.redis.set(key, '1', { NX: true, PX: this.inFlightMs });
+    if (!claimed) {
+      const error = new Error('Message is still being sent');
+      error.retryable = true;
+      throw error;
+    }
+    
+    try {
+      const again = await this.findByClientId(chatId, senderId, clientId);
+      if (again) {
+        return { message: again, duplicate: true };
+      }
+      
+      const message = await ChatService.saveMessage({
+        chatId,
+        senderId,
+        clientId,
+        seq: await this.nextSeq(chatId),
+        content,
+        type,
+        media,
+        metadata,
+        replyTo: replyTo || undefined,
+        replyPreview: replyTo ? await this.replyPreview(chatId, replyTo) : undefined
+      });
+      return { message, duplicate: false };
+    } finally {
+      await this.redis.del(key);
+    }
+  }
+  
+  // Messages a participant missed: everything sent, edited or deleted after
+  // `sinceSeq`, oldest first
+  async since(chatId, userId, sinceSeq, limit = MAX_SYNC) {
+    try {
+      const Message = require('../models/Message');
+      await MessageHistoryService.assertParticipant(chatId, userId);
+      
+      limit = Math.min(Math.max(parseInt(limit, 10) || MAX_SYNC, 1), MAX_SYNC);
+      const after = Number(sinceSeq) || 0;
+      const found = await Message.find({
+        chatId,
+        deletedFor: { $ne: userId },
+        $or: [{ seq: { $gt: after } }, { updateSeq: { $gt: after } }]
+      })
+        .sort({ seq: 1 })
+        .limit(limit + 1);
+      
+      return {
+        messages: found.slice(0, limit),
+        hasMore: found.length > limit
+      };
+    } catch (error) {
+      throw new Error(`Message sync failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MessageDeliveryService();
@@ -0,0 +1,136 @@
+// backend/src/services/MessageEditService.js
+const mongoose = require('mongoose');
+const MessageDeliveryService = require('./MessageDeliveryService');
+const MessageHistoryService = require('./MessageHistoryService');
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Editing and deleting sent messages. Senders may edit their text messages
+// and delete them for everyone for a while after sending; anyone may delete
+// a message for themselves at any time. Earlier versions are kept in the
+// message's edit history, and a message deleted for everyone stays behind
+// as a tombstone so the timeline and replies to it keep their place.
+class MessageEditService {
+  constructor() {
+    this.editWindowMs = envNumber(process.env.MESSAGE_EDIT_MINUTES, 15) * 60 * 1000;
+    this.deleteWindowMs = envNumber(process.env.MESSAGE_DELETE_MINUTES, 60) * 60 * 1000;
+  }
+  
+  async getOwnMessage(messageId, userId, windowMs, action) {
+    const Message = require('../models/Message');
+    
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+    if (!message || message.deletedAt) {
+      throw new Error('Message not found');
+    }
+    if (message.senderId.toString() !== String(userId)) {
+      throw new Error(`You can only ${action} your own messages`);
+    }
+    if (Date.now() - message.createdAt.getTime() > windowMs) {
+      throw new Error(`This message is too old to ${action}`);
+    }
+    return message;
+  }
+  
+  async edit(messageId, userId, content) {
+    try {
+      const Message = require('../models/Message');
+      
+      content = typeof content === 'string' ? content.trim() : '';
+      if (!content) {
+        throw new Error('A message cannot be empty');
+      }
+      
+      const message = await this.getOwnMessage(messageId, userId, this.editWindowMs, 'edit');
+      if (message.type !== 'text') {
+        throw new Error('Only text messages can be edited');
+      }
+      if (message.content === content) return message;
+      
+      // Compare-and-set on the content, so two quick edits cannot lose a version
+      const now = new Date();
+      const edited = await Message.findOneAndUpdate(
+        { _id: message._id, content: message.content, deletedAt: null },
+        {
+          $set: {
+            content,
+            editedAt: now,
+            updateSeq: await MessageDeliveryService.nextSeq(message.chatId)
+          },
+          $push: { editHistory: { content: message.content, editedAt: now } }
+        },
+        { new: true }
+      );
+      if (!edited) {
+        throw new Error('The message changed; try again');
+      }
+      
+      // Quotes of it show the new text
+      await Message.updateMany(
+        { 'replyPreview.messageId': message._id },
+        { $set: { 'replyPreview.content': content.slice(0, 140) } }
+      );
+      return edited;
+    } catch (error) {
+      throw new Error(`Edit failed: ${error.message}`);
+    }
+  }
+  
+  // Replace the message with a tombstone for every participant
+  async deleteForEveryone(messageId, userId) {
+    try {
+      const Message = require('../models/Message');
+      
+      const message = await this.getOwnMessage(messageId, userId, this.deleteWindowMs, 'delete');
+      const deleted = await Message.findOneAndUpdate(
+        { _id: message._id, deletedAt: null },
+        {
+          $set: {
+            deletedAt: new Date(),
+            deletedBy: userId,
+            content: '',
+            media: null,
+            editHistory: [],
+            reactions: [],
+            updateSeq: await MessageDeliveryService.nextSeq(message.chatId)
+          }
+        },
+        { new: true }
+      );
+      if (!deleted) {
+        throw new Error('Message not found');
+      }
+      
+      await Message.updateMany(
+        { 'replyPreview.messageId': message._id },
+        { $set: { 'replyPreview.content': '', 'replyPreview.deleted': true } }
+      );
+      return deleted;
+    } catch (error) {
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  }
+  
+  // Hide a message from one participant's history only
+  async deleteForMe(messageId, userId) {
+    try {
+      const Message = require('../models/Message');
+      
+      const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+      if (!message) {
+        throw new Error('Message not found');
+      }
+      await MessageHistoryService.assertParticipant(message.chatId, userId);
+      
+      await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+      return message;
+    } catch (error) {
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MessageEditService();
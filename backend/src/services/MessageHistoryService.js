@@ -0,0 +1,123 @@
+// backend/src/services/MessageHistoryService.js
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 100;
+
+// Errors the client caused carry the status to answer with
+const clientError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Pages through a chat's messages by cursor rather than offset, so pages
+// stay stable while new messages arrive. Messages are ordered by
+// (createdAt, _id); a cursor is a message ID and pages never include it,
+// except `around`, which centres on it.
+class MessageHistoryService {
+  async assertParticipant(chatId, userId) {
+    const Chat = require('../models/Chat');
+    
+    const chat = mongoose.Types.ObjectId.isValid(chatId)
+      ? await Chat.findById(chatId).select('participants.userId')
+      : null;
+    if (!chat) {
+      throw clientError('Chat not found', 404);
+    }
+    if (!chat.participants.some(p => p.userId.toString() === String(userId))) {
+      throw clientError('You are not in this chat', 403);
+    }
+  }
+  
+  // The cursor's message. With visibleTo it must also be one that user has
+  // not deleted for themselves.
+  async anchor(chatId, messageId, visibleTo) {
+    const Message = require('../models/Message');
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw clientError('Invalid message cursor', 400);
+    }
+    const filter = { _id: messageId, chatId };
+    if (visibleTo) {
+      filter.deletedFor = { $ne: visibleTo };
+    }
+    const message = await Message.findOne(filter).select('createdAt');
+    if (!message) {
+      throw clientError('Message not found', 404);
+    }
+    return message;
+  }
+  
+  // Up to `limit` messages strictly older or newer than the anchor, nearest
+  // first, plus whether there are more beyond them
+  async slice(chatId, userId, anchor, direction, limit) {
+    const Message = require('../models/Message');
+    
+    const older = direction === 'before';
+    const op = older ? '$lt' : '$gt';
+    // Messages they deleted for themselves are gone for them
+    const filter = { chatId, deletedFor: { $ne: userId } };
+    if (anchor) {
+      filter.$or = [
+        { createdAt: { [op]: anchor.createdAt } },
+        { createdAt: anchor.createdAt, _id: { [op]: anchor._id } }
+      ];
+    }
+    
+    const order = older ? -1 : 1;
+    const found = await Message.find(filter)
+      .sort({ createdAt: order, _id: order })
+      .limit(limit + 1);
+    
+    const hasMore = found.length > limit;
+    const messages = found.slice(0, limit);
+    return { messages: older ? messages.reverse() : messages, hasMore };
+  }
+  
+  // A page of history, oldest first. With no cursor it is the latest page.
+  async getPage(chatId, userId, { before, after, around, limit } = {}) {
+    try {
+      const Message = require('../models/Message');
+      await this.assertParticipant(chatId, userId);
+      
+      limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE, 1), MAX_PAGE);
+      
+      let older = { messages: [], hasMore: false };
+      let newer = { messages: [], hasMore: false };
+      let middle = [];
+      
+      if (around) {
+        // The anchor is part of the page, so it gets the same visibility
+        // filter as the messages around it
+        const anchor = await this.anchor(chatId, around, userId);
+        const half = Math.floor(limit / 2);
+        older = await this.slice(chatId, userId, anchor, 'before', half);
+        newer = await this.slice(chatId, userId, anchor, 'after', limit - half - 1);
+        middle = [await Message.findOne({ _id: anchor._id, deletedFor: { $ne: userId } })].filter(Boolean);
+      } else if (after) {
+        newer = await this.slice(chatId, userId, await this.anchor(chatId, after), 'after', limit);
+      } else {
+        const anchor = before ? await this.anchor(chatId, before) : null;
+        older = await this.slice(chatId, userId, anchor, 'before', limit);
+      }
+      
+      const messages = [...older.messages, ...middle, ...newer.messages];
+      return {
+        messages,
+        hasOlder: older.hasMore || (Boolean(after) && messages.length > 0),
+        hasNewer: newer.hasMore || Boolean(before),
+        cursors: {
+          before: messages.length ? messages[0]._id : null,
+          after: messages.length ? messages[messages.length - 1]._id : null
+        }
+      };
+    } catch (error) {
+      const failure = new Error(`Message history failed: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
+    }
+  }
+}
+
+module.exports = new MessageHistoryService();
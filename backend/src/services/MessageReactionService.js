@@ -0,0 +1,129 @@
+// backend/src/services/MessageReactionService.js
+const mongoose = require('mongoose');
+const MessageDeliveryService = require('./MessageDeliveryService');
+const MessageHistoryService = require('./MessageHistoryService');
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// One emoji, possibly with modifiers, joiners or a flag's two letters
+const EMOJI = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f]*$/u;
+
+// Counts a reaction in the window, starting the window on the first one
+const RATE_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+// Emoji reactions on messages. Reacting with an emoji a second time takes
+// it back. Reactions are kept on the message itself, one entry per person
+// and emoji, and take the chat's next sequence number so reconnecting
+// clients catch up on them.
+class MessageReactionService {
+  constructor() {
+    this.redis = null;
+    this.rateLimit = envNumber(process.env.REACTION_RATE_LIMIT, 20);
+    this.rateWindowMs = envNumber(process.env.REACTION_RATE_WINDOW_SECONDS, 10) * 1000;
+    this.maxPerUser = envNumber(process.env.REACTION_MAX_PER_MESSAGE, 10);
+  }
+  
+  attach(redisClient) {
+    this.redis = redisClient;
+  }
+  
+  // A fixed window per user across every chat
+  async checkRate(userId) {
+    const key = `reaction-rate:${userId}`;
+    const count = await this.redis.eval(RATE_SCRIPT, {
+      keys: [key],
+      arguments: [String(this.rateWindowMs)]
+    });
+    if (count > this.rateLimit) {
+      throw new Error('Too many reactions; slow down');
+    }
+  }
+  
+  async reactableMessage(messageId, userId) {
+    const Message = require('../models/Message');
+    
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+    if (!message || message.deletedAt || message.type === 'system') {
+      const error = new Error('Message not found');
+      error.status = 404;
+      throw error;
+    }
+    await MessageHistoryService.assertParticipant(message.chatId, userId);
+    return message;
+  }
+  
+  // Add the reaction, or take it back if they already had it
+  async toggle(messageId, userId, emoji) {
+    try {
+      const Message = require('../models/Message');
+      
+      if (typeof emoji !== 'string' || emoji.length > 32 || !EMOJI.test(emoji)) {
+        throw new Error('Not an emoji');
+      }
+      await this.checkRate(userId);
+      const message = await this.reactableMessage(messageId, userId);
+      
+      const mine = (message.reactions || []).filter(r => r.userId.toString() === String(userId));
+      const had = mine.some(r => r.emoji === emoji);
+      if (!had && mine.length >= this.maxPerUser) {
+        throw new Error(`You can add up to ${this.maxPerUser} reactions to a message`);
+      }
+      
+      // Only if a concurrent toggle has not already done it
+      const match = { $elemMatch: { userId, emoji } };
+      const updated = await Message.findOneAndUpdate(
+        { _id: message._id, deletedAt: null, reactions: had ? match : { $not: match } },
+        {
+          ...(had
+            ? { $pull: { reactions: { userId, emoji } } }
+            : { $push: { reactions: { userId, emoji, createdAt: new Date() } } }),
+          $set: { updateSeq: await MessageDeliveryService.nextSeq(message.chatId) }
+        },
+        { new: true }
+      );
+      if (!updated) {
+        throw new Error('The message changed; try again');
+      }
+      return { message: updated, added: !had };
+    } catch (error) {
+      throw new Error(`Reaction failed: ${error.message}`);
+    }
+  }
+  
+  // Who reacted, with names, optionally for one emoji only
+  async listReactors(messageId, userId, emoji) {
+    try {
+      const User = require('../models/User');
+      
+      const message = await this.reactableMessage(messageId, userId);
+      const reactions = (message.reactions || []).filter(r => !emoji || r.emoji === emoji);
+      
+      const users = await User.find({ _id: { $in: reactions.map(r => r.userId) } })
+        .select('name profilePicture');
+      const byId = new Map(users.map(user => [user._id.toString(), user]));
+      
+      return reactions
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(r => ({
+          emoji: r.emoji,
+          reactedAt: r.createdAt,
+          user: byId.get(r.userId.toString()) || { _id: r.userId }
+        }));
+    } catch (error) {
+      const failure = new Error(`Reaction list failed: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
+    }
+  }
+}
+
+module.exports = new MessageReactionService();
@@ -0,0 +1,22 @@
+// backend/src/services/NotificationService.js
+
+// Lets services outside the socket layer reach connected users. The Redis
+// adapter delivers to sockets on every worker.
+class NotificationService {
+  constructor() {
+    this.io = null;
+  }
+  
+  // Called once per worker by the socket handler
+  attach(io) {
+    this.io = io;
+  }
+  
+  // Send an event to every connected device of a user
+  notify(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(`user:${userId}`).emit(event, payload);
+  }
+}
+
+module.exports = new NotificationService();
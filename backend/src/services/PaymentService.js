@@ -1,64 +1,51 @@
 // backend/src/services/PaymentService.js
-const Razorpay = require('razorpay');
-const paypal = require('@paypal/checkout-server-sdk');
-const crypto = require('crypto');
+const EventEmitter = require('events');
+const WalletService = require('./WalletService');
+const LedgerService = require('./LedgerService');
+const PayoutService = require('./PayoutService');
+const PricingService = require('./PricingService');
+const FxService = require('./FxService');
+const RiskService = require('./RiskService');
+const EarningService = require('./EarningService');
+const NotificationService = require('./NotificationService');
+const providers = require('./providers');
+const money = require('../utils/money');
 
-class PaymentService {
+class PaymentService extends EventEmitter {
   constructor() {
-    // Razorpay Initialization
-    this.razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID,
-      key_secret: process.env.RAZORPAY_KEY_SECRET
-    });
-    
-    // PayPal Environment
-    this.paypalEnvironment = new paypal.core.SandboxEnvironment(
-      process.env.PAYPAL_CLIENT_ID,
-      process.env.PAYPAL_CLIENT_SECRET
-    );
-    this.paypalClient = new paypal.core.PayPalHttpClient(this.paypalEnvironment);
+    super();
+    // Longer than moving a chat clock takes; a worker that died mid-way frees
+    // the extension after this
+    this.extensionLeaseMs = parseInt(process.env.EXTENSION_LEASE_SECONDS, 10) * 1000 || 2 * 60 * 1000;
   }
   
-  // Create Razorpay Order
-  async createRazorpayOrder(orderData) {
+  // Get the adapter for a payment method ('razorpay', 'paypal')
+  getProvider(method) {
+    return providers.getProvider(method);
+  }
+  
+  // Create Provider Order
+  async createOrder(method, orderData) {
     try {
-      const options = {
-        amount: orderData.amount * 100, // amount in paise
-        currency: orderData.currency || 'INR',
-        receipt: orderData.receipt,
-        payment_capture: 1,
-        notes: {
-          userId: orderData.userId,
-          chatId: orderData.chatId,
-          earnerId: orderData.earnerId
-        }
-      };
-      
-      const order = await this.razorpay.orders.create(options);
-      return {
-        success: true,
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        key: process.env.RAZORPAY_KEY_ID
-      };
+      return await this.getProvider(method).createOrder(orderData);
     } catch (error) {
-      throw new Error(`Razorpay order creation failed: ${error.message}`);
+      throw new Error(`${method} order creation failed: ${error.message}`);
     }
   }
   
+  // Create Razorpay Order
+  async createRazorpayOrder(orderData) {
+    return this.createOrder('razorpay', orderData);
+  }
+  
   // Verify Razorpay Payment
   async verifyRazorpayPayment(paymentId, orderId, signature) {
     try {
-      const generatedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(orderId + '|' + paymentId)
-        .digest('hex');
-      
-      if (generatedSignature === signature) {
-        return { success: true, verified: true };
-      }
-      return { success: false, verified: false };
+      const result = await this.getProvider('razorpay').confirmPayment(
+        { orderId },
+        { razorpayPaymentId: paymentId, razorpaySignature: signature }
+      );
+      return { success: result.success, verified: result.success };
     } catch (error) {
       throw new Error(`Payment verification failed: ${error.message}`);
     }
@@ -66,101 +53,91 @@ class PaymentService {
   
   // Create PayPal Order
   async createPayPalOrder(orderData) {
+    return this.createOrder('paypal', orderData);
+  }
+  
+  // Capture PayPal Payment
+  async capturePayPalOrder(orderId) {
     try {
-      const request = new paypal.orders.OrdersCreateRequest();
-      request.prefer('return=representation');
-      request.requestBody({
-        intent: 'CAPTURE',
-        purchase_units: [{
-          amount: {
-            currency_code: orderData.currency || 'USD',
-            value: orderData.amount.toString()
-          },
-          description: `Chat session with ${orderData.earnerName}`,
-          custom_id: orderData.chatId
-        }],
-        application_context: {
-          brand_name: 'QuikChat',
-          landing_page: 'BILLING',
-          user_action: 'PAY_NOW',
-          return_url: `${process.env.CLIENT_URL}/payment/success`,
-          cancel_url: `${process.env.CLIENT_URL}/payment/cancel`
-        }
-      });
+      const capture = await this.getProvider('paypal').capture(orderId);
+      if (!capture.success) return capture;
       
-      const order = await this.paypalClient.execute(request);
       return {
         success: true,
-        orderId: order.result.id,
-        approveUrl: order.result.links.find(link => link.rel === 'approve').href
+        transactionId: capture.providerPaymentId,
+        amount: capture.amount,
+        currency: capture.currency
       };
     } catch (error) {
-      throw new Error(`PayPal order creation failed: ${error.message}`);
+      throw new Error(`PayPal capture failed: ${error.message}`);
     }
   }
   
-  // Capture PayPal Payment
-  async capturePayPalOrder(orderId) {
-    try {
-      const request = new paypal.orders.OrdersCaptureRequest(orderId);
-      request.requestBody({});
-      const capture = await this.paypalClient.execute(request);
-      
-      if (capture.result.status === 'COMPLETED') {
-        return {
-          success: true,
-          transactionId: capture.result.purchase_units[0].payments.captures[0].id,
-          amount: capture.result.purchase_units[0].amount.value,
-          currency: capture.result.purchase_units[0].amount.currency_code
-        };
-      }
-      return { success: false, message: 'Payment not completed' };
-    } catch (error) {
-      throw new Error(`PayPal capture failed: ${error.message}`);
+  // Score a movement with the risk engine; blocked ones stop here.
+  // context carries the caller's ip and deviceId.
+  async screen(kind, { userId, amount, counterpartyId }, context = {}) {
+    const assessment = await RiskService.assess({
+      kind,
+      userId,
+      amount,
+      counterpartyId,
+      ip: context.ip,
+      deviceId: context.deviceId
+    });
+    if (assessment.decision === 'block') {
+      throw new Error('Declined by risk checks');
     }
+    return assessment;
   }
   
-  // Create Wallet Top-up
-  async createWalletTopUp(userId, amount, currency, method) {
+  topUpOrder(paymentIntent) {
+    return {
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      receipt: `wallet_${paymentIntent.userId}_${Date.now()}`,
+      userId: paymentIntent.userId,
+      type: 'wallet_topup'
+    };
+  }
+  
+  // Create Wallet Top-up: amount is in minor units of the payer's currency;
+  // the wallet is credited its ledger-currency value at today's rate.
+  // Top-ups held for review get their provider order once approved.
+  async createWalletTopUp(userId, amount, currency, method, context = {}) {
     try {
-      let paymentData;
-      
-      switch (method) {
-        case 'razorpay':
-          paymentData = await this.createRazorpayOrder({
-            amount,
-            currency,
-            receipt: `wallet_${userId}_${Date.now()}`,
-            userId,
-            type: 'wallet_topup'
-          });
-          break;
-          
-        case 'paypal':
-          paymentData = await this.createPayPalOrder({
-            amount,
-            currency,
-            userId,
-            type: 'wallet_topup'
-          });
-          break;
-          
-        default:
-          throw new Error('Unsupported payment method');
-      }
+      money.assertMinor(amount);
+      currency = money.normalizeCurrency(currency);
+      const settlement = await PricingService.quoteSettlement(amount, currency);
+      const assessment = await this.screen('topup', { userId, amount: settlement.amount }, context);
       
       // Store payment intent in database
       const PaymentIntent = require('../models/PaymentIntent');
-      const paymentIntent = await PaymentIntent.create({
+      const paymentIntent = new PaymentIntent({
         userId,
         amount,
         currency,
+        settlement,
         method,
-        status: 'pending',
-        paymentData,
+        status: assessment.decision === 'review' ? 'review' : 'pending',
         type: 'wallet_topup'
       });
       
+      if (paymentIntent.status === 'pending') {
+        paymentIntent.paymentData = await this.createOrder(method, this.topUpOrder(paymentIntent));
+      }
+      await paymentIntent.save();
+      await RiskService.link(assessment._id, { paymentIntentId: paymentIntent._id });
+      
+      if (paymentIntent.status === 'review') {
+        return {
+          success: true,
+          paymentIntentId: paymentIntent._id,
+          status: 'review',
+          message: 'Top-up is being reviewed'
+        };
+      }
+      
+      const { paymentData } = paymentIntent;
       return {
         success: true,
         paymentIntentId: paymentIntent._id,
@@ -171,119 +148,495 @@ class PaymentService {
     }
   }
   
-  // Process Withdrawal Request
-  async processWithdrawal(userId, amount, method, details) {
-    try {
-      // Check minimum withdrawal amount
-      const minWithdrawal = method === 'bank' ? 500 : 10;
-      if (amount < minWithdrawal) {
-        throw new Error(`Minimum withdrawal amount is ${minWithdrawal}`);
-      }
-      
-      // Check wallet balance
-      const User = require('../models/User');
-      const user = await User.findById(userId);
-      
-      if (user.wallet.balance < amount) {
-        throw new Error('Insufficient balance');
-      }
+  // Create a payment for chat or call time from a PricingService.quoteChat
+  // quote. Wallets hold the ledger currency, so wallet payments are charged
+  // the settlement amount and settle at once. A live session cannot wait for
+  // a reviewer, so purchases held for review go through with the earner's
+  // share frozen instead.
+  async createChatPurchase({ type, receipt, userId, earnerId, earnerName, quote, method = 'wallet', context, fields = {} }) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const assessment = await this.screen('chat_purchase', {
+      userId,
+      amount: quote.settlement.amount,
+      counterpartyId: earnerId
+    }, context);
+    
+    const { amount, currency } = method === 'wallet' ? quote.settlement : quote;
+    const paymentIntent = await PaymentIntent.create({
+      userId,
+      earnerId,
+      ...fields,
+      minutes: quote.minutes,
+      amount,
+      currency,
+      settlement: quote.settlement,
+      earnerPrice: {
+        amount: quote.earnerAmount,
+        currency: quote.earnerCurrency,
+        ...quote.fx
+      },
+      method,
+      status: 'pending',
+      type,
+      riskReview: assessment.decision === 'review'
+    });
+    await RiskService.link(assessment._id, { paymentIntentId: paymentIntent._id });
+    
+    switch (method) {
+      case 'wallet':
+        try {
+          return await this.completePayment(paymentIntent._id, { source: 'wallet' });
+        } catch (error) {
+          await this.transitionIntent(paymentIntent._id, 'failed', { source: 'wallet' });
+          throw error;
+        }
       
-      // Create withdrawal record
-      const Withdrawal = require('../models/Withdrawal');
-      const withdrawal = await Withdrawal.create({
+      default:
+        paymentIntent.paymentData = await this.createOrder(method, {
+          amount,
+          currency,
+          receipt: `${receipt}_${paymentIntent._id}`,
+          userId,
+          earnerId,
+          earnerName,
+          ...fields
+        });
+    }
+    
+    await paymentIntent.save();
+    return paymentIntent;
+  }
+  
+  // Create Chat Extension Payment
+  async createExtensionPayment({ chatId, userId, earnerId, earnerName, quote, method, context }) {
+    try {
+      return await this.createChatPurchase({
+        type: 'chat_extension',
+        receipt: 'extension',
         userId,
-        amount,
+        earnerId,
+        earnerName,
+        quote,
         method,
-        details,
-        status: 'pending',
-        processedAt: null
+        context,
+        fields: { chatId }
       });
-      
-      // Deduct from wallet
-      user.wallet.balance -= amount;
-      user.wallet.pendingWithdrawal += amount;
-      await user.save();
-      
-      // Process based on method (in production, integrate with payout APIs)
-      await this.initiatePayout(withdrawal);
-      
-      return {
-        success: true,
-        withdrawalId: withdrawal._id,
-        message: 'Withdrawal request submitted successfully'
-      };
     } catch (error) {
-      throw new Error(`Withdrawal processing failed: ${error.message}`);
+      throw new Error(`Extension payment failed: ${error.message}`);
     }
   }
   
-  // Initiate Payout (Integrate with Razorpay/PayPal Payouts)
-  async initiatePayout(withdrawal) {
-    // Implementation depends on your payout provider
-    // Razorpay: https://razorpay.com/docs/payouts/
-    // PayPal: https://developer.paypal.com/docs/payouts/
+  // Create Booking Payment: a booked session is paid in full up front
+  async createBookingPayment({ booking, earnerName, quote, method, context }) {
+    try {
+      return await this.createChatPurchase({
+        type: 'booking',
+        receipt: 'booking',
+        userId: booking.userId,
+        earnerId: booking.earnerId,
+        earnerName,
+        quote,
+        method,
+        context,
+        fields: { bookingId: booking._id, serviceType: booking.serviceType }
+      });
+    } catch (error) {
+      throw new Error(`Booking payment failed: ${error.message}`);
+    }
+  }
+  
+  // Create Chat Request Payment: held until the earner answers
+  async createChatRequestPayment({ request, earnerName, quote, method, context }) {
+    try {
+      return await this.createChatPurchase({
+        type: 'chat_request',
+        receipt: 'request',
+        userId: request.userId,
+        earnerId: request.earnerId,
+        earnerName,
+        quote,
+        method,
+        context,
+        fields: { chatRequestId: request._id }
+      });
+    } catch (error) {
+      throw new Error(`Chat request payment failed: ${error.message}`);
+    }
+  }
+  
+  // Confirm a Razorpay/PayPal payment of the given type from client proof
+  async confirmProviderPayment(paymentIntentId, userId, type, proof = {}) {
+    const PaymentIntent = require('../models/PaymentIntent');
     
-    // This is a placeholder implementation
-    setTimeout(async () => {
-      const Withdrawal = require('../models/Withdrawal');
-      const User = require('../models/User');
+    const paymentIntent = await PaymentIntent.findOne({ _id: paymentIntentId, userId, type });
+    
+    if (!paymentIntent) {
+      throw new Error('Payment not found');
+    }
+    
+    // The provider webhook may have settled it first
+    if (paymentIntent.status === 'completed') {
+      return paymentIntent;
+    }
+    
+    if (paymentIntent.method === 'wallet') {
+      throw new Error('Wallet payments need no confirmation');
+    }
+    
+    const confirmation = await this.getProvider(paymentIntent.method)
+      .confirmPayment(paymentIntent.paymentData, proof);
+    if (!confirmation.success) {
+      throw new Error(confirmation.message);
+    }
+    
+    const completed = await this.completePayment(paymentIntent._id, {
+      providerPaymentId: confirmation.providerPaymentId,
+      source: 'client'
+    });
+    
+    return completed || PaymentIntent.findById(paymentIntent._id);
+  }
+  
+  // Confirm Chat Extension Payment (Razorpay/PayPal)
+  async confirmExtensionPayment(paymentIntentId, userId, proof = {}) {
+    try {
+      return await this.confirmProviderPayment(paymentIntentId, userId, 'chat_extension', proof);
+    } catch (error) {
+      throw new Error(`Extension confirmation failed: ${error.message}`);
+    }
+  }
+  
+  // Confirm Booking Payment (Razorpay/PayPal)
+  async confirmBookingPayment(paymentIntentId, userId, proof = {}) {
+    try {
+      return await this.confirmProviderPayment(paymentIntentId, userId, 'booking', proof);
+    } catch (error) {
+      throw new Error(`Booking confirmation failed: ${error.message}`);
+    }
+  }
+  
+  // Confirm Chat Request Payment (Razorpay/PayPal)
+  async confirmChatRequestPayment(paymentIntentId, userId, proof = {}) {
+    try {
+      return await this.confirmProviderPayment(paymentIntentId, userId, 'chat_request', proof);
+    } catch (error) {
+      throw new Error(`Chat request confirmation failed: ${error.message}`);
+    }
+  }
+  
+  // Move a payment intent to a new status if the state machine allows it.
+  // Returns null when the intent is not in a state that can make that move.
+  async transitionIntent(paymentIntentId, to, { source, eventId, set = {} } = {}, session) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const current = await PaymentIntent.findById(paymentIntentId).session(session || null);
+    if (!current || !PaymentIntent.TRANSITIONS[current.status].includes(to)) {
+      return null;
+    }
+    
+    // Compare-and-set on the status we read, so concurrent events cannot both win
+    return PaymentIntent.findOneAndUpdate(
+      { _id: paymentIntentId, status: current.status },
+      {
+        $set: { status: to, ...set },
+        $push: { statusHistory: { from: current.status, to, source, eventId } }
+      },
+      { new: true, session }
+    );
+  }
+  
+  // Complete Payment: settle funds for a captured payment exactly once
+  async completePayment(paymentIntentId, { providerPaymentId, source, eventId } = {}) {
+    const Chat = require('../models/Chat');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const { paymentIntent, settled } = await LedgerService.transaction(async (session) => {
+      const set = { completedAt: new Date() };
+      if (providerPaymentId) {
+        set.providerPaymentId = providerPaymentId;
+      }
       
-      withdrawal.status = 'completed';
-      withdrawal.processedAt = new Date();
-      await withdrawal.save();
+      const completed = await this.transitionIntent(paymentIntentId, 'completed', { source, eventId, set }, session);
+      if (!completed) {
+        return { paymentIntent: null, settled: false };
+      }
       
-      const user = await User.findById(withdrawal.userId);
-      user.wallet.pendingWithdrawal -= withdrawal.amount;
-      user.wallet.totalWithdrawn += withdrawal.amount;
-      await user.save();
+      // A won dispute returns the intent to completed; it was settled already
+      const settledBefore = completed.statusHistory.slice(0, -1).some(change => change.to === 'completed');
+      if (settledBefore) {
+        return { paymentIntent: completed, settled: false };
+      }
       
-      // Send notification
-      this.sendNotification(userId, 'withdrawal_completed', { amount: withdrawal.amount });
-    }, 30000); // Simulate 30 second processing
+      switch (completed.type) {
+        case 'wallet_topup':
+          await WalletService.creditTopUp({
+            userId: completed.userId,
+            amount: completed.settlement.amount,
+            method: completed.method,
+            paymentIntentId: completed._id
+          }, { session });
+          break;
+        
+        case 'chat_extension':
+        case 'booking': {
+          const isBooking = completed.type === 'booking';
+          const settlement = {
+            earnerId: completed.earnerId,
+            amount: completed.settlement.amount,
+            minutes: completed.minutes,
+            chatId: completed.chatId,
+            serviceType: completed.serviceType,
+            idempotencyKey: `${isBooking ? 'booking' : 'extension'}:${completed._id}`,
+            description: isBooking
+              ? `Booked session ${completed.minutes} minutes`
+              : `Chat extension ${completed.minutes} minutes`
+          };
+          
+          if (completed.method === 'wallet') {
+            await WalletService.chargeForChat({
+              ...settlement,
+              payerId: completed.userId,
+              paymentIntentId: completed._id
+            }, { session });
+          } else {
+            await WalletService.settleProviderChatPayment({
+              ...settlement,
+              payerId: completed.userId,
+              method: completed.method,
+              paymentIntentId: completed._id
+            }, { session });
+          }
+          
+          // Booked time is added when the session starts. Extension minutes
+          // still have to reach the live clock, which is in Redis; the
+          // intent stays due until a worker has moved it.
+          if (!isBooking) {
+            await Chat.updateOne(
+              { _id: completed.chatId },
+              { $inc: { 'paymentDetails.totalDuration': completed.minutes } },
+              { session }
+            );
+            completed.applyAfter = new Date();
+            await PaymentIntent.updateOne(
+              { _id: completed._id },
+              { $set: { applyAfter: completed.applyAfter } },
+              { session }
+            );
+          }
+          break;
+        }
+        
+        // Chat requests are held in the payer's name until the earner
+        // answers; provider payments land in the wallet first
+        case 'chat_request':
+          if (completed.method !== 'wallet') {
+            await WalletService.creditTopUp({
+              userId: completed.userId,
+              amount: completed.settlement.amount,
+              method: completed.method,
+              paymentIntentId: completed._id
+            }, { session });
+          }
+          await WalletService.holdForChat({
+            userId: completed.userId,
+            amount: completed.settlement.amount,
+            chatRequestId: completed.chatRequestId,
+            paymentIntentId: completed._id
+          }, { session });
+          break;
+      }
+      
+      return { paymentIntent: completed, settled: true };
+    });
+    
+    if (settled && paymentIntent.riskReview) {
+      await EarningService.dispute(paymentIntent._id);
+    }
+    
+    // Socket handlers on this worker move the live chat clock; BookingService
+    // confirms the booked slot and ChatRequestService passes the request on
+    // to the earner
+    if (settled && paymentIntent.type === 'chat_extension') {
+      this.emit('extension-completed', paymentIntent);
+    }
+    if (settled && paymentIntent.type === 'booking') {
+      this.emit('booking-paid', paymentIntent);
+    }
+    if (settled && paymentIntent.type === 'chat_request') {
+      this.emit('chat-request-paid', paymentIntent);
+    }
+    
+    return paymentIntent;
+  }
+  
+  // Claim a settled extension whose minutes are not on the clock yet, the
+  // given one or else the longest due. Pushing applyAfter out doubles as the
+  // lease.
+  async claimExtension(paymentIntentId) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    const now = new Date();
+    
+    return PaymentIntent.findOneAndUpdate(
+      {
+        ...(paymentIntentId ? { _id: paymentIntentId } : {}),
+        type: 'chat_extension',
+        applyAfter: { $lte: now }
+      },
+      { $set: { applyAfter: new Date(now.getTime() + this.extensionLeaseMs) } },
+      { sort: { applyAfter: 1 }, new: true }
+    );
+  }
+  
+  // The extension's minutes are on the clock, or it was refunded
+  async extensionApplied(paymentIntentId, outcome) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    return PaymentIntent.updateOne(
+      { _id: paymentIntentId },
+      { $set: { appliedAt: new Date(), extensionOutcome: outcome }, $unset: { applyAfter: 1 } }
+    );
+  }
+  
+  // Release a top-up the risk engine held: create its provider order and
+  // hand it to the payer
+  async releaseReviewedPayment(paymentIntentId) {
+    const paymentIntent = await this.transitionIntent(paymentIntentId, 'pending', { source: 'risk_review' });
+    if (!paymentIntent) {
+      throw new Error('Payment is not under review');
+    }
+    
+    try {
+      paymentIntent.paymentData = await this.createOrder(paymentIntent.method, this.topUpOrder(paymentIntent));
+      await paymentIntent.save();
+    } catch (error) {
+      await this.transitionIntent(paymentIntent._id, 'failed', { source: 'risk_review' });
+      throw error;
+    }
+    
+    NotificationService.notify(paymentIntent.userId, 'payment-approved', {
+      paymentIntentId: paymentIntent._id,
+      type: paymentIntent.type,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      method: paymentIntent.method,
+      ...paymentIntent.paymentData
+    });
+    return paymentIntent;
   }
   
-  // Refund Payment
-  async refundPayment(paymentId, amount, reason) {
+  // Process Withdrawal Request
+  // Amount is in minor units of the ledger currency
+  async processWithdrawal(userId, amount, method, details, context = {}) {
     try {
-      const refund = await this.razorpay.payments.refund(paymentId, {
-        amount: amount * 100,
-        notes: { reason }
+      money.assertMinor(amount);
+      
+      // Check minimum withdrawal amount
+      const minWithdrawal = money.toMinor(method === 'bank' ? 500 : 10, money.LEDGER_CURRENCY);
+      if (amount < minWithdrawal) {
+        throw new Error(`Minimum withdrawal amount is ${money.toMajorString(minWithdrawal, money.LEDGER_CURRENCY)} ${money.LEDGER_CURRENCY}`);
+      }
+      
+      // Fail fast on methods we cannot pay out to
+      PayoutService.providerFor(method);
+      
+      // Withdrawals the risk engine flags join the admin approval queue
+      const assessment = await this.screen('withdrawal', { userId, amount }, context);
+      const review = assessment.decision === 'review';
+      
+      // The payout amount is locked now, in the currency the provider pays in
+      const payout = await FxService.quote(
+        amount,
+        money.LEDGER_CURRENCY,
+        PayoutService.payoutCurrency(method, details)
+      );
+      
+      // Create the withdrawal and move the funds out of the spendable balance
+      // in one transaction; the ledger rejects it if the balance is too low
+      const Withdrawal = require('../models/Withdrawal');
+      const status = review ? 'awaiting_approval' : PayoutService.initialStatus(amount);
+      const withdrawal = await LedgerService.transaction(async (session) => {
+        const [created] = await Withdrawal.create([{
+          userId,
+          amount,
+          currency: money.LEDGER_CURRENCY,
+          payout: {
+            amount: payout.amount,
+            currency: payout.currency,
+            rate: payout.rate,
+            source: payout.source,
+            quotedAt: payout.quotedAt
+          },
+          method,
+          details,
+          status,
+          statusHistory: [{ status, note: review ? 'Requested; held for risk review' : 'Requested' }],
+          nextAttemptAt: new Date(),
+          processedAt: null
+        }], { session });
+        
+        await LedgerService.post({
+          type: 'withdrawal_request',
+          lines: LedgerService.transfer(
+            LedgerService.accounts.wallet(userId),
+            LedgerService.accounts.pendingWithdrawal(userId),
+            amount
+          ),
+          idempotencyKey: `withdrawal_request:${created._id}`,
+          withdrawalId: created._id,
+          description: `Withdrawal via ${method}`
+        }, { session });
+        
+        return created;
       });
+      await RiskService.link(assessment._id, { withdrawalId: withdrawal._id });
       
+      // The payout worker picks pending withdrawals up on its next poll
       return {
         success: true,
-        refundId: refund.id,
-        status: refund.status
+        withdrawalId: withdrawal._id,
+        status: withdrawal.status,
+        message: status === 'awaiting_approval'
+          ? 'Withdrawal request submitted for approval'
+          : 'Withdrawal request submitted successfully'
       };
     } catch (error) {
-      throw new Error(`Refund failed: ${error.message}`);
+      throw new Error(`Withdrawal processing failed: ${error.message}`);
     }
   }
   
-  // Get Payment Analytics
+  // Refund Payment: refunds a completed payment intent through RefundService
+  async refundPayment(paymentIntentId, amount, reason, options = {}) {
+    // Required here because RefundService depends on this service
+    const RefundService = require('./RefundService');
+    return RefundService.refundPaymentIntent(paymentIntentId, { ...options, amount, reason });
+  }
+  
+  // Get Payment Analytics: flat totals for a range; time series live in
+  // AnalyticsService
   async getPaymentAnalytics(timeRange = 'month') {
     const Payment = require('../models/Payment');
     
-    const now = new Date();
-    let startDate;
+    // Each case works on its own copy; setDate and friends mutate in place
+    const startDate = new Date();
     
     switch (timeRange) {
       case 'day':
-        startDate = new Date(now.setDate(now.getDate() - 1));
+        startDate.setDate(startDate.getDate() - 1);
         break;
       case 'week':
-        startDate = new Date(now.setDate(now.getDate() - 7));
-        break;
-      case 'month':
-        startDate = new Date(now.setMonth(now.getMonth() - 1));
+        startDate.setDate(startDate.getDate() - 7);
         break;
       case 'year':
-        startDate = new Date(now.setFullYear(now.getFullYear() - 1));
+        startDate.setFullYear(startDate.getFullYear() - 1);
         break;
+      case 'month':
       default:
-        startDate = new Date(now.setMonth(now.getMonth() - 1));
+        startDate.setMonth(startDate.getMonth() - 1);
     }
     
+    // Sum per method first; $arrayToObject keeps only the last value for a
+    // repeated key, so it must see each method once
     const analytics = await Payment.aggregate([
       {
         $match: {
@@ -291,17 +644,20 @@ class PaymentService {
           status: 'completed'
         }
       },
+      {
+        $group: {
+          _id: '$paymentMethod',
+          amount: { $sum: '$amount' },
+          transactions: { $sum: 1 }
+        }
+      },
       {
         $group: {
           _id: null,
           totalAmount: { $sum: '$amount' },
-          totalTransactions: { $sum: 1 },
-          averageAmount: { $avg: '$amount' },
+          totalTransactions: { $sum: '$transactions' },
           byMethod: {
-            $push: {
-              method: '$paymentMethod',
-              amount: '$amount'
-            }
+            $push: { k: { $ifNull: ['$_id', 'unknown'] }, v: '$amount' }
           }
         }
       },
@@ -309,19 +665,8 @@ class PaymentService {
         $project: {
           totalAmount: 1,
           totalTransactions: 1,
-          averageAmount: 1,
-          paymentMethods: {
-            $arrayToObject: {
-              $map: {
-                input: '$byMethod',
-                as: 'item',
-                in: {
-                  k: '$$item.method',
-                  v: { $sum: '$$item.amount' }
-                }
-              }
-            }
-          }
+          averageAmount: { $divide: ['$totalAmount', '$totalTransactions'] },
+          paymentMethods: { $arrayToObject: '$byMethod' }
         }
       }
     ]);
@@ -0,0 +1,408 @@
+// backend/src/services/PayoutService.js
+const LedgerService = require('./LedgerService');
+const NotificationService = require('./NotificationService');
+const providers = require('./providers');
+const money = require('../utils/money');
+
+// Payout provider for each withdrawal method
+const PROVIDER_BY_METHOD = {
+  bank: 'razorpay',
+  upi: 'razorpay',
+  paypal: 'paypal'
+};
+
+// Currency each method pays out in; PayPal pays in the receiver's choice
+const PAYOUT_CURRENCIES = {
+  bank: 'INR',
+  upi: 'INR'
+};
+
+// Withdrawals are their own job queue: every worker polls, and a document is
+// only worked on by the worker holding its lease (lockedUntil).
+class PayoutService {
+  constructor() {
+    // Minor units of the ledger currency
+    this.approvalThreshold = parseInt(process.env.WITHDRAWAL_APPROVAL_THRESHOLD, 10) || 1000000;
+    this.pollInterval = parseInt(process.env.PAYOUT_POLL_MS, 10) || 15000;
+    this.statusCheckDelay = parseInt(process.env.PAYOUT_STATUS_CHECK_MS, 10) || 5 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.PAYOUT_MAX_ATTEMPTS, 10) || 5;
+    this.leaseMs = 2 * 60 * 1000;
+    this.polling = false;
+    this.timer = null;
+  }
+  
+  // Large withdrawals wait for an admin before any money moves
+  initialStatus(amount) {
+    return amount >= this.approvalThreshold ? 'awaiting_approval' : 'pending';
+  }
+  
+  providerFor(method) {
+    const provider = PROVIDER_BY_METHOD[method];
+    if (!provider) {
+      throw new Error(`No payout provider for ${method}`);
+    }
+    return provider;
+  }
+  
+  payoutCurrency(method, details = {}) {
+    return money.normalizeCurrency(PAYOUT_CURRENCIES[method] || details.currency || 'USD');
+  }
+  
+  // Move a withdrawal to a new status if the state machine allows it.
+  // Returns null when another update got there first.
+  async transition(withdrawalId, to, { note, actor, set = {} } = {}, session) {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    return Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, status: { $in: Withdrawal.sourcesFor(to) } },
+      {
+        $set: { status: to, ...set },
+        $push: { statusHistory: { status: to, note, actor } }
+      },
+      { new: true, session }
+    );
+  }
+  
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  // Claim the next due job by taking its lease
+  async claimNext() {
+    const Withdrawal = require('../models/Withdrawal');
+    const now = new Date();
+    
+    return Withdrawal.findOneAndUpdate(
+      {
+        status: { $in: ['pending', 'processing'] },
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+  
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    
+    try {
+      let withdrawal;
+      while ((withdrawal = await this.claimNext())) {
+        await this.run(withdrawal);
+      }
+    } catch (error) {
+      console.error('Payout poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+  
+  async run(withdrawal) {
+    try {
+      if (withdrawal.status === 'pending') {
+        await this.submit(withdrawal);
+      } else {
+        await this.checkStatus(withdrawal);
+      }
+    } catch (error) {
+      await this.retryLater(withdrawal, error);
+    }
+  }
+  
+  // Send a pending withdrawal to its provider
+  async submit(withdrawal) {
+    const provider = this.providerFor(withdrawal.method);
+    const adapter = providers.getProvider(provider);
+    const reference = `wd_${withdrawal._id}`;
+    
+    // The reference doubles as the provider's idempotency key, so a retry
+    // after a crash gets the first payout back rather than a second one
+    let result;
+    try {
+      result = await adapter.createPayout({
+        reference,
+        userId: withdrawal.userId,
+        amount: withdrawal.payout.amount,
+        currency: withdrawal.payout.currency,
+        details: withdrawal.details
+      });
+    } catch (error) {
+      if (error.refused) throw error;
+      
+      // The request may have reached the provider before it failed
+      result = await this.findSubmitted(adapter, reference);
+      if (!result) throw error;
+    }
+    
+    const processing = await this.transition(withdrawal._id, 'processing', {
+      note: `Submitted to ${provider}`,
+      set: {
+        provider,
+        payoutId: result.payoutId,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: new Date(Date.now() + this.statusCheckDelay),
+        lockedUntil: null
+      }
+    });
+    
+    if (processing) {
+      this.notify(processing);
+      if (result.status !== 'processing') {
+        await this.settle(processing, result.status, { reason: result.failureReason });
+      }
+    }
+  }
+  
+  // A payout already filed under the reference, or null when there is none
+  // or the provider cannot say
+  async findSubmitted(adapter, reference) {
+    try {
+      return await adapter.findPayout(reference);
+    } catch (error) {
+      console.error(`Payout lookup for ${reference} failed:`, error.message);
+      return null;
+    }
+  }
+  
+  // Ask the provider about a payout whose webhook has not arrived
+  async checkStatus(withdrawal) {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const result = await providers.getProvider(withdrawal.provider).getPayout(withdrawal.payoutId);
+    if (result.status === 'processing') {
+      await Withdrawal.updateOne(
+        { _id: withdrawal._id },
+        { $set: { nextAttemptAt: new Date(Date.now() + this.statusCheckDelay), lockedUntil: null } }
+      );
+      return;
+    }
+    
+    await this.settle(withdrawal, result.status, { reason: result.failureReason });
+  }
+  
+  // Back off exponentially. After maxAttempts a payout the provider refused
+  // every time is failed (and refunded to the wallet); one that may have
+  // reached the provider goes to an admin instead, as refunding it could
+  // pay the earner twice.
+  async retryLater(withdrawal, error) {
+    const Withdrawal = require('../models/Withdrawal');
+    const attempts = withdrawal.attempts + 1;
+    const uncertain = withdrawal.submissionUncertain
+      || (withdrawal.status === 'pending' && !error.refused);
+    
+    console.error(`Payout ${withdrawal._id} attempt ${attempts} failed:`, error.message);
+    
+    if (withdrawal.status === 'pending' && attempts >= this.maxAttempts) {
+      if (uncertain) {
+        await this.holdForReview(withdrawal, attempts, error);
+      } else {
+        await this.settle(withdrawal, 'failed', { reason: error.message });
+      }
+      return;
+    }
+    
+    const delay = Math.min(30000 * 2 ** attempts, 60 * 60 * 1000);
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id },
+      {
+        $set: {
+          attempts,
+          lastError: error.message,
+          submissionUncertain: uncertain,
+          nextAttemptAt: new Date(Date.now() + delay),
+          lockedUntil: null
+        }
+      }
+    );
+  }
+  
+  async holdForReview(withdrawal, attempts, error) {
+    const updated = await this.transition(withdrawal._id, 'needs_review', {
+      note: `Submit outcome unknown: ${error.message}`,
+      set: {
+        attempts,
+        lastError: error.message,
+        submissionUncertain: true,
+        nextAttemptAt: null,
+        lockedUntil: null
+      }
+    });
+    if (updated) {
+      this.notify(updated);
+    }
+  }
+  
+  // Resolve a withdrawal held for review once an admin has checked the
+  // provider: completed or failed settle it, and processing with the
+  // provider's payout ID hands it back to the status checks
+  async resolveReview(withdrawalId, adminId, { status, payoutId, reason }) {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal || withdrawal.status !== 'needs_review') {
+      throw new Error('Withdrawal is not awaiting review');
+    }
+    
+    let updated;
+    if (status === 'processing') {
+      if (!payoutId) {
+        throw new Error('A payout ID is required');
+      }
+      updated = await this.transition(withdrawalId, 'processing', {
+        note: reason || 'Payout found at provider',
+        actor: adminId,
+        set: {
+          provider: this.providerFor(withdrawal.method),
+          payoutId,
+          attempts: 0,
+          nextAttemptAt: new Date()
+        }
+      });
+    } else if (status === 'completed' || status === 'failed') {
+      updated = await this.settle(withdrawal, status, {
+        reason: reason || `Marked ${status} by admin`,
+        actor: adminId
+      });
+    } else {
+      throw new Error(`Cannot resolve a withdrawal as ${status}`);
+    }
+    
+    if (!updated) {
+      throw new Error('Withdrawal is not awaiting review');
+    }
+    if (status === 'processing') {
+      this.notify(updated);
+    }
+    return updated;
+  }
+  
+  // Final outcome: completed moves the funds to withdrawn; failed, rejected
+  // and reversed return them to the earner's wallet
+  async settle(withdrawal, status, { reason, actor, note } = {}) {
+    const accounts = LedgerService.accounts;
+    const userId = withdrawal.userId;
+    
+    const updated = await LedgerService.transaction(async (session) => {
+      const set = { lockedUntil: null, nextAttemptAt: null };
+      if (status === 'completed') {
+        set.processedAt = new Date();
+      } else {
+        set.failureReason = reason;
+      }
+      
+      const changed = await this.transition(withdrawal._id, status, {
+        note: note || reason,
+        actor,
+        set
+      }, session);
+      if (!changed) return null;
+      
+      if (status === 'completed') {
+        await LedgerService.post({
+          type: 'withdrawal_completed',
+          lines: LedgerService.transfer(
+            accounts.pendingWithdrawal(userId),
+            accounts.withdrawn(userId),
+            changed.amount
+          ),
+          idempotencyKey: `withdrawal_completed:${changed._id}`,
+          withdrawalId: changed._id,
+          description: `Withdrawal via ${changed.method} paid out`
+        }, { session });
+      } else {
+        // A payout reversed after completion has already left pending
+        const paidOut = changed.statusHistory.some(change => change.status === 'completed');
+        const from = paidOut ? accounts.withdrawn(userId) : accounts.pendingWithdrawal(userId);
+        
+        await LedgerService.post({
+          type: 'withdrawal_reversed',
+          lines: LedgerService.transfer(from, accounts.wallet(userId), changed.amount),
+          idempotencyKey: `withdrawal_reversed:${changed._id}`,
+          withdrawalId: changed._id,
+          description: `Withdrawal via ${changed.method} ${status}`
+        }, { session });
+      }
+      
+      return changed;
+    });
+    
+    if (updated) {
+      this.notify(updated);
+    }
+    return updated;
+  }
+  
+  // Apply a payout status reported by a provider webhook
+  async applyProviderUpdate(provider, payoutId, status, reason) {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const withdrawal = await Withdrawal.findOne({ provider, payoutId });
+    if (!withdrawal) {
+      return { applied: false, reason: 'Unknown payout' };
+    }
+    if (status === 'processing') {
+      return { applied: false, reason: 'Payout still processing' };
+    }
+    
+    const updated = await this.settle(withdrawal, status, { reason });
+    return {
+      applied: Boolean(updated),
+      reason: updated ? undefined : `Cannot move from ${withdrawal.status} to ${status}`
+    };
+  }
+  
+  // Approve Withdrawal: queue it for payout
+  async approve(withdrawalId, adminId) {
+    const updated = await this.transition(withdrawalId, 'pending', {
+      note: 'Approved',
+      actor: adminId,
+      set: { approvedBy: adminId, approvedAt: new Date(), nextAttemptAt: new Date() }
+    });
+    if (!updated) {
+      throw new Error('Withdrawal is not awaiting approval');
+    }
+    
+    this.notify(updated);
+    return updated;
+  }
+  
+  // Reject Withdrawal: return the funds to the wallet
+  async reject(withdrawalId, adminId, reason) {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal || withdrawal.status !== 'awaiting_approval') {
+      throw new Error('Withdrawal is not awaiting approval');
+    }
+    
+    const updated = await this.settle(withdrawal, 'rejected', {
+      reason: reason || 'Rejected by admin',
+      actor: adminId
+    });
+    if (!updated) {
+      throw new Error('Withdrawal is not awaiting approval');
+    }
+    return updated;
+  }
+  
+  notify(withdrawal) {
+    NotificationService.notify(withdrawal.userId, 'withdrawal-updated', {
+      withdrawalId: withdrawal._id,
+      status: withdrawal.status,
+      amount: withdrawal.amount,
+      currency: withdrawal.currency,
+      failureReason: withdrawal.failureReason
+    });
+  }
+}
+
+module.exports = new PayoutService();
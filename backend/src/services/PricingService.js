@@ -0,0 +1,145 @@
+// backend/src/services/PricingService.js
+const FxService = require('./FxService');
+const money = require('../utils/money');
+
+// Services an earner can price separately from chat
+const RATE_SERVICES = ['chat', 'voice', 'video'];
+
+class PricingService {
+  // Earner's hourly rate for a service, in minor units of the earner's own
+  // currency. Services without their own rate use the chat rate.
+  earnerRate(earner, serviceType = 'chat') {
+    const profile = earner.earnerProfile || {};
+    // Rates saved before minor units were in major units; pricing one of
+    // those would charge a hundredth of it
+    if (profile.rateUnit !== 'minor') {
+      throw new Error('Earner rates have not been converted to minor units');
+    }
+    
+    const serviceRate = profile.rates && profile.rates[serviceType];
+    return {
+      amount: money.assertMinor(serviceRate || profile.hourlyRate, 'Hourly rate'),
+      currency: money.normalizeCurrency(profile.currency)
+    };
+  }
+  
+  // Get Rates: the earner's rate card
+  async getRates(earnerId) {
+    const User = require('../models/User');
+    
+    const earner = await User.findById(earnerId).select('earnerProfile');
+    const profile = earner?.earnerProfile || {};
+    return {
+      hourlyRate: profile.hourlyRate ?? null,
+      rates: profile.rates || {},
+      currency: money.normalizeCurrency(profile.currency)
+    };
+  }
+  
+  // Set Rates: replace the earner's rate card. Amounts are per hour in minor
+  // units of the given currency; a service left out uses the chat rate.
+  async setRates(earnerId, card) {
+    const User = require('../models/User');
+    
+    const { hourlyRate, rates, currency } = this.checkRateCard(card);
+    await User.updateOne(
+      { _id: earnerId },
+      {
+        $set: {
+          'earnerProfile.hourlyRate': hourlyRate,
+          'earnerProfile.rates': rates,
+          'earnerProfile.currency': currency,
+          'earnerProfile.rateUnit': 'minor'
+        }
+      }
+    );
+    
+    return { hourlyRate, rates, currency };
+  }
+  
+  // A rate card as the earner sent it; anything wrong with it is a 400
+  checkRateCard({ hourlyRate, rates = {}, currency }) {
+    try {
+      const code = money.normalizeCurrency(currency);
+      const checkRate = (amount, label) => {
+        money.assertMinor(amount, label);
+        if (amount <= 0) {
+          throw new Error(`${label} must be more than zero`);
+        }
+        return amount;
+      };
+      
+      const serviceRates = {};
+      Object.entries(rates).forEach(([service, amount]) => {
+        if (!RATE_SERVICES.includes(service)) {
+          throw new Error(`Unknown service ${service}`);
+        }
+        if (amount !== null && amount !== undefined) {
+          serviceRates[service] = checkRate(amount, `${service} rate`);
+        }
+      });
+      
+      return { hourlyRate: checkRate(hourlyRate, 'Hourly rate'), rates: serviceRates, currency: code };
+    } catch (error) {
+      error.status = 400;
+      throw error;
+    }
+  }
+  
+  // The currency a user pays in: what the client asked for, else their
+  // saved preference
+  async payerCurrency(userId, requested) {
+    if (requested) {
+      return money.normalizeCurrency(requested);
+    }
+    
+    const User = require('../models/User');
+    const user = await User.findById(userId).select('preferences');
+    return money.normalizeCurrency(user?.preferences?.currency);
+  }
+  
+  // Quote Chat Time: the earner's price for some minutes, converted to the
+  // payer's currency and to the ledger currency at rates locked now. The
+  // settlement part is what gets booked; amount/currency is what is charged.
+  async quoteChat(earner, minutes, currency, serviceType = 'chat') {
+    const rate = this.earnerRate(earner, serviceType);
+    const earnerAmount = Math.round(rate.amount * minutes / 60);
+    
+    const price = await FxService.quote(earnerAmount, rate.currency, currency);
+    const settlement = await FxService.quote(earnerAmount, rate.currency, money.LEDGER_CURRENCY);
+    
+    return {
+      minutes,
+      amount: price.amount,
+      currency: price.currency,
+      earnerAmount,
+      earnerCurrency: rate.currency,
+      fx: {
+        rate: price.rate,
+        source: price.source,
+        quotedAt: price.quotedAt
+      },
+      settlement: {
+        amount: settlement.amount,
+        currency: settlement.currency,
+        rate: settlement.rate,
+        source: settlement.source,
+        quotedAt: settlement.quotedAt
+      }
+    };
+  }
+  
+  // Quote a payment made in one currency into the ledger currency
+  async quoteSettlement(amount, currency) {
+    const quote = await FxService.quote(amount, currency, money.LEDGER_CURRENCY);
+    return {
+      amount: quote.amount,
+      currency: quote.currency,
+      rate: quote.rate,
+      source: quote.source,
+      quotedAt: quote.quotedAt
+    };
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,708 @@
+// backend/src/services/RefundService.js
+const mongoose = require('mongoose');
+const LedgerService = require('./LedgerService');
+const PaymentService = require('./PaymentService');
+const NotificationService = require('./NotificationService');
+const EarningService = require('./EarningService');
+const providers = require('./providers');
+const money = require('../utils/money');
+
+// Suffixes WalletService gives the entries of one chat payment
+const CHARGE_SUFFIXES = [':chat_charge', ':earner_credit', ':platform_commission'];
+
+// Idempotency key prefixes each payment intent type settles under, in the
+// order they are refunded
+const CHARGE_PREFIXES = {
+  wallet_topup: ['topup'],
+  chat_extension: ['extension'],
+  booking: ['booking'],
+  // An accepted request refunds its chat charge; before that a provider
+  // payment is a top-up held from the wallet
+  chat_request: ['request', 'topup']
+};
+
+const chargeKeyOf = (idempotencyKey) => {
+  const suffix = CHARGE_SUFFIXES.find(s => idempotencyKey.endsWith(s));
+  return suffix ? idempotencyKey.slice(0, -suffix.length) : idempotencyKey;
+};
+
+// A refund is held first (taken back from the accounts the payment credited
+// into refund clearing), then paid out to its destination, or released back
+// if the provider fails it. Each step is one idempotent journal entry.
+// Refund amounts are in ledger minor units; paymentAmount is the same refund
+// in the currency the payer paid in, converted at the payment's locked rate.
+class RefundService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.REFUND_POLL_MS, 10) || 60000;
+    this.statusCheckDelay = parseInt(process.env.REFUND_STATUS_CHECK_MS, 10) || 10 * 60 * 1000;
+    this.polling = false;
+    this.timer = null;
+  }
+  
+  // What each payment moved and where, read from its journal entries:
+  // { key, amount, source, credits: [{ account, amount }], paymentIntentId, chatId }
+  groupCharges(entries) {
+    const charges = new Map();
+    
+    entries.forEach(entry => {
+      const key = chargeKeyOf(entry.idempotencyKey);
+      const charge = charges.get(key) || { key, amount: 0, credits: [] };
+      const debit = entry.lines.find(line => line.debit > 0);
+      const credit = entry.lines.find(line => line.credit > 0);
+      
+      if (entry.type === 'chat_charge' || entry.type === 'topup') {
+        charge.amount = credit.credit;
+        charge.source = debit.account;
+        charge.paymentIntentId = entry.paymentIntentId;
+        charge.chatId = entry.chatId;
+        charge.createdAt = entry.createdAt;
+      }
+      // Chat charges pass through clearing; top-ups credit the wallet directly
+      if (entry.type !== 'chat_charge') {
+        charge.credits.push({ account: credit.account, amount: credit.credit });
+      }
+      
+      charges.set(key, charge);
+    });
+    
+    return [...charges.values()].filter(charge => charge.source);
+  }
+  
+  // Get Chat Charges, oldest first
+  async getChatCharges(chatId, session) {
+    const LedgerEntry = require('../models/LedgerEntry');
+    
+    const entries = await LedgerEntry.find({
+      chatId,
+      type: { $in: ['chat_charge', 'earner_credit', 'platform_commission'] }
+    }).sort({ createdAt: 1 }).session(session || null);
+    
+    return this.groupCharges(entries);
+  }
+  
+  // Get the charge a payment intent settled, or null if it never settled
+  async getIntentCharge(paymentIntent, session) {
+    const LedgerEntry = require('../models/LedgerEntry');
+    
+    for (const prefix of CHARGE_PREFIXES[paymentIntent.type]) {
+      const key = `${prefix}:${paymentIntent._id}`;
+      const entries = await LedgerEntry.find({
+        idempotencyKey: { $in: [key, ...CHARGE_SUFFIXES.map(suffix => `${key}${suffix}`)] }
+      }).session(session || null);
+      
+      const [charge] = this.groupCharges(entries);
+      if (charge) {
+        // Wallet-paid extensions are journaled without the intent ID
+        charge.paymentIntentId = paymentIntent._id;
+        return charge;
+      }
+    }
+    return null;
+  }
+  
+  // Amount of a charge already refunded or on its way back
+  async refundedFor(chargeKey, session) {
+    const Refund = require('../models/Refund');
+    
+    const refunds = await Refund.find({ chargeKey, status: { $ne: 'failed' } })
+      .select('amount')
+      .session(session || null);
+    return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  }
+  
+  // A ledger amount of a payment in the payment's own currency
+  toPaymentAmount(paymentIntent, amount) {
+    return Math.round(amount * paymentIntent.amount / paymentIntent.settlement.amount);
+  }
+  
+  // A refund reported in the payment's currency, in ledger units
+  toLedgerAmount(paymentIntent, paymentAmount) {
+    return Math.round(paymentAmount * paymentIntent.settlement.amount / paymentIntent.amount);
+  }
+  
+  async payerOf(charge, session) {
+    const { ownerId } = LedgerService.describeAccount(charge.source);
+    if (ownerId) return ownerId;
+    
+    const PaymentIntent = require('../models/PaymentIntent');
+    const paymentIntent = await PaymentIntent.findById(charge.paymentIntentId).session(session || null);
+    return paymentIntent.userId.toString();
+  }
+  
+  // Journal lines taking a refund back from the credited accounts, pro rata.
+  // What an account can no longer cover is written off by the platform,
+  // except for strictAccount, which must cover its share in full. Escrowed
+  // earner shares are clawed back through EarningService.
+  async holdLines(charge, amount, strictAccount, session) {
+    const LedgerAccount = require('../models/LedgerAccount');
+    
+    const lines = [];
+    const shares = money.allocate(amount, charge.credits.map(credit => credit.amount));
+    let writtenOff = 0;
+    
+    for (const [index, credit] of charge.credits.entries()) {
+      const share = shares[index];
+      const { kind, ownerId } = LedgerService.describeAccount(credit.account);
+      
+      if (kind === 'pending_earnings') {
+        const clawback = await EarningService.clawback(charge.key, ownerId, share, session);
+        lines.push(...clawback.lines);
+        writtenOff += share - clawback.taken;
+        continue;
+      }
+      
+      let taken = share;
+      if (credit.account !== strictAccount) {
+        const account = await LedgerAccount.findOne({ key: credit.account }).session(session);
+        taken = Math.min(share, Math.max(0, account ? account.balance : 0));
+        writtenOff += share - taken;
+      }
+      
+      if (taken > 0) {
+        lines.push({ account: credit.account, debit: taken });
+      }
+    }
+    
+    if (writtenOff > 0) {
+      lines.push({ account: LedgerService.accounts.writeOffs(), debit: writtenOff });
+    }
+    lines.push({ account: LedgerService.accounts.refundClearing(), credit: amount });
+    
+    return { lines, writtenOff };
+  }
+  
+  // Create Refund: record it and hold the money in one transaction. External
+  // refunds already left through the provider, so nothing can be refused.
+  async createRefund(charge, amount, options, session) {
+    const Refund = require('../models/Refund');
+    const PaymentIntent = require('../models/PaymentIntent');
+    const { reason, note, requestedBy, destination = 'original', idempotencyKey, usage, providerRefundId, external = false } = options;
+    
+    return LedgerService.transaction(async (txSession) => {
+      const existing = await Refund.findOne({ idempotencyKey }).session(txSession);
+      if (existing) return existing;
+      
+      money.assertMinor(amount);
+      const refunded = await this.refundedFor(charge.key, txSession);
+      const refundable = charge.amount - refunded;
+      if (!(amount > 0) || amount > refundable) {
+        throw new Error(`Refund must be between 0 and ${refundable}`);
+      }
+      
+      // The refund that empties a payment returns exactly what is left of
+      // it, so conversion rounding never leaves a remainder behind
+      let payment = { paymentAmount: amount, paymentCurrency: money.LEDGER_CURRENCY };
+      if (charge.paymentIntentId) {
+        const paymentIntent = await PaymentIntent.findById(charge.paymentIntentId).session(txSession);
+        const earlier = await Refund.find({ chargeKey: charge.key, status: { $ne: 'failed' } })
+          .select('paymentAmount')
+          .session(txSession);
+        const paidBack = earlier.reduce((sum, refund) => sum + refund.paymentAmount, 0);
+        
+        payment = {
+          paymentAmount: amount === refundable
+            ? paymentIntent.amount - paidBack
+            : Math.min(this.toPaymentAmount(paymentIntent, amount), paymentIntent.amount - paidBack),
+          paymentCurrency: paymentIntent.currency
+        };
+      }
+      
+      const payerId = await this.payerOf(charge, txSession);
+      const payerWallet = LedgerService.accounts.wallet(payerId);
+      const method = charge.source.startsWith('external:') ? charge.source.split(':')[1] : 'wallet';
+      const isTopUp = charge.credits.some(credit => credit.account === payerWallet);
+      
+      if (isTopUp && destination === 'wallet') {
+        throw new Error('Top-ups can only be refunded to their original method');
+      }
+      
+      const [refund] = await Refund.create([{
+        chargeKey: charge.key,
+        paymentIntentId: charge.paymentIntentId,
+        chatId: charge.chatId,
+        userId: payerId,
+        amount,
+        currency: money.LEDGER_CURRENCY,
+        ...payment,
+        reason,
+        note,
+        requestedBy,
+        destination,
+        method,
+        providerRefundId,
+        usage,
+        idempotencyKey,
+        statusHistory: [{ status: 'pending', note: reason }]
+      }], { session: txSession });
+      
+      // A top-up refund we issue must not take more than the wallet holds
+      const { lines, writtenOff } = await this.holdLines(
+        charge,
+        amount,
+        isTopUp && !external ? payerWallet : null,
+        txSession
+      );
+      
+      await LedgerService.post({
+        type: 'refund',
+        lines,
+        idempotencyKey: `refund:${refund._id}:hold`,
+        refundId: refund._id,
+        chatId: charge.chatId,
+        paymentIntentId: charge.paymentIntentId,
+        description: `Refund held (${reason})`
+      }, { session: txSession });
+      
+      if (writtenOff > 0) {
+        refund.writtenOff = writtenOff;
+        await refund.save({ session: txSession });
+      }
+      
+      return refund;
+    }, session);
+  }
+  
+  // Refund a top-up, chat extension, booking or chat request payment, in full by default. The
+  // amount is in minor units of the currency the payer paid in.
+  async refundPaymentIntent(paymentIntentId, { amount, reason, note, requestedBy, destination, idempotencyKey } = {}) {
+    try {
+      const PaymentIntent = require('../models/PaymentIntent');
+      
+      const paymentIntent = await PaymentIntent.findById(paymentIntentId);
+      if (!paymentIntent || !['completed', 'partially_refunded'].includes(paymentIntent.status)) {
+        throw new Error('Only completed payments can be refunded');
+      }
+      
+      const charge = await this.getIntentCharge(paymentIntent);
+      if (!charge) {
+        throw new Error('Payment has not been settled');
+      }
+      
+      const refundable = charge.amount - await this.refundedFor(charge.key);
+      const ledgerAmount = amount === undefined
+        ? refundable
+        : Math.min(this.toLedgerAmount(paymentIntent, money.assertMinor(amount)), refundable);
+      
+      const refund = await this.createRefund(charge, ledgerAmount, {
+        reason,
+        note,
+        requestedBy,
+        destination,
+        idempotencyKey: idempotencyKey || `refund_request:${new mongoose.Types.ObjectId()}`
+      });
+      
+      return this.execute(refund);
+    } catch (error) {
+      throw new Error(`Refund failed: ${error.message}`);
+    }
+  }
+  
+  // Refund the unused part of a paid chat, newest payments first, since the
+  // unused minutes are the ones bought last
+  async refundChatRemainder(chatId, { unusedMinutes, reason = 'chat_ended_early', requestedBy, destination } = {}) {
+    try {
+      const Chat = require('../models/Chat');
+      
+      const chat = await Chat.findById(chatId);
+      const paidMinutes = chat.paymentDetails.totalDuration;
+      const charges = await this.getChatCharges(chatId);
+      const paidAmount = charges.reduce((sum, charge) => sum + charge.amount, 0);
+      
+      if (!(unusedMinutes > 0) || !paidMinutes || !paidAmount) return [];
+      
+      const usage = { paidMinutes, unusedMinutes, paidAmount };
+      let remaining = Math.round(paidAmount * Math.min(unusedMinutes, paidMinutes) / paidMinutes);
+      const refunds = [];
+      
+      for (const charge of charges.reverse()) {
+        if (remaining <= 0) break;
+        
+        const available = charge.amount - await this.refundedFor(charge.key);
+        const amount = Math.min(remaining, available);
+        if (amount <= 0) continue;
+        
+        const refund = await this.createRefund(charge, amount, {
+          reason,
+          requestedBy,
+          destination,
+          usage,
+          idempotencyKey: `chat_remainder:${chatId}:${charge.key}`
+        });
+        refunds.push(await this.execute(refund));
+        remaining -= amount;
+      }
+      
+      return refunds;
+    } catch (error) {
+      throw new Error(`Chat refund failed: ${error.message}`);
+    }
+  }
+  
+  // An extension that settled after its chat had ended bought nothing, so
+  // it is refunded in full and its minutes taken back off the chat
+  async refundUnappliedExtension(paymentIntent) {
+    const Chat = require('../models/Chat');
+    
+    const refund = await this.refundPaymentIntent(paymentIntent._id, {
+      reason: 'chat_ended_early',
+      note: 'Chat ended before the extension was applied',
+      idempotencyKey: `extension_unapplied:${paymentIntent._id}`
+    });
+    
+    // Marked on the chat so a retry takes the minutes off only once
+    await Chat.updateOne(
+      { _id: paymentIntent.chatId, 'paymentDetails.unappliedExtensions': { $ne: paymentIntent._id } },
+      {
+        $inc: { 'paymentDetails.totalDuration': -paymentIntent.minutes },
+        $addToSet: { 'paymentDetails.unappliedExtensions': paymentIntent._id }
+      }
+    );
+    return refund;
+  }
+  
+  // Move a refund to a new status if the state machine allows it
+  async transition(refundId, to, { note, source, set = {} } = {}, session) {
+    const Refund = require('../models/Refund');
+    
+    return Refund.findOneAndUpdate(
+      { _id: refundId, status: { $in: Refund.sourcesFor(to) } },
+      {
+        $set: { status: to, ...set },
+        $push: { statusHistory: { status: to, note, source } }
+      },
+      { new: true, session }
+    );
+  }
+  
+  // Send a held refund on its way. Only an explicit refusal fails it: a
+  // refund whose call timed out or hit a 5xx may still be paid, and a failed
+  // refund can no longer complete, so it waits in processing until the
+  // webhook or a status check says what happened.
+  async execute(refund) {
+    const Refund = require('../models/Refund');
+    
+    if (refund.status !== 'pending') return refund;
+    
+    if (refund.destination === 'wallet' || refund.method === 'wallet') {
+      return this.complete(refund._id, { source: 'wallet' });
+    }
+    
+    try {
+      const result = await this.sendRefund(refund);
+      return this.applyResult(refund, result);
+    } catch (error) {
+      if (error.refused) {
+        return this.fail(refund._id, error.message, { source: refund.method });
+      }
+      
+      console.error(`Refund ${refund._id} outcome unknown:`, error.message);
+      const processing = await this.transition(refund._id, 'processing', {
+        note: `Outcome unknown: ${error.message}`,
+        source: refund.method,
+        set: { checkAfter: new Date(Date.now() + this.statusCheckDelay) }
+      });
+      return processing || Refund.findById(refund._id);
+    }
+  }
+  
+  // Our refund ID is the provider reference, so the provider can find it
+  // again and a resend does not refund twice
+  async sendRefund(refund, paymentIntent) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    paymentIntent = paymentIntent || await PaymentIntent.findById(refund.paymentIntentId);
+    return providers.getProvider(refund.method).refund(
+      paymentIntent.providerPaymentId,
+      refund.paymentAmount,
+      { reason: refund.reason, currency: refund.paymentCurrency, reference: refund._id.toString() }
+    );
+  }
+  
+  // Settle a refund by what the provider reports for it
+  async applyResult(refund, result) {
+    const Refund = require('../models/Refund');
+    
+    if (result.status === 'completed') {
+      return this.complete(refund._id, { providerRefundId: result.refundId, source: refund.method });
+    }
+    if (result.status === 'failed') {
+      return this.fail(refund._id, 'Refused by provider', { source: refund.method });
+    }
+    
+    // Settled later by the provider's refund webhook, or the status check
+    const set = {
+      providerRefundId: result.refundId,
+      checkAfter: new Date(Date.now() + this.statusCheckDelay)
+    };
+    const processing = refund.status === 'processing'
+      ? await Refund.findOneAndUpdate({ _id: refund._id, status: 'processing' }, { $set: set }, { new: true })
+      : await this.transition(refund._id, 'processing', { source: refund.method, set });
+    return processing || Refund.findById(refund._id);
+  }
+  
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  // Claim the next processing refund due a check; pushing checkAfter out
+  // doubles as the lease
+  async claimNext() {
+    const Refund = require('../models/Refund');
+    const now = new Date();
+    
+    return Refund.findOneAndUpdate(
+      { status: 'processing', checkAfter: { $lte: now } },
+      { $set: { checkAfter: new Date(now.getTime() + this.statusCheckDelay) } },
+      { sort: { checkAfter: 1 }, new: true }
+    );
+  }
+  
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    
+    try {
+      let refund;
+      while ((refund = await this.claimNext())) {
+        await this.reconcile(refund);
+      }
+    } catch (error) {
+      console.error('Refund status poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+  
+  // Ask the provider about a processing refund by its reference. One the
+  // provider never received is sent again.
+  async reconcile(refund) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    try {
+      const paymentIntent = await PaymentIntent.findById(refund.paymentIntentId);
+      const found = await providers.getProvider(refund.method)
+        .findRefund(paymentIntent.providerPaymentId, refund._id.toString());
+      const result = found || await this.sendRefund(refund, paymentIntent);
+      return await this.applyResult(refund, result);
+    } catch (error) {
+      if (error.refused) {
+        return this.fail(refund._id, error.message, { source: refund.method });
+      }
+      console.error(`Refund ${refund._id} status check failed:`, error.message);
+      return refund;
+    }
+  }
+  
+  // Complete Refund: pay the held money out to its destination
+  async complete(refundId, { providerRefundId, source, eventId } = {}) {
+    const Refund = require('../models/Refund');
+    const { accounts } = LedgerService;
+    
+    const completed = await LedgerService.transaction(async (session) => {
+      const set = { completedAt: new Date() };
+      if (providerRefundId) {
+        set.providerRefundId = providerRefundId;
+      }
+      
+      const refund = await this.transition(refundId, 'completed', { source, set }, session);
+      if (!refund) return null;
+      
+      const toWallet = refund.destination === 'wallet' || refund.method === 'wallet';
+      await LedgerService.post({
+        type: 'refund',
+        lines: LedgerService.transfer(
+          accounts.refundClearing(),
+          toWallet ? accounts.wallet(refund.userId) : accounts.external(refund.method),
+          refund.amount
+        ),
+        idempotencyKey: `refund:${refund._id}:payout`,
+        refundId: refund._id,
+        chatId: refund.chatId,
+        paymentIntentId: refund.paymentIntentId,
+        description: toWallet ? 'Refund to wallet' : `Refund via ${refund.method}`
+      }, { session });
+      
+      if (refund.paymentIntentId) {
+        await this.updateIntent(refund.paymentIntentId, { source, eventId }, session);
+      }
+      
+      return refund;
+    });
+    
+    if (completed) {
+      this.notify(completed);
+    }
+    return completed || Refund.findById(refundId);
+  }
+  
+  // Fail Refund: release the held money back to where it was taken from
+  async fail(refundId, reason, { source } = {}) {
+    const Refund = require('../models/Refund');
+    const LedgerEntry = require('../models/LedgerEntry');
+    
+    const failed = await LedgerService.transaction(async (session) => {
+      const refund = await this.transition(refundId, 'failed', {
+        note: reason,
+        source,
+        set: { failureReason: reason }
+      }, session);
+      if (!refund) return null;
+      
+      const hold = await LedgerEntry.findOne({ idempotencyKey: `refund:${refund._id}:hold` }).session(session);
+      const lines = [];
+      for (const line of hold.lines) {
+        const { kind, ownerId } = LedgerService.describeAccount(line.account);
+        const account = kind === 'pending_earnings'
+          ? await EarningService.restore(refund.chargeKey, ownerId, line.debit, session)
+          : line.account;
+        lines.push({ account, debit: line.credit, credit: line.debit });
+      }
+      
+      await LedgerService.post({
+        type: 'refund',
+        lines,
+        idempotencyKey: `refund:${refund._id}:release`,
+        refundId: refund._id,
+        chatId: refund.chatId,
+        paymentIntentId: refund.paymentIntentId,
+        description: 'Refund failed; held funds released'
+      }, { session });
+      
+      return refund;
+    });
+    
+    if (failed) {
+      this.notify(failed);
+    }
+    return failed || Refund.findById(refundId);
+  }
+  
+  // Keep the intent's refunded total and status in step with its refunds
+  async updateIntent(paymentIntentId, { source, eventId }, session) {
+    const Refund = require('../models/Refund');
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const paymentIntent = await PaymentIntent.findById(paymentIntentId).session(session);
+    const refunds = await Refund.find({ paymentIntentId, status: 'completed' }).select('paymentAmount').session(session);
+    const refundedAmount = refunds.reduce((sum, refund) => sum + refund.paymentAmount, 0);
+    
+    await PaymentService.transitionIntent(
+      paymentIntentId,
+      refundedAmount >= paymentIntent.amount ? 'refunded' : 'partially_refunded',
+      { source, eventId, set: { refundedAmount } },
+      session
+    );
+  }
+  
+  // Match a provider refund to ours by the reference we sent, or its ID
+  async findProviderRefund(provider, { refundId, reference }) {
+    const Refund = require('../models/Refund');
+    
+    const conditions = [];
+    if (reference && mongoose.isValidObjectId(reference)) {
+      conditions.push({ _id: reference });
+    }
+    if (refundId) {
+      conditions.push({ method: provider, providerRefundId: refundId });
+    }
+    
+    return conditions.length ? Refund.findOne({ $or: conditions }) : null;
+  }
+  
+  // Webhook: a provider reports a refund as processed. The amount is in
+  // the payment's currency.
+  async applyProviderRefund(provider, paymentIntent, { refundId, reference, amount, eventId }) {
+    const Refund = require('../models/Refund');
+    
+    let refund = await this.findProviderRefund(provider, { refundId, reference });
+    
+    // Issued outside the app, e.g. from the provider's dashboard
+    if (!refund) {
+      const charge = await this.getIntentCharge(paymentIntent);
+      if (!charge) {
+        throw new Error(`Payment ${paymentIntent._id} has not been settled yet`);
+      }
+      
+      const idempotencyKey = `${provider}_refund:${refundId}`;
+      const refundable = charge.amount - await this.refundedFor(charge.key);
+      const existing = await Refund.findOne({ idempotencyKey });
+      if (!existing && refundable <= 0) {
+        return { applied: false, paymentIntentId: paymentIntent._id, reason: 'Nothing left to refund' };
+      }
+      
+      const ledgerAmount = amount === undefined ? refundable : this.toLedgerAmount(paymentIntent, amount);
+      refund = existing || await this.createRefund(charge, Math.min(ledgerAmount, refundable), {
+        reason: 'provider_initiated',
+        providerRefundId: refundId,
+        idempotencyKey,
+        external: true
+      });
+    }
+    
+    const completed = await this.complete(refund._id, { providerRefundId: refundId, source: provider, eventId });
+    return {
+      applied: completed.status === 'completed',
+      paymentIntentId: paymentIntent._id,
+      reason: completed.status === 'completed' ? undefined : `Refund is ${completed.status}`
+    };
+  }
+  
+  // Webhook: a provider could not process a refund
+  async applyProviderRefundFailure(provider, { refundId, reference }) {
+    const refund = await this.findProviderRefund(provider, { refundId, reference });
+    if (!refund) {
+      return { applied: false, reason: 'Unknown refund' };
+    }
+    
+    const failed = await this.fail(refund._id, 'Failed at provider', { source: provider });
+    return {
+      applied: failed.status === 'failed',
+      paymentIntentId: refund.paymentIntentId
+    };
+  }
+  
+  // Chargeback: a lost dispute already returned the rest of the payment
+  async recordChargeback(provider, paymentIntent, eventId) {
+    const Refund = require('../models/Refund');
+    
+    const charge = await this.getIntentCharge(paymentIntent);
+    if (!charge) {
+      return { applied: false, paymentIntentId: paymentIntent._id, reason: 'Payment was never settled' };
+    }
+    
+    const idempotencyKey = `dispute:${paymentIntent._id}`;
+    const refundable = charge.amount - await this.refundedFor(charge.key);
+    const existing = await Refund.findOne({ idempotencyKey });
+    if (!existing && refundable <= 0) {
+      return { applied: false, paymentIntentId: paymentIntent._id, reason: 'Nothing left to refund' };
+    }
+    
+    const refund = existing || await this.createRefund(charge, refundable, {
+      reason: 'dispute',
+      idempotencyKey,
+      external: true
+    });
+    const completed = await this.complete(refund._id, { source: provider, eventId });
+    
+    return { applied: completed.status === 'completed', paymentIntentId: paymentIntent._id };
+  }
+  
+  notify(refund) {
+    NotificationService.notify(refund.userId, 'refund-updated', {
+      refundId: refund._id,
+      chatId: refund.chatId,
+      status: refund.status,
+      amount: refund.paymentAmount,
+      currency: refund.paymentCurrency,
+      reason: refund.reason
+    });
+  }
+}
+
+module.exports = new RefundService();
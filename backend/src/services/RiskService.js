@@ -0,0 +1,365 @@
+// backend/src/services/RiskService.js
+const mongoose = require('mongoose');
+const NotificationService = require('./NotificationService');
+const { LEDGER_CURRENCY } = require('../utils/money');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Attempts per user before velocity starts to count against them
+const VELOCITY_LIMITS = {
+  topup: { perHour: 5, perDay: 15 },
+  chat_purchase: { perHour: 20, perDay: 60 },
+  withdrawal: { perHour: 2, perDay: 4 }
+};
+
+// How far back the refund and linked-account rules look
+const LOOKBACK_MS = 90 * DAY;
+
+// Rules-based scoring for money movements. Each rule returns the signals it
+// found; their scores add up, and the total decides whether the movement is
+// allowed, held for an admin to review or blocked.
+class RiskService {
+  constructor() {
+    this.reviewScore = parseInt(process.env.RISK_REVIEW_SCORE, 10) || 50;
+    this.blockScore = parseInt(process.env.RISK_BLOCK_SCORE, 10) || 80;
+    this.rules = ['velocity', 'newDevice', 'refundRatio', 'circularFlow'];
+    // Proxies of ours in front of the app, as Express's trust proxy
+    this.proxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0;
+  }
+  
+  // Client details for the device and IP rules. Apps send a stable
+  // X-Device-Id header (deviceId in the socket handshake). Only the last
+  // proxyHops X-Forwarded-For entries were added by our own proxies; the
+  // client can write anything before them, so the address is taken from
+  // the right, the way Express works out req.ip.
+  clientIp(headers, address) {
+    const forwarded = (headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+    const chain = [...forwarded, address];
+    return chain[Math.max(0, chain.length - 1 - this.proxyHops)];
+  }
+  
+  contextFromRequest(req) {
+    return {
+      ip: req.ip,
+      deviceId: req.get('X-Device-Id')
+    };
+  }
+  
+  contextFromSocket(socket) {
+    const { headers, address, auth = {} } = socket.handshake;
+    return { ip: this.clientIp(headers, address), deviceId: auth.deviceId };
+  }
+  
+  decide(score) {
+    if (score >= this.blockScore) return 'block';
+    if (score >= this.reviewScore) return 'review';
+    return 'allow';
+  }
+  
+  // Bursts of attempts, and amounts far above what this user normally moves
+  async velocity({ kind, userId, amount }) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    
+    const now = Date.now();
+    const [history] = await RiskAssessment.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), kind, createdAt: { $gte: new Date(now - 30 * DAY) } } },
+      {
+        $group: {
+          _id: null,
+          lastHour: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - HOUR)] }, 1, 0] } },
+          lastDay: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - DAY)] }, 1, 0] } },
+          averageAmount: { $avg: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    if (!history) return [];
+    
+    const limits = VELOCITY_LIMITS[kind];
+    const signals = [];
+    if (history.lastHour >= limits.perHour) {
+      signals.push({ rule: 'velocity', score: 30, detail: `${history.lastHour} attempts in the last hour` });
+    } else if (history.lastDay >= limits.perDay) {
+      signals.push({ rule: 'velocity', score: 20, detail: `${history.lastDay} attempts in the last day` });
+    }
+    if (history.count >= 3 && amount > history.averageAmount * 5) {
+      signals.push({ rule: 'velocity', score: 20, detail: 'Amount is over 5x the 30-day average' });
+    }
+    return signals;
+  }
+  
+  // A device or IP this user has not moved money from before, and devices
+  // shared by several accounts
+  async newDevice({ userId, ip, deviceId }) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    
+    const signals = [];
+    const [seenDevice, seenIp, sharedWith] = await Promise.all([
+      deviceId ? RiskAssessment.exists({ userId, deviceId }) : true,
+      ip ? RiskAssessment.exists({ userId, ip }) : true,
+      deviceId ? RiskAssessment.distinct('userId', { deviceId, userId: { $ne: userId } }) : []
+    ]);
+    
+    // A first ever movement is not suspicious on its own
+    const hasHistory = await RiskAssessment.exists({ userId });
+    if (hasHistory && !seenDevice) {
+      signals.push({ rule: 'new_device', score: 15, detail: 'First movement from this device' });
+    }
+    if (hasHistory && !seenIp) {
+      signals.push({ rule: 'new_device', score: 10, detail: 'First movement from this IP' });
+    }
+    if (sharedWith.length >= 2) {
+      signals.push({ rule: 'new_device', score: 25, detail: `Device used by ${sharedWith.length} other accounts` });
+    }
+    return signals;
+  }
+  
+  // Payers who refund much of what they buy, and earners whose sales are
+  // mostly refunded
+  async refundRatio({ kind, userId }) {
+    const Refund = require('../models/Refund');
+    const Earning = require('../models/Earning');
+    
+    const since = new Date(Date.now() - LOOKBACK_MS);
+    const id = new mongoose.Types.ObjectId(userId);
+    const asEarner = kind === 'withdrawal';
+    
+    const [sales] = await Earning.aggregate([
+      { $match: { [asEarner ? 'earnerId' : 'payerId']: id, createdAt: { $gte: since } } },
+      { $group: { _id: null, gross: { $sum: '$grossAmount' }, chargeKeys: { $push: '$chargeKey' } } }
+    ]);
+    if (!sales || !sales.gross) return [];
+    
+    const [refunds] = await Refund.aggregate([
+      {
+        $match: asEarner
+          ? { status: 'completed', chargeKey: { $in: sales.chargeKeys } }
+          : { status: 'completed', userId: id, createdAt: { $gte: since } }
+      },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+    if (!refunds || refunds.count < 3) return [];
+    
+    const ratio = refunds.amount / sales.gross;
+    const detail = `${Math.round(ratio * 100)}% of ${asEarner ? 'sales' : 'purchases'} refunded in 90 days`;
+    if (ratio >= 0.5) return [{ rule: 'refund_ratio', score: 40, detail }];
+    if (ratio >= 0.25) return [{ rule: 'refund_ratio', score: 25, detail }];
+    return [];
+  }
+  
+  // Accounts that share a device with this user
+  async linkedAccounts(userId) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    
+    const since = new Date(Date.now() - LOOKBACK_MS);
+    const devices = await RiskAssessment.distinct('deviceId', {
+      userId,
+      deviceId: { $ne: null },
+      createdAt: { $gte: since }
+    });
+    if (!devices.length) return [];
+    
+    const linked = await RiskAssessment.distinct('userId', {
+      deviceId: { $in: devices },
+      userId: { $ne: userId },
+      createdAt: { $gte: since }
+    });
+    return linked.map(id => id.toString());
+  }
+  
+  // Money going round in a loop: a payer buying from an account on their own
+  // device or one that pays them back, or an earner cashing out sales made to
+  // their own linked accounts
+  async circularFlow({ kind, userId, counterpartyId }) {
+    const Earning = require('../models/Earning');
+    
+    if (kind === 'topup') return [];
+    
+    const linked = await this.linkedAccounts(userId);
+    const signals = [];
+    
+    if (kind === 'chat_purchase' && counterpartyId) {
+      if (linked.includes(counterpartyId.toString())) {
+        signals.push({ rule: 'circular_flow', score: 50, detail: 'Payer and earner share a device' });
+      }
+      const reverse = await Earning.exists({
+        earnerId: userId,
+        payerId: counterpartyId,
+        createdAt: { $gte: new Date(Date.now() - LOOKBACK_MS) }
+      });
+      if (reverse) {
+        signals.push({ rule: 'circular_flow', score: 30, detail: 'Earner has paid this payer before' });
+      }
+    }
+    
+    if (kind === 'withdrawal' && linked.length) {
+      const since = new Date(Date.now() - 30 * DAY);
+      const [sales] = await Earning.aggregate([
+        { $match: { earnerId: new mongoose.Types.ObjectId(userId), createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: '$amount' },
+            fromLinked: {
+              $sum: {
+                $cond: [
+                  { $in: ['$payerId', linked.map(id => new mongoose.Types.ObjectId(id))] },
+                  '$amount',
+                  0
+                ]
+              }
+            }
+          }
+        }
+      ]);
+      
+      const share = sales && sales.total ? sales.fromLinked / sales.total : 0;
+      if (share >= 0.5) {
+        signals.push({ rule: 'circular_flow', score: 60, detail: `${Math.round(share * 100)}% of earnings from linked accounts` });
+      } else if (share > 0) {
+        signals.push({ rule: 'circular_flow', score: 25, detail: 'Some earnings come from linked accounts' });
+      }
+    }
+    
+    return signals;
+  }
+  
+  // Score a movement and record the result. A rule that errors is logged and
+  // skipped, so a scoring fault never blocks payments on its own.
+  // context: { kind, userId, amount, counterpartyId, ip, deviceId }
+  async assess(context) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    
+    const results = await Promise.all(this.rules.map(rule =>
+      this[rule](context).catch(error => {
+        console.error(`Risk rule ${rule} failed:`, error.message);
+        return [];
+      })
+    ));
+    
+    const signals = results.flat();
+    const score = signals.reduce((total, signal) => total + signal.score, 0);
+    const decision = this.decide(score);
+    
+    return RiskAssessment.create({
+      kind: context.kind,
+      userId: context.userId,
+      counterpartyId: context.counterpartyId,
+      amount: context.amount,
+      currency: LEDGER_CURRENCY,
+      ip: context.ip,
+      deviceId: context.deviceId,
+      score,
+      decision,
+      signals,
+      review: decision === 'review' ? { status: 'pending' } : undefined
+    });
+  }
+  
+  // Point an assessment at the payment or withdrawal it was made for
+  async link(assessmentId, subject) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    await RiskAssessment.updateOne({ _id: assessmentId }, { $set: subject });
+  }
+  
+  // Assessments waiting for an admin, oldest first
+  async listReviews({ status = 'pending', limit = 50 } = {}) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    
+    // Attempts that failed before creating anything have nothing to review
+    return RiskAssessment.find({
+      'review.status': status,
+      $or: [{ paymentIntentId: { $ne: null } }, { withdrawalId: { $ne: null } }]
+    })
+      .populate('userId', 'username email createdAt')
+      .populate('counterpartyId', 'username')
+      .sort({ createdAt: 1 })
+      .limit(Math.min(limit, 200));
+  }
+  
+  // Top-ups under review have no provider order yet; chat purchases went
+  // through with the earner's share frozen, so rejecting one refunds it
+  async resolvePayment(assessment, adminId, approve, note, PaymentService) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    // Required here because RefundService depends on PaymentService
+    const RefundService = require('./RefundService');
+    const EarningService = require('./EarningService');
+    
+    const paymentIntent = await PaymentIntent.findById(assessment.paymentIntentId);
+    if (!paymentIntent) {
+      throw new Error('Payment not found');
+    }
+    
+    if (paymentIntent.type === 'wallet_topup') {
+      if (approve) {
+        await PaymentService.releaseReviewedPayment(paymentIntent._id);
+      } else {
+        await PaymentService.transitionIntent(paymentIntent._id, 'failed', { source: 'risk_review' });
+        NotificationService.notify(paymentIntent.userId, 'payment-rejected', { paymentIntentId: paymentIntent._id });
+      }
+      return;
+    }
+    
+    if (approve) {
+      await EarningService.clearDispute(paymentIntent._id);
+    } else if (['completed', 'partially_refunded'].includes(paymentIntent.status)) {
+      await RefundService.refundPaymentIntent(paymentIntent._id, {
+        reason: 'fraud',
+        note,
+        requestedBy: adminId,
+        idempotencyKey: `risk_review:${assessment._id}`
+      });
+    } else {
+      await PaymentService.transitionIntent(paymentIntent._id, 'failed', { source: 'risk_review' });
+    }
+  }
+  
+  // Approve or reject a held movement. The review is claimed first, so two
+  // admins cannot both act on it.
+  async resolveReview(assessmentId, adminId, approve, note) {
+    const RiskAssessment = require('../models/RiskAssessment');
+    // Required here because both services depend on this one
+    const PaymentService = require('./PaymentService');
+    const PayoutService = require('./PayoutService');
+    
+    const assessment = await RiskAssessment.findOneAndUpdate(
+      { _id: assessmentId, 'review.status': 'pending' },
+      {
+        $set: {
+          'review.status': approve ? 'approved' : 'rejected',
+          'review.reviewedBy': adminId,
+          'review.reviewedAt': new Date(),
+          'review.note': note
+        }
+      },
+      { new: true }
+    );
+    if (!assessment) {
+      throw new Error('Assessment is not awaiting review');
+    }
+    
+    try {
+      if (assessment.withdrawalId) {
+        if (approve) {
+          await PayoutService.approve(assessment.withdrawalId, adminId);
+        } else {
+          await PayoutService.reject(assessment.withdrawalId, adminId, note || 'Rejected after risk review');
+        }
+      } else if (assessment.paymentIntentId) {
+        await this.resolvePayment(assessment, adminId, approve, note, PaymentService);
+      }
+    } catch (error) {
+      // Hand the review back so it can be retried
+      await RiskAssessment.updateOne({ _id: assessment._id }, { $set: { 'review.status': 'pending' } });
+      throw new Error(`Review failed: ${error.message}`);
+    }
+    
+    return assessment;
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,368 @@
+// backend/src/services/SfuService.js
+const EventEmitter = require('events');
+const cluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+const mediasoup = require('mediasoup');
+
+const envNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const MEDIA_CODECS = [
+  {
+    kind: 'audio',
+    mimeType: 'audio/opus',
+    clockRate: 48000,
+    channels: 2
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/VP8',
+    clockRate: 90000,
+    parameters: { 'x-google-start-bitrate': 1000 }
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    parameters: {
+      'packetization-mode': 1,
+      'profile-level-id': '42e01f',
+      'level-asymmetry-allowed': 1
+    }
+  }
+];
+
+// Selective forwarding for group rooms, on mediasoup running inside each
+// API worker. Every participant sends their tracks once and receives the
+// others' from the SFU, instead of a connection per pair.
+//
+// A room's media lives in the worker that opened it; the room's owner is
+// kept in Redis and other workers forward requests to it over pub/sub, so
+// a participant's socket can land on any worker. Emits 'active-speaker'
+// and 'producer-closed' with the room's ID.
+//
+// To run locally set SFU_ANNOUNCED_IP=127.0.0.1; in production it is the
+// public address, with SFU_RTC_MIN_PORT..SFU_RTC_MAX_PORT open for UDP/TCP.
+class SfuService extends EventEmitter {
+  constructor() {
+    super();
+    this.nodeId = `${os.hostname()}:${process.pid}`;
+    this.requestTimeoutMs = envNumber(process.env.SFU_REQUEST_TIMEOUT_MS, 10000);
+    // Owners outlive any real room, so a dead worker's rooms go away
+    this.ownerTtlMs = envNumber(process.env.GROUP_ROOM_MAX_HOURS, 4) * 2 * 60 * 60 * 1000;
+    this.worker = null;
+    this.rooms = new Map();
+    this.pending = new Map();
+    this.redis = null;
+    this.subscriber = null;
+  }
+  
+  ownerKey(roomId) {
+    return `sfu-room:${roomId}`;
+  }
+  
+  channel(nodeId) {
+    return `sfu:${nodeId}`;
+  }
+  
+  async start(redisClient) {
+    this.redis = redisClient;
+    this.worker = await this.createWorker();
+    
+    this.subscriber = redisClient.duplicate();
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(this.channel(this.nodeId), (raw) => {
+      this.handleMessage(JSON.parse(raw)).catch(error => {
+        console.error('SFU message error:', error);
+      });
+    });
+  }
+  
+  async stop() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+    }
+    if (this.worker) {
+      this.worker.close();
+    }
+  }
+  
+  // API workers share the host, so each takes its own slice of the RTC ports
+  async createWorker() {
+    const minPort = envNumber(process.env.SFU_RTC_MIN_PORT, 40000);
+    const maxPort = envNumber(process.env.SFU_RTC_MAX_PORT, 49999);
+    const slices = Math.max(1, os.cpus().length);
+    const index = cluster.worker ? (cluster.worker.id - 1) % slices : 0;
+    const size = Math.floor((maxPort - minPort + 1) / slices);
+    
+    const worker = await mediasoup.createWorker({
+      logLevel: process.env.SFU_LOG_LEVEL || 'warn',
+      rtcMinPort: minPort + index * size,
+      rtcMaxPort: minPort + (index + 1) * size - 1
+    });
+    
+    // Media for this worker's rooms is gone; let the process restart
+    worker.on('died', () => {
+      console.error(`mediasoup worker ${worker.pid} died`);
+      process.exit(1);
+    });
+    return worker;
+  }
+  
+  // Run a media operation on the worker that owns the room
+  async request(roomId, method, ...args) {
+    const owner = await this.redis.get(this.ownerKey(roomId));
+    if (!owner) {
+      throw new Error('Room media is not running');
+    }
+    if (owner === this.nodeId) {
+      return this.local(method, roomId, args);
+    }
+    
+    const id = crypto.randomUUID();
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('Media server did not respond'));
+      }, this.requestTimeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+    });
+    
+    await this.redis.publish(this.channel(owner), JSON.stringify({
+      type: 'request',
+      id,
+      replyTo: this.nodeId,
+      method,
+      roomId,
+      args
+    }));
+    return reply;
+  }
+  
+  async handleMessage(message) {
+    if (message.type === 'reply') {
+      const waiting = this.pending.get(message.id);
+      if (!waiting) return;
+      
+      this.pending.delete(message.id);
+      clearTimeout(waiting.timer);
+      if (message.error) {
+        waiting.reject(new Error(message.error));
+      } else {
+        waiting.resolve(message.result);
+      }
+      return;
+    }
+    
+    const reply = { type: 'reply', id: message.id };
+    try {
+      reply.result = await this.local(message.method, message.roomId, message.args);
+    } catch (error) {
+      reply.error = error.message;
+    }
+    await this.redis.publish(this.channel(message.replyTo), JSON.stringify(reply));
+  }
+  
+  // Only these run on behalf of another worker
+  async local(method, roomId, args) {
+    const handlers = {
+      getRtpCapabilities: this.getRtpCapabilities,
+      createTransport: this.createTransport,
+      connectTransport: this.connectTransport,
+      produce: this.produce,
+      consume: this.consume,
+      resumeConsumer: this.resumeConsumer,
+      setProducerPaused: this.setProducerPaused,
+      listProducers: this.listProducers,
+      closePeer: this.closePeer,
+      closeRoom: this.closeRoom
+    };
+    if (!handlers[method]) {
+      throw new Error(`Unknown media operation ${method}`);
+    }
+    return handlers[method].call(this, roomId, ...args);
+  }
+  
+  // Open a room's router on this worker, which then owns it
+  async openRoom(roomId) {
+    try {
+      const claimed = await this.redis.set(this.ownerKey(roomId), this.nodeId, {
+        NX: true,
+        PX: this.ownerTtlMs
+      });
+      if (!claimed) return;
+      
+      const router = await this.worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+      const speakers = await router.createActiveSpeakerObserver({ interval: 300 });
+      speakers.on('dominantspeaker', ({ producer }) => {
+        this.emit('active-speaker', { roomId, userId: producer.appData.userId });
+      });
+      
+      this.rooms.set(roomId, { router, speakers, peers: new Map() });
+    } catch (error) {
+      throw new Error(`SFU room failed: ${error.message}`);
+    }
+  }
+  
+  room(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error('Room media is not running');
+    }
+    return room;
+  }
+  
+  peer(roomId, userId) {
+    const room = this.room(roomId);
+    if (!room.peers.has(userId)) {
+      room.peers.set(userId, { transports: new Map(), producers: new Map(), consumers: new Map() });
+    }
+    return room.peers.get(userId);
+  }
+  
+  transportOf(roomId, userId, transportId) {
+    const transport = this.peer(roomId, userId).transports.get(transportId);
+    if (!transport) {
+      throw new Error('Transport not found');
+    }
+    return transport;
+  }
+  
+  getRtpCapabilities(roomId) {
+    return this.room(roomId).router.rtpCapabilities;
+  }
+  
+  // One transport sends a participant's tracks, another receives the rest
+  async createTransport(roomId, userId, direction) {
+    const transport = await this.room(roomId).router.createWebRtcTransport({
+      listenIps: [{
+        ip: process.env.SFU_LISTEN_IP || '0.0.0.0',
+        announcedIp: process.env.SFU_ANNOUNCED_IP || undefined
+      }],
+      enableUdp: true,
+      enableTcp: true,
+      preferUdp: true,
+      initialAvailableOutgoingBitrate: 1000000,
+      appData: { userId, direction }
+    });
+    this.peer(roomId, userId).transports.set(transport.id, transport);
+    
+    return {
+      id: transport.id,
+      iceParameters: transport.iceParameters,
+      iceCandidates: transport.iceCandidates,
+      dtlsParameters: transport.dtlsParameters
+    };
+  }
+  
+  async connectTransport(roomId, userId, transportId, dtlsParameters) {
+    await this.transportOf(roomId, userId, transportId).connect({ dtlsParameters });
+    return { connected: true };
+  }
+  
+  async produce(roomId, userId, transportId, kind, rtpParameters) {
+    const room = this.room(roomId);
+    const peer = this.peer(roomId, userId);
+    
+    const producer = await this.transportOf(roomId, userId, transportId).produce({
+      kind,
+      rtpParameters,
+      appData: { userId }
+    });
+    peer.producers.set(producer.id, producer);
+    producer.on('transportclose', () => {
+      peer.producers.delete(producer.id);
+      this.emit('producer-closed', { roomId, userId, producerId: producer.id });
+    });
+    
+    if (kind === 'audio') {
+      await room.speakers.addProducer({ producerId: producer.id });
+    }
+    return { id: producer.id, kind, userId };
+  }
+  
+  // Consumers start paused; the client resumes once it has wired the track
+  async consume(roomId, userId, transportId, producerId, rtpCapabilities) {
+    const room = this.room(roomId);
+    if (!room.router.canConsume({ producerId, rtpCapabilities })) {
+      throw new Error('Cannot receive this track');
+    }
+    
+    const peer = this.peer(roomId, userId);
+    const consumer = await this.transportOf(roomId, userId, transportId).consume({
+      producerId,
+      rtpCapabilities,
+      paused: true
+    });
+    peer.consumers.set(consumer.id, consumer);
+    consumer.on('transportclose', () => peer.consumers.delete(consumer.id));
+    consumer.on('producerclose', () => peer.consumers.delete(consumer.id));
+    
+    return {
+      id: consumer.id,
+      producerId,
+      kind: consumer.kind,
+      rtpParameters: consumer.rtpParameters
+    };
+  }
+  
+  async resumeConsumer(roomId, userId, consumerId) {
+    const consumer = this.peer(roomId, userId).consumers.get(consumerId);
+    if (!consumer) {
+      throw new Error('Consumer not found');
+    }
+    await consumer.resume();
+    return { resumed: true };
+  }
+  
+  // Mute or unmute every track of a kind a participant sends
+  async setProducerPaused(roomId, userId, kind, paused) {
+    const producers = [...this.peer(roomId, userId).producers.values()].filter(p => p.kind === kind);
+    for (const producer of producers) {
+      if (paused) {
+        await producer.pause();
+      } else {
+        await producer.resume();
+      }
+    }
+    return { count: producers.length };
+  }
+  
+  // Tracks already in the room, for a participant who just joined
+  listProducers(roomId, exceptUserId) {
+    const tracks = [];
+    this.room(roomId).peers.forEach((peer, userId) => {
+      if (userId === exceptUserId) return;
+      peer.producers.forEach(producer => {
+        tracks.push({ producerId: producer.id, userId, kind: producer.kind, paused: producer.paused });
+      });
+    });
+    return tracks;
+  }
+  
+  // Closing the transports closes the participant's tracks with them
+  closePeer(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    const peer = room && room.peers.get(userId);
+    if (!peer) return { closed: false };
+    
+    peer.transports.forEach(transport => transport.close());
+    room.peers.delete(userId);
+    return { closed: true };
+  }
+  
+  async closeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.router.close();
+      this.rooms.delete(roomId);
+    }
+    await this.redis.del(this.ownerKey(roomId));
+    return { closed: true };
+  }
+}
+
+module.exports = new SfuService();
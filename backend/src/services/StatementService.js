@@ -0,0 +1,219 @@
+// backend/src/services/StatementService.js
+const mongoose = require('mongoose');
+const LedgerService = require('./LedgerService');
+const money = require('../utils/money');
+
+// Statement periods are calendar months in UTC
+const monthRange = (year, month) => ({
+  from: new Date(Date.UTC(year, month - 1, 1)),
+  to: new Date(Date.UTC(year, month, 1))
+});
+
+// Earner statements, built from the escrowed earnings of each paid session,
+// the refunds clawed back from the earner and the withdrawals paid out.
+// Amounts are minor units of the ledger currency.
+class StatementService {
+  // A period outside the earner's history is a bad request, not a failure
+  assertPeriod(year, month) {
+    const current = new Date().getUTCFullYear();
+    let message;
+    if (!Number.isInteger(year) || year < 2000 || year > current) {
+      message = 'Invalid statement year';
+    } else if (month !== undefined && (!Number.isInteger(month) || month < 1 || month > 12)) {
+      message = 'Invalid statement month';
+    }
+    
+    if (message) {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    }
+  }
+  
+  // Sessions, minutes, gross and commission from the earner's earnings
+  async sumEarnings(earnerId, from, to) {
+    const Earning = require('../models/Earning');
+    
+    const [totals] = await Earning.aggregate([
+      {
+        $match: {
+          earnerId: new mongoose.Types.ObjectId(earnerId),
+          createdAt: { $gte: from, $lt: to }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          chats: { $addToSet: '$chatId' },
+          minutes: { $sum: '$minutes' },
+          gross: { $sum: '$grossAmount' },
+          commission: { $sum: '$commission.amount' },
+          share: { $sum: '$amount' }
+        }
+      }
+    ]);
+    
+    return {
+      sessions: totals ? totals.chats.filter(Boolean).length : 0,
+      minutes: totals ? totals.minutes : 0,
+      gross: totals ? totals.gross : 0,
+      commission: totals ? totals.commission : 0,
+      share: totals ? totals.share : 0
+    };
+  }
+  
+  // Refunds taken back from the earner: held from escrow or wallet, less
+  // holds released again when the refund failed
+  async sumRefunds(earnerId, from, to) {
+    const LedgerEntry = require('../models/LedgerEntry');
+    const { accounts } = LedgerService;
+    const earnerAccounts = [accounts.wallet(earnerId), accounts.pendingEarnings(earnerId)];
+    
+    const [totals] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          type: 'refund',
+          chatId: { $ne: null },
+          idempotencyKey: { $regex: ':(hold|release)$' },
+          createdAt: { $gte: from, $lt: to },
+          'lines.account': { $in: earnerAccounts }
+        }
+      },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: earnerAccounts } } },
+      {
+        $group: {
+          _id: null,
+          amount: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } }
+        }
+      }
+    ]);
+    
+    return totals ? totals.amount : 0;
+  }
+  
+  // Withdrawals paid out in the period
+  async sumPayouts(earnerId, from, to) {
+    const Withdrawal = require('../models/Withdrawal');
+    
+    const [totals] = await Withdrawal.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(earnerId),
+          status: 'completed',
+          processedAt: { $gte: from, $lt: to }
+        }
+      },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+    
+    return { count: totals ? totals.count : 0, amount: totals ? totals.amount : 0 };
+  }
+  
+  async summarize(earnerId, from, to) {
+    const [earnings, refunds, payouts] = await Promise.all([
+      this.sumEarnings(earnerId, from, to),
+      this.sumRefunds(earnerId, from, to),
+      this.sumPayouts(earnerId, from, to)
+    ]);
+    
+    return {
+      sessions: earnings.sessions,
+      minutes: earnings.minutes,
+      gross: earnings.gross,
+      commission: earnings.commission,
+      refunds,
+      net: earnings.share - refunds,
+      payouts
+    };
+  }
+  
+  async getEarner(earnerId) {
+    const User = require('../models/User');
+    return User.findById(earnerId).select('username email').lean();
+  }
+  
+  // Get Monthly Statement: totals plus one line per paid block of time
+  async getMonthlyStatement(earnerId, year, month) {
+    try {
+      const Earning = require('../models/Earning');
+      this.assertPeriod(year, month);
+      const { from, to } = monthRange(year, month);
+      
+      const [earner, summary, earnings] = await Promise.all([
+        this.getEarner(earnerId),
+        this.summarize(earnerId, from, to),
+        Earning.find({ earnerId, createdAt: { $gte: from, $lt: to } })
+          .sort({ createdAt: 1 })
+          .lean()
+      ]);
+      
+      return {
+        earner,
+        period: { year, month, from, to },
+        currency: money.LEDGER_CURRENCY,
+        summary,
+        lines: earnings.map(earning => ({
+          date: earning.createdAt,
+          chatId: earning.chatId,
+          serviceType: earning.serviceType,
+          minutes: earning.minutes || 0,
+          gross: earning.grossAmount,
+          commissionRate: earning.commission?.rate,
+          commission: earning.commission?.amount || 0,
+          refunded: earning.clawedBack,
+          net: earning.amount - earning.clawedBack,
+          status: earning.status
+        })),
+        generatedAt: new Date()
+      };
+    } catch (error) {
+      const failure = new Error(`Statement generation failed: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
+    }
+  }
+  
+  // Get Yearly Summary: month by month totals for tax filing
+  async getYearlySummary(earnerId, year) {
+    try {
+      this.assertPeriod(year);
+      
+      const [earner, months] = await Promise.all([
+        this.getEarner(earnerId),
+        Promise.all(Array.from({ length: 12 }, async (_, index) => {
+          const { from, to } = monthRange(year, index + 1);
+          return { month: index + 1, ...(await this.summarize(earnerId, from, to)) };
+        }))
+      ]);
+      
+      const totals = months.reduce((sum, month) => ({
+        sessions: sum.sessions + month.sessions,
+        minutes: sum.minutes + month.minutes,
+        gross: sum.gross + month.gross,
+        commission: sum.commission + month.commission,
+        refunds: sum.refunds + month.refunds,
+        net: sum.net + month.net,
+        payouts: {
+          count: sum.payouts.count + month.payouts.count,
+          amount: sum.payouts.amount + month.payouts.amount
+        }
+      }), { sessions: 0, minutes: 0, gross: 0, commission: 0, refunds: 0, net: 0, payouts: { count: 0, amount: 0 } });
+      
+      return {
+        earner,
+        period: { year, from: monthRange(year, 1).from, to: monthRange(year + 1, 1).from },
+        currency: money.LEDGER_CURRENCY,
+        months,
+        totals,
+        generatedAt: new Date()
+      };
+    } catch (error) {
+      const failure = new Error(`Yearly summary failed: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
+    }
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,227 @@
+// backend/src/services/WalletService.js
+const LedgerService = require('./LedgerService');
+const CommissionService = require('./CommissionService');
+const EarningService = require('./EarningService');
+const money = require('../utils/money');
+
+class WalletService {
+  // Journal entries splitting chat money from clearing into the earner's
+  // escrow and the platform's commission
+  chatSettlementEntries({ earnerId, chatId, idempotencyKey, description }, { commission, earnerShare }) {
+    const { accounts } = LedgerService;
+    const entries = [];
+    
+    if (earnerShare > 0) {
+      entries.push({
+        type: 'earner_credit',
+        lines: LedgerService.transfer(accounts.chatClearing(), accounts.pendingEarnings(earnerId), earnerShare),
+        idempotencyKey: `${idempotencyKey}:earner_credit`,
+        chatId,
+        description
+      });
+    }
+    
+    if (commission > 0) {
+      entries.push({
+        type: 'platform_commission',
+        lines: LedgerService.transfer(accounts.chatClearing(), accounts.commission(), commission),
+        idempotencyKey: `${idempotencyKey}:platform_commission`,
+        chatId,
+        description
+      });
+    }
+    
+    return entries;
+  }
+  
+  // Post a chat charge with its split at the commission rule in force, and
+  // escrow the earner's share, in one transaction
+  async settleChat(chargeEntry, { payerId, earnerId, method, amount, minutes, chatId, paymentIntentId, serviceType = 'chat', idempotencyKey, description }, session) {
+    const rule = await CommissionService.resolve({ earnerId, serviceType });
+    const split = CommissionService.split(amount, rule.rate);
+    
+    return LedgerService.transaction(async (txSession) => {
+      const posted = await LedgerService.postAll([
+        chargeEntry,
+        ...this.chatSettlementEntries({ earnerId, chatId, idempotencyKey, description }, split)
+      ], { session: txSession });
+      
+      await EarningService.record({
+        chargeKey: idempotencyKey,
+        earnerId,
+        payerId,
+        method,
+        chatId,
+        paymentIntentId,
+        serviceType,
+        minutes,
+        grossAmount: amount,
+        commission: {
+          amount: split.commission,
+          rate: rule.rate,
+          ruleId: rule.ruleId,
+          ruleName: rule.ruleName
+        },
+        amount: split.earnerShare
+      }, txSession);
+      
+      return posted;
+    }, session);
+  }
+  
+  // Charge a user's wallet for chat time and credit the earner
+  async chargeForChat({ payerId, earnerId, amount, minutes, chatId, paymentIntentId, serviceType, idempotencyKey, description }, { session } = {}) {
+    try {
+      const { accounts } = LedgerService;
+      money.assertMinor(amount);
+      
+      const [entry] = await this.settleChat({
+        type: 'chat_charge',
+        lines: LedgerService.transfer(accounts.wallet(payerId), accounts.chatClearing(), amount),
+        idempotencyKey: `${idempotencyKey}:chat_charge`,
+        chatId,
+        description
+      }, { payerId, earnerId, method: 'wallet', amount, minutes, chatId, paymentIntentId, serviceType, idempotencyKey, description }, session);
+      
+      return { success: true, entry };
+    } catch (error) {
+      // Inside a caller's transaction the error must abort it
+      if (session) throw error;
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        return { success: false, reason: 'insufficient_balance' };
+      }
+      throw new Error(`Wallet charge failed: ${error.message}`);
+    }
+  }
+  
+  // Settle held money into a chat or call once the session is under way
+  async chargeHeldForChat({ payerId, earnerId, amount, minutes, chatId, paymentIntentId, serviceType, idempotencyKey, description }, { session } = {}) {
+    try {
+      const { accounts } = LedgerService;
+      money.assertMinor(amount);
+      
+      const [entry] = await this.settleChat({
+        type: 'chat_charge',
+        lines: LedgerService.transfer(accounts.held(payerId), accounts.chatClearing(), amount),
+        idempotencyKey: `${idempotencyKey}:chat_charge`,
+        chatId,
+        paymentIntentId,
+        description
+      }, { payerId, earnerId, method: 'wallet', amount, minutes, chatId, paymentIntentId, serviceType, idempotencyKey, description }, session);
+      
+      return { success: true, entry };
+    } catch (error) {
+      if (session) throw error;
+      throw new Error(`Held charge failed: ${error.message}`);
+    }
+  }
+  
+  // Move wallet money aside in the user's held account until a session
+  // settles it
+  async holdFunds({ userId, amount, type, idempotencyKey, paymentIntentId, description }, { session } = {}) {
+    const { accounts } = LedgerService;
+    
+    return LedgerService.post({
+      type,
+      lines: LedgerService.transfer(accounts.wallet(userId), accounts.held(userId), amount),
+      idempotencyKey,
+      paymentIntentId,
+      description
+    }, { session });
+  }
+  
+  // Return held money to the wallet
+  async releaseFunds({ userId, amount, type, idempotencyKey, paymentIntentId, description }, { session } = {}) {
+    const { accounts } = LedgerService;
+    
+    return LedgerService.post({
+      type,
+      lines: LedgerService.transfer(accounts.held(userId), accounts.wallet(userId), amount),
+      idempotencyKey,
+      paymentIntentId,
+      description
+    }, { session });
+  }
+  
+  // Move wallet money aside for a chat request until the earner answers
+  async holdForChat({ userId, amount, chatRequestId, paymentIntentId }, { session } = {}) {
+    try {
+      const entry = await this.holdFunds({
+        userId,
+        amount,
+        type: 'chat_hold',
+        idempotencyKey: `chat_hold:${chatRequestId}`,
+        paymentIntentId,
+        description: 'Held for chat request'
+      }, { session });
+      
+      return { success: true, entry };
+    } catch (error) {
+      if (session) throw error;
+      throw new Error(`Chat hold failed: ${error.message}`);
+    }
+  }
+  
+  // Return a chat request's hold to the wallet
+  async releaseHold({ userId, amount, chatRequestId, paymentIntentId }, { session } = {}) {
+    try {
+      const entry = await this.releaseFunds({
+        userId,
+        amount,
+        type: 'chat_hold_release',
+        idempotencyKey: `chat_hold_release:${chatRequestId}`,
+        paymentIntentId,
+        description: 'Chat request hold released'
+      }, { session });
+      
+      return { success: true, entry };
+    } catch (error) {
+      if (session) throw error;
+      throw new Error(`Hold release failed: ${error.message}`);
+    }
+  }
+  
+  // Record chat time paid through an external provider and credit the earner
+  async settleProviderChatPayment({ payerId, earnerId, amount, minutes, method, chatId, paymentIntentId, serviceType, idempotencyKey, description }, { session } = {}) {
+    try {
+      const { accounts } = LedgerService;
+      money.assertMinor(amount);
+      
+      const [entry] = await this.settleChat({
+        type: 'chat_charge',
+        lines: LedgerService.transfer(accounts.external(method), accounts.chatClearing(), amount),
+        idempotencyKey: `${idempotencyKey}:chat_charge`,
+        chatId,
+        paymentIntentId,
+        description
+      }, { payerId, earnerId, method, amount, minutes, chatId, paymentIntentId, serviceType, idempotencyKey, description }, session);
+      
+      return { success: true, entry };
+    } catch (error) {
+      if (session) throw error;
+      throw new Error(`Chat payment settlement failed: ${error.message}`);
+    }
+  }
+  
+  // Credit a completed top-up to the user's wallet
+  async creditTopUp({ userId, amount, method, paymentIntentId }, { session } = {}) {
+    try {
+      const { accounts } = LedgerService;
+      
+      const entry = await LedgerService.post({
+        type: 'topup',
+        lines: LedgerService.transfer(accounts.external(method), accounts.wallet(userId), amount),
+        idempotencyKey: `topup:${paymentIntentId}`,
+        paymentIntentId,
+        description: `Wallet top-up via ${method}`
+      }, { session });
+      
+      return { success: true, entry };
+    } catch (error) {
+      if (session) throw error;
+      throw new Error(`Top-up credit failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WalletService();
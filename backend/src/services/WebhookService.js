@@ -0,0 +1,216 @@
+// backend/src/services/WebhookService.js
+const PaymentService = require('./PaymentService');
+const PayoutService = require('./PayoutService');
+const RefundService = require('./RefundService');
+const EarningService = require('./EarningService');
+const providers = require('./providers');
+
+// Statuses reached only after the money was captured
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+class WebhookService {
+  constructor() {
+    // Longer than any event takes; a worker that died mid-event frees it after this
+    this.leaseMs = parseInt(process.env.WEBHOOK_LEASE_SECONDS, 10) * 1000 || 2 * 60 * 1000;
+    // How long an event for an unknown payment is kept coming back
+    this.maxDeferrals = parseInt(process.env.WEBHOOK_MAX_DEFERRALS, 10) || 10;
+    this.maxDeferralMs = parseInt(process.env.WEBHOOK_MAX_DEFERRAL_HOURS, 10) * 60 * 60 * 1000 || 24 * 60 * 60 * 1000;
+  }
+  
+  // A payment we never created (an order made in the provider's dashboard,
+  // another app on the same account) never turns up, so its events are
+  // given up on after enough deliveries or once they are old enough
+  deferredTooLong(record) {
+    return record.attempts >= this.maxDeferrals
+      || Date.now() - new Date(record.createdAt).getTime() >= this.maxDeferralMs;
+  }
+  
+  // Parse Webhook: verified and normalized by the provider's adapter
+  async parse(provider, headers, rawBody) {
+    if (!providers.isSupported(provider)) return null;
+    return providers.getProvider(provider).parseWebhook(headers, rawBody);
+  }
+  
+  // Claim an event for this worker. The unique (provider, eventId) index
+  // lets exactly one of two concurrent deliveries insert it; a redelivery
+  // takes it over only if it failed, was deferred, or its lease ran out.
+  // Returns null when another delivery has it or it is already done.
+  async claim(provider, eventId, type, payload) {
+    const WebhookEvent = require('../models/WebhookEvent');
+    
+    const lockedUntil = new Date(Date.now() + this.leaseMs);
+    try {
+      return await WebhookEvent.create({ provider, eventId, type, payload, status: 'processing', lockedUntil, attempts: 1 });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    
+    return WebhookEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: { $in: ['failed', 'deferred'] } },
+          { status: { $in: ['received', 'processing'] }, lockedUntil: { $not: { $gt: new Date() } } }
+        ]
+      },
+      { $set: { status: 'processing', lockedUntil }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+  
+  // Receive Event: claim it by provider event ID, then apply it once
+  async receive(provider, eventId, type, payload) {
+    const WebhookEvent = require('../models/WebhookEvent');
+    
+    const record = await this.claim(provider, eventId, type, payload);
+    if (!record) {
+      const existing = await WebhookEvent.findOne({ provider, eventId }).select('status');
+      return { duplicate: true, status: existing.status };
+    }
+    
+    let result;
+    try {
+      result = await this.applyEvent(provider, type, payload, eventId);
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      record.lockedUntil = undefined;
+      await record.save();
+      throw error;
+    }
+    
+    if (result.retry && this.deferredTooLong(record)) {
+      result = { ...result, retry: false, reason: `${result.reason}; gave up after ${record.attempts} deliveries` };
+    }
+    
+    record.status = result.applied ? 'processed' : result.retry ? 'deferred' : 'ignored';
+    record.paymentIntentId = result.paymentIntentId;
+    record.error = result.reason;
+    record.lockedUntil = undefined;
+    record.processedAt = result.retry ? undefined : new Date();
+    await record.save();
+    
+    // An error response makes the provider deliver it again later
+    if (result.retry) {
+      const error = new Error(`Event ${eventId} deferred: ${result.reason}`);
+      error.status = 503;
+      throw error;
+    }
+    
+    return { duplicate: false, status: record.status };
+  }
+  
+  // Apply a provider-reported status to a payment intent
+  async applyStatus(paymentIntent, to, { provider, eventId, providerPaymentId, set = {} } = {}) {
+    // Events can overtake the request that creates the intent; keep them
+    // for the provider's next delivery
+    if (!paymentIntent) {
+      return { applied: false, retry: true, reason: 'Unknown payment' };
+    }
+    
+    if (to === 'disputed') {
+      this.assertCaptured(paymentIntent);
+    }
+    
+    const updated = to === 'completed'
+      ? await PaymentService.completePayment(paymentIntent._id, { providerPaymentId, source: provider, eventId })
+      : await PaymentService.transitionIntent(paymentIntent._id, to, { source: provider, eventId, set });
+    
+    return {
+      applied: Boolean(updated),
+      paymentIntentId: paymentIntent._id,
+      reason: updated ? undefined : `Cannot move from ${paymentIntent.status} to ${to}`
+    };
+  }
+  
+  // Refunds and disputes can overtake the capture event; failing here makes
+  // the provider redeliver once the capture has been applied
+  assertCaptured(paymentIntent) {
+    if (!CAPTURED_STATUSES.includes(paymentIntent.status)) {
+      throw new Error(`Payment ${paymentIntent._id} has not been captured yet`);
+    }
+  }
+  
+  // Apply Event
+  async applyEvent(provider, type, payload, eventId) {
+    const PaymentIntent = require('../models/PaymentIntent');
+    
+    const event = providers.getProvider(provider).interpretEvent(type, payload);
+    if (!event) {
+      return { applied: false, reason: `Unhandled event ${type}` };
+    }
+    
+    // Payout events concern withdrawals, not payment intents
+    if (event.action === 'payout_updated') {
+      return PayoutService.applyProviderUpdate(provider, event.payoutId, event.payoutStatus, event.failureReason);
+    }
+    
+    const paymentIntent = event.orderId
+      ? await PaymentIntent.findOne({ 'paymentData.orderId': event.orderId })
+      : await PaymentIntent.findOne({ providerPaymentId: event.providerPaymentId, method: provider });
+    
+    const options = { provider, eventId, providerPaymentId: event.providerPaymentId };
+    
+    switch (event.action) {
+      case 'authorized':
+        return this.applyStatus(paymentIntent, 'authorized', {
+          ...options,
+          set: event.providerPaymentId ? { providerPaymentId: event.providerPaymentId } : {}
+        });
+      
+      case 'completed':
+        return this.applyStatus(paymentIntent, 'completed', options);
+        
+      case 'dispute_won': {
+        const result = await this.applyStatus(paymentIntent, 'completed', options);
+        if (result.applied || paymentIntent?.status === 'completed') {
+          await EarningService.clearDispute(paymentIntent._id);
+        }
+        return result;
+      }
+      
+      case 'failed':
+        return this.applyStatus(paymentIntent, 'failed', options);
+        
+      case 'disputed': {
+        // The earner's share stays in escrow until the dispute is decided;
+        // checked on redelivery too, in case freezing it failed last time
+        const result = await this.applyStatus(paymentIntent, 'disputed', options);
+        if (result.applied || paymentIntent?.status === 'disputed') {
+          await EarningService.dispute(paymentIntent._id);
+        }
+        return result;
+      }
+      
+      case 'refunded':
+        if (!paymentIntent) return this.applyStatus(null);
+        this.assertCaptured(paymentIntent);
+        
+        return RefundService.applyProviderRefund(provider, paymentIntent, {
+          refundId: event.refundId,
+          reference: event.reference,
+          amount: event.refundAmount,
+          eventId
+        });
+      
+      case 'refund_failed':
+        return RefundService.applyProviderRefundFailure(provider, {
+          refundId: event.refundId,
+          reference: event.reference
+        });
+      
+      case 'dispute_lost':
+        // The provider has already returned the money to the payer
+        if (!paymentIntent) return this.applyStatus(null);
+        this.assertCaptured(paymentIntent);
+        
+        return RefundService.recordChargeback(provider, paymentIntent, eventId);
+      
+      default:
+        return { applied: false, reason: `Unhandled action ${event.action}` };
+    }
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,16 @@
+// backend/src/services/fx/FxSource.js
+
+// Interface every exchange rate source implements
+class FxSource {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+  
+  // Get Rates: returns { base, rates: { CODE: units per one base unit } }
+  async getRates() {
+    throw new Error(`${this.name} does not implement getRates`);
+  }
+}
+
+module.exports = FxSource;
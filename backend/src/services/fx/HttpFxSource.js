@@ -0,0 +1,31 @@
+// backend/src/services/fx/HttpFxSource.js
+const FxSource = require('./FxSource');
+
+// Any JSON rates API answering { base, rates: { CODE: rate } }, such as
+// exchangerate.host or Open Exchange Rates
+class HttpFxSource extends FxSource {
+  constructor(config) {
+    super('http', config);
+    if (!config.url) {
+      throw new Error('FX_API_URL is required for the http FX source');
+    }
+  }
+  
+  async getRates() {
+    const response = await fetch(this.config.url, {
+      headers: this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {}
+    });
+    if (!response.ok) {
+      throw new Error(`FX rates request failed with ${response.status}`);
+    }
+    
+    const data = await response.json();
+    if (!data.rates) {
+      throw new Error('FX rates response has no rates');
+    }
+    
+    return { base: (data.base || data.base_code || 'USD').toUpperCase(), rates: data.rates };
+  }
+}
+
+module.exports = HttpFxSource;
@@ -0,0 +1,37 @@
+// backend/src/services/fx/StaticFxSource.js
+const FxSource = require('./FxSource');
+
+// Rough USD rates, good enough for local development
+const DEFAULT_RATES = {
+  USD: 1,
+  INR: 83.2,
+  EUR: 0.92,
+  GBP: 0.79,
+  AUD: 1.52,
+  CAD: 1.36,
+  SGD: 1.34,
+  AED: 3.6725,
+  JPY: 151.5,
+  KRW: 1350,
+  BHD: 0.376,
+  KWD: 0.307
+};
+
+// Fixed rates from FX_RATES (JSON, per USD), for development and tests
+class StaticFxSource extends FxSource {
+  constructor(config) {
+    super('static', config);
+    this.rates = { ...DEFAULT_RATES, ...(config.rates || {}) };
+  }
+  
+  // Test helper: pin a rate, in units per USD
+  setRate(currency, rate) {
+    this.rates[currency] = rate;
+  }
+  
+  async getRates() {
+    return { base: 'USD', rates: { ...this.rates } };
+  }
+}
+
+module.exports = StaticFxSource;
@@ -0,0 +1,32 @@
+// backend/src/services/fx/index.js
+const StaticFxSource = require('./StaticFxSource');
+const HttpFxSource = require('./HttpFxSource');
+
+const SOURCES = {
+  static: StaticFxSource,
+  http: HttpFxSource
+};
+
+const sourceName = process.env.FX_SOURCE
+  || (process.env.NODE_ENV === 'production' ? 'http' : 'static');
+
+let source = null;
+
+// The configured rate source, created on first use
+const getSource = () => {
+  if (source) return source;
+  
+  const Source = SOURCES[sourceName];
+  if (!Source) {
+    throw new Error(`Unknown FX source ${sourceName}`);
+  }
+  
+  source = new Source({
+    url: process.env.FX_API_URL,
+    apiKey: process.env.FX_API_KEY,
+    rates: process.env.FX_RATES ? JSON.parse(process.env.FX_RATES) : undefined
+  });
+  return source;
+};
+
+module.exports = { getSource };
@@ -0,0 +1,237 @@
+// backend/src/services/providers/FakeProvider.js
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const money = require('../../utils/money');
+
+// In-process provider for offline development and tests. It keeps orders,
+// payments, refunds and payouts in memory and signs its own webhooks and
+// checkout proofs with config.secret. Standing in for paypal it confirms
+// payments the way PayPal does; for any other name it takes Razorpay's
+// checkout proof.
+class FakeProvider extends PaymentProvider {
+  constructor(name = 'fake', config = {}) {
+    super(name, config);
+    
+    if (!config.secret) {
+      throw new Error('Fake provider needs a secret (FAKE_PROVIDER_SECRET)');
+    }
+    this.reset();
+  }
+  
+  // Clear all state between tests
+  reset() {
+    this.sequence = 0;
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.payouts = new Map();
+    this.failures = new Map();
+  }
+  
+  // Make the next call to an operation fail, e.g. failNext('createPayout').
+  // By default the outcome is unknown, like a timeout; { refused: true }
+  // fails it the way a 4xx answer does.
+  failNext(operation, { refused = false } = {}) {
+    this.failures.set(operation, { refused });
+  }
+  
+  sign(value) {
+    return crypto.createHmac('sha256', this.config.secret).update(value).digest('hex');
+  }
+  
+  nextId(prefix) {
+    this.sequence += 1;
+    return `fake_${prefix}_${this.sequence}`;
+  }
+  
+  checkFailure(operation) {
+    const failure = this.failures.get(operation);
+    if (failure) {
+      this.failures.delete(operation);
+      const error = new Error(`Fake ${operation} failure`);
+      error.refused = failure.refused;
+      throw error;
+    }
+  }
+  
+  // Create Order
+  async createOrder(orderData) {
+    this.checkFailure('createOrder');
+    
+    // Catches fractional amounts the real APIs would reject
+    money.assertMinor(orderData.amount);
+    
+    const orderId = this.nextId('order');
+    this.orders.set(orderId, {
+      id: orderId,
+      amount: orderData.amount,
+      currency: orderData.currency,
+      status: 'created'
+    });
+    
+    return {
+      success: true,
+      orderId,
+      amount: orderData.amount,
+      currency: orderData.currency
+    };
+  }
+  
+  // Test helper: pay an order the way a checkout would, returning the proof
+  // the client sends to confirmPayment, shaped like Razorpay checkout's
+  pay(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) throw new Error('Unknown fake order');
+    
+    const paymentId = this.nextId('payment');
+    order.status = 'paid';
+    this.payments.set(paymentId, { id: paymentId, orderId, amount: order.amount, refunded: 0 });
+    
+    return {
+      razorpayPaymentId: paymentId,
+      razorpaySignature: this.sign(`${orderId}|${paymentId}`)
+    };
+  }
+  
+  // Confirm Payment: PayPal captures the approved order and takes no proof
+  async confirmPayment(paymentData, proof = {}) {
+    this.checkFailure('confirmPayment');
+    
+    if (this.name === 'paypal') {
+      return this.capture(paymentData.orderId);
+    }
+    
+    const expected = this.sign(`${paymentData.orderId}|${proof.razorpayPaymentId}`);
+    const payment = this.payments.get(proof.razorpayPaymentId);
+    if (!payment || proof.razorpaySignature !== expected) {
+      return { success: false, message: 'Invalid payment signature' };
+    }
+    
+    return {
+      success: true,
+      providerPaymentId: payment.id,
+      amount: payment.amount
+    };
+  }
+  
+  // Capture
+  async capture(orderId) {
+    this.checkFailure('capture');
+    
+    const payment = [...this.payments.values()].find(p => p.orderId === orderId);
+    if (!payment) {
+      return { success: false, message: 'Payment not completed' };
+    }
+    return {
+      success: true,
+      providerPaymentId: payment.id,
+      amount: payment.amount
+    };
+  }
+  
+  // Refund
+  async refund(paymentId, amount, { reference } = {}) {
+    this.checkFailure('refund');
+    
+    const payment = this.payments.get(paymentId);
+    if (!payment || payment.refunded + amount > payment.amount) {
+      const error = new Error('Refund exceeds captured amount');
+      error.refused = true;
+      throw error;
+    }
+    
+    // Same reference returns the same refund, like PayPal-Request-Id
+    const existing = [...this.refunds.values()].find(r => reference && r.reference === reference);
+    if (existing) {
+      return { success: true, refundId: existing.id, status: existing.status };
+    }
+    
+    payment.refunded += amount;
+    const refundId = this.nextId('refund');
+    this.refunds.set(refundId, { id: refundId, paymentId, amount, reference, status: 'completed' });
+    
+    return { success: true, refundId, status: 'completed' };
+  }
+  
+  // Find Refund
+  async findRefund(paymentId, reference) {
+    this.checkFailure('findRefund');
+    
+    const refund = [...this.refunds.values()].find(r => r.paymentId === paymentId && r.reference === reference);
+    return refund ? { success: true, refundId: refund.id, status: refund.status } : null;
+  }
+  
+  // Create Payout
+  async createPayout(payout) {
+    this.checkFailure('createPayout');
+    
+    // Same reference returns the same payout, like the real idempotency keys
+    const existing = [...this.payouts.values()].find(p => p.reference === payout.reference);
+    if (existing) {
+      return { success: true, payoutId: existing.id, status: existing.status };
+    }
+    
+    const payoutId = this.nextId('payout');
+    this.payouts.set(payoutId, {
+      id: payoutId,
+      reference: payout.reference,
+      amount: payout.amount,
+      status: 'processing'
+    });
+    
+    return { success: true, payoutId, status: 'processing' };
+  }
+  
+  // Find Payout
+  async findPayout(reference) {
+    this.checkFailure('findPayout');
+    
+    const payout = [...this.payouts.values()].find(p => p.reference === reference);
+    return payout ? this.getPayout(payout.id) : null;
+  }
+  
+  // Test helper: settle a payout as completed, failed or reversed
+  settlePayout(payoutId, status, failureReason) {
+    const payout = this.payouts.get(payoutId);
+    payout.status = status;
+    payout.failureReason = failureReason;
+  }
+  
+  // Get Payout
+  async getPayout(payoutId) {
+    const payout = this.payouts.get(payoutId);
+    return {
+      payoutId,
+      status: payout ? payout.status : 'failed',
+      failureReason: payout ? payout.failureReason : 'Unknown payout'
+    };
+  }
+  
+  // Test helper: a signed webhook request for the given action
+  buildWebhook(action, data = {}) {
+    const body = JSON.stringify({
+      id: this.nextId('event'),
+      type: action,
+      data
+    });
+    return {
+      headers: { 'x-fake-signature': this.sign(body) },
+      body: Buffer.from(body)
+    };
+  }
+  
+  // Parse Webhook
+  async parseWebhook(headers, rawBody) {
+    if (headers['x-fake-signature'] !== this.sign(rawBody)) return null;
+    
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return { eventId: event.id, type: event.type, payload: event };
+  }
+  
+  // Interpret Event: fake events already use our action names
+  interpretEvent(type, event) {
+    return { action: type, ...event.data };
+  }
+}
+
+module.exports = FakeProvider;
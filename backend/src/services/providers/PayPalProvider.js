@@ -0,0 +1,286 @@
+// backend/src/services/providers/PayPalProvider.js
+const PaymentProvider = require('./PaymentProvider');
+const money = require('../../utils/money');
+
+// PayPal payout item states mapped onto ours
+const PAYOUT_STATUSES = {
+  SUCCESS: 'completed',
+  PENDING: 'processing',
+  UNCLAIMED: 'processing',
+  ONHOLD: 'processing',
+  FAILED: 'failed',
+  DENIED: 'failed',
+  BLOCKED: 'failed',
+  RETURNED: 'reversed',
+  REFUNDED: 'reversed',
+  REVERSED: 'reversed'
+};
+
+// PayPal refund states mapped onto ours
+const REFUND_STATUSES = {
+  PENDING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'failed'
+};
+
+// PayPal takes decimal strings in major units, e.g. { value: '12.50', currency_code: 'USD' }
+const toPayPalAmount = (amount, currency) => {
+  const code = money.normalizeCurrency(currency);
+  return { currency_code: code, value: money.toMajorString(money.assertMinor(amount), code) };
+};
+
+const fromPayPalAmount = ({ value, currency_code: currency }) => ({
+  amount: money.toMinor(value, currency),
+  currency
+});
+
+class PayPalProvider extends PaymentProvider {
+  constructor(config) {
+    super('paypal', config);
+    
+    this.paypal = require('@paypal/checkout-server-sdk');
+    const Environment = config.live
+      ? this.paypal.core.LiveEnvironment
+      : this.paypal.core.SandboxEnvironment;
+    
+    this.client = new this.paypal.core.PayPalHttpClient(
+      new Environment(config.clientId, config.clientSecret)
+    );
+  }
+  
+  // Raw REST call through the SDK client, for APIs the SDK has no request for
+  async request(verb, path, body, headers = {}) {
+    try {
+      const response = await this.client.execute({
+        verb,
+        path,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body
+      });
+      return response.result;
+    } catch (error) {
+      error.refused = PaymentProvider.isRefusal(error.statusCode);
+      throw error;
+    }
+  }
+  
+  // Create Order
+  async createOrder(orderData) {
+    const request = new this.paypal.orders.OrdersCreateRequest();
+    request.prefer('return=representation');
+    request.requestBody({
+      intent: 'CAPTURE',
+      purchase_units: [{
+        amount: toPayPalAmount(orderData.amount, orderData.currency),
+        description: orderData.earnerName
+          ? `Chat session with ${orderData.earnerName}`
+          : 'QuikChat wallet top-up',
+        custom_id: orderData.chatId || orderData.userId
+      }],
+      application_context: {
+        brand_name: 'QuikChat',
+        landing_page: 'BILLING',
+        user_action: 'PAY_NOW',
+        return_url: `${process.env.CLIENT_URL}/payment/success`,
+        cancel_url: `${process.env.CLIENT_URL}/payment/cancel`
+      }
+    });
+    
+    const order = await this.client.execute(request);
+    return {
+      success: true,
+      orderId: order.result.id,
+      approveUrl: order.result.links.find(link => link.rel === 'approve').href
+    };
+  }
+  
+  // Confirm Payment: an approved PayPal order is confirmed by capturing it
+  async confirmPayment(paymentData) {
+    return this.capture(paymentData.orderId);
+  }
+  
+  // Capture
+  async capture(orderId) {
+    const request = new this.paypal.orders.OrdersCaptureRequest(orderId);
+    request.requestBody({});
+    const capture = await this.client.execute(request);
+    
+    if (capture.result.status === 'COMPLETED') {
+      const unit = capture.result.purchase_units[0];
+      const payment = unit.payments.captures[0];
+      return {
+        success: true,
+        providerPaymentId: payment.id,
+        ...fromPayPalAmount(payment.amount)
+      };
+    }
+    return { success: false, message: 'Payment not completed' };
+  }
+  
+  // Refund a capture
+  async refund(captureId, amount, { currency, reason, reference } = {}) {
+    const request = new this.paypal.payments.CapturesRefundRequest(captureId);
+    if (reference) {
+      // Makes a retried request return the first refund instead of a new one
+      request.headers['PayPal-Request-Id'] = reference;
+    }
+    request.requestBody({
+      amount: toPayPalAmount(amount, currency),
+      invoice_id: reference,
+      note_to_payer: reason
+    });
+    
+    let refund;
+    try {
+      refund = await this.client.execute(request);
+    } catch (error) {
+      error.refused = PaymentProvider.isRefusal(error.statusCode);
+      throw error;
+    }
+    return {
+      success: true,
+      refundId: refund.result.id,
+      status: REFUND_STATUSES[refund.result.status] || 'processing'
+    };
+  }
+  
+  // Find Refund: PayPal cannot list a capture's refunds, but the refund
+  // call's PayPal-Request-Id makes sending it again return the first one
+  async findRefund(captureId, reference) {
+    return null;
+  }
+  
+  // Create Payout (PayPal Payouts, one item per batch). PayPal has no
+  // lookup by sender_batch_id, so the request ID is what finds an earlier
+  // attempt: a retry with the same ID returns the batch it created.
+  async createPayout(payout) {
+    const result = await this.request('POST', '/v1/payments/payouts', {
+      sender_batch_header: {
+        sender_batch_id: payout.reference,
+        email_subject: 'You have a payout from QuikChat'
+      },
+      items: [{
+        recipient_type: 'EMAIL',
+        receiver: payout.details.email,
+        // The Payouts API names the field currency, not currency_code
+        amount: {
+          value: toPayPalAmount(payout.amount, payout.currency).value,
+          currency: money.normalizeCurrency(payout.currency)
+        },
+        sender_item_id: payout.reference,
+        note: 'QuikChat earnings'
+      }]
+    }, {
+      'PayPal-Request-Id': payout.reference
+    }).catch(error => {
+      // A reused batch ID means an earlier attempt did reach PayPal
+      if (/sender_batch_id/i.test(error.message)) {
+        error.refused = false;
+      }
+      throw error;
+    });
+    
+    return {
+      success: true,
+      payoutId: result.batch_header.payout_batch_id,
+      status: 'processing'
+    };
+  }
+  
+  // Get Payout
+  async getPayout(batchId) {
+    const result = await this.request('GET', `/v1/payments/payouts/${batchId}`);
+    const item = result.items?.[0];
+    
+    return {
+      payoutId: batchId,
+      status: item ? PAYOUT_STATUSES[item.transaction_status] || 'processing' : 'processing',
+      failureReason: item?.errors?.message
+    };
+  }
+  
+  // Parse Webhook: PayPal verifies the signature against our webhook ID
+  async parseWebhook(headers, rawBody) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    
+    const verification = await this.request('POST', '/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: this.config.webhookId,
+      webhook_event: event
+    });
+    
+    if (verification.verification_status !== 'SUCCESS') return null;
+    
+    return {
+      eventId: event.id,
+      type: event.event_type,
+      payload: event
+    };
+  }
+  
+  // Interpret Event
+  interpretEvent(type, event) {
+    const resource = event.resource || {};
+    
+    // Refund resources point back at their capture through the 'up' link
+    const captureLink = (resource.links || []).find(link => link.rel === 'up');
+    const providerPaymentId = type.startsWith('CUSTOMER.DISPUTE')
+      ? resource.disputed_transactions?.[0]?.seller_transaction_id
+      : captureLink
+        ? captureLink.href.split('/').pop()
+        : resource.id;
+    const orderId = resource.supplementary_data?.related_ids?.order_id
+      || (type === 'CHECKOUT.ORDER.APPROVED' ? resource.id : undefined);
+    
+    const base = { orderId, providerPaymentId };
+    
+    // Every payout item event carries the item's current status
+    if (type.startsWith('PAYMENT.PAYOUTS-ITEM.')) {
+      return {
+        action: 'payout_updated',
+        payoutId: resource.payout_batch_id,
+        payoutStatus: PAYOUT_STATUSES[resource.transaction_status] || 'processing',
+        failureReason: resource.errors?.message
+      };
+    }
+    
+    switch (type) {
+      case 'CHECKOUT.ORDER.APPROVED':
+      case 'PAYMENT.CAPTURE.PENDING':
+        return { ...base, action: 'authorized' };
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return { ...base, action: 'completed' };
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return { ...base, action: 'failed' };
+      case 'PAYMENT.CAPTURE.REFUNDED':
+        return {
+          ...base,
+          action: 'refunded',
+          refundId: resource.id,
+          reference: resource.invoice_id,
+          refundAmount: fromPayPalAmount(resource.amount).amount
+        };
+      case 'PAYMENT.CAPTURE.REVERSED':
+        return { ...base, action: 'dispute_lost' };
+      case 'CUSTOMER.DISPUTE.CREATED':
+        return { ...base, action: 'disputed' };
+      case 'CUSTOMER.DISPUTE.RESOLVED':
+        return {
+          ...base,
+          action: resource.dispute_outcome?.outcome_code === 'RESOLVED_SELLER_FAVOUR'
+            ? 'dispute_won'
+            : 'dispute_lost'
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = PayPalProvider;
@@ -0,0 +1,81 @@
+// backend/src/services/providers/PaymentProvider.js
+
+// Interface every payment provider adapter implements. Amounts are integers
+// in the currency's minor unit (see utils/money); adapters convert to
+// whatever their API expects.
+class PaymentProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+  
+  // Create Order: returns { success, orderId, ...client checkout data }
+  async createOrder(orderData) {
+    throw new Error(`${this.name} does not support createOrder`);
+  }
+  
+  // Confirm Payment: checks the client's proof of payment for an order and
+  // returns { success, providerPaymentId, amount?, currency?, message? }
+  async confirmPayment(paymentData, proof) {
+    throw new Error(`${this.name} does not support confirmPayment`);
+  }
+  
+  // Capture: returns { success, providerPaymentId, amount, currency }
+  async capture(reference) {
+    throw new Error(`${this.name} does not support capture`);
+  }
+  
+  // Refund: returns { success, refundId, status }, where status is one of
+  // processing, completed or failed. options.reference is our refund ID and
+  // is echoed back on refund webhooks.
+  async refund(providerPaymentId, amount, options = {}) {
+    throw new Error(`${this.name} does not support refund`);
+  }
+  
+  // Find Refund: looks a refund of a payment up by our reference after a
+  // refund call whose outcome is unknown. Returns what refund does, or null
+  // when there is none to find and sending the refund again is safe.
+  async findRefund(providerPaymentId, reference) {
+    throw new Error(`${this.name} does not support findRefund`);
+  }
+  
+  // Create Payout: returns { success, payoutId, status }, where status is
+  // one of processing, completed, failed or reversed
+  async createPayout(payout) {
+    throw new Error(`${this.name} does not support createPayout`);
+  }
+  
+  // Get Payout: returns { payoutId, status, failureReason? }
+  async getPayout(payoutId) {
+    throw new Error(`${this.name} does not support getPayout`);
+  }
+  
+  // Find Payout: looks a payout up by our reference after a submit whose
+  // outcome is unknown. Returns what getPayout does, or null when the
+  // provider has no payout under that reference.
+  async findPayout(reference) {
+    throw new Error(`${this.name} does not support findPayout`);
+  }
+  
+  // Parse Webhook: verifies the signature and returns
+  // { eventId, type, payload }, or null when the signature is invalid
+  async parseWebhook(headers, rawBody) {
+    throw new Error(`${this.name} does not support webhooks`);
+  }
+  
+  // Interpret Event: maps a provider event onto
+  // { action, orderId, providerPaymentId, refundId?, reference?, refundAmount? }
+  // (payout events: { action: 'payout_updated', payoutId, payoutStatus,
+  // failureReason? }), or null for events we do not act on
+  interpretEvent(type, payload) {
+    return null;
+  }
+  
+  // A 4xx answer means the provider read the request and turned it down.
+  // Timeouts, conflicts and 5xx leave the outcome unknown.
+  static isRefusal(status) {
+    return status >= 400 && status < 500 && status !== 408 && status !== 409;
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,317 @@
+// backend/src/services/providers/RazorpayProvider.js
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const money = require('../../utils/money');
+
+const RAZORPAY_API = 'https://api.razorpay.com/v1';
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// RazorpayX payout states mapped onto ours
+const PAYOUT_STATUSES = {
+  queued: 'processing',
+  pending: 'processing',
+  processing: 'processing',
+  processed: 'completed',
+  reversed: 'reversed',
+  cancelled: 'failed',
+  rejected: 'failed',
+  failed: 'failed'
+};
+
+// Razorpay refund states mapped onto ours
+const REFUND_STATUSES = {
+  pending: 'processing',
+  processed: 'completed',
+  failed: 'failed'
+};
+
+class RazorpayProvider extends PaymentProvider {
+  constructor(config) {
+    super('razorpay', config);
+    
+    // Catch live keys in sandbox (or the reverse) before any money moves
+    const expectedPrefix = config.live ? 'rzp_live_' : 'rzp_test_';
+    if (config.keyId && !config.keyId.startsWith(expectedPrefix)) {
+      throw new Error(`Razorpay key does not match the ${config.live ? 'live' : 'sandbox'} environment`);
+    }
+    
+    const Razorpay = require('razorpay');
+    this.client = new Razorpay({
+      key_id: config.keyId,
+      key_secret: config.keySecret
+    });
+  }
+  
+  // Create Order
+  async createOrder(orderData) {
+    const order = await this.client.orders.create({
+      // Razorpay takes amounts in the smallest unit, as we store them
+      amount: money.assertMinor(orderData.amount),
+      currency: money.normalizeCurrency(orderData.currency),
+      receipt: orderData.receipt,
+      payment_capture: 1,
+      notes: {
+        userId: orderData.userId,
+        chatId: orderData.chatId,
+        earnerId: orderData.earnerId
+      }
+    });
+    
+    return {
+      success: true,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      key: this.config.keyId
+    };
+  }
+  
+  // Confirm Payment: checkout signs order ID and payment ID with our secret
+  async confirmPayment(paymentData, proof) {
+    const generatedSignature = crypto
+      .createHmac('sha256', this.config.keySecret)
+      .update(paymentData.orderId + '|' + proof.razorpayPaymentId)
+      .digest('hex');
+    
+    if (safeEqual(generatedSignature, proof.razorpaySignature)) {
+      return { success: true, providerPaymentId: proof.razorpayPaymentId };
+    }
+    return { success: false, message: 'Invalid payment signature' };
+  }
+  
+  // Capture (only needed for orders created without auto-capture)
+  async capture(paymentId, amount, currency) {
+    const payment = await this.client.payments.capture(paymentId, amount, money.normalizeCurrency(currency));
+    return {
+      success: payment.status === 'captured',
+      providerPaymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency
+    };
+  }
+  
+  // Refund
+  async refund(paymentId, amount, { reason, reference } = {}) {
+    let refund;
+    try {
+      refund = await this.client.payments.refund(paymentId, {
+        amount: money.assertMinor(amount),
+        receipt: reference,
+        notes: { reason, reference }
+      });
+    } catch (error) {
+      // The SDK rejects with the API's error body, not an Error
+      const failure = new Error(error.error?.description || error.message || 'Razorpay refund failed');
+      failure.refused = PaymentProvider.isRefusal(error.statusCode);
+      throw failure;
+    }
+    
+    return this.toRefund(refund);
+  }
+  
+  // Find Refund among the payment's refunds by the receipt it was sent with
+  async findRefund(paymentId, reference) {
+    const result = await this.client.payments.fetchMultipleRefund(paymentId, { count: 100 });
+    const refund = result.items.find(item => item.receipt === reference || item.notes?.reference === reference);
+    return refund ? this.toRefund(refund) : null;
+  }
+  
+  toRefund(refund) {
+    return {
+      success: true,
+      refundId: refund.id,
+      status: REFUND_STATUSES[refund.status] || 'processing'
+    };
+  }
+  
+  // RazorpayX REST call; the Node SDK does not cover payouts
+  async request(method, path, body, headers = {}) {
+    const auth = Buffer.from(`${this.config.keyId}:${this.config.keySecret}`).toString('base64');
+    const response = await fetch(`${RAZORPAY_API}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${auth}`,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error?.description || `Razorpay request failed with ${response.status}`);
+      error.status = response.status;
+      error.refused = PaymentProvider.isRefusal(response.status);
+      throw error;
+    }
+    return data;
+  }
+  
+  // Fund account for the earner's bank account or UPI ID. A retried payout
+  // creates these again, so the payout reference keys both requests.
+  async createFundAccount(details, reference) {
+    const contact = await this.request('POST', '/contacts', {
+      name: details.accountHolderName || details.name,
+      email: details.email,
+      type: 'vendor',
+      reference_id: String(details.userId)
+    }, {
+      'X-Payout-Idempotency': `${reference}_contact`
+    });
+    
+    const account = details.vpa
+      ? { account_type: 'vpa', vpa: { address: details.vpa } }
+      : {
+          account_type: 'bank_account',
+          bank_account: {
+            name: details.accountHolderName,
+            ifsc: details.ifsc,
+            account_number: details.accountNumber
+          }
+        };
+    
+    const fundAccount = await this.request('POST', '/fund_accounts', {
+      contact_id: contact.id,
+      ...account
+    }, {
+      'X-Payout-Idempotency': `${reference}_fund_account`
+    });
+    return fundAccount.id;
+  }
+  
+  // Create Payout (RazorpayX)
+  async createPayout(payout) {
+    const fundAccountId = payout.details.fundAccountId
+      || await this.createFundAccount({ ...payout.details, userId: payout.userId }, payout.reference);
+    
+    const result = await this.request('POST', '/payouts', {
+      account_number: this.config.payoutAccountNumber,
+      fund_account_id: fundAccountId,
+      amount: money.assertMinor(payout.amount),
+      currency: money.normalizeCurrency(payout.currency),
+      mode: payout.details.vpa ? 'UPI' : (payout.details.mode || 'IMPS'),
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: payout.reference,
+      narration: 'QuikChat earnings'
+    }, {
+      // Retried jobs reuse the key, so RazorpayX never pays twice
+      'X-Payout-Idempotency': payout.reference
+    });
+    
+    return {
+      success: true,
+      payoutId: result.id,
+      status: PAYOUT_STATUSES[result.status] || 'processing',
+      failureReason: result.failure_reason
+    };
+  }
+  
+  // Get Payout
+  async getPayout(payoutId) {
+    const result = await this.request('GET', `/payouts/${payoutId}`);
+    return this.toPayout(result);
+  }
+  
+  // Find Payout by the reference_id it was created with
+  async findPayout(reference) {
+    const query = new URLSearchParams({
+      account_number: this.config.payoutAccountNumber,
+      reference_id: reference
+    });
+    const result = await this.request('GET', `/payouts?${query}`);
+    const payout = result.items?.[0];
+    return payout ? this.toPayout(payout) : null;
+  }
+  
+  toPayout(payout) {
+    return {
+      payoutId: payout.id,
+      status: PAYOUT_STATUSES[payout.status] || 'processing',
+      failureReason: payout.failure_reason || payout.status_details?.description
+    };
+  }
+  
+  // Parse Webhook
+  async parseWebhook(headers, rawBody) {
+    const signature = headers['x-razorpay-signature'];
+    if (!signature || !this.config.webhookSecret) return null;
+    
+    const expected = crypto
+      .createHmac('sha256', this.config.webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+    if (!safeEqual(expected, signature)) return null;
+    
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return {
+      eventId: headers['x-razorpay-event-id']
+        || crypto.createHash('sha256').update(rawBody).digest('hex'),
+      type: event.event,
+      payload: event
+    };
+  }
+  
+  // Interpret Event
+  interpretEvent(type, event) {
+    const payment = event.payload.payment?.entity;
+    const refund = event.payload.refund?.entity;
+    const dispute = event.payload.dispute?.entity;
+    const payout = event.payload.payout?.entity;
+    
+    const base = {
+      orderId: payment?.order_id,
+      providerPaymentId: payment?.id || refund?.payment_id || dispute?.payment_id
+    };
+    
+    switch (type) {
+      case 'payment.authorized':
+        return { ...base, action: 'authorized' };
+      case 'payment.captured':
+      case 'order.paid':
+        return { ...base, action: 'completed' };
+      case 'payment.failed':
+        return { ...base, action: 'failed' };
+      case 'refund.processed':
+        return {
+          ...base,
+          action: 'refunded',
+          refundId: refund.id,
+          reference: refund.notes?.reference,
+          refundAmount: refund.amount
+        };
+      case 'refund.failed':
+        return {
+          ...base,
+          action: 'refund_failed',
+          refundId: refund.id,
+          reference: refund.notes?.reference
+        };
+      case 'payment.dispute.created':
+        return { ...base, action: 'disputed' };
+      case 'payment.dispute.won':
+        return { ...base, action: 'dispute_won' };
+      case 'payment.dispute.lost':
+        return { ...base, action: 'dispute_lost' };
+      case 'payout.processed':
+      case 'payout.reversed':
+      case 'payout.failed':
+      case 'payout.rejected':
+        return {
+          action: 'payout_updated',
+          payoutId: payout.id,
+          payoutStatus: PAYOUT_STATUSES[payout.status] || 'processing',
+          failureReason: payout.failure_reason || payout.status_details?.description
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = RazorpayProvider;
@@ -0,0 +1,52 @@
+// backend/src/services/providers/index.js
+const FakeProvider = require('./FakeProvider');
+
+// live, sandbox, or fake (every method served in-process, no network)
+const paymentEnv = process.env.PAYMENT_ENV
+  || (process.env.NODE_ENV === 'production' ? 'live' : 'sandbox');
+
+const factories = {
+  razorpay: () => {
+    const RazorpayProvider = require('./RazorpayProvider');
+    return new RazorpayProvider({
+      live: paymentEnv === 'live',
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+      payoutAccountNumber: process.env.RAZORPAYX_ACCOUNT_NUMBER
+    });
+  },
+  paypal: () => {
+    const PayPalProvider = require('./PayPalProvider');
+    return new PayPalProvider({
+      live: paymentEnv === 'live',
+      clientId: process.env.PAYPAL_CLIENT_ID,
+      clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+      webhookId: process.env.PAYPAL_WEBHOOK_ID
+    });
+  }
+};
+
+const instances = new Map();
+
+// Get Provider: adapters are created on first use, one per worker
+const getProvider = (name) => {
+  if (!factories[name]) {
+    throw new Error('Unsupported payment method');
+  }
+  
+  if (!instances.has(name)) {
+    instances.set(name, paymentEnv === 'fake'
+      ? new FakeProvider(name, { secret: process.env.FAKE_PROVIDER_SECRET })
+      : factories[name]());
+  }
+  return instances.get(name);
+};
+
+const isSupported = (name) => Boolean(factories[name]);
+
+module.exports = {
+  paymentEnv,
+  getProvider,
+  isSupported
+};
@@ -0,0 +1,72 @@
+// backend/src/services/statements/csv.js
+const money = require('../../utils/money');
+
+// Quote fields that would break the row, per RFC 4180
+const field = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const row = (values) => values.map(field).join(',');
+
+const amount = (minor, currency) => money.toMajorString(minor, currency);
+
+// Monthly statement: a header block with the totals, then one row per line
+const monthlyStatementCsv = (statement) => {
+  const { earner, period, currency, summary } = statement;
+  
+  return [
+    row(['Statement', `${period.year}-${String(period.month).padStart(2, '0')}`]),
+    row(['Earner', earner?.username]),
+    row(['Currency', currency]),
+    row(['Sessions', summary.sessions]),
+    row(['Minutes', summary.minutes]),
+    row(['Gross', amount(summary.gross, currency)]),
+    row(['Commission', amount(summary.commission, currency)]),
+    row(['Refunds', amount(summary.refunds, currency)]),
+    row(['Net earnings', amount(summary.net, currency)]),
+    row(['Payouts', amount(summary.payouts.amount, currency)]),
+    '',
+    row(['Date', 'Chat', 'Service', 'Minutes', 'Gross', 'Commission rate', 'Commission', 'Refunded', 'Net', 'Status']),
+    ...statement.lines.map(line => row([
+      line.date,
+      line.chatId,
+      line.serviceType,
+      line.minutes,
+      amount(line.gross, currency),
+      line.commissionRate,
+      amount(line.commission, currency),
+      amount(line.refunded, currency),
+      amount(line.net, currency),
+      line.status
+    ]))
+  ].join('\r\n');
+};
+
+// Yearly summary: one row per month and a totals row
+const yearlySummaryCsv = (summary) => {
+  const { currency } = summary;
+  const columns = (label, values) => row([
+    label,
+    values.sessions,
+    values.minutes,
+    amount(values.gross, currency),
+    amount(values.commission, currency),
+    amount(values.refunds, currency),
+    amount(values.net, currency),
+    amount(values.payouts.amount, currency)
+  ]);
+  
+  return [
+    row(['Year', summary.period.year]),
+    row(['Earner', summary.earner?.username]),
+    row(['Currency', currency]),
+    '',
+    row(['Month', 'Sessions', 'Minutes', 'Gross', 'Commission', 'Refunds', 'Net earnings', 'Payouts']),
+    ...summary.months.map(month => columns(`${summary.period.year}-${String(month.month).padStart(2, '0')}`, month)),
+    columns('Total', summary.totals)
+  ].join('\r\n');
+};
+
+module.exports = { monthlyStatementCsv, yearlySummaryCsv };
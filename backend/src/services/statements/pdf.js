@@ -0,0 +1,116 @@
+// backend/src/services/statements/pdf.js
+const PDFDocument = require('pdfkit');
+const money = require('../../utils/money');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const amount = (minor, currency) => `${money.toMajorString(minor, currency)} ${currency}`;
+
+// Label/value pairs, one per line
+const writeTotals = (doc, totals, currency) => {
+  [
+    ['Sessions', totals.sessions],
+    ['Minutes', totals.minutes],
+    ['Gross', amount(totals.gross, currency)],
+    ['Commission', amount(totals.commission, currency)],
+    ['Refunds', amount(totals.refunds, currency)],
+    ['Net earnings', amount(totals.net, currency)],
+    ['Payouts', amount(totals.payouts.amount, currency)]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(String(value));
+  });
+};
+
+// A table as fixed-width columns; starts a new page when the current is full
+const writeTable = (doc, headers, rows, widths) => {
+  const left = doc.page.margins.left;
+  const writeRow = (cells, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(8);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell ?? ''), x, y, { width: widths[index] - 4, lineBreak: false });
+      x += widths[index];
+    });
+    doc.x = left;
+    doc.moveDown(0.6);
+  };
+  
+  writeRow(headers, 'Helvetica-Bold');
+  rows.forEach(cells => writeRow(cells, 'Helvetica'));
+  doc.fontSize(10);
+};
+
+const header = (doc, title, earner, generatedAt) => {
+  doc.fontSize(16).font('Helvetica-Bold').text(title);
+  doc.fontSize(10).font('Helvetica')
+    .text(earner?.username || '')
+    .text(earner?.email || '')
+    .text(`Generated ${generatedAt.toISOString().slice(0, 10)}`)
+    .moveDown();
+};
+
+// Monthly statement as a PDF stream; the caller pipes it to the response
+const monthlyStatementPdf = (statement) => {
+  const { earner, period, currency } = statement;
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  
+  header(doc, `Earnings statement, ${MONTHS[period.month - 1]} ${period.year}`, earner, statement.generatedAt);
+  writeTotals(doc, statement.summary, currency);
+  doc.moveDown();
+  
+  writeTable(
+    doc,
+    ['Date', 'Service', 'Minutes', 'Gross', 'Rate', 'Commission', 'Refunded', 'Net'],
+    statement.lines.map(line => [
+      line.date.toISOString().slice(0, 10),
+      line.serviceType,
+      line.minutes,
+      money.toMajorString(line.gross, currency),
+      line.commissionRate === undefined ? '' : `${Math.round(line.commissionRate * 100)}%`,
+      money.toMajorString(line.commission, currency),
+      money.toMajorString(line.refunded, currency),
+      money.toMajorString(line.net, currency)
+    ]),
+    [70, 55, 50, 70, 45, 70, 70, 70]
+  );
+  
+  doc.end();
+  return doc;
+};
+
+// Yearly summary as a PDF stream
+const yearlySummaryPdf = (summary) => {
+  const { earner, period, currency } = summary;
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  
+  header(doc, `Annual earnings summary ${period.year}`, earner, summary.generatedAt);
+  writeTotals(doc, summary.totals, currency);
+  doc.moveDown();
+  
+  writeTable(
+    doc,
+    ['Month', 'Sessions', 'Minutes', 'Gross', 'Commission', 'Refunds', 'Net', 'Payouts'],
+    summary.months.map(month => [
+      MONTHS[month.month - 1],
+      month.sessions,
+      month.minutes,
+      money.toMajorString(month.gross, currency),
+      money.toMajorString(month.commission, currency),
+      money.toMajorString(month.refunds, currency),
+      money.toMajorString(month.net, currency),
+      money.toMajorString(month.payouts.amount, currency)
+    ]),
+    [70, 55, 55, 70, 70, 60, 70, 65]
+  );
+  
+  doc.end();
+  return doc;
+};
+
+module.exports = { monthlyStatementPdf, yearlySummaryPdf };
@@ -0,0 +1,349 @@
+// backend/src/socket/callSessions.js
+const mongoose = require('mongoose');
+const DeadlineQueue = require('../services/DeadlineQueue');
+
+// Allowed status moves; anything else is a stale or duplicate update
+const TRANSITIONS = {
+  ringing: ['connected', 'ended'],
+  connected: ['reconnecting', 'ended'],
+  reconnecting: ['connected', 'ended'],
+  ended: []
+};
+
+// Statuses a call can move to the given one from
+const sourcesFor = (to) => Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+
+// Moves a call to a new status only from one of the listed ones, setting
+// the given fields with it
+const TRANSITION_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'status')
+local allowed = false
+for source in string.gmatch(ARGV[1], '[^,]+') do
+  if source == current then
+    allowed = true
+  end
+end
+if not allowed then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'status', ARGV[2])
+for i = 3, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return 1
+`;
+
+// Marks both participants as in this call unless either already is in one.
+// Returns 1 if the caller is busy, 2 if the callee is, 0 once claimed.
+const CLAIM_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 1
+end
+if redis.call('EXISTS', KEYS[2]) == 1 then
+  return 2
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+redis.call('SET', KEYS[2], ARGV[1], 'PX', ARGV[2])
+return 0
+`;
+
+// Clears a busy marker only if it still points at this call
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// One-to-one call sessions. State lives in Redis so any worker can route a
+// signal, and ring and reconnect timeouts are deadlines fired by a single
+// leader worker, like the chat timers. Every device of the callee rings;
+// the device that answers is the only one that receives the call's signals.
+module.exports = (io, redisClient, { onEnded } = {}) => {
+  const config = {
+    ringMs: (parseInt(process.env.CALL_RING_SECONDS, 10) || 30) * 1000,
+    reconnectMs: (parseInt(process.env.CALL_RECONNECT_SECONDS, 10) || 20) * 1000,
+    // Busy markers outlive any real call, so a lost end cannot block a user for good
+    maxCallMs: (parseInt(process.env.CALL_MAX_HOURS, 10) || 6) * 60 * 60 * 1000,
+    // How long an ended call stays readable
+    retainMs: 60 * 60 * 1000
+  };
+  
+  const queue = new DeadlineQueue(redisClient, 'call-timeouts', {
+    pollInterval: parseInt(process.env.CALL_TIMEOUT_POLL_MS, 10) || 1000
+  });
+  
+  const callKey = (callId) => `call:${callId}`;
+  const busyKey = (userId) => `user-call:${userId}`;
+  
+  const toCall = (hash) => {
+    if (!hash || !hash.status) return null;
+    return {
+      ...hash,
+      isVideo: hash.isVideo === '1',
+      paid: hash.paid === '1',
+      createdAt: Number(hash.createdAt),
+      ringingUntil: hash.ringingUntil ? Number(hash.ringingUntil) : null,
+      answeredAt: hash.answeredAt ? Number(hash.answeredAt) : null,
+      endedAt: hash.endedAt ? Number(hash.endedAt) : null
+    };
+  };
+  
+  async function get(callId) {
+    return toCall(await redisClient.hGetAll(callKey(callId)));
+  }
+  
+  // The call a user is in or being rung for, if any
+  async function getActiveFor(userId) {
+    const callId = await redisClient.get(busyKey(userId));
+    return callId ? get(callId) : null;
+  }
+  
+  async function transition(callId, to, fields = {}) {
+    const args = [sourcesFor(to).join(','), to];
+    Object.entries(fields).forEach(([field, value]) => {
+      args.push(field, String(value));
+    });
+    
+    const moved = await redisClient.eval(TRANSITION_SCRIPT, {
+      keys: [callKey(callId)],
+      arguments: args
+    });
+    return moved === 1 ? get(callId) : null;
+  }
+  
+  const roleOf = (call, userId) => {
+    if (call.callerId === String(userId)) return 'caller';
+    if (call.calleeId === String(userId)) return 'callee';
+    return null;
+  };
+  
+  // Both participants' rooms, so every device hears how the call ended
+  const rooms = (call) => [`user:${call.callerId}`, `user:${call.calleeId}`];
+  
+  // Ring every device of the callee. Fails when either side is already in a
+  // call. A paid call's ID is its billing session's.
+  async function start({ callId = new mongoose.Types.ObjectId().toString(), callerId, calleeId, type, isVideo, paid, socketId }) {
+    const claimed = await redisClient.eval(CLAIM_SCRIPT, {
+      keys: [busyKey(callerId), busyKey(calleeId)],
+      arguments: [callId, String(config.maxCallMs)]
+    });
+    if (claimed === 1) {
+      const error = new Error('You are already in a call');
+      error.code = 'IN_CALL';
+      throw error;
+    }
+    if (claimed === 2) {
+      const error = new Error('User is busy');
+      error.code = 'BUSY';
+      throw error;
+    }
+    
+    const now = Date.now();
+    const ringingUntil = now + config.ringMs;
+    await redisClient.hSet(callKey(callId), {
+      callId,
+      callerId: String(callerId),
+      calleeId: String(calleeId),
+      type,
+      isVideo: isVideo ? '1' : '0',
+      paid: paid ? '1' : '0',
+      status: 'ringing',
+      createdAt: String(now),
+      ringingUntil: String(ringingUntil),
+      callerSocket: socketId
+    });
+    await redisClient.pExpire(callKey(callId), config.maxCallMs);
+    await queue.schedule(`${callId}:ring`, ringingUntil);
+    
+    const call = await get(callId);
+    io.to(`user:${calleeId}`).emit('incoming-call', {
+      callId,
+      callerId: String(callerId),
+      type,
+      isVideo: call.isVideo,
+      ringingUntil
+    });
+    return call;
+  }
+  
+  // Answer on one device; the callee's other devices stop ringing
+  async function accept(callId, userId, socketId) {
+    const call = await get(callId);
+    if (!call || roleOf(call, userId) !== 'callee') {
+      throw new Error('Call not found');
+    }
+    
+    const connected = await transition(callId, 'connected', {
+      calleeSocket: socketId,
+      answeredAt: Date.now()
+    });
+    if (!connected) {
+      throw new Error(`Call is ${call.status}`);
+    }
+    await queue.cancel(`${callId}:ring`);
+    
+    io.to(`user:${call.calleeId}`).except(socketId).emit('call-answered-elsewhere', { callId });
+    io.to([connected.callerSocket, socketId]).emit('call-accepted', {
+      callId,
+      answeredAt: connected.answeredAt
+    });
+    return connected;
+  }
+  
+  // Hang up. Before the call connects the callee rejects and the caller
+  // cancels; afterwards either side completes it.
+  async function hangUp(callId, userId) {
+    const call = await get(callId);
+    const role = call && roleOf(call, userId);
+    if (!role) {
+      throw new Error('Call not found');
+    }
+    
+    let reason = 'completed';
+    if (call.status === 'ringing') {
+      reason = role === 'callee' ? 'rejected' : 'cancelled';
+    }
+    return end(callId, reason, userId);
+  }
+  
+  // End a call for a reason, exactly once
+  async function end(callId, reason, endedBy) {
+    const fields = { endReason: reason, endedAt: Date.now() };
+    if (endedBy) {
+      fields.endedBy = endedBy;
+    }
+    
+    const ended = await transition(callId, 'ended', fields);
+    if (!ended) return null;
+    
+    await queue.cancel(`${callId}:ring`);
+    await queue.cancel(`${callId}:reconnect`);
+    for (const userId of [ended.callerId, ended.calleeId]) {
+      await redisClient.eval(RELEASE_SCRIPT, { keys: [busyKey(userId)], arguments: [callId] });
+    }
+    await redisClient.pExpire(callKey(callId), config.retainMs);
+    
+    io.to(rooms(ended)).emit('call-ended', {
+      callId,
+      reason,
+      endedBy: ended.endedBy,
+      duration: ended.answeredAt ? Math.round((ended.endedAt - ended.answeredAt) / 1000) : 0
+    });
+    if (reason === 'missed') {
+      io.to(`user:${ended.calleeId}`).emit('missed-call', {
+        callId,
+        callerId: ended.callerId,
+        type: ended.type,
+        isVideo: ended.isVideo,
+        at: ended.createdAt
+      });
+    }
+    
+    if (onEnded) {
+      try {
+        await onEnded(ended);
+      } catch (error) {
+        console.error('Call end hook error:', error);
+      }
+    }
+    return ended;
+  }
+  
+  // The socket a signal from this device should go to, or null if the
+  // device is not one of the call's two endpoints
+  async function routeSignal(callId, userId, socketId) {
+    const call = await get(callId);
+    if (!call || !['connected', 'reconnecting'].includes(call.status)) return null;
+    
+    const role = roleOf(call, userId);
+    if (role === 'caller' && call.callerSocket === socketId) return call.calleeSocket;
+    if (role === 'callee' && call.calleeSocket === socketId) return call.callerSocket;
+    return null;
+  }
+  
+  // A participant's device (re)attaches, e.g. after a reload or network
+  // change. The peer is asked to restart ICE towards the new device.
+  async function rejoin(callId, userId, socketId) {
+    const call = await get(callId);
+    const role = call && roleOf(call, userId);
+    if (!role || !['connected', 'reconnecting'].includes(call.status)) {
+      throw new Error('Call not found');
+    }
+    
+    const socketField = role === 'caller' ? 'callerSocket' : 'calleeSocket';
+    let joined = call;
+    if (call.status === 'reconnecting') {
+      joined = await transition(callId, 'connected', { [socketField]: socketId });
+      if (!joined) {
+        throw new Error('Call has ended');
+      }
+      await queue.cancel(`${callId}:reconnect`);
+    } else if (call[socketField] !== socketId) {
+      await redisClient.hSet(callKey(callId), socketField, socketId);
+      joined = await get(callId);
+    }
+    
+    const peerSocket = role === 'caller' ? joined.calleeSocket : joined.callerSocket;
+    io.to(peerSocket).emit('call-reconnected', { callId, userId: String(userId), restartIce: true });
+    return joined;
+  }
+  
+  // A socket went away. A caller still ringing cancels; a connected call
+  // gets a short window to come back before it is dropped.
+  async function handleDisconnect(userId, socketId) {
+    const call = await getActiveFor(userId);
+    if (!call) return;
+    
+    const role = roleOf(call, userId);
+    if (call.status === 'ringing' && role === 'caller' && call.callerSocket === socketId) {
+      await end(call.callId, 'cancelled', userId);
+      return;
+    }
+    
+    const ownSocket = role === 'caller' ? call.callerSocket : call.calleeSocket;
+    if (call.status !== 'connected' || ownSocket !== socketId) return;
+    
+    const reconnecting = await transition(call.callId, 'reconnecting');
+    if (!reconnecting) return;
+    
+    const deadline = Date.now() + config.reconnectMs;
+    await queue.schedule(`${call.callId}:reconnect`, deadline);
+    
+    const peerSocket = role === 'caller' ? call.calleeSocket : call.callerSocket;
+    io.to(peerSocket).emit('call-reconnecting', { callId: call.callId, userId: String(userId), deadline });
+  }
+  
+  // Members are '<callId>:ring' or '<callId>:reconnect'
+  queue.start(async (member) => {
+    const [callId, event] = member.split(':');
+    const call = await get(callId);
+    if (!call) return;
+    
+    if (event === 'ring' && call.status === 'ringing') {
+      await end(callId, 'missed');
+    }
+    if (event === 'reconnect' && call.status === 'reconnecting') {
+      await end(callId, 'connection_lost');
+    }
+  });
+  
+  // Stop firing timeouts, handing them to another worker
+  async function stop() {
+    await queue.stop();
+  }
+  
+  return {
+    start,
+    accept,
+    hangUp,
+    end,
+    get,
+    getActiveFor,
+    roleOf,
+    routeSignal,
+    rejoin,
+    handleDisconnect,
+    stop
+  };
+};
@@ -0,0 +1,285 @@
+// backend/src/socket/chatTimers.js
+const DeadlineQueue = require('../services/DeadlineQueue');
+
+const parseThresholds = (value) => value
+  .split(',')
+  .map(seconds => parseInt(seconds, 10))
+  .filter(seconds => seconds > 0)
+  .sort((a, b) => a - b);
+
+// Paid chat clocks live in Redis rather than in worker memory, so any worker
+// can read or change them and a restart does not lose running sessions.
+module.exports = (io, redisClient, { onTimeUp, onExpire }) => {
+  const config = {
+    pollInterval: parseInt(process.env.CHAT_TIMER_POLL_MS, 10) || 1000,
+    tickInterval: parseInt(process.env.CHAT_TIME_TICK_MS, 10) || 5000,
+    warningThresholds: parseThresholds(process.env.CHAT_TIME_WARNINGS || '300,60,10'),
+    gracePeriod: parseInt(process.env.CHAT_GRACE_PERIOD_SECONDS, 10) || 0
+  };
+  
+  const queue = new DeadlineQueue(redisClient, 'chat-timers', {
+    pollInterval: config.pollInterval
+  });
+  
+  const PAUSED_KEY = 'chat-timers:paused';
+  const timerKey = (chatId) => `chat-timer:${chatId}`;
+  let lastTickAt = 0;
+  
+  // Start (or restart) the paid clock for a chat
+  async function schedule(chatId, minutes) {
+    const now = Date.now();
+    const deadline = now + minutes * 60 * 1000;
+    
+    // Drop any pause or warning state left from a previous clock
+    await redisClient.del(timerKey(chatId));
+    await redisClient.sRem(PAUSED_KEY, String(chatId));
+    await redisClient.hSet(timerKey(chatId), {
+      startedAt: String(now),
+      deadline: String(deadline),
+      duration: String(minutes),
+      phase: 'active'
+    });
+    await queue.schedule(chatId, deadline);
+    
+    return deadline;
+  }
+  
+  // Stop the clock without firing expiry
+  async function cancel(chatId) {
+    await queue.cancel(chatId);
+    await redisClient.sRem(PAUSED_KEY, String(chatId));
+    await redisClient.del(timerKey(chatId));
+  }
+  
+  // Add paid minutes, continuing from the current deadline so no time is lost.
+  // A key marks the minutes as added, so retrying the same extension after
+  // a failure does not add them twice.
+  async function extend(chatId, minutes, { key } = {}) {
+    const timer = await redisClient.hGetAll(timerKey(chatId));
+    if (!timer.phase) {
+      const error = new Error('Chat timer is not running');
+      error.code = 'TIMER_NOT_RUNNING';
+      throw error;
+    }
+    
+    if (key && timer[`extended:${key}`]) {
+      return getState(chatId);
+    }
+    const marker = key ? { [`extended:${key}`]: '1' } : {};
+    
+    const addMs = minutes * 60 * 1000;
+    const warned = Object.keys(timer).filter(field => field.startsWith('warned:'));
+    if (warned.length) {
+      await redisClient.hDel(timerKey(chatId), warned);
+    }
+    
+    if (timer.pausedAt) {
+      await redisClient.hSet(timerKey(chatId), {
+        remainingMs: String(Number(timer.remainingMs) + addMs),
+        duration: String(Number(timer.duration) + minutes),
+        ...marker
+      });
+      return broadcast(chatId);
+    }
+    
+    const base = timer.phase === 'grace' ? Date.now() : Number(timer.deadline);
+    const deadline = base + addMs;
+    
+    await redisClient.hSet(timerKey(chatId), {
+      deadline: String(deadline),
+      duration: String(Number(timer.duration) + minutes),
+      phase: 'active',
+      ...marker
+    });
+    await queue.schedule(chatId, deadline);
+    
+    return broadcast(chatId);
+  }
+  
+  // Freeze the clock; billing stops until it is resumed
+  async function pause(chatId) {
+    const timer = await redisClient.hGetAll(timerKey(chatId));
+    if (!timer.deadline || timer.phase !== 'active') {
+      throw new Error('Chat timer is not running');
+    }
+    
+    const remainingMs = Math.max(0, Number(timer.deadline) - Date.now());
+    await queue.cancel(chatId);
+    await redisClient.hSet(timerKey(chatId), {
+      pausedAt: String(Date.now()),
+      remainingMs: String(remainingMs)
+    });
+    await redisClient.hDel(timerKey(chatId), 'deadline');
+    await redisClient.sAdd(PAUSED_KEY, String(chatId));
+    
+    return broadcast(chatId);
+  }
+  
+  async function resume(chatId) {
+    const timer = await redisClient.hGetAll(timerKey(chatId));
+    if (!timer.pausedAt) {
+      throw new Error('Chat timer is not paused');
+    }
+    
+    const deadline = Date.now() + Number(timer.remainingMs);
+    await redisClient.hSet(timerKey(chatId), { deadline: String(deadline) });
+    await redisClient.hDel(timerKey(chatId), ['pausedAt', 'remainingMs']);
+    await redisClient.sRem(PAUSED_KEY, String(chatId));
+    await queue.schedule(chatId, deadline);
+    
+    return broadcast(chatId);
+  }
+  
+  // Authoritative clock state, as sent to clients
+  async function getState(chatId) {
+    const timer = await redisClient.hGetAll(timerKey(chatId));
+    const now = Date.now();
+    
+    if (timer.pausedAt) {
+      return {
+        chatId,
+        remainingTime: Math.ceil(Number(timer.remainingMs) / 1000),
+        deadline: null,
+        paused: true,
+        inGrace: false,
+        serverTime: now
+      };
+    }
+    
+    const deadline = timer.deadline ? Number(timer.deadline) : null;
+    const inGrace = timer.phase === 'grace';
+    
+    return {
+      chatId,
+      remainingTime: deadline && !inGrace ? Math.max(0, Math.ceil((deadline - now) / 1000)) : 0,
+      deadline: inGrace ? null : deadline,
+      paused: false,
+      inGrace,
+      graceEndsAt: inGrace ? deadline : null,
+      serverTime: now
+    };
+  }
+  
+  async function broadcast(chatId) {
+    const state = await getState(chatId);
+    io.to(`chat:${chatId}`).emit('chat-time-update', state);
+    return state;
+  }
+  
+  // Each threshold is announced once per clock, even across leader changes.
+  // Only the smallest threshold covering the remaining time is due; larger
+  // ones that were missed are stale by now.
+  async function sendWarnings(chatId, deadline, now) {
+    const remaining = Math.ceil((deadline - now) / 1000);
+    
+    for (const threshold of config.warningThresholds) {
+      if (remaining > threshold) continue;
+      
+      const isFirst = await redisClient.hSetNX(timerKey(chatId), `warned:${threshold}`, '1');
+      if (isFirst) {
+        io.to(`chat:${chatId}`).emit('chat-time-warning', {
+          chatId,
+          threshold,
+          remainingTime: Math.max(0, remaining)
+        });
+      }
+      break;
+    }
+  }
+  
+  // Leader-only loop pushing ticks and warnings to chat rooms
+  async function tick() {
+    if (!queue.isLeader) return;
+    
+    try {
+      const now = Date.now();
+      const shouldTick = now - lastTickAt >= config.tickInterval;
+      const running = await queue.getAll();
+      
+      for (const { member: chatId, deadline } of running) {
+        const phase = await redisClient.hGet(timerKey(chatId), 'phase');
+        if (phase === 'active') {
+          await sendWarnings(chatId, deadline, now);
+        }
+        if (shouldTick) {
+          await broadcast(chatId);
+        }
+      }
+      
+      if (shouldTick) {
+        const paused = await redisClient.sMembers(PAUSED_KEY);
+        for (const chatId of paused) {
+          await broadcast(chatId);
+        }
+        lastTickAt = now;
+      }
+    } catch (error) {
+      console.error('Chat timer tick error:', error);
+    }
+  }
+  
+  // Hold the session open briefly so participants can extend before it ends
+  async function startGrace(chatId) {
+    const graceEndsAt = Date.now() + config.gracePeriod * 1000;
+    
+    await redisClient.hSet(timerKey(chatId), {
+      phase: 'grace',
+      deadline: String(graceEndsAt)
+    });
+    await queue.schedule(chatId, graceEndsAt);
+    
+    io.to(`chat:${chatId}`).emit('chat-grace-period', {
+      chatId,
+      graceEndsAt,
+      gracePeriod: config.gracePeriod
+    });
+    await broadcast(chatId);
+  }
+  
+  queue.start(async (chatId) => {
+    const timer = await redisClient.hGetAll(timerKey(chatId));
+    
+    // Already expired by an earlier attempt, or extended after being claimed
+    if (!timer.deadline || Number(timer.deadline) > Date.now()) return;
+    
+    // Auto-extend gets the first chance to keep the session going
+    if (timer.phase === 'active' && onTimeUp) {
+      const minutes = await onTimeUp(chatId, timer);
+      if (minutes > 0) {
+        await extend(chatId, minutes);
+        return;
+      }
+    }
+    
+    if (timer.phase === 'active' && config.gracePeriod > 0) {
+      await startGrace(chatId);
+      return;
+    }
+    
+    await onExpire(chatId);
+    await redisClient.del(timerKey(chatId));
+  });
+  
+  let ticking = null;
+  const ticker = setInterval(() => {
+    ticking = tick();
+  }, config.pollInterval);
+  
+  // Stop ticking and claiming, handing the clocks to another worker
+  async function stop() {
+    clearInterval(ticker);
+    await ticking;
+    await queue.stop();
+  }
+  
+  return {
+    schedule,
+    extend,
+    cancel,
+    pause,
+    resume,
+    getState,
+    broadcast,
+    stop
+  };
+};
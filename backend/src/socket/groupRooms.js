@@ -0,0 +1,233 @@
+// backend/src/socket/groupRooms.js
+const GroupRoomService = require('../services/GroupRoomService');
+const SfuService = require('../services/SfuService');
+
+// Media operations a participant may run on their own tracks
+const MEDIA_ACTIONS = ['createTransport', 'connectTransport', 'produce', 'consume', 'resumeConsumer'];
+
+// Who is in each group room, with one device per participant. The roster
+// lives in Redis so every worker sees it; media goes through the SFU and
+// everything else is broadcast to the `group:<roomId>` socket room.
+module.exports = (io, redisClient) => {
+  const rosterKey = (roomId) => `group-room:${roomId}:roster`;
+  const memberKey = (userId) => `user-group:${userId}`;
+  const socketRoom = (roomId) => `group:${roomId}`;
+  
+  async function getRoster(roomId) {
+    const entries = await redisClient.hGetAll(rosterKey(roomId));
+    return Object.values(entries).map(entry => JSON.parse(entry));
+  }
+  
+  async function getMember(roomId, userId) {
+    const entry = await redisClient.hGet(rosterKey(roomId), String(userId));
+    return entry ? JSON.parse(entry) : null;
+  }
+  
+  async function setMember(roomId, member) {
+    await redisClient.hSet(rosterKey(roomId), member.userId, JSON.stringify(member));
+  }
+  
+  async function pushRoster(roomId) {
+    io.to(socketRoom(roomId)).emit('group-roster', { roomId, participants: await getRoster(roomId) });
+  }
+  
+  // Join from this device. A device already in the room for the same user
+  // is dropped, as is any other room the user was in.
+  async function join(socket, roomId) {
+    const userId = socket.userId;
+    
+    const current = await redisClient.get(memberKey(userId));
+    if (current && current !== roomId) {
+      await leave(userId, current);
+    }
+    
+    const existing = await getMember(roomId, userId);
+    const present = (await redisClient.hLen(rosterKey(roomId))) - (existing ? 1 : 0);
+    const room = await GroupRoomService.admit(roomId, userId, { present });
+    
+    if (existing && existing.socketId !== socket.id) {
+      await SfuService.request(roomId, 'closePeer', userId);
+      io.to(existing.socketId).emit('group-left', { roomId, reason: 'joined_elsewhere' });
+      io.in(existing.socketId).socketsLeave(socketRoom(roomId));
+    }
+    
+    await setMember(roomId, {
+      userId,
+      socketId: socket.id,
+      role: room.hostId.toString() === userId ? 'host' : 'participant',
+      audioMuted: false,
+      videoMuted: room.type !== 'video',
+      mutedByHost: false,
+      joinedAt: Date.now()
+    });
+    await redisClient.set(memberKey(userId), roomId);
+    socket.join(socketRoom(roomId));
+    await pushRoster(roomId);
+    
+    return {
+      room: GroupRoomService.toView(room),
+      rtpCapabilities: await SfuService.request(roomId, 'getRtpCapabilities'),
+      producers: await SfuService.request(roomId, 'listProducers', userId)
+    };
+  }
+  
+  async function leave(userId, roomId, reason = 'left') {
+    const member = await getMember(roomId, userId);
+    if (!member) return;
+    
+    await redisClient.hDel(rosterKey(roomId), String(userId));
+    if (await redisClient.get(memberKey(userId)) === roomId) {
+      await redisClient.del(memberKey(userId));
+    }
+    await SfuService.request(roomId, 'closePeer', String(userId)).catch(() => {});
+    
+    io.to(member.socketId).emit('group-left', { roomId, reason });
+    io.in(member.socketId).socketsLeave(socketRoom(roomId));
+    await pushRoster(roomId);
+  }
+  
+  // The device in the room, or an error for anyone else
+  async function assertMember(socket, roomId) {
+    const member = await getMember(roomId, socket.userId);
+    if (!member || member.socketId !== socket.id) {
+      throw new Error('You are not in this room');
+    }
+    return member;
+  }
+  
+  // Transports, tracks and consumers for the participant's own media
+  async function media(socket, roomId, action, args = []) {
+    if (!MEDIA_ACTIONS.includes(action)) {
+      throw new Error('Unknown media action');
+    }
+    const member = await assertMember(socket, roomId);
+    
+    // Host-muted tracks stay off until the host lets them back
+    if (action === 'produce' && member.mutedByHost && args[1] === 'audio') {
+      throw new Error('The host has muted you');
+    }
+    
+    const result = await SfuService.request(roomId, action, socket.userId, ...args);
+    if (action === 'produce') {
+      socket.to(socketRoom(roomId)).emit('group-new-producer', {
+        roomId,
+        producerId: result.id,
+        userId: socket.userId,
+        kind: result.kind
+      });
+    }
+    return result;
+  }
+  
+  // Mute or unmute your own microphone or camera
+  async function setMuted(socket, roomId, kind, muted) {
+    const member = await assertMember(socket, roomId);
+    if (!muted && kind === 'audio' && member.mutedByHost) {
+      throw new Error('The host has muted you');
+    }
+    
+    await SfuService.request(roomId, 'setProducerPaused', socket.userId, kind, Boolean(muted));
+    await setMember(roomId, { ...member, [kind === 'audio' ? 'audioMuted' : 'videoMuted']: Boolean(muted) });
+    await pushRoster(roomId);
+  }
+  
+  // Host controls
+  
+  async function assertHost(socket, roomId) {
+    const room = await GroupRoomService.getRoom(roomId);
+    GroupRoomService.assertHost(room, socket.userId);
+    return room;
+  }
+  
+  // Muting someone's microphone holds until the host unmutes them; cameras
+  // can be turned back on by their owner
+  async function muteParticipant(socket, roomId, userId, kind = 'audio', muted = true) {
+    await assertHost(socket, roomId);
+    const member = await getMember(roomId, userId);
+    if (!member) {
+      throw new Error('Participant is not in the room');
+    }
+    
+    await SfuService.request(roomId, 'setProducerPaused', String(userId), kind, Boolean(muted));
+    await setMember(roomId, {
+      ...member,
+      [kind === 'audio' ? 'audioMuted' : 'videoMuted']: Boolean(muted),
+      mutedByHost: kind === 'audio' ? Boolean(muted) : member.mutedByHost
+    });
+    
+    io.to(member.socketId).emit('group-muted', { roomId, kind, muted: Boolean(muted), by: socket.userId });
+    await pushRoster(roomId);
+  }
+  
+  async function removeParticipant(socket, roomId, userId) {
+    await GroupRoomService.removeParticipant(roomId, socket.userId, userId);
+    await leave(userId, roomId, 'removed');
+  }
+  
+  async function setLocked(socket, roomId, locked) {
+    const room = await GroupRoomService.setLocked(roomId, socket.userId, locked);
+    io.to(socketRoom(roomId)).emit('group-room-updated', GroupRoomService.toView(room));
+  }
+  
+  async function goLive(socket, roomId) {
+    const room = await GroupRoomService.goLive(roomId, socket.userId);
+    io.to(socketRoom(roomId)).emit('group-room-updated', GroupRoomService.toView(room));
+  }
+  
+  async function end(socket, roomId) {
+    await assertHost(socket, roomId);
+    return GroupRoomService.end(roomId, 'ended_by_host');
+  }
+  
+  // Everyone is sent out once the room has ended, however it ended
+  async function closeRoster(roomId, reason) {
+    io.to(socketRoom(roomId)).emit('group-room-ended', { roomId, reason });
+    const roster = await getRoster(roomId);
+    for (const member of roster) {
+      if (await redisClient.get(memberKey(member.userId)) === roomId) {
+        await redisClient.del(memberKey(member.userId));
+      }
+    }
+    await redisClient.del(rosterKey(roomId));
+    io.in(socketRoom(roomId)).socketsLeave(socketRoom(roomId));
+  }
+  
+  async function handleDisconnect(userId, socketId) {
+    const roomId = await redisClient.get(memberKey(userId));
+    if (!roomId) return;
+    
+    const member = await getMember(roomId, userId);
+    if (member && member.socketId === socketId) {
+      await leave(userId, roomId, 'disconnected');
+    }
+  }
+  
+  GroupRoomService.on('room-ended', (room) => {
+    closeRoster(room._id.toString(), room.endReason).catch(error => {
+      console.error('Group room close error:', error);
+    });
+  });
+  
+  // The SFU reports on the worker that owns the room; the adapter carries
+  // the broadcast to every worker
+  SfuService.on('active-speaker', ({ roomId, userId }) => {
+    io.to(socketRoom(roomId)).emit('group-active-speaker', { roomId, userId });
+  });
+  SfuService.on('producer-closed', ({ roomId, userId, producerId }) => {
+    io.to(socketRoom(roomId)).emit('group-producer-closed', { roomId, userId, producerId });
+  });
+  
+  return {
+    join,
+    leave,
+    media,
+    setMuted,
+    muteParticipant,
+    removeParticipant,
+    setLocked,
+    goLive,
+    end,
+    getRoster,
+    handleDisconnect
+  };
+};
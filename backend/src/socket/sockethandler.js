@@ -2,8 +2,81 @@
 const jwt = require('jsonwebtoken');
 const ChatService = require('../services/ChatService');
 const PaymentService = require('../services/PaymentService');
+const UserService = require('../services/UserService');
+const AutoExtendService = require('../services/AutoExtendService');
+const RefundService = require('../services/RefundService');
+const EarningService = require('../services/EarningService');
+const NotificationService = require('../services/NotificationService');
+const PricingService = require('../services/PricingService');
+const RiskService = require('../services/RiskService');
+const BookingService = require('../services/BookingService');
+const ChatRequestService = require('../services/ChatRequestService');
+const CallBillingService = require('../services/CallBillingService');
+const CallRecordService = require('../services/CallRecordService');
+const MessageDeliveryService = require('../services/MessageDeliveryService');
+const MessageEditService = require('../services/MessageEditService');
+const MessageReactionService = require('../services/MessageReactionService');
+const createChatTimers = require('./chatTimers');
+const createCallSessions = require('./callSessions');
+const createGroupRooms = require('./groupRooms');
 
 module.exports = (io, redisClient) => {
+  NotificationService.attach(io);
+  MessageDeliveryService.attach(redisClient);
+  MessageReactionService.attach(redisClient);
+  
+  // Paid chat expiry is scheduled in Redis and fired by a single leader worker
+  const chatTimers = createChatTimers(io, redisClient, {
+    onTimeUp: handleChatTimeUp,
+    onExpire: handleChatExpired
+  });
+  
+  // One-to-one call state, ringing and reconnect windows. Ended calls are
+  // settled and recorded whichever way they ended.
+  const callSessions = createCallSessions(io, redisClient, {
+    onEnded: handleCallEnded
+  });
+  
+  // Multi-party rooms: roster and host controls here, media through the SFU
+  const groupRooms = createGroupRooms(io, redisClient);
+  
+  // Paid calls are cut where the caller's money runs out
+  CallBillingService.on('funds-exhausted', (billing) => {
+    callSessions.end(billing._id.toString(), 'insufficient_funds').catch(error => {
+      console.error('Call cut error:', error);
+    });
+  });
+  
+  // Extensions settle from the socket flow or a provider webhook; either way
+  // the worker that completed the payment moves the clock straight away
+  PaymentService.on('extension-completed', (payment) => {
+    applyChatExtension(payment._id).catch(error => {
+      console.error('Chat extension error:', error);
+    });
+  });
+  
+  // A settled extension stays due on its intent until it is applied, so one
+  // whose worker died or whose clock update failed is picked up here
+  const extensionRetryMs = parseInt(process.env.EXTENSION_RETRY_MS, 10) || 30 * 1000;
+  let retryingExtensions = false;
+  setInterval(async () => {
+    if (retryingExtensions) return;
+    retryingExtensions = true;
+    
+    try {
+      let payment;
+      while ((payment = await PaymentService.claimExtension())) {
+        await moveChatClock(payment).catch(error => {
+          console.error('Chat extension retry error:', error);
+        });
+      }
+    } catch (error) {
+      console.error('Chat extension poll error:', error);
+    } finally {
+      retryingExtensions = false;
+    }
+  }, extensionRetryMs);
+  
   // Middleware for authentication
   io.use(async (socket, next) => {
     try {
@@ -45,30 +118,52 @@ module.exports = (io, redisClient) => {
       socket.join(`chat:${chatId}`);
       await ChatService.updateUserPresence(chatId, socket.userId, true);
       socket.to(`chat:${chatId}`).emit('user-joined', { userId: socket.userId });
+      
+      // Resync the paid clock for clients that reconnect mid-session
+      const timerState = await chatTimers.getState(chatId);
+      if (timerState.deadline || timerState.paused || timerState.inGrace) {
+        socket.emit('chat-time-update', timerState);
+      }
     });
     
-    socket.on('send-message', async (data) => {
+    // Every send is acknowledged. Clients retry unacknowledged messages under
+    // the same clientId, and a retry of a saved message is acknowledged with
+    // the saved one without posting it again.
+    socket.on('send-message', async (data, ack = () => {}) => {
+      const { chatId, clientId, content, type, media, replyTo } = data;
+      let acknowledged = false;
       try {
-        const { chatId, content, type, media } = data;
+        const saved = clientId && await MessageDeliveryService.findByClientId(chatId, socket.userId, clientId);
+        if (saved) {
+          ack({ success: true, clientId, message: saved });
+          return;
+        }
         
-        // Check if chat is paid and has time remaining
+        // Paid chats go by the Redis clock: a paused clock or the grace
+        // period still lets the chat go on, a clock at zero does not
         const chat = await ChatService.getChat(chatId);
         if (chat.type === 'private_paid') {
-          const hasTime = await ChatService.checkChatTimeRemaining(chatId);
-          if (!hasTime) {
+          const timer = await chatTimers.getState(chatId);
+          if (!timer.paused && !timer.inGrace && timer.remainingTime <= 0) {
             socket.emit('chat-error', { message: 'Chat time expired' });
+            ack({ success: false, clientId, message: 'Chat time expired', retryable: false });
             return;
           }
         }
         
         // Save message
-        const message = await ChatService.saveMessage({
+        const { message, duplicate } = await MessageDeliveryService.send({
           chatId,
           senderId: socket.userId,
+          clientId,
           content,
           type,
-          media
+          media,
+          replyTo
         });
+        ack({ success: true, clientId, message });
+        acknowledged = true;
+        if (duplicate) return;
         
         // Emit to chat room
         io.to(`chat:${chatId}`).emit('new-message', message);
@@ -87,7 +182,84 @@ module.exports = (io, redisClient) => {
           }
         });
       } catch (error) {
-        socket.emit('error', { message: error.message });
+        // Once saved, a reconnecting client picks it up through sync-messages
+        if (acknowledged) {
+          console.error('Message fan-out error:', error);
+          return;
+        }
+        ack({ success: false, clientId, message: error.message, retryable: error.retryable !== false });
+      }
+    });
+    
+    socket.on('edit-message', async (data, ack = () => {}) => {
+      try {
+        const { messageId, content } = data;
+        const message = await MessageEditService.edit(messageId, socket.userId, content);
+        
+        io.to(`chat:${message.chatId}`).emit('message-edited', message);
+        ack({ success: true, message });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    // scope is 'everyone' (the sender, for a while after sending) or 'me'
+    socket.on('delete-message', async (data, ack = () => {}) => {
+      try {
+        const { messageId, scope } = data;
+        
+        if (scope === 'everyone') {
+          const message = await MessageEditService.deleteForEveryone(messageId, socket.userId);
+          io.to(`chat:${message.chatId}`).emit('message-deleted', {
+            chatId: message.chatId,
+            messageId: message._id,
+            scope,
+            message
+          });
+        } else {
+          const message = await MessageEditService.deleteForMe(messageId, socket.userId);
+          io.to(`user:${socket.userId}`).emit('message-deleted', {
+            chatId: message.chatId,
+            messageId: message._id,
+            scope: 'me'
+          });
+        }
+        ack({ success: true });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    // Reacting with the same emoji again takes the reaction back
+    socket.on('toggle-reaction', async (data, ack = () => {}) => {
+      try {
+        const { messageId, emoji } = data;
+        const { message, added } = await MessageReactionService.toggle(messageId, socket.userId, emoji);
+        
+        io.to(`chat:${message.chatId}`).emit('message-reactions', {
+          chatId: message.chatId,
+          messageId: message._id,
+          reactions: message.reactions,
+          updateSeq: message.updateSeq,
+          userId: socket.userId,
+          emoji,
+          added
+        });
+        ack({ success: true, added, reactions: message.reactions });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    // A reconnecting client catches up on everything after the last
+    // sequence number it saw
+    socket.on('sync-messages', async (data, ack = () => {}) => {
+      try {
+        const { chatId, sinceSeq } = data;
+        const missed = await MessageDeliveryService.since(chatId, socket.userId, sinceSeq);
+        ack({ success: true, chatId, ...missed });
+      } catch (error) {
+        ack({ success: false, message: error.message });
       }
     });
     
@@ -111,94 +283,299 @@ module.exports = (io, redisClient) => {
     // Payment Events
     socket.on('request-private-chat', async (data) => {
       try {
-        const { earnerId, duration, chatType } = data;
+        const { earnerId, duration, chatType, message, currency, method } = data;
         
-        // Check earner availability
-        const earner = await UserService.getUser(earnerId);
-        if (!earner.earnerProfile.isActive) {
-          socket.emit('error', { message: 'Earner is not available' });
-          return;
-        }
-        
-        // Calculate cost
-        const rate = earner.earnerProfile.hourlyRate / 60; // per minute
-        const amount = rate * duration;
-        
-        // Create payment session
-        const paymentSession = await PaymentService.createChatPayment({
+        // The earner hears about it once the payment is held
+        const { request, payment } = await ChatRequestService.create({
           userId: socket.userId,
           earnerId,
-          amount,
-          duration,
-          chatType
+          minutes: duration,
+          chatType,
+          message,
+          currency,
+          method,
+          context: RiskService.contextFromSocket(socket)
         });
         
-        // Emit payment request
-        socket.emit('payment-request', {
-          sessionId: paymentSession._id,
-          amount,
-          duration,
-          earnerName: earner.username
-        });
+        if (payment) {
+          socket.emit('payment-request', {
+            requestId: request._id,
+            duration,
+            ...payment
+          });
+          return;
+        }
         
-        // Notify earner
-        socket.to(`user:${earnerId}`).emit('chat-request', {
-          requestId: paymentSession._id,
-          userId: socket.userId,
+        socket.emit('chat-request-sent', {
+          requestId: request._id,
+          amount: request.amount,
+          currency: request.currency,
           duration,
-          amount
+          expiresAt: request.expiresAt
         });
       } catch (error) {
         socket.emit('error', { message: error.message });
       }
     });
     
+    socket.on('confirm-chat-request-payment', async (data) => {
+      try {
+        const { paymentId, ...proof } = data;
+        
+        await PaymentService.confirmChatRequestPayment(paymentId, socket.userId, proof);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('cancel-chat-request', async (data) => {
+      try {
+        await ChatRequestService.cancel(data.requestId, socket.userId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    // Only the requested earner can answer a request
     socket.on('accept-chat-request', async (data) => {
+      let request = null;
+      let chat = null;
+      let scheduled = false;
       try {
-        const { requestId } = data;
+        request = await ChatRequestService.accept(data.requestId, socket.userId);
         
-        // Update payment status
-        await PaymentService.acceptPayment(requestId);
+        // The clock is running before the payment is taken, so a paid chat
+        // always has one
+        chat = await ChatService.createPrivateChat(request);
+        await chatTimers.schedule(chat._id.toString(), request.minutes);
+        scheduled = true;
+        request = await ChatRequestService.startChat(request, chat._id);
         
-        // Create chat room
-        const chat = await ChatService.createPrivateChat(requestId);
+        io.to([`user:${request.userId}`, `user:${request.earnerId}`]).emit('chat-started', {
+          chatId: chat._id,
+          requestId: request._id,
+          duration: request.minutes
+        });
+      } catch (error) {
+        // Give the place and the payment back if the chat never opened
+        if (request && !request.chatId) {
+          if (scheduled) {
+            await chatTimers.cancel(chat._id.toString()).catch(() => {});
+          }
+          if (chat) {
+            await ChatService.endChat(chat._id).catch(() => {});
+          }
+          await ChatRequestService.abandon(request, 'The chat could not be opened').catch(abandonError => {
+            console.error('Chat request abandon error:', abandonError);
+          });
+        }
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('decline-chat-request', async (data) => {
+      try {
+        await ChatRequestService.decline(data.requestId, socket.userId, data.reason);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('get-chat-request-queue', async () => {
+      try {
+        socket.emit('chat-request-queue', await ChatRequestService.getQueue(socket.userId));
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    // Booked sessions open when both participants have joined
+    socket.on('join-booking', async (data) => {
+      try {
+        const { booking, started } = await BookingService.join(data.bookingId, socket.userId);
+        const rooms = [`user:${booking.userId}`, `user:${booking.earnerId}`];
         
-        // Notify both users
-        io.to(`chat:${chat._id}`).emit('chat-started', {
+        if (!started) {
+          socket.emit('booking-joined', {
+            bookingId: booking._id,
+            status: booking.status,
+            chatId: booking.chatId
+          });
+          return;
+        }
+        
+        const chat = await ChatService.createBookedChat(booking);
+        await BookingService.attachChat(booking._id, chat._id);
+        await ChatRequestService.occupySlot(booking.earnerId, `booking:${booking._id}`);
+        
+        io.to(rooms).emit('chat-started', {
           chatId: chat._id,
-          duration: chat.paymentDetails.totalDuration
+          bookingId: booking._id,
+          duration: booking.minutes
         });
         
-        // Start chat timer
-        startChatTimer(chat._id, chat.paymentDetails.totalDuration);
+        await chatTimers.schedule(chat._id.toString(), booking.minutes);
       } catch (error) {
         socket.emit('error', { message: error.message });
       }
     });
     
-    socket.on('extend-chat', async (data) => {
+    socket.on('extend-chat', async (data, ack = () => {}) => {
       try {
-        const { chatId, additionalMinutes } = data;
+        const { chatId, additionalMinutes, method, currency } = data;
         
-        // Calculate extension cost
+        if (!(additionalMinutes > 0)) {
+          ack({ success: false, message: 'Invalid extension length' });
+          return;
+        }
+        
+        // Only the paying participant can buy more time
         const chat = await ChatService.getChat(chatId);
-        const earner = await UserService.getUser(chat.participants.find(p => p.role === 'earner').userId);
-        const rate = earner.earnerProfile.hourlyRate / 60;
-        const amount = rate * additionalMinutes;
+        const payer = chat.participants.find(p => p.role !== 'earner');
+        if (!payer || payer.userId.toString() !== socket.userId) {
+          ack({ success: false, message: 'Only the paying participant can extend this chat' });
+          return;
+        }
+        
+        const timerState = await chatTimers.getState(chatId);
+        if (!timerState.deadline && !timerState.paused && !timerState.inGrace) {
+          ack({ success: false, message: 'Chat has already ended' });
+          return;
+        }
+        
+        // Calculate extension cost
+        const earnerId = chat.participants.find(p => p.role === 'earner').userId;
+        const earner = await UserService.getUser(earnerId);
+        const quote = await PricingService.quoteChat(
+          earner,
+          additionalMinutes,
+          await PricingService.payerCurrency(socket.userId, currency)
+        );
         
         // Create extension payment
         const payment = await PaymentService.createExtensionPayment({
           chatId,
           userId: socket.userId,
-          amount,
-          minutes: additionalMinutes
+          earnerId,
+          earnerName: earner.username,
+          quote,
+          method,
+          context: RiskService.contextFromSocket(socket)
+        });
+        
+        // Wallet payments settle immediately; the clock moves on 'extension-completed'
+        if (payment.status === 'completed') {
+          ack({ success: true, status: 'completed', paymentId: payment._id });
+          return;
+        }
+        
+        // Anything else is paid at the provider's checkout, then confirmed
+        ack({
+          success: true,
+          status: payment.status,
+          paymentRequest: {
+            paymentId: payment._id,
+            amount: payment.amount,
+            currency: payment.currency,
+            minutes: additionalMinutes,
+            method: payment.method,
+            ...payment.paymentData
+          }
         });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    socket.on('confirm-extension-payment', async (data, ack = () => {}) => {
+      try {
+        const { paymentId, ...proof } = data;
         
-        socket.emit('extension-payment-request', {
-          paymentId: payment._id,
-          amount,
-          minutes: additionalMinutes
+        const payment = await PaymentService.confirmExtensionPayment(paymentId, socket.userId, proof);
+        ack({ success: true, status: payment.status, paymentId: payment._id });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    socket.on('get-auto-extend', async (chatId, ack = () => {}) => {
+      try {
+        const settings = await AutoExtendService.getSettings(chatId, socket.userId);
+        ack({ success: true, chatId, ...settings });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    socket.on('update-auto-extend', async (data, ack = () => {}) => {
+      try {
+        const { chatId, enabled, spendingCap } = data;
+        
+        const settings = await AutoExtendService.updateSettings(chatId, socket.userId, {
+          enabled,
+          spendingCap
         });
+        
+        io.to(`chat:${chatId}`).emit('auto-extend-updated', { chatId, ...settings });
+        ack({ success: true, chatId, ...settings });
+      } catch (error) {
+        ack({ success: false, message: error.message });
+      }
+    });
+    
+    socket.on('pause-chat-timer', async (chatId) => {
+      try {
+        await assertEarnerOfChat(chatId, socket.userId);
+        await chatTimers.pause(chatId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('resume-chat-timer', async (chatId) => {
+      try {
+        await assertEarnerOfChat(chatId, socket.userId);
+        await chatTimers.resume(chatId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    // Either participant can end a paid chat early; the payer gets the
+    // unused paid time back
+    socket.on('end-chat', async (chatId) => {
+      try {
+        const chat = await ChatService.getChat(chatId);
+        if (!chat.participants.some(p => p.userId.toString() === socket.userId)) {
+          socket.emit('error', { message: 'Not a participant of this chat' });
+          return;
+        }
+        
+        const state = await chatTimers.getState(chatId);
+        await chatTimers.cancel(chatId);
+        await ChatService.endChat(chatId);
+        
+        io.to(`chat:${chatId}`).emit('chat-ended', { chatId, endedBy: socket.userId });
+        
+        if (state.remainingTime > 0) {
+          const refunds = await RefundService.refundChatRemainder(chatId, {
+            unusedMinutes: state.remainingTime / 60,
+            requestedBy: socket.userId
+          });
+          
+          const payer = chat.participants.find(p => p.role !== 'earner');
+          const amount = refunds.reduce((sum, refund) => sum + refund.paymentAmount, 0);
+          if (refunds.length) {
+            io.to(`user:${payer.userId}`).emit('chat-refunded', {
+              chatId,
+              amount,
+              currency: refunds[0].paymentCurrency,
+              refunds: refunds.map(refund => ({ refundId: refund._id, amount: refund.paymentAmount, status: refund.status }))
+            });
+          }
+        }
+        
+        await closeSession(chatId);
       } catch (error) {
         socket.emit('error', { message: error.message });
       }
@@ -206,52 +583,241 @@ module.exports = (io, redisClient) => {
     
     // Call Events
     socket.on('call-user', async (data) => {
-      const { userId, type, isVideo } = data;
-      
-      // Check if user can receive calls
-      const user = await UserService.getUser(userId);
-      if (user.role === 'female_earner' && !user.earnerProfile.services[type]) {
-        socket.emit('error', { message: 'This service is not available' });
-        return;
+      try {
+        const { userId, type, isVideo } = data;
+        
+        if (userId === socket.userId) {
+          socket.emit('error', { message: 'You cannot call yourself' });
+          return;
+        }
+        if (!['voice', 'video'].includes(type)) {
+          socket.emit('error', { message: 'Unknown call type' });
+          return;
+        }
+        
+        // Check if user can receive calls
+        const user = await UserService.getUser(userId);
+        if (!user) {
+          socket.emit('error', { message: 'User not found' });
+          return;
+        }
+        if (user.role === 'female_earner' && !user.earnerProfile.services[type]) {
+          socket.emit('error', { message: 'This service is not available' });
+          return;
+        }
+        
+        // Calls to earners are paid; the minimum is held before it rings
+        let billing = null;
+        if (user.role === 'female_earner') {
+          billing = await CallBillingService.open({
+            callerId: socket.userId,
+            earner: user,
+            serviceType: type,
+            isVideo
+          });
+        }
+        
+        let call;
+        try {
+          call = await callSessions.start({
+            callId: billing ? billing._id.toString() : undefined,
+            callerId: socket.userId,
+            calleeId: userId,
+            type,
+            isVideo,
+            paid: Boolean(billing),
+            socketId: socket.id
+          });
+        } catch (error) {
+          // The hold goes back, recorded with why the call never rang
+          if (billing) {
+            const endReason = { BUSY: 'busy', IN_CALL: 'caller_in_call' }[error.code] || 'start_failed';
+            await CallBillingService.finish({ callId: billing._id, endedAt: Date.now(), endReason });
+          }
+          throw error;
+        }
+        
+        socket.emit('call-initiated', {
+          callId: call.callId,
+          ringingUntil: call.ringingUntil,
+          perMinute: billing ? billing.perMinute : 0,
+          currency: billing ? billing.currency : undefined,
+          minimumMinutes: billing ? billing.minimumMinutes : 0
+        });
+      } catch (error) {
+        if (error.code === 'BUSY') {
+          socket.emit('call-busy', { userId: data.userId });
+          return;
+        }
+        socket.emit('error', { message: error.message });
       }
-      
-      // Create call room
-      const callId = `call_${Date.now()}_${socket.userId}_${userId}`;
-      
-      socket.to(`user:${userId}`).emit('incoming-call', {
-        callId,
-        callerId: socket.userId,
-        type,
-        isVideo
-      });
-      
-      socket.emit('call-initiated', { callId });
     });
     
-    socket.on('accept-call', (data) => {
-      const { callId } = data;
-      io.to(callId).emit('call-accepted');
+    socket.on('accept-call', async (data) => {
+      try {
+        const call = await callSessions.accept(data.callId, socket.userId, socket.id);
+        if (!call.paid) return;
+        
+        // Paid time runs from the moment the call connects. A paid call that
+        // cannot be metered is ended rather than left running unbilled.
+        const billing = await CallBillingService.connect(call.callId, call.answeredAt).catch(error => {
+          console.error('Call billing start error:', error);
+          return null;
+        });
+        if (!billing) {
+          await callSessions.end(call.callId, 'billing_failed');
+        }
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
     });
     
-    socket.on('reject-call', (data) => {
-      const { callId } = data;
-      io.to(callId).emit('call-rejected');
+    socket.on('reject-call', async (data) => {
+      try {
+        await callSessions.hangUp(data.callId, socket.userId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
     });
     
-    socket.on('join-call', (callId) => {
-      socket.join(callId);
+    // A participant device reattaching after a reload or network change
+    socket.on('join-call', async (callId) => {
+      try {
+        await callSessions.rejoin(callId, socket.userId, socket.id);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
     });
     
-    socket.on('call-signal', (data) => {
-      const { callId, signal } = data;
-      socket.to(callId).emit('call-signal', { 
-        signal, 
-        userId: socket.userId 
-      });
+    // Offers, answers and ICE candidates only pass between the two devices
+    // in the call
+    socket.on('call-signal', async (data) => {
+      try {
+        const { callId, signal } = data;
+        
+        const peerSocket = await callSessions.routeSignal(callId, socket.userId, socket.id);
+        if (!peerSocket) {
+          socket.emit('error', { message: 'Not a participant of this call' });
+          return;
+        }
+        
+        io.to(peerSocket).emit('call-signal', {
+          callId,
+          signal,
+          userId: socket.userId
+        });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
     });
     
-    socket.on('end-call', (callId) => {
-      io.to(callId).emit('call-ended');
+    // Ask the peer to renegotiate with fresh ICE candidates after a network change
+    socket.on('call-ice-restart', async (data) => {
+      try {
+        const { callId } = data;
+        
+        const peerSocket = await callSessions.routeSignal(callId, socket.userId, socket.id);
+        if (!peerSocket) {
+          socket.emit('error', { message: 'Not a participant of this call' });
+          return;
+        }
+        
+        io.to(peerSocket).emit('call-ice-restart', { callId, userId: socket.userId });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('end-call', async (callId) => {
+      try {
+        await callSessions.hangUp(callId, socket.userId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    // Group Room Events. Media negotiation is request/response, so these
+    // answer through the acknowledgement callback.
+    socket.on('group-join', async (data, respond = () => {}) => {
+      try {
+        const joined = await groupRooms.join(socket, data.roomId);
+        respond({ success: true, ...joined });
+      } catch (error) {
+        respond({ success: false, message: error.message });
+      }
+    });
+    
+    // action is one of createTransport [direction], connectTransport
+    // [transportId, dtlsParameters], produce [transportId, kind,
+    // rtpParameters], consume [transportId, producerId, rtpCapabilities] or
+    // resumeConsumer [consumerId]
+    socket.on('group-media', async (data, respond = () => {}) => {
+      try {
+        const { roomId, action, args } = data;
+        const result = await groupRooms.media(socket, roomId, action, args);
+        respond({ success: true, result });
+      } catch (error) {
+        respond({ success: false, message: error.message });
+      }
+    });
+    
+    socket.on('group-leave', async (roomId) => {
+      try {
+        await groupRooms.leave(socket.userId, roomId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('group-set-muted', async (data) => {
+      try {
+        const { roomId, kind, muted } = data;
+        await groupRooms.setMuted(socket, roomId, kind, muted);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('group-mute-participant', async (data) => {
+      try {
+        const { roomId, userId, kind, muted } = data;
+        await groupRooms.muteParticipant(socket, roomId, userId, kind, muted);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('group-remove-participant', async (data) => {
+      try {
+        await groupRooms.removeParticipant(socket, data.roomId, data.userId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('group-lock', async (data) => {
+      try {
+        await groupRooms.setLocked(socket, data.roomId, data.locked);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    // Paid rooms charge their seats only once the host has gone live
+    socket.on('group-go-live', async (roomId) => {
+      try {
+        await groupRooms.goLive(socket, roomId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    socket.on('group-end', async (roomId) => {
+      try {
+        await groupRooms.end(socket, roomId);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
     });
     
     // Presence Events
@@ -273,6 +839,14 @@ module.exports = (io, redisClient) => {
     socket.on('disconnect', async () => {
       console.log(`User disconnected: ${socket.userId}`);
       
+      // A dropped call device gets a window to come back
+      await callSessions.handleDisconnect(socket.userId, socket.id).catch(error => {
+        console.error('Call disconnect error:', error);
+      });
+      await groupRooms.handleDisconnect(socket.userId, socket.id).catch(error => {
+        console.error('Group room disconnect error:', error);
+      });
+      
       // Update status to offline
       await redisClient.hSet(`user:${socket.userId}`, 'status', 'offline');
       await redisClient.hSet(`user:${socket.userId}`, 'lastSeen', new Date().toISOString());
@@ -291,28 +865,124 @@ module.exports = (io, redisClient) => {
     });
   });
   
-  // Helper function for chat timer
-  function startChatTimer(chatId, duration) {
-    const timer = setTimeout(async () => {
-      try {
-        // End chat when time is up
-        await ChatService.endChat(chatId);
-        
-        // Notify participants
-        io.to(`chat:${chatId}`).emit('chat-time-ended', { chatId });
-        
-        // Auto-extend if enabled
-        const chat = await ChatService.getChat(chatId);
-        if (chat.paymentDetails.autoExtend) {
-          // Charge for extension
-          // Implementation depends on your logic
-        }
-      } catch (error) {
-        console.error('Chat timer error:', error);
-      }
-    }, duration * 60 * 1000);
+  // Only the earner may stop the paid clock, since it pauses their billing
+  async function assertEarnerOfChat(chatId, userId) {
+    const chat = await ChatService.getChat(chatId);
+    const earner = chat.participants.find(p => p.role === 'earner');
+    if (!earner || earner.userId.toString() !== userId) {
+      throw new Error('Only the earner can pause or resume this chat');
+    }
+    return chat;
+  }
+  
+  // Moves the paid clock once an extension payment has settled, unless
+  // another worker already has it
+  async function applyChatExtension(paymentIntentId) {
+    const payment = await PaymentService.claimExtension(paymentIntentId);
+    if (payment) {
+      await moveChatClock(payment);
+    }
+  }
+  
+  // A payment can settle after the chat ended (a slow checkout, a late
+  // webhook); then there is no clock to move and the payment goes back. If
+  // anything here fails the intent stays due and is retried.
+  async function moveChatClock(payment) {
+    const chatId = payment.chatId.toString();
+    let state;
+    try {
+      state = await chatTimers.extend(chatId, payment.minutes, { key: payment._id.toString() });
+    } catch (error) {
+      if (error.code !== 'TIMER_NOT_RUNNING') throw error;
+      
+      const refund = await RefundService.refundUnappliedExtension(payment);
+      await PaymentService.extensionApplied(payment._id, 'refunded');
+      io.to(`user:${payment.userId}`).emit('extension-refunded', {
+        chatId,
+        paymentId: payment._id,
+        refundId: refund._id,
+        status: refund.status
+      });
+      return;
+    }
+    
+    await PaymentService.extensionApplied(payment._id, 'applied');
+    io.to(`chat:${chatId}`).emit('chat-extended', {
+      ...state,
+      minutes: payment.minutes,
+      paymentId: payment._id
+    });
+  }
+  
+  // Charges the next auto-extend block when paid time runs out and returns
+  // the minutes bought, or 0 to let the chat wind down
+  async function handleChatTimeUp(chatId, timer) {
+    const chat = await ChatService.getChat(chatId);
+    if (!chat.paymentDetails.autoExtend) return 0;
+    
+    // Keyed by the deadline so a retried expiry never charges the block twice
+    const result = await AutoExtendService.chargeBlock(chat, `auto_extend:${chatId}:${timer.deadline}`);
+    
+    // Tell both participants, even if they are not looking at this chat
+    const rooms = chat.participants.map(p => `user:${p.userId}`);
+    
+    if (result.extended) {
+      io.to(rooms).emit('chat-auto-extended', {
+        chatId,
+        minutes: result.minutes,
+        amount: result.amount,
+        currency: result.currency
+      });
+      return result.minutes;
+    }
+    
+    io.to(rooms).emit('auto-extend-stopped', {
+      chatId,
+      reason: result.reason,
+      amount: result.amount,
+      currency: result.currency
+    });
+    return 0;
+  }
+  
+  // Bookkeeping once a paid chat has ended, however it ended
+  async function closeSession(chatId) {
+    // The earner's share clears after the hold window, once refunds are in
+    await EarningService.sessionCompleted(chatId);
+    
+    // Free the earner's place for the next request
+    const booking = await BookingService.chatEnded(chatId);
+    if (booking) {
+      await ChatRequestService.releaseSlot(booking.earnerId, `booking:${booking._id}`);
+    }
+    await ChatRequestService.chatEnded(chatId);
+  }
+  
+  // Settle a paid call, keep its detail record and put a missed call in the
+  // participants' chat
+  async function handleCallEnded(call) {
+    const billing = await CallBillingService.finish({
+      callId: call.callId,
+      answeredAt: call.answeredAt,
+      endedAt: call.endedAt,
+      endReason: call.endReason
+    });
+    
+    const { record, message } = await CallRecordService.record(call, billing);
+    io.to([`user:${record.callerId}`, `user:${record.calleeId}`]).emit('call-logged', record);
+    if (message) {
+      io.to(`chat:${message.chatId}`).emit('new-message', message);
+      await ChatService.updateLastMessage(message.chatId, message);
+    }
+  }
+  
+  // Runs exactly once per expiry, on whichever worker currently leads
+  async function handleChatExpired(chatId) {
+    // End chat when time is up
+    await ChatService.endChat(chatId);
+    await closeSession(chatId);
     
-    // Store timer reference
-    chatTimers.set(chatId, timer);
+    // Notify participants
+    io.to(`chat:${chatId}`).emit('chat-time-ended', { chatId });
   }
 };
@@ -0,0 +1,87 @@
+// backend/src/utils/money.js
+
+// Digits after the decimal point for each currency (ISO 4217). Amounts are
+// stored as integers in the smallest unit: paise, cents, yen.
+const EXPONENTS = {
+  INR: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  AUD: 2,
+  CAD: 2,
+  SGD: 2,
+  AED: 2,
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+  KWD: 3
+};
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+
+// Currency every ledger amount is booked in
+const LEDGER_CURRENCY = (process.env.LEDGER_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+const normalizeCurrency = (currency) => {
+  const code = String(currency || DEFAULT_CURRENCY).toUpperCase();
+  if (EXPONENTS[code] === undefined) {
+    throw new Error(`Unsupported currency ${code}`);
+  }
+  return code;
+};
+
+const isSupportedCurrency = (currency) => EXPONENTS[String(currency).toUpperCase()] !== undefined;
+
+const exponentOf = (currency) => EXPONENTS[normalizeCurrency(currency)];
+
+// Throws unless the amount is a whole number of minor units
+const assertMinor = (amount, label = 'Amount') => {
+  if (!Number.isSafeInteger(amount)) {
+    throw new Error(`${label} must be an integer number of minor units`);
+  }
+  return amount;
+};
+
+// 12.5 USD -> 1250
+const toMinor = (major, currency) => Math.round(Number(major) * 10 ** exponentOf(currency));
+
+// 1250 USD -> 12.5
+const toMajor = (minor, currency) => minor / 10 ** exponentOf(currency);
+
+// 1250 USD -> '12.50', for APIs that take decimal strings
+const toMajorString = (minor, currency) => toMajor(minor, currency).toFixed(exponentOf(currency));
+
+// Move an amount between currencies; rate is units of `to` per unit of `from`
+const convert = (minor, from, to, rate) => Math.round(
+  minor * rate * 10 ** (exponentOf(to) - exponentOf(from))
+);
+
+// Split an amount into integer parts proportional to weights, so that the
+// parts always add up to the amount exactly
+const allocate = (minor, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map(weight => (total ? Math.floor(minor * weight / total) : 0));
+  let remainder = minor - parts.reduce((sum, part) => sum + part, 0);
+  
+  for (let i = 0; remainder > 0 && total; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i] += 1;
+      remainder -= 1;
+    }
+  }
+  return parts;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  LEDGER_CURRENCY,
+  normalizeCurrency,
+  isSupportedCurrency,
+  exponentOf,
+  assertMinor,
+  toMinor,
+  toMajor,
+  toMajorString,
+  convert,
+  allocate
+};
@@ -0,0 +1,105 @@
+// backend/src/utils/time.js
+
+// Wall-clock helpers for IANA time zones, built on Intl so schedules follow
+// each zone's daylight saving rules. Local dates are 'YYYY-MM-DD' strings
+// and local times 'HH:MM'.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidTime = (time) => TIME_PATTERN.test(time);
+
+const isValidDate = (date) => DATE_PATTERN.test(date) && !isNaN(new Date(`${date}T00:00:00Z`));
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The zone's calendar fields at an instant
+const partsAt = (at, timeZone) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(at).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+// Offset of a zone from UTC at an instant, in minutes
+const offsetAt = (at, timeZone) => {
+  const parts = partsAt(at, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (asUtc - Math.floor(at.getTime() / 1000) * 1000) / 60000;
+};
+
+// Local date and weekday (0 = Sunday) of an instant in a zone
+const localDate = (at, timeZone) => {
+  const parts = partsAt(at, timeZone);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// The instant a local date and time occur in a zone. Times skipped by a
+// daylight saving jump resolve to the instant after the jump.
+const zonedTime = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutesOf(time) * 60000;
+  
+  const firstGuess = wallClock - offsetAt(new Date(wallClock), timeZone) * 60000;
+  const instant = new Date(wallClock - offsetAt(new Date(firstGuess), timeZone) * 60000);
+  
+  // A wall-clock time that does not exist reads back differently; the first
+  // guess used the offset from before the jump, which lands after it
+  const readBack = localDate(instant, timeZone);
+  return readBack.minutes === minutesOf(time) % (24 * 60) ? instant : new Date(firstGuess);
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isValidTimeZone,
+  isValidTime,
+  isValidDate,
+  minutesOf,
+  offsetAt,
+  localDate,
+  zonedTime,
+  addDays
+};
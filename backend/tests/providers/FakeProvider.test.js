@@ -0,0 +1,159 @@
+// backend/tests/providers/FakeProvider.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeProvider = require('../../src/services/providers/FakeProvider');
+
+const create = (name = 'razorpay') => new FakeProvider(name, { secret: 'test-secret' });
+
+describe('FakeProvider', () => {
+  it('needs a secret from config', () => {
+    assert.throws(() => new FakeProvider('razorpay'), /needs a secret/);
+  });
+  
+  describe('payments', () => {
+    it('confirms a Razorpay-style checkout proof', async () => {
+      const provider = create();
+      const order = await provider.createOrder({ amount: 50000, currency: 'INR' });
+      const proof = provider.pay(order.orderId);
+      
+      assert.ok(proof.razorpayPaymentId);
+      assert.ok(proof.razorpaySignature);
+      
+      const result = await provider.confirmPayment({ orderId: order.orderId }, proof);
+      assert.equal(result.success, true);
+      assert.equal(result.providerPaymentId, proof.razorpayPaymentId);
+    });
+    
+    it('rejects a proof signed for another order', async () => {
+      const provider = create();
+      const first = await provider.createOrder({ amount: 100, currency: 'INR' });
+      const second = await provider.createOrder({ amount: 100, currency: 'INR' });
+      const proof = provider.pay(first.orderId);
+      
+      const result = await provider.confirmPayment({ orderId: second.orderId }, proof);
+      assert.equal(result.success, false);
+    });
+    
+    it('confirms PayPal orders by capture, without a proof', async () => {
+      const provider = create('paypal');
+      const order = await provider.createOrder({ amount: 1250, currency: 'USD' });
+      
+      assert.equal((await provider.confirmPayment({ orderId: order.orderId })).success, false);
+      
+      provider.pay(order.orderId);
+      const result = await provider.confirmPayment({ orderId: order.orderId });
+      assert.equal(result.success, true);
+    });
+    
+    it('refuses fractional amounts', async () => {
+      await assert.rejects(create().createOrder({ amount: 12.5, currency: 'USD' }), /minor units/);
+    });
+  });
+  
+  describe('webhooks', () => {
+    it('parses the webhooks it signs', async () => {
+      const provider = create();
+      const { headers, body } = provider.buildWebhook('completed', { orderId: 'order_1' });
+      
+      const event = await provider.parseWebhook(headers, body);
+      assert.equal(event.type, 'completed');
+      assert.deepEqual(provider.interpretEvent(event.type, event.payload), {
+        action: 'completed',
+        orderId: 'order_1'
+      });
+    });
+    
+    it('rejects a tampered body', async () => {
+      const provider = create();
+      const { headers, body } = provider.buildWebhook('completed', { orderId: 'order_1' });
+      const tampered = Buffer.from(body.toString().replace('order_1', 'order_2'));
+      
+      assert.equal(await provider.parseWebhook(headers, tampered), null);
+    });
+    
+    it('rejects webhooks signed with another secret', async () => {
+      const other = new FakeProvider('razorpay', { secret: 'other-secret' });
+      const { headers, body } = other.buildWebhook('completed', {});
+      
+      assert.equal(await create().parseWebhook(headers, body), null);
+    });
+  });
+  
+  describe('refunds', () => {
+    const paidOrder = async (provider, amount) => {
+      const order = await provider.createOrder({ amount, currency: 'INR' });
+      return provider.pay(order.orderId).razorpayPaymentId;
+    };
+    
+    it('returns the same refund for a repeated reference', async () => {
+      const provider = create();
+      const paymentId = await paidOrder(provider, 1000);
+      
+      const first = await provider.refund(paymentId, 400, { reference: 'refund_1' });
+      const again = await provider.refund(paymentId, 400, { reference: 'refund_1' });
+      
+      assert.equal(again.refundId, first.refundId);
+      assert.equal(provider.payments.get(paymentId).refunded, 400);
+    });
+    
+    it('finds a refund by reference', async () => {
+      const provider = create();
+      const paymentId = await paidOrder(provider, 1000);
+      
+      assert.equal(await provider.findRefund(paymentId, 'refund_1'), null);
+      const refund = await provider.refund(paymentId, 1000, { reference: 'refund_1' });
+      assert.equal((await provider.findRefund(paymentId, 'refund_1')).refundId, refund.refundId);
+    });
+    
+    it('refuses refunds beyond the captured amount', async () => {
+      const provider = create();
+      const paymentId = await paidOrder(provider, 1000);
+      
+      await assert.rejects(
+        provider.refund(paymentId, 1001, { reference: 'refund_1' }),
+        error => error.refused === true
+      );
+    });
+    
+    it('fails the next call with an unknown outcome unless told it was refused', async () => {
+      const provider = create();
+      const paymentId = await paidOrder(provider, 1000);
+      
+      provider.failNext('refund');
+      await assert.rejects(provider.refund(paymentId, 100), error => error.refused === false);
+      
+      provider.failNext('refund', { refused: true });
+      await assert.rejects(provider.refund(paymentId, 100), error => error.refused === true);
+      
+      assert.equal((await provider.refund(paymentId, 100)).status, 'completed');
+    });
+  });
+  
+  describe('payouts', () => {
+    const payout = { reference: 'wd_1', userId: 'user_1', amount: 5000, currency: 'INR', details: {} };
+    
+    it('returns the same payout for a repeated reference', async () => {
+      const provider = create();
+      
+      const first = await provider.createPayout(payout);
+      const again = await provider.createPayout(payout);
+      
+      assert.equal(again.payoutId, first.payoutId);
+      assert.equal(provider.payouts.size, 1);
+    });
+    
+    it('finds a payout by reference', async () => {
+      const provider = create();
+      
+      assert.equal(await provider.findPayout('wd_1'), null);
+      const created = await provider.createPayout(payout);
+      provider.settlePayout(created.payoutId, 'completed');
+      
+      assert.deepEqual(await provider.findPayout('wd_1'), {
+        payoutId: created.payoutId,
+        status: 'completed',
+        failureReason: undefined
+      });
+    });
+  });
+});
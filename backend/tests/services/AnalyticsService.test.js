@@ -0,0 +1,89 @@
+// backend/tests/services/AnalyticsService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AnalyticsService = require('../../src/services/AnalyticsService');
+
+describe('AnalyticsService', () => {
+  const march = (day) => new Date(Date.UTC(2025, 2, day));
+  
+  afterEach(() => {
+    AnalyticsService.attach(null);
+    mock.restoreAll();
+  });
+  
+  describe('parseQuery', () => {
+    it('rejects unknown intervals and breakdowns', () => {
+      assert.throws(() => AnalyticsService.parseQuery({ interval: 'minute' }), /Interval must be one of/);
+      assert.throws(() => AnalyticsService.parseQuery({ groupBy: 'country' }), /groupBy must be one of/);
+    });
+    
+    it('rejects ranges that are backwards or have too many buckets', () => {
+      assert.throws(() => AnalyticsService.parseQuery({ from: march(5), to: march(1) }), /Invalid date range/);
+      assert.throws(
+        () => AnalyticsService.parseQuery({ from: '2020-01-01', to: '2025-01-01', interval: 'hour' }),
+        /too long for hour buckets/
+      );
+    });
+  });
+  
+  describe('mergeSeries', () => {
+    it('puts sales and refunds for a bucket on one point', () => {
+      const series = AnalyticsService.mergeSeries(
+        [{ _id: { bucket: march(2) }, gmv: 20000, commission: 4000, sessions: 4, payers: 3 }],
+        [
+          { _id: { bucket: march(2) }, refunds: 5000, count: 1 },
+          { _id: { bucket: march(1) }, refunds: 1000, count: 1 }
+        ]
+      );
+      
+      assert.deepEqual(series.map(point => point.bucket), [march(1), march(2)]);
+      assert.equal(series[0].gmv, 0);
+      assert.equal(series[1].refunds, 5000);
+      assert.equal(series[1].takeRate, 0.2);
+      assert.equal(series[1].averageSessionValue, 5000);
+    });
+  });
+  
+  describe('compute', () => {
+    it('breaks a series down by key, largest first', async () => {
+      mock.method(AnalyticsService, 'salesSeries', async (query, dimension) => (dimension
+        ? [
+          { _id: { bucket: march(1), key: 'paypal' }, gmv: 3000, commission: 600, sessions: 1, payers: 1 },
+          { _id: { bucket: march(1), key: 'razorpay' }, gmv: 9000, commission: 1800, sessions: 2, payers: 2 }
+        ]
+        : [{ _id: { bucket: march(1) }, gmv: 12000, commission: 2400, sessions: 3, payers: 3 }]));
+      mock.method(AnalyticsService, 'refundSeries', async () => []);
+      mock.method(AnalyticsService, 'cohortSeries', async () => []);
+      
+      const query = AnalyticsService.parseQuery({ from: march(1), to: march(2), groupBy: 'method' });
+      const result = await AnalyticsService.compute(query);
+      
+      assert.equal(result.series[0].gmv, 12000);
+      assert.deepEqual(result.breakdown.map(({ key, totals }) => [key, totals.gmv]), [['razorpay', 9000], ['paypal', 3000]]);
+    });
+  });
+  
+  describe('getPaymentTimeSeries', () => {
+    let stored;
+    
+    beforeEach(() => {
+      stored = new Map();
+      AnalyticsService.attach({
+        get: async (key) => stored.get(key) || null,
+        set: async (key, value) => stored.set(key, value)
+      });
+      mock.method(AnalyticsService, 'compute', async (query) => ({ ...query, series: [] }));
+    });
+    
+    it('serves a repeated query from the cache', async () => {
+      const params = { from: march(1), to: march(8) };
+      
+      const first = await AnalyticsService.getPaymentTimeSeries(params);
+      const second = await AnalyticsService.getPaymentTimeSeries(params);
+      
+      assert.equal(first.cached, false);
+      assert.equal(second.cached, true);
+      assert.equal(AnalyticsService.compute.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// backend/tests/services/AutoExtendService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('../helpers');
+const AutoExtendService = require('../../src/services/AutoExtendService');
+const LedgerService = require('../../src/services/LedgerService');
+const PricingService = require('../../src/services/PricingService');
+const WalletService = require('../../src/services/WalletService');
+const Chat = require('../../src/models/Chat');
+const User = require('../../src/models/User');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+
+describe('AutoExtendService', () => {
+  let charged;
+  let chatUpdates;
+  
+  const chat = (paymentDetails = {}) => ({
+    _id: 'chat_1',
+    participants: [
+      { userId: 'payer_1', role: 'user' },
+      { userId: 'earner_1', role: 'earner' }
+    ],
+    paymentDetails: { autoExtend: true, ...paymentDetails }
+  });
+  
+  beforeEach(() => {
+    charged = [];
+    chatUpdates = [];
+    mock.method(User, 'findById', async () => ({ _id: 'earner_1' }));
+    mock.method(PricingService, 'quoteChat', async () => ({ settlement: { amount: 7500 } }));
+    mock.method(LedgerService, 'transaction', async (work) => work('session'));
+    mock.method(LedgerEntry, 'exists', () => query(null));
+    mock.method(WalletService, 'chargeForChat', async (charge) => charged.push(charge));
+    mock.method(Chat, 'updateOne', async (filter, update) => chatUpdates.push(update));
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('chargeBlock', () => {
+    it('charges the payer for a block and adds its minutes to the chat', async () => {
+      const result = await AutoExtendService.chargeBlock(chat(), 'auto:chat_1:1');
+      
+      assert.equal(result.extended, true);
+      assert.equal(result.minutes, AutoExtendService.blockMinutes);
+      assert.equal(charged.length, 1);
+      assert.equal(charged[0].payerId, 'payer_1');
+      assert.equal(charged[0].amount, 7500);
+      assert.deepEqual(chatUpdates[0].$inc, {
+        'paymentDetails.totalDuration': AutoExtendService.blockMinutes,
+        'paymentDetails.autoExtendSpent': 7500
+      });
+    });
+    
+    it('stops before a block would go over the spending cap', async () => {
+      const result = await AutoExtendService.chargeBlock(
+        chat({ autoExtendCap: 10000, autoExtendSpent: 5000 }),
+        'auto:chat_1:2'
+      );
+      
+      assert.equal(result.extended, false);
+      assert.equal(result.reason, 'spending_cap_reached');
+      assert.equal(charged.length, 0);
+    });
+    
+    it('reports a wallet that cannot cover the block', async () => {
+      mock.method(WalletService, 'chargeForChat', async () => {
+        throw Object.assign(new Error('Insufficient balance'), { code: 'INSUFFICIENT_FUNDS' });
+      });
+      
+      const result = await AutoExtendService.chargeBlock(chat(), 'auto:chat_1:1');
+      
+      assert.equal(result.extended, false);
+      assert.equal(result.reason, 'insufficient_balance');
+      assert.equal(chatUpdates.length, 0);
+    });
+    
+    it('does not charge again for a block already charged', async () => {
+      mock.method(LedgerEntry, 'exists', () => query({ _id: 'entry_1' }));
+      
+      await AutoExtendService.chargeBlock(chat(), 'auto:chat_1:1');
+      
+      assert.equal(charged.length, 0);
+      assert.equal(chatUpdates.length, 0);
+    });
+  });
+  
+  describe('updateSettings', () => {
+    it('rejects a spending cap that is not in minor units', async () => {
+      await assert.rejects(
+        AutoExtendService.updateSettings('chat_1', 'payer_1', { enabled: true, spendingCap: 12.5 }),
+        /Spending cap/
+      );
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// backend/tests/services/CallBillingService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CallBillingService = require('../../src/services/CallBillingService');
+const LedgerService = require('../../src/services/LedgerService');
+const WalletService = require('../../src/services/WalletService');
+const EarningService = require('../../src/services/EarningService');
+const NotificationService = require('../../src/services/NotificationService');
+const CallSession = require('../../src/models/CallSession');
+
+describe('CallBillingService', () => {
+  const MINUTE = 60 * 1000;
+  let callSession;
+  let charged;
+  let releasedAmounts;
+  let scheduled;
+  
+  // Stands in for the session document, its status guard and the held
+  // minutes counter
+  const stubSession = () => {
+    mock.method(CallSession, 'findById', async () => ({ ...callSession }));
+    mock.method(CallSession, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.status && !filter.status.$in.includes(callSession.status)) return null;
+      if (filter.heldMinutes !== undefined && filter.heldMinutes !== callSession.heldMinutes) return null;
+      Object.assign(callSession, update.$set);
+      if (update.$inc) callSession.heldMinutes += update.$inc.heldMinutes;
+      return { ...callSession };
+    });
+  };
+  
+  beforeEach(() => {
+    callSession = {
+      _id: 'call_1',
+      callerId: 'caller_1',
+      earnerId: 'earner_1',
+      serviceType: 'voice',
+      status: 'active',
+      perMinute: 1000,
+      heldMinutes: 5,
+      minimumMinutes: 3,
+      currency: 'INR',
+      connectedAt: new Date(Date.now() - 4 * MINUTE)
+    };
+    charged = [];
+    releasedAmounts = [];
+    scheduled = [];
+    stubSession();
+    mock.method(LedgerService, 'transaction', async (work) => work('session'));
+    mock.method(WalletService, 'chargeHeldForChat', async (charge) => charged.push(charge.amount));
+    mock.method(WalletService, 'releaseFunds', async ({ amount }) => releasedAmounts.push(amount));
+    mock.method(WalletService, 'holdFunds', async () => {});
+    mock.method(EarningService, 'startHold', async () => {});
+    mock.method(NotificationService, 'notify', () => {});
+    CallBillingService.queue = {
+      schedule: async (id, at) => scheduled.push(at),
+      cancel: async () => {}
+    };
+  });
+  
+  afterEach(() => {
+    CallBillingService.queue = null;
+    CallBillingService.removeAllListeners();
+    mock.restoreAll();
+  });
+  
+  describe('finish', () => {
+    it('charges every started minute and releases the rest of the hold', async () => {
+      const answeredAt = Date.now() - 4 * MINUTE;
+      
+      const completed = await CallBillingService.finish({
+        callId: 'call_1',
+        answeredAt,
+        endedAt: answeredAt + 3 * MINUTE + 10 * 1000,
+        endReason: 'completed'
+      });
+      
+      assert.equal(completed.billedMinutes, 4);
+      assert.deepEqual(charged, [4000]);
+      assert.deepEqual(releasedAmounts, [1000]);
+    });
+    
+    it('charges the minimum for a short call', async () => {
+      const answeredAt = Date.now() - MINUTE;
+      
+      await CallBillingService.finish({ callId: 'call_1', answeredAt, endedAt: answeredAt + 20 * 1000, endReason: 'completed' });
+      
+      assert.deepEqual(charged, [3000]);
+      assert.deepEqual(releasedAmounts, [2000]);
+    });
+    
+    it('releases the whole hold of a call nobody answered', async () => {
+      callSession.status = 'ringing';
+      
+      const cancelled = await CallBillingService.finish({ callId: 'call_1', endedAt: Date.now(), endReason: 'missed' });
+      
+      assert.equal(cancelled.status, 'cancelled');
+      assert.deepEqual(charged, []);
+      assert.deepEqual(releasedAmounts, [5000]);
+    });
+    
+    it('settles a call once', async () => {
+      const answeredAt = Date.now() - 4 * MINUTE;
+      const ended = { callId: 'call_1', answeredAt, endedAt: answeredAt + 2 * MINUTE, endReason: 'completed' };
+      
+      await CallBillingService.finish(ended);
+      assert.equal(await CallBillingService.finish(ended), null);
+      
+      assert.equal(charged.length, 1);
+    });
+  });
+  
+  describe('meter', () => {
+    it('holds another block before the paid time runs out', async () => {
+      await CallBillingService.meter('call_1');
+      
+      assert.equal(callSession.heldMinutes, 6);
+      assert.equal(scheduled[0], callSession.connectedAt.getTime() + 6 * MINUTE - CallBillingService.leadMs);
+    });
+    
+    it('cuts the call when the wallet cannot pay for more', async () => {
+      mock.method(WalletService, 'holdFunds', async () => {
+        throw Object.assign(new Error('Insufficient balance'), { code: 'INSUFFICIENT_FUNDS' });
+      });
+      callSession.connectedAt = new Date(Date.now() - 5 * MINUTE);
+      const exhausted = [];
+      CallBillingService.on('funds-exhausted', (session) => exhausted.push(session._id));
+      
+      await CallBillingService.meter('call_1');
+      
+      assert.deepEqual(exhausted, ['call_1']);
+    });
+    
+    it('warns the caller and tries once more when the paid time ends', async () => {
+      mock.method(WalletService, 'holdFunds', async () => {
+        throw Object.assign(new Error('Insufficient balance'), { code: 'INSUFFICIENT_FUNDS' });
+      });
+      
+      await CallBillingService.meter('call_1');
+      
+      assert.equal(NotificationService.notify.mock.calls[0].arguments[1], 'call-low-balance');
+      assert.deepEqual(scheduled, [callSession.connectedAt.getTime() + 5 * MINUTE]);
+    });
+  });
+});
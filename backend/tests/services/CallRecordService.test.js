@@ -0,0 +1,80 @@
+// backend/tests/services/CallRecordService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('../helpers');
+const CallRecordService = require('../../src/services/CallRecordService');
+const MessageDeliveryService = require('../../src/services/MessageDeliveryService');
+const CallRecord = require('../../src/models/CallRecord');
+const Chat = require('../../src/models/Chat');
+
+describe('CallRecordService', () => {
+  let records;
+  let posted;
+  
+  const call = (fields = {}) => ({
+    callId: 'call_1',
+    callerId: 'caller_1',
+    calleeId: 'callee_1',
+    type: 'voice',
+    isVideo: false,
+    createdAt: 1700000000000,
+    endedAt: 1700000030000,
+    endReason: 'missed',
+    ...fields
+  });
+  
+  // Stands in for the upsert: the first record of a call wins
+  const stubRecords = () => {
+    mock.method(CallRecord, 'findOneAndUpdate', async ({ _id }, { $setOnInsert }) => {
+      if (!records.has(_id)) records.set(_id, { _id, ...$setOnInsert });
+      return { ...records.get(_id) };
+    });
+    mock.method(CallRecord, 'updateOne', async ({ _id }, { $set }) => Object.assign(records.get(_id), $set));
+  };
+  
+  beforeEach(() => {
+    records = new Map();
+    posted = [];
+    stubRecords();
+    mock.method(Chat, 'findOne', () => query({ _id: 'chat_1' }));
+    mock.method(MessageDeliveryService, 'send', async (message) => {
+      posted.push(message);
+      return { message };
+    });
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('records how long an answered call lasted and what it cost', async () => {
+    const { record, message } = await CallRecordService.record(
+      call({ endReason: 'completed', answeredAt: 1700000005000, endedAt: 1700000130000 }),
+      { amount: 3000, currency: 'INR', billedMinutes: 3 }
+    );
+    
+    assert.equal(record.durationSeconds, 125);
+    assert.deepEqual(record.cost, { amount: 3000, currency: 'INR', billedMinutes: 3 });
+    assert.equal(message, null);
+  });
+  
+  it('posts a missed call into the conversation once', async () => {
+    await CallRecordService.record(call());
+    await CallRecordService.record(call());
+    
+    assert.equal(posted.length, 1);
+    assert.equal(posted[0].type, 'system');
+    assert.equal(posted[0].clientId, 'call:call_1');
+    assert.equal(posted[0].metadata.event, 'missed_call');
+    assert.equal(records.get('call_1').chatId, 'chat_1');
+  });
+  
+  it('does not start a conversation for a missed call', async () => {
+    mock.method(Chat, 'findOne', () => query(null));
+    
+    const { message } = await CallRecordService.record(call());
+    
+    assert.equal(message, null);
+    assert.equal(posted.length, 0);
+  });
+});
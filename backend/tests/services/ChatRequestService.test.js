@@ -0,0 +1,171 @@
+// backend/tests/services/ChatRequestService.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { redisTest, connectRedis, uniqueName } = require('../helpers');
+const ChatRequestService = require('../../src/services/ChatRequestService');
+const NotificationService = require('../../src/services/NotificationService');
+const ChatRequest = require('../../src/models/ChatRequest');
+
+describe('ChatRequestService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const earnerId = new mongoose.Types.ObjectId();
+  let requests;
+  let released;
+  let freed;
+  let cancelledDeadlines;
+  
+  const matches = (request, filter) => Object.entries(filter).every(([field, expected]) => {
+    if (expected && expected.$in) return expected.$in.includes(request[field]);
+    if (expected === null) return request[field] == null;
+    return String(request[field]) === String(expected);
+  });
+  
+  // Stands in for the request collection and its status guard
+  const stubRequests = () => {
+    mock.method(ChatRequest, 'findById', async (id) => {
+      const request = requests.get(String(id));
+      return request ? { ...request } : null;
+    });
+    mock.method(ChatRequest, 'findOneAndUpdate', async (filter, update) => {
+      const request = [...requests.values()].find(candidate => matches(candidate, filter));
+      if (!request) return null;
+      Object.assign(request, update.$set);
+      return request;
+    });
+  };
+  
+  const addRequest = (fields) => {
+    const request = { _id: new mongoose.Types.ObjectId(), userId, earnerId, minutes: 30, ...fields };
+    requests.set(String(request._id), request);
+    return request;
+  };
+  
+  beforeEach(() => {
+    requests = new Map();
+    released = [];
+    freed = [];
+    cancelledDeadlines = [];
+    stubRequests();
+    mock.method(ChatRequestService, 'release', async (request, reason) => released.push(reason));
+    mock.method(ChatRequestService, 'releaseSlot', async (id, member) => freed.push(member));
+    mock.method(ChatRequestService, 'pushQueue', async () => {});
+    mock.method(ChatRequestService, 'maxParallelFor', async () => 1);
+    mock.method(NotificationService, 'notify', () => {});
+    ChatRequestService.queue = {
+      schedule: async () => {},
+      cancel: async (id) => cancelledDeadlines.push(String(id))
+    };
+  });
+  
+  afterEach(() => {
+    ChatRequestService.queue = null;
+    mock.restoreAll();
+  });
+  
+  describe('decline', () => {
+    it('closes the request and gives the held payment back', async () => {
+      const request = addRequest({ status: 'pending' });
+      
+      await ChatRequestService.decline(request._id, earnerId, 'Busy today');
+      
+      assert.equal(request.status, 'declined');
+      assert.deepEqual(released, ['request_declined']);
+      assert.deepEqual(cancelledDeadlines, [String(request._id)]);
+    });
+    
+    it('refuses a request that has already closed', async () => {
+      const request = addRequest({ status: 'expired' });
+      
+      await assert.rejects(ChatRequestService.decline(request._id, earnerId), /Request is expired/);
+      assert.deepEqual(released, []);
+    });
+  });
+  
+  describe('accept', () => {
+    it('refuses once the earner has no chat place left', async () => {
+      mock.method(ChatRequestService, 'claimSlot', async () => false);
+      const request = addRequest({ status: 'pending' });
+      
+      await assert.rejects(ChatRequestService.accept(request._id, earnerId), /already have 1 chat open/);
+      assert.equal(request.status, 'pending');
+    });
+    
+    it('gives the place back when the request closed while it was claimed', async () => {
+      mock.method(ChatRequestService, 'claimSlot', async () => {
+        request.status = 'cancelled';
+        return true;
+      });
+      const request = addRequest({ status: 'pending' });
+      
+      await assert.rejects(ChatRequestService.accept(request._id, earnerId), /no longer pending/);
+      assert.deepEqual(freed, [`request:${request._id}`]);
+    });
+  });
+  
+  describe('expire', () => {
+    it('releases the hold of a request nobody answered', async () => {
+      const request = addRequest({ status: 'pending' });
+      
+      await ChatRequestService.expire(request._id);
+      
+      assert.equal(request.status, 'expired');
+      assert.deepEqual(released, ['request_expired']);
+    });
+    
+    it('leaves an accepted request alone', async () => {
+      const request = addRequest({ status: 'accepted' });
+      
+      await ChatRequestService.expire(request._id);
+      
+      assert.equal(request.status, 'accepted');
+      assert.deepEqual(released, []);
+    });
+  });
+  
+  describe('abandon', () => {
+    it('cancels an accepted request whose chat never opened and refunds it', async () => {
+      const request = addRequest({ status: 'accepted', chatId: null });
+      
+      await ChatRequestService.abandon(request, 'Chat could not be opened');
+      
+      assert.equal(request.status, 'cancelled');
+      assert.deepEqual(freed, [`request:${request._id}`]);
+      assert.deepEqual(released, ['service_issue']);
+    });
+  });
+});
+
+describe('ChatRequestService chat places', redisTest, () => {
+  let redis;
+  
+  before(async () => {
+    redis = await connectRedis();
+    ChatRequestService.redis = redis;
+  });
+  
+  after(async () => {
+    ChatRequestService.redis = null;
+    await redis.quit();
+  });
+  
+  it('gives the last place to one of two accepts', async () => {
+    const earnerId = uniqueName('earner');
+    
+    const claimed = await Promise.all([
+      ChatRequestService.claimSlot(earnerId, 'request:a', 1),
+      ChatRequestService.claimSlot(earnerId, 'request:b', 1)
+    ]);
+    
+    assert.deepEqual(claimed.sort(), [false, true]);
+    assert.equal(await redis.sCard(ChatRequestService.slotsKey(earnerId)), 1);
+  });
+  
+  it('lets a request that holds a place claim it again', async () => {
+    const earnerId = uniqueName('earner');
+    
+    await ChatRequestService.claimSlot(earnerId, 'request:a', 1);
+    
+    assert.equal(await ChatRequestService.claimSlot(earnerId, 'request:a', 1), true);
+  });
+});
@@ -0,0 +1,85 @@
+// backend/tests/services/CommissionService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('../helpers');
+const CommissionService = require('../../src/services/CommissionService');
+const User = require('../../src/models/User');
+
+describe('CommissionService', () => {
+  let rules;
+  
+  const rule = (fields) => ({
+    _id: fields.name,
+    kind: 'standard',
+    priority: 0,
+    createdAt: new Date('2026-01-01'),
+    ...fields
+  });
+  
+  const resolve = (fields = {}) => CommissionService.resolve({ earnerId: 'earner_1', serviceType: 'chat', ...fields });
+  
+  beforeEach(() => {
+    rules = [];
+    mock.method(CommissionService, 'getRules', async () => rules);
+    mock.method(User, 'findById', () => query({ earnerProfile: { tier: 'gold' } }));
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('resolve', () => {
+    it('falls back to the default rate when no rule matches', async () => {
+      rules = [rule({ name: 'video', serviceType: 'video', rate: 0.3 })];
+      
+      assert.deepEqual(await resolve(), {
+        rate: CommissionService.defaultRate,
+        ruleId: null,
+        ruleName: 'default'
+      });
+    });
+    
+    it('prefers an earner rule to a tier rule to a service rule', async () => {
+      rules = [
+        rule({ name: 'chat', serviceType: 'chat', rate: 0.25 }),
+        rule({ name: 'gold', tier: 'gold', rate: 0.15 }),
+        rule({ name: 'earner', earnerId: 'earner_1', rate: 0.1 })
+      ];
+      
+      assert.equal((await resolve()).ruleName, 'earner');
+      assert.equal((await resolve({ earnerId: 'earner_2' })).ruleName, 'gold');
+    });
+    
+    it('lets a promotion beat a more specific rule while it runs', async () => {
+      rules = [
+        rule({ name: 'earner', earnerId: 'earner_1', rate: 0.1 }),
+        rule({
+          name: 'launch',
+          kind: 'promotional',
+          rate: 0.05,
+          startsAt: new Date('2026-06-01'),
+          endsAt: new Date('2026-07-01')
+        })
+      ];
+      
+      assert.equal((await resolve({ at: new Date('2026-06-15') })).ruleName, 'launch');
+      assert.equal((await resolve({ at: new Date('2026-07-01') })).ruleName, 'earner');
+    });
+    
+    it('breaks ties by priority', async () => {
+      rules = [
+        rule({ name: 'low', serviceType: 'chat', rate: 0.2, priority: 1 }),
+        rule({ name: 'high', serviceType: 'chat', rate: 0.18, priority: 5 })
+      ];
+      
+      assert.equal((await resolve()).rate, 0.18);
+    });
+  });
+  
+  describe('split', () => {
+    it('gives the earner whatever the rounded commission leaves', () => {
+      assert.deepEqual(CommissionService.split(999, 0.2), { commission: 200, earnerShare: 799 });
+      assert.deepEqual(CommissionService.split(1, 0.5), { commission: 1, earnerShare: 0 });
+    });
+  });
+});
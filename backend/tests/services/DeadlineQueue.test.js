@@ -0,0 +1,138 @@
+// backend/tests/services/DeadlineQueue.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { redisTest, connectRedis, uniqueName } = require('../helpers');
+const DeadlineQueue = require('../../src/services/DeadlineQueue');
+
+describe('DeadlineQueue', redisTest, () => {
+  let redis;
+  let name;
+  let queues;
+  
+  // Workers in one process share a default ID, so each gets its own
+  const worker = (workerId, options = {}) => {
+    const queue = new DeadlineQueue(redis, name, { pollInterval: 20, ...options });
+    queue.workerId = workerId;
+    queues.push(queue);
+    return queue;
+  };
+  
+  before(async () => {
+    redis = await connectRedis();
+  });
+  
+  after(async () => {
+    await redis.quit();
+  });
+  
+  beforeEach(() => {
+    name = uniqueName('deadlines');
+    queues = [];
+  });
+  
+  afterEach(async () => {
+    await Promise.all(queues.map(queue => queue.stop()));
+    mock.restoreAll();
+  });
+  
+  describe('leader election', () => {
+    it('makes one worker the leader', async () => {
+      const first = worker('worker-a');
+      const second = worker('worker-b');
+      
+      assert.equal(await first.acquireLeadership(), true);
+      assert.equal(await second.acquireLeadership(), false);
+      assert.equal(await first.acquireLeadership(), true);
+    });
+    
+    it('hands leadership over when the leader stops', async () => {
+      const first = worker('worker-a');
+      const second = worker('worker-b');
+      await first.acquireLeadership();
+      
+      await first.stop();
+      await sleep(10);
+      
+      assert.equal(await second.acquireLeadership(), true);
+      assert.equal(await first.acquireLeadership(), false);
+    });
+    
+    it('lets another worker lead once the leader stops renewing', async () => {
+      const first = worker('worker-a');
+      const second = worker('worker-b');
+      await first.acquireLeadership();
+      
+      // The lock lasts five poll intervals
+      await sleep(150);
+      
+      assert.equal(await second.acquireLeadership(), true);
+      assert.equal(await first.acquireLeadership(), false);
+    });
+  });
+  
+  describe('claiming', () => {
+    it('hands a due member to one claimer only', async () => {
+      const first = worker('worker-a');
+      const second = worker('worker-b');
+      await first.schedule('due', Date.now() - 1000);
+      await first.schedule('later', Date.now() + 60000);
+      
+      const now = Date.now();
+      const claimed = await Promise.all([
+        first.claim(first.keys.deadlines, now),
+        second.claim(second.keys.deadlines, now)
+      ]);
+      
+      assert.deepEqual(claimed.flat(), ['due']);
+      assert.equal(await first.getDeadline('due'), null);
+      assert.notEqual(await first.getDeadline('later'), null);
+    });
+    
+    it('runs each due member once, on the leader', async () => {
+      const handled = [];
+      worker('worker-a').start(async (member) => handled.push(['worker-a', member]));
+      worker('worker-b').start(async (member) => handled.push(['worker-b', member]));
+      
+      await queues[0].schedule('chat_1', Date.now());
+      await queues[0].schedule('chat_2', Date.now());
+      await sleep(150);
+      
+      assert.equal(handled.length, 2);
+      assert.equal(new Set(handled.map(([workerId]) => workerId)).size, 1);
+      assert.deepEqual(handled.map(([, member]) => member).sort(), ['chat_1', 'chat_2']);
+      assert.deepEqual(await redis.zRange(queues[0].keys.processing, 0, -1), []);
+    });
+    
+    it('retries a member whose handler failed once its lease runs out', async () => {
+      mock.method(console, 'error', () => {});
+      let attempts = 0;
+      const queue = worker('worker-a', { leaseMs: 50 });
+      queue.start(async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('handler crashed');
+      });
+      
+      await queue.schedule('chat_1', Date.now());
+      await sleep(40);
+      assert.equal(attempts, 1);
+      assert.notEqual(await redis.zScore(queue.keys.processing, 'chat_1'), null);
+      
+      await sleep(150);
+      assert.equal(attempts, 2);
+      assert.equal(await redis.zScore(queue.keys.processing, 'chat_1'), null);
+    });
+    
+    it('does not run a member that was cancelled', async () => {
+      const handled = [];
+      const queue = worker('worker-a');
+      queue.start(async (member) => handled.push(member));
+      
+      await queue.schedule('chat_1', Date.now() + 50);
+      await queue.cancel('chat_1');
+      await sleep(120);
+      
+      assert.deepEqual(handled, []);
+    });
+  });
+});
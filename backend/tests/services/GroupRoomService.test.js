@@ -0,0 +1,132 @@
+// backend/tests/services/GroupRoomService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GroupRoomService = require('../../src/services/GroupRoomService');
+const SfuService = require('../../src/services/SfuService');
+const WalletService = require('../../src/services/WalletService');
+const EarningService = require('../../src/services/EarningService');
+const NotificationService = require('../../src/services/NotificationService');
+const GroupRoom = require('../../src/models/GroupRoom');
+
+describe('GroupRoomService', () => {
+  let room;
+  let settled;
+  let pulled;
+  
+  const seat = (userId, status = 'held') => ({ userId, status, amount: 5000 });
+  
+  // Stands in for the room document and its status guard
+  const stubRoom = () => {
+    mock.method(GroupRoom, 'findById', async () => ({ ...room }));
+    mock.method(GroupRoom, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.status && filter.status.$in && !filter.status.$in.includes(room.status)) return null;
+      if (update.$set) Object.assign(room, update.$set);
+      if (update.$addToSet) room.removedUserIds = [...room.removedUserIds, update.$addToSet.removedUserIds];
+      if (update.$push) room.seats = [...room.seats, { ...update.$push.seats, status: 'pending' }];
+      return { ...room };
+    });
+    mock.method(GroupRoom, 'updateOne', async (filter, update) => pulled.push(update.$pull));
+  };
+  
+  beforeEach(() => {
+    room = {
+      _id: 'room_1',
+      hostId: 'host_1',
+      title: 'Evening study hall',
+      status: 'open',
+      seatPrice: 5000,
+      currency: 'INR',
+      maxSeats: 3,
+      locked: false,
+      seats: [seat('user_1')],
+      removedUserIds: []
+    };
+    settled = [];
+    pulled = [];
+    stubRoom();
+    mock.method(GroupRoomService, 'settleSeat', async (ended, { userId }, charge) => settled.push([userId, charge]));
+    mock.method(SfuService, 'request', async () => {});
+    mock.method(EarningService, 'startHold', async () => {});
+    mock.method(NotificationService, 'notify', () => {});
+  });
+  
+  afterEach(() => {
+    GroupRoomService.removeAllListeners();
+    mock.restoreAll();
+  });
+  
+  describe('admit', () => {
+    it('lets a participant with a seat back in without a second hold', async () => {
+      const hold = mock.method(WalletService, 'holdFunds', async () => {});
+      
+      await GroupRoomService.admit('room_1', 'user_1');
+      
+      assert.equal(hold.mock.callCount(), 0);
+    });
+    
+    it('keeps out removed participants and newcomers to a locked room', async () => {
+      room.removedUserIds = ['user_2'];
+      await assert.rejects(GroupRoomService.admit('room_1', 'user_2'), /You were removed/);
+      
+      room.locked = true;
+      await assert.rejects(GroupRoomService.admit('room_1', 'user_3'), /This room is locked/);
+    });
+    
+    it('turns people away from a full free room', async () => {
+      room.seatPrice = 0;
+      
+      await assert.rejects(GroupRoomService.admit('room_1', 'user_3', { present: 3 }), /This room is full/);
+    });
+    
+    it('gives the seat back when its price cannot be held', async () => {
+      mock.method(WalletService, 'holdFunds', async () => {
+        throw Object.assign(new Error('Insufficient balance'), { code: 'INSUFFICIENT_FUNDS' });
+      });
+      
+      await assert.rejects(GroupRoomService.admit('room_1', 'user_3'), /balance does not cover this seat/);
+      assert.deepEqual(pulled, [{ seats: { userId: 'user_3', status: 'pending' } }]);
+    });
+  });
+  
+  describe('end', () => {
+    it('charges the held seats of a room that went live', async () => {
+      room.status = 'live';
+      room.seats = [seat('user_1'), seat('user_2'), seat('user_3', 'released')];
+      
+      const ended = await GroupRoomService.end('room_1');
+      
+      assert.equal(ended.status, 'ended');
+      assert.deepEqual(settled, [['user_1', true], ['user_2', true]]);
+      assert.equal(NotificationService.notify.mock.calls[0].arguments[2].amount, 10000);
+    });
+    
+    it('releases the seats of a room that never went live', async () => {
+      const ended = await GroupRoomService.end('room_1', 'time_limit');
+      
+      assert.equal(ended.status, 'cancelled');
+      assert.deepEqual(settled, [['user_1', false]]);
+    });
+    
+    it('ends a room once', async () => {
+      room.status = 'live';
+      
+      await GroupRoomService.end('room_1');
+      
+      assert.equal(await GroupRoomService.end('room_1'), null);
+      assert.equal(settled.length, 1);
+    });
+  });
+  
+  describe('removeParticipant', () => {
+    it('gives a removed participant their seat money back', async () => {
+      await GroupRoomService.removeParticipant('room_1', 'host_1', 'user_1');
+      
+      assert.deepEqual(room.removedUserIds, ['user_1']);
+      assert.deepEqual(settled, [['user_1', false]]);
+    });
+    
+    it('lets only the host remove people', async () => {
+      await assert.rejects(GroupRoomService.removeParticipant('room_1', 'user_1', 'user_2'), /Only the host/);
+    });
+  });
+});
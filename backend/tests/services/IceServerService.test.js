@@ -0,0 +1,74 @@
+// backend/tests/services/IceServerService.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const IceServerService = require('../../src/services/IceServerService');
+
+describe('IceServerService', () => {
+  beforeEach(() => {
+    IceServerService.secret = 'coturn-secret';
+    IceServerService.ttlSeconds = 3600;
+    IceServerService.regions = {
+      eu: { stun: ['stun:eu.example.com:3478'], turn: ['turn:eu.example.com:3478'], countries: ['DE'] },
+      us: { stun: ['stun:us.example.com:3478'], turn: ['turn:us.example.com:3478'] }
+    };
+    IceServerService.defaultRegion = 'us';
+  });
+  
+  describe('credentialsFor', () => {
+    // coturn's REST API scheme, as turnserver --use-auth-secret checks it
+    it('signs "<expiry>:<userId>" with HMAC-SHA1 of the shared secret, in base64', () => {
+      const credentials = IceServerService.credentialsFor('user_1', 1700000000 * 1000);
+      
+      assert.deepEqual(credentials, {
+        username: '1700003600:user_1',
+        credential: 'coQZiKqdqcUApxlnS6u1nC40hD0=',
+        expiresAt: 1700003600 * 1000
+      });
+    });
+    
+    it('matches what coturn computes from the username', () => {
+      const { username, credential } = IceServerService.credentialsFor('user_2');
+      const expected = crypto.createHmac('sha1', 'coturn-secret').update(username).digest('base64');
+      
+      assert.equal(credential, expected);
+      assert.ok(Number(username.split(':')[0]) > Date.now() / 1000);
+    });
+  });
+  
+  describe('getConfig', () => {
+    it('serves the caller\'s country from its region, with TURN credentials', () => {
+      const config = IceServerService.getConfig('user_1', { country: 'de' });
+      
+      assert.equal(config.region, 'eu');
+      assert.deepEqual(config.iceServers[0], { urls: ['stun:eu.example.com:3478'] });
+      assert.match(config.iceServers[1].username, /^\d+:user_1$/);
+      assert.equal(config.ttl, 3600);
+    });
+    
+    it('falls back to the default region and leaves TURN out without a secret', () => {
+      IceServerService.secret = undefined;
+      const config = IceServerService.getConfig('user_1', { region: 'nowhere' });
+      
+      assert.equal(config.region, 'us');
+      assert.equal(config.iceServers.length, 1);
+      assert.equal(config.expiresAt, null);
+    });
+  });
+  
+  describe('loadRegions', () => {
+    it('explains malformed JSON', () => {
+      assert.throws(() => IceServerService.loadRegions('{eu:'), /^Error: ICE_REGIONS is not valid JSON/);
+    });
+    
+    it('rejects regions that do not list servers', () => {
+      assert.throws(() => IceServerService.loadRegions('[]'), /at least one region/);
+      assert.throws(() => IceServerService.loadRegions('{"eu": {"turn": "turn:eu.example.com"}}'), /region eu/);
+    });
+    
+    it('accepts a valid region map', () => {
+      const regions = IceServerService.loadRegions('{"eu": {"stun": ["stun:eu.example.com:3478"]}}');
+      assert.deepEqual(Object.keys(regions), ['eu']);
+    });
+  });
+});
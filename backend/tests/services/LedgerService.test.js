@@ -0,0 +1,116 @@
+// backend/tests/services/LedgerService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('../helpers');
+const LedgerService = require('../../src/services/LedgerService');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const LedgerAccount = require('../../src/models/LedgerAccount');
+const User = require('../../src/models/User');
+
+describe('LedgerService', () => {
+  let entries;
+  let balances;
+  let cached;
+  
+  const wallet = LedgerService.accounts.wallet('user_1');
+  const provider = LedgerService.accounts.external('razorpay');
+  const clearing = LedgerService.accounts.chatClearing();
+  
+  // Stands in for the journal, the account balances and their guard
+  // against going below zero
+  const stubBooks = () => {
+    mock.method(LedgerService, 'transaction', async (work) => work('session'));
+    mock.method(LedgerEntry, 'findOne', ({ idempotencyKey }) => query(entries.find(e => e.idempotencyKey === idempotencyKey)));
+    mock.method(LedgerEntry, 'create', async ([entry]) => {
+      entries.push(entry);
+      return [entry];
+    });
+    mock.method(LedgerAccount, 'updateOne', async ({ key }) => {
+      if (balances.has(key)) return { upsertedCount: 0 };
+      balances.set(key, 0);
+      return { upsertedCount: 1 };
+    });
+    mock.method(LedgerAccount, 'findOneAndUpdate', async ({ key, balance }, { $inc }) => {
+      if (balance && balances.get(key) < balance.$gte) return null;
+      balances.set(key, balances.get(key) + $inc.balance);
+      return { key, balance: balances.get(key) };
+    });
+    mock.method(User, 'findById', () => query({ wallet: {} }));
+    mock.method(User, 'updateOne', async (filter, { $set }) => Object.assign(cached, $set));
+  };
+  
+  const topUp = (amount, idempotencyKey = 'topup_1') => LedgerService.post({
+    type: 'wallet_topup',
+    lines: LedgerService.transfer(provider, wallet, amount),
+    idempotencyKey
+  });
+  
+  beforeEach(() => {
+    entries = [];
+    balances = new Map();
+    cached = {};
+    stubBooks();
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('post', () => {
+    it('moves money between accounts and mirrors the wallet onto the user', async () => {
+      await topUp(50000);
+      
+      assert.equal(balances.get(wallet), 50000);
+      assert.equal(balances.get(provider), -50000);
+      assert.deepEqual(cached, { 'wallet.balance': 50000 });
+    });
+    
+    it('rejects an entry whose debits and credits differ', async () => {
+      await assert.rejects(
+        LedgerService.post({
+          type: 'wallet_topup',
+          lines: [{ account: provider, debit: 50000 }, { account: wallet, credit: 49999 }],
+          idempotencyKey: 'topup_1'
+        }),
+        /not balanced/
+      );
+      assert.equal(entries.length, 0);
+    });
+    
+    it('rejects amounts that are not whole minor units', async () => {
+      await assert.rejects(topUp(499.5), /Debit/);
+      assert.equal(entries.length, 0);
+    });
+    
+    it('posts a replayed event once', async () => {
+      const first = await topUp(50000);
+      const again = await topUp(50000);
+      
+      assert.equal(again, first);
+      assert.equal(entries.length, 1);
+      assert.equal(balances.get(wallet), 50000);
+    });
+    
+    it('refuses to take a user account below zero', async () => {
+      await topUp(5000);
+      
+      await assert.rejects(
+        LedgerService.post({
+          type: 'chat_charge',
+          lines: LedgerService.transfer(wallet, clearing, 7500),
+          idempotencyKey: 'charge_1'
+        }),
+        error => error.code === 'INSUFFICIENT_FUNDS'
+      );
+    });
+  });
+  
+  describe('describeAccount', () => {
+    it('lets only external and write-off accounts go negative', () => {
+      assert.equal(LedgerService.describeAccount(wallet).allowNegative, false);
+      assert.equal(LedgerService.describeAccount(clearing).allowNegative, false);
+      assert.equal(LedgerService.describeAccount(provider).allowNegative, true);
+      assert.equal(LedgerService.describeAccount(LedgerService.accounts.writeOffs()).allowNegative, true);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// backend/tests/services/MessageDeliveryService.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { redisTest, connectRedis, uniqueName, query } = require('../helpers');
+const MessageDeliveryService = require('../../src/services/MessageDeliveryService');
+const MessageHistoryService = require('../../src/services/MessageHistoryService');
+const ChatService = require('../../src/services/ChatService');
+const Chat = require('../../src/models/Chat');
+const Message = require('../../src/models/Message');
+
+describe('MessageDeliveryService', redisTest, () => {
+  let redis;
+  let saved;
+  let seq;
+  let senderId;
+  
+  const send = (clientId, content = 'hello') => MessageDeliveryService.send({
+    chatId: 'chat_1',
+    senderId,
+    clientId,
+    content,
+    type: 'text'
+  });
+  
+  before(async () => {
+    redis = await connectRedis();
+    MessageDeliveryService.attach(redis);
+  });
+  
+  after(async () => {
+    MessageDeliveryService.attach(null);
+    await redis.quit();
+  });
+  
+  beforeEach(() => {
+    saved = [];
+    seq = 0;
+    senderId = uniqueName('sender');
+    mock.method(Message, 'findOne', ({ clientId }) => query(saved.find(m => m.clientId === clientId) || null));
+    mock.method(Chat, 'findOneAndUpdate', async () => ({ messageSeq: ++seq }));
+    mock.method(ChatService, 'saveMessage', async (message) => {
+      saved.push(message);
+      return message;
+    });
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('send', () => {
+    it('numbers each message with the next sequence in its chat', async () => {
+      const first = await send('client-1');
+      const second = await send('client-2');
+      
+      assert.equal(first.message.seq, 1);
+      assert.equal(second.message.seq, 2);
+    });
+    
+    it('answers a retry with the message already saved', async () => {
+      const first = await send('client-1');
+      const retry = await send('client-1');
+      
+      assert.equal(retry.duplicate, true);
+      assert.equal(retry.message, first.message);
+      assert.equal(saved.length, 1);
+    });
+    
+    it('saves one of two copies that arrive together', async () => {
+      let finishSave;
+      mock.method(ChatService, 'saveMessage', async (message) => {
+        await new Promise(resolve => {
+          finishSave = resolve;
+        });
+        saved.push(message);
+        return message;
+      });
+      
+      const first = send('client-1');
+      while (!finishSave) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      await assert.rejects(send('client-1'), error => error.retryable === true);
+      finishSave();
+      await first;
+      
+      const retry = await send('client-1');
+      assert.equal(retry.duplicate, true);
+      assert.equal(saved.length, 1);
+    });
+    
+    it('frees the client ID when saving fails so the retry goes through', async () => {
+      mock.method(ChatService, 'saveMessage', async () => {
+        throw new Error('write conflict');
+      });
+      await assert.rejects(send('client-1'), /write conflict/);
+      
+      mock.method(ChatService, 'saveMessage', async (message) => {
+        saved.push(message);
+        return message;
+      });
+      const retry = await send('client-1');
+      
+      assert.equal(retry.duplicate, false);
+    });
+    
+    it('refuses a message without a client ID for good', async () => {
+      await assert.rejects(send(undefined), error => error.retryable === false);
+    });
+  });
+});
+
+describe('MessageDeliveryService.since', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('returns what was sent or changed after the last sequence seen', async () => {
+    mock.method(MessageHistoryService, 'assertParticipant', async () => {});
+    const find = mock.method(Message, 'find', () => ({
+      sort: () => ({ limit: async () => [{ seq: 8 }, { seq: 9 }] })
+    }));
+    
+    const result = await MessageDeliveryService.since('chat_1', 'user_1', 7);
+    
+    assert.deepEqual(find.mock.calls[0].arguments[0].$or, [{ seq: { $gt: 7 } }, { updateSeq: { $gt: 7 } }]);
+    assert.equal(result.messages.length, 2);
+    assert.equal(result.hasMore, false);
+  });
+});
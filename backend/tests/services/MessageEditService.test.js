@@ -0,0 +1,140 @@
+// backend/tests/services/MessageEditService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const MessageEditService = require('../../src/services/MessageEditService');
+const MessageDeliveryService = require('../../src/services/MessageDeliveryService');
+const MessageHistoryService = require('../../src/services/MessageHistoryService');
+const Message = require('../../src/models/Message');
+
+describe('MessageEditService', () => {
+  let message;
+  let quoteUpdates;
+  
+  const id = () => message._id.toString();
+  
+  // Stands in for the message and its compare-and-set on the content
+  const stubMessage = () => {
+    mock.method(Message, 'findById', async () => ({ ...message }));
+    mock.method(Message, 'findOneAndUpdate', async (filter, update) => {
+      if ('content' in filter && filter.content !== message.content) return null;
+      if (message.deletedAt) return null;
+      Object.assign(message, update.$set);
+      if (update.$push) message.editHistory = [...message.editHistory, update.$push.editHistory];
+      return { ...message };
+    });
+    mock.method(Message, 'updateMany', async (filter, update) => quoteUpdates.push(update.$set));
+  };
+  
+  beforeEach(() => {
+    message = {
+      _id: new mongoose.Types.ObjectId(),
+      chatId: 'chat_1',
+      senderId: 'user_1',
+      type: 'text',
+      content: 'See you at 5',
+      editHistory: [],
+      deletedAt: null,
+      createdAt: new Date(Date.now() - 60 * 1000)
+    };
+    quoteUpdates = [];
+    stubMessage();
+    mock.method(MessageDeliveryService, 'nextSeq', async () => 42);
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('edit', () => {
+    it('keeps the earlier version and updates quotes of the message', async () => {
+      const edited = await MessageEditService.edit(id(), 'user_1', 'See you at 6');
+      
+      assert.equal(edited.content, 'See you at 6');
+      assert.equal(edited.updateSeq, 42);
+      assert.deepEqual(edited.editHistory.map(version => version.content), ['See you at 5']);
+      assert.deepEqual(quoteUpdates, [{ 'replyPreview.content': 'See you at 6' }]);
+    });
+    
+    it('lets only the sender edit, and only for a while', async () => {
+      await assert.rejects(MessageEditService.edit(id(), 'user_2', 'Hacked'), /only edit your own messages/);
+      
+      message.createdAt = new Date(Date.now() - MessageEditService.editWindowMs - 1000);
+      await assert.rejects(MessageEditService.edit(id(), 'user_1', 'Too late'), /too old to edit/);
+    });
+    
+    it('edits only text, and not to nothing', async () => {
+      await assert.rejects(MessageEditService.edit(id(), 'user_1', '   '), /cannot be empty/);
+      
+      message.type = 'image';
+      await assert.rejects(MessageEditService.edit(id(), 'user_1', 'A caption'), /Only text messages/);
+    });
+    
+    it('does not lose a version to an edit that got there first', async () => {
+      mock.method(Message, 'findById', async () => ({ ...message, content: 'An older copy' }));
+      
+      await assert.rejects(MessageEditService.edit(id(), 'user_1', 'See you at 7'), /changed; try again/);
+      assert.equal(message.content, 'See you at 5');
+    });
+  });
+  
+  describe('deleteForEveryone', () => {
+    it('leaves a tombstone and blanks quotes of the message', async () => {
+      const deleted = await MessageEditService.deleteForEveryone(id(), 'user_1');
+      
+      assert.ok(deleted.deletedAt);
+      assert.equal(deleted.content, '');
+      assert.deepEqual(quoteUpdates, [{ 'replyPreview.content': '', 'replyPreview.deleted': true }]);
+    });
+    
+    it('refuses a message that is already gone', async () => {
+      message.deletedAt = new Date();
+      
+      await assert.rejects(MessageEditService.deleteForEveryone(id(), 'user_1'), /Message not found/);
+    });
+  });
+  
+  describe('deleteForMe', () => {
+    it('hides the message from a participant only', async () => {
+      const checked = mock.method(MessageHistoryService, 'assertParticipant', async () => {});
+      const update = mock.method(Message, 'updateOne', async () => ({}));
+      
+      await MessageEditService.deleteForMe(id(), 'user_2');
+      
+      assert.deepEqual(checked.mock.calls[0].arguments, ['chat_1', 'user_2']);
+      assert.deepEqual(update.mock.calls[0].arguments[1], { $addToSet: { deletedFor: 'user_2' } });
+    });
+    
+    it('refuses someone outside the chat', async () => {
+      mock.method(MessageHistoryService, 'assertParticipant', async () => {
+        throw new Error('You are not in this chat');
+      });
+      const update = mock.method(Message, 'updateOne', async () => ({}));
+      
+      await assert.rejects(MessageEditService.deleteForMe(id(), 'user_3'), /not in this chat/);
+      assert.equal(update.mock.callCount(), 0);
+    });
+  });
+  
+  describe('replies', () => {
+    it('refuses a reply to a deleted message', async () => {
+      mock.method(Message, 'findOne', async () => ({ ...message, deletedAt: new Date() }));
+      
+      await assert.rejects(
+        MessageDeliveryService.replyPreview('chat_1', id()),
+        error => error.retryable === false && /replied to is gone/.test(error.message)
+      );
+    });
+    
+    it('copies what the quote shows onto the reply', async () => {
+      mock.method(Message, 'findOne', async () => ({ ...message }));
+      
+      assert.deepEqual(await MessageDeliveryService.replyPreview('chat_1', id()), {
+        messageId: message._id,
+        senderId: 'user_1',
+        type: 'text',
+        content: 'See you at 5'
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// backend/tests/services/MessageHistoryService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query } = require('../helpers');
+const MessageHistoryService = require('../../src/services/MessageHistoryService');
+const Chat = require('../../src/models/Chat');
+const Message = require('../../src/models/Message');
+
+describe('MessageHistoryService', () => {
+  const chatId = new mongoose.Types.ObjectId().toString();
+  const userId = 'user_1';
+  let messages;
+  
+  const beyond = (a, b, op) => (op === '$lt' ? a < b : a > b);
+  
+  // Stands in for the (createdAt, _id) cursor queries; creation times in
+  // these tests are all different, so createdAt alone orders them
+  const stubMessages = () => {
+    mock.method(Message, 'find', (filter) => {
+      let found = messages.filter(m => !(m.deletedFor || []).includes(filter.deletedFor.$ne));
+      if (filter.$or) {
+        const [[op, at]] = Object.entries(filter.$or[0].createdAt);
+        found = found.filter(m => beyond(m.createdAt, at, op));
+      }
+      const chain = {
+        sort: ({ createdAt }) => {
+          found = [...found].sort((a, b) => (a.createdAt - b.createdAt) * createdAt);
+          return chain;
+        },
+        limit: async (limit) => found.slice(0, limit)
+      };
+      return chain;
+    });
+    mock.method(Message, 'findOne', (filter) => query(messages.find(m => String(m._id) === String(filter._id)
+      && !(filter.deletedFor && (m.deletedFor || []).includes(filter.deletedFor.$ne))) || null));
+  };
+  
+  const texts = (page) => page.messages.map(m => m.text);
+  
+  beforeEach(() => {
+    messages = Array.from({ length: 5 }, (_, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      chatId,
+      text: `m${index}`,
+      createdAt: new Date(Date.UTC(2025, 0, 1, 12, index))
+    }));
+    mock.method(Chat, 'findById', () => query({ participants: [{ userId: 'user_1' }, { userId: 'user_2' }] }));
+    stubMessages();
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('serves the latest page oldest first', async () => {
+    const page = await MessageHistoryService.getPage(chatId, userId, { limit: 3 });
+    
+    assert.deepEqual(texts(page), ['m2', 'm3', 'm4']);
+    assert.equal(page.hasOlder, true);
+    assert.equal(page.hasNewer, false);
+    assert.equal(page.cursors.before, messages[2]._id);
+  });
+  
+  it('pages back from a cursor without repeating it', async () => {
+    const page = await MessageHistoryService.getPage(chatId, userId, { before: messages[2]._id.toString() });
+    
+    assert.deepEqual(texts(page), ['m0', 'm1']);
+    assert.equal(page.hasOlder, false);
+    assert.equal(page.hasNewer, true);
+  });
+  
+  it('centres a jump on the message it jumps to', async () => {
+    const page = await MessageHistoryService.getPage(chatId, userId, { around: messages[2]._id.toString(), limit: 3 });
+    
+    assert.deepEqual(texts(page), ['m1', 'm2', 'm3']);
+    assert.equal(page.hasOlder, true);
+    assert.equal(page.hasNewer, true);
+  });
+  
+  it('leaves out messages the user deleted for themselves', async () => {
+    messages[3].deletedFor = [userId];
+    
+    const page = await MessageHistoryService.getPage(chatId, userId);
+    
+    assert.deepEqual(texts(page), ['m0', 'm1', 'm2', 'm4']);
+    await assert.rejects(
+      MessageHistoryService.getPage(chatId, userId, { around: messages[3]._id.toString() }),
+      error => error.status === 404
+    );
+  });
+  
+  it('answers with the status of what the client got wrong', async () => {
+    await assert.rejects(
+      MessageHistoryService.getPage(chatId, userId, { before: 'not-an-id' }),
+      error => error.status === 400
+    );
+    await assert.rejects(MessageHistoryService.getPage(chatId, 'user_3'), error => error.status === 403);
+    
+    mock.method(Chat, 'findById', () => query(null));
+    await assert.rejects(MessageHistoryService.getPage(chatId, userId), error => error.status === 404);
+  });
+  
+  it('leaves other failures without a status', async () => {
+    mock.method(Message, 'find', () => {
+      throw new Error('connection lost');
+    });
+    
+    await assert.rejects(MessageHistoryService.getPage(chatId, userId), error => error.status === undefined);
+  });
+});
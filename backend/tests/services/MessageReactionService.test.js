@@ -0,0 +1,126 @@
+// backend/tests/services/MessageReactionService.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { redisTest, connectRedis, uniqueName } = require('../helpers');
+const MessageReactionService = require('../../src/services/MessageReactionService');
+const MessageDeliveryService = require('../../src/services/MessageDeliveryService');
+const MessageHistoryService = require('../../src/services/MessageHistoryService');
+const Message = require('../../src/models/Message');
+
+describe('MessageReactionService', () => {
+  let message;
+  
+  const id = () => message._id.toString();
+  
+  // Stands in for the message and the $elemMatch guard on its reactions
+  const stubMessage = () => {
+    mock.method(Message, 'findById', async () => message && { ...message, reactions: [...message.reactions] });
+    mock.method(Message, 'findOneAndUpdate', async (filter, update) => {
+      if (update.$push) {
+        message.reactions = [...message.reactions, update.$push.reactions];
+      } else {
+        const { userId, emoji } = update.$pull.reactions;
+        message.reactions = message.reactions.filter(r => r.userId !== userId || r.emoji !== emoji);
+      }
+      message.updateSeq = update.$set.updateSeq;
+      return { ...message };
+    });
+  };
+  
+  beforeEach(() => {
+    message = {
+      _id: new mongoose.Types.ObjectId(),
+      chatId: 'chat_1',
+      type: 'text',
+      deletedAt: null,
+      reactions: []
+    };
+    stubMessage();
+    mock.method(MessageReactionService, 'checkRate', async () => {});
+    mock.method(MessageHistoryService, 'assertParticipant', async () => {});
+    mock.method(MessageDeliveryService, 'nextSeq', async () => 7);
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('toggle', () => {
+    it('adds a reaction, and takes it back the second time', async () => {
+      const added = await MessageReactionService.toggle(id(), 'user_1', '👍');
+      assert.equal(added.added, true);
+      assert.equal(added.message.updateSeq, 7);
+      assert.deepEqual(message.reactions.map(r => r.emoji), ['👍']);
+      
+      const removed = await MessageReactionService.toggle(id(), 'user_1', '👍');
+      assert.equal(removed.added, false);
+      assert.deepEqual(message.reactions, []);
+    });
+    
+    it('takes emoji with modifiers and joiners but not text', async () => {
+      await MessageReactionService.toggle(id(), 'user_1', '👍🏽');
+      await MessageReactionService.toggle(id(), 'user_1', '👩‍💻');
+      
+      await assert.rejects(MessageReactionService.toggle(id(), 'user_1', 'lol'), /Not an emoji/);
+      assert.equal(message.reactions.length, 2);
+    });
+    
+    it('caps how many emoji one person puts on a message', async () => {
+      message.reactions = Array.from({ length: MessageReactionService.maxPerUser }, (_, i) => ({
+        userId: 'user_1',
+        emoji: String.fromCodePoint(0x1F600 + i)
+      }));
+      
+      await assert.rejects(MessageReactionService.toggle(id(), 'user_1', '🎉'), /up to \d+ reactions/);
+      // Taking one back is still allowed
+      await MessageReactionService.toggle(id(), 'user_1', '😀');
+    });
+    
+    it('treats deleted and system messages as missing', async () => {
+      message.deletedAt = new Date();
+      await assert.rejects(MessageReactionService.reactableMessage(id(), 'user_1'), error => error.status === 404);
+      
+      message.deletedAt = null;
+      message.type = 'system';
+      await assert.rejects(MessageReactionService.toggle(id(), 'user_1', '👍'), /Message not found/);
+    });
+  });
+  
+  describe('checkRate', redisTest, () => {
+    let redis;
+    let saved;
+    
+    before(async () => {
+      redis = await connectRedis();
+    });
+    
+    after(async () => {
+      await redis.quit();
+    });
+    
+    beforeEach(() => {
+      mock.restoreAll();
+      saved = { redis: MessageReactionService.redis, rateLimit: MessageReactionService.rateLimit };
+      MessageReactionService.attach(redis);
+      MessageReactionService.rateLimit = 3;
+    });
+    
+    afterEach(() => {
+      Object.assign(MessageReactionService, saved);
+    });
+    
+    it('slows down someone reacting too fast', async () => {
+      const userId = uniqueName('reactor');
+      
+      for (let i = 0; i < 3; i++) {
+        await MessageReactionService.checkRate(userId);
+      }
+      await assert.rejects(MessageReactionService.checkRate(userId), /slow down/);
+      // Others are counted on their own
+      await MessageReactionService.checkRate(uniqueName('reactor'));
+      
+      assert.ok(await redis.pTTL(`reaction-rate:${userId}`) > 0);
+    });
+  });
+});
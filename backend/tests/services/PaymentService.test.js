@@ -0,0 +1,138 @@
+// backend/tests/services/PaymentService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeProvider } = require('../helpers');
+const PaymentService = require('../../src/services/PaymentService');
+const PaymentIntent = require('../../src/models/PaymentIntent');
+
+describe('PaymentService', () => {
+  let provider;
+  let completed;
+  
+  const intentFor = async (method) => {
+    const order = await provider.createOrder({ amount: 50000, currency: 'INR' });
+    return {
+      _id: 'pi_1',
+      userId: 'user_1',
+      type: 'chat_extension',
+      method,
+      status: 'pending',
+      paymentData: { orderId: order.orderId }
+    };
+  };
+  
+  beforeEach(() => {
+    completed = [];
+    mock.method(PaymentService, 'completePayment', async (id, options) => {
+      completed.push(options);
+      return { _id: id, status: 'completed' };
+    });
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('confirmProviderPayment', () => {
+    it('completes an intent paid through checkout', async () => {
+      provider = fakeProvider('razorpay');
+      const intent = await intentFor('razorpay');
+      mock.method(PaymentIntent, 'findOne', async () => intent);
+      
+      const proof = provider.pay(intent.paymentData.orderId);
+      await PaymentService.confirmProviderPayment('pi_1', 'user_1', 'chat_extension', proof);
+      
+      assert.deepEqual(completed, [{ providerPaymentId: proof.razorpayPaymentId, source: 'client' }]);
+    });
+    
+    it('rejects a forged proof', async () => {
+      provider = fakeProvider('razorpay');
+      const intent = await intentFor('razorpay');
+      mock.method(PaymentIntent, 'findOne', async () => intent);
+      
+      const proof = provider.pay(intent.paymentData.orderId);
+      await assert.rejects(
+        PaymentService.confirmProviderPayment('pi_1', 'user_1', 'chat_extension', {
+          ...proof,
+          razorpaySignature: 'forged'
+        }),
+        /Invalid payment signature/
+      );
+      assert.deepEqual(completed, []);
+    });
+    
+    it('completes an approved PayPal order without a proof', async () => {
+      provider = fakeProvider('paypal');
+      const intent = await intentFor('paypal');
+      mock.method(PaymentIntent, 'findOne', async () => intent);
+      
+      provider.pay(intent.paymentData.orderId);
+      await PaymentService.confirmProviderPayment('pi_1', 'user_1', 'chat_extension');
+      
+      assert.equal(completed.length, 1);
+    });
+    
+    it('leaves an intent the webhook already completed alone', async () => {
+      provider = fakeProvider('razorpay');
+      const intent = { ...await intentFor('razorpay'), status: 'completed' };
+      mock.method(PaymentIntent, 'findOne', async () => intent);
+      
+      const result = await PaymentService.confirmProviderPayment('pi_1', 'user_1', 'chat_extension', {});
+      
+      assert.equal(result, intent);
+      assert.deepEqual(completed, []);
+    });
+  });
+  
+  describe('extensions', () => {
+    let intents;
+    
+    // Stands in for the applyAfter query and its $set / $unset
+    const stubIntents = () => {
+      mock.method(PaymentIntent, 'findOneAndUpdate', async (filter, update) => {
+        const intent = intents.find(i => (!filter._id || i._id === filter._id)
+          && i.type === filter.type
+          && i.applyAfter && i.applyAfter <= filter.applyAfter.$lte);
+        if (intent) Object.assign(intent, update.$set);
+        return intent || null;
+      });
+      mock.method(PaymentIntent, 'updateOne', async ({ _id }, update) => {
+        const intent = intents.find(i => i._id === _id);
+        Object.assign(intent, update.$set);
+        Object.keys(update.$unset || {}).forEach(field => delete intent[field]);
+      });
+    };
+    
+    beforeEach(() => {
+      intents = [
+        { _id: 'pi_1', type: 'chat_extension', applyAfter: new Date(Date.now() - 1000) },
+        { _id: 'pi_2', type: 'chat_extension', applyAfter: new Date(Date.now() + 60000) }
+      ];
+      stubIntents();
+    });
+    
+    it('hands a settled extension to one worker until its lease runs out', async () => {
+      const claimed = await PaymentService.claimExtension('pi_1');
+      
+      assert.equal(claimed._id, 'pi_1');
+      assert.ok(claimed.applyAfter > new Date());
+      assert.equal(await PaymentService.claimExtension('pi_1'), null);
+      
+      claimed.applyAfter = new Date(Date.now() - 1);
+      assert.equal((await PaymentService.claimExtension())._id, 'pi_1');
+    });
+    
+    it('does not hand out an extension before it is due', async () => {
+      assert.equal(await PaymentService.claimExtension('pi_2'), null);
+    });
+    
+    it('stops handing out an extension once its minutes are applied', async () => {
+      await PaymentService.claimExtension('pi_1');
+      await PaymentService.extensionApplied('pi_1', 'applied');
+      
+      assert.equal(intents[0].extensionOutcome, 'applied');
+      assert.equal(intents[0].applyAfter, undefined);
+      assert.equal(await PaymentService.claimExtension(), null);
+    });
+  });
+});
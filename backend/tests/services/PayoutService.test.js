@@ -0,0 +1,114 @@
+// backend/tests/services/PayoutService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeProvider } = require('../helpers');
+const PayoutService = require('../../src/services/PayoutService');
+const Withdrawal = require('../../src/models/Withdrawal');
+
+const withdrawal = (fields = {}) => ({
+  _id: 'w1',
+  userId: 'user_1',
+  method: 'upi',
+  status: 'pending',
+  attempts: 0,
+  submissionUncertain: false,
+  amount: 5000,
+  payout: { amount: 5000, currency: 'INR' },
+  details: { vpa: 'earner@upi' },
+  ...fields
+});
+
+describe('PayoutService', () => {
+  let provider;
+  let transitions;
+  let settled;
+  let updates;
+  
+  beforeEach(() => {
+    provider = fakeProvider('razorpay');
+    transitions = [];
+    settled = [];
+    updates = [];
+    
+    mock.method(PayoutService, 'transition', async (id, to, { set } = {}) => {
+      transitions.push({ to, set });
+      return withdrawal({ status: to, ...set });
+    });
+    mock.method(PayoutService, 'settle', async (record, status) => {
+      settled.push(status);
+      return withdrawal({ status });
+    });
+    mock.method(PayoutService, 'notify', () => {});
+    mock.method(Withdrawal, 'updateOne', async (filter, update) => {
+      updates.push(update.$set);
+    });
+    mock.method(console, 'error', () => {});
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('submit', () => {
+    it('hands the payout to the provider under the withdrawal reference', async () => {
+      await PayoutService.run(withdrawal());
+      
+      const [payout] = provider.payouts.values();
+      assert.equal(payout.reference, 'wd_w1');
+      assert.equal(transitions[0].to, 'processing');
+      assert.equal(transitions[0].set.payoutId, payout.id);
+    });
+    
+    it('treats an unclear failure as submitted when the provider has the payout', async () => {
+      const existing = await provider.createPayout({ reference: 'wd_w1', amount: 5000, details: {} });
+      provider.failNext('createPayout');
+      
+      await PayoutService.run(withdrawal());
+      
+      assert.equal(transitions[0].to, 'processing');
+      assert.equal(transitions[0].set.payoutId, existing.payoutId);
+      assert.equal(provider.payouts.size, 1);
+    });
+    
+    it('retries an unclear failure the provider has no record of', async () => {
+      provider.failNext('createPayout');
+      
+      await PayoutService.run(withdrawal());
+      
+      assert.deepEqual(transitions, []);
+      assert.equal(updates[0].attempts, 1);
+      assert.equal(updates[0].submissionUncertain, true);
+    });
+  });
+  
+  describe('after the last attempt', () => {
+    const lastAttempt = (fields) => withdrawal({ attempts: PayoutService.maxAttempts - 1, ...fields });
+    
+    it('sends an unclear failure to review instead of refunding it', async () => {
+      provider.failNext('createPayout');
+      
+      await PayoutService.run(lastAttempt());
+      
+      assert.deepEqual(settled, []);
+      assert.equal(transitions[0].to, 'needs_review');
+    });
+    
+    it('sends a refusal to review when an earlier attempt was unclear', async () => {
+      provider.failNext('createPayout', { refused: true });
+      
+      await PayoutService.run(lastAttempt({ submissionUncertain: true }));
+      
+      assert.deepEqual(settled, []);
+      assert.equal(transitions[0].to, 'needs_review');
+    });
+    
+    it('fails and refunds a payout the provider refused every time', async () => {
+      provider.failNext('createPayout', { refused: true });
+      
+      await PayoutService.run(lastAttempt());
+      
+      assert.deepEqual(settled, ['failed']);
+      assert.deepEqual(transitions, []);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// backend/tests/services/PricingService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const PricingService = require('../../src/services/PricingService');
+const FxService = require('../../src/services/FxService');
+const money = require('../../src/utils/money');
+
+describe('PricingService', () => {
+  const earner = (profile = {}) => ({
+    earnerProfile: { hourlyRate: 60000, currency: 'INR', rateUnit: 'minor', ...profile }
+  });
+  
+  beforeEach(() => {
+    // Rates against USD, as the FX sources return them
+    mock.method(FxService, 'getRates', async () => ({ base: 'USD', rates: { INR: 80, EUR: 0.9, JPY: 150 } }));
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('quoteChat', () => {
+    it('prices minutes at the earner rate in the payer currency', async () => {
+      const quote = await PricingService.quoteChat(earner(), 30, 'USD');
+      
+      assert.equal(quote.earnerAmount, 30000);
+      assert.equal(quote.amount, 375);
+      assert.equal(quote.currency, 'USD');
+      assert.equal(quote.settlement.currency, money.LEDGER_CURRENCY);
+    });
+    
+    it('uses the rate for the service, falling back to the chat rate', async () => {
+      const priced = earner({ rates: { video: 120000 } });
+      
+      assert.equal((await PricingService.quoteChat(priced, 60, 'INR', 'video')).amount, 120000);
+      assert.equal((await PricingService.quoteChat(priced, 60, 'INR', 'voice')).amount, 60000);
+    });
+    
+    it('refuses to price a rate still in major units', async () => {
+      await assert.rejects(
+        PricingService.quoteChat(earner({ rateUnit: undefined }), 30, 'INR'),
+        /not been converted to minor units/
+      );
+    });
+  });
+  
+  describe('checkRateCard', () => {
+    it('accepts a card in minor units', () => {
+      assert.deepEqual(
+        PricingService.checkRateCard({ hourlyRate: 60000, rates: { video: 90000 }, currency: 'inr' }),
+        { hourlyRate: 60000, rates: { video: 90000 }, currency: 'INR' }
+      );
+    });
+    
+    it('marks a bad card as a client error', () => {
+      const cards = [
+        { hourlyRate: 600.5, currency: 'INR' },
+        { hourlyRate: 0, currency: 'INR' },
+        { hourlyRate: 60000, currency: 'XYZ' },
+        { hourlyRate: 60000, rates: { massage: 1000 }, currency: 'INR' }
+      ];
+      cards.forEach(card => {
+        assert.throws(() => PricingService.checkRateCard(card), error => error.status === 400);
+      });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// backend/tests/services/RefundService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeProvider, query } = require('../helpers');
+const RefundService = require('../../src/services/RefundService');
+const PaymentIntent = require('../../src/models/PaymentIntent');
+const Refund = require('../../src/models/Refund');
+
+describe('RefundService', () => {
+  let provider;
+  let paymentId;
+  let outcomes;
+  
+  const refund = (fields = {}) => ({
+    _id: 'r1',
+    status: 'pending',
+    method: 'razorpay',
+    destination: 'original',
+    paymentIntentId: 'pi_1',
+    paymentAmount: 400,
+    paymentCurrency: 'INR',
+    reason: 'customer_request',
+    ...fields
+  });
+  
+  beforeEach(async () => {
+    provider = fakeProvider('razorpay');
+    const order = await provider.createOrder({ amount: 1000, currency: 'INR' });
+    paymentId = provider.pay(order.orderId).razorpayPaymentId;
+    outcomes = [];
+    
+    mock.method(PaymentIntent, 'findById', () => query({ _id: 'pi_1', providerPaymentId: paymentId }));
+    mock.method(Refund, 'findById', () => query(refund()));
+    mock.method(RefundService, 'complete', async (id, { providerRefundId }) => {
+      outcomes.push({ status: 'completed', providerRefundId });
+      return refund({ status: 'completed' });
+    });
+    mock.method(RefundService, 'fail', async (id, reason) => {
+      outcomes.push({ status: 'failed', reason });
+      return refund({ status: 'failed' });
+    });
+    mock.method(RefundService, 'transition', async (id, to, { set } = {}) => {
+      outcomes.push({ status: to, set });
+      return refund({ status: to, ...set });
+    });
+    mock.method(console, 'error', () => {});
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('execute', () => {
+    it('completes a refund the provider paid', async () => {
+      await RefundService.execute(refund());
+      
+      const [sent] = provider.refunds.values();
+      assert.equal(sent.reference, 'r1');
+      assert.deepEqual(outcomes, [{ status: 'completed', providerRefundId: sent.id }]);
+    });
+    
+    it('fails a refund the provider refused', async () => {
+      provider.failNext('refund', { refused: true });
+      
+      await RefundService.execute(refund());
+      
+      assert.equal(outcomes[0].status, 'failed');
+    });
+    
+    it('keeps a refund with an unknown outcome in processing', async () => {
+      provider.failNext('refund');
+      
+      await RefundService.execute(refund());
+      
+      assert.equal(outcomes.length, 1);
+      assert.equal(outcomes[0].status, 'processing');
+      assert.ok(outcomes[0].set.checkAfter > new Date());
+    });
+  });
+  
+  describe('reconcile', () => {
+    it('completes a refund the provider made before the call failed', async () => {
+      const made = await provider.refund(paymentId, 400, { reference: 'r1' });
+      
+      await RefundService.reconcile(refund({ status: 'processing' }));
+      
+      assert.deepEqual(outcomes, [{ status: 'completed', providerRefundId: made.refundId }]);
+      assert.equal(provider.refunds.size, 1);
+    });
+    
+    it('sends a refund the provider never received', async () => {
+      await RefundService.reconcile(refund({ status: 'processing' }));
+      
+      assert.equal(provider.refunds.size, 1);
+      assert.equal(outcomes[0].status, 'completed');
+    });
+    
+    it('leaves the refund alone when the provider cannot be reached', async () => {
+      provider.failNext('findRefund');
+      
+      await RefundService.reconcile(refund({ status: 'processing' }));
+      
+      assert.deepEqual(outcomes, []);
+      assert.equal(provider.refunds.size, 0);
+    });
+  });
+});
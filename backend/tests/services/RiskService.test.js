@@ -0,0 +1,98 @@
+// backend/tests/services/RiskService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RiskService = require('../../src/services/RiskService');
+const RiskAssessment = require('../../src/models/RiskAssessment');
+
+describe('RiskService', () => {
+  const userId = '64b000000000000000000001';
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('clientIp', () => {
+    const headers = { 'x-forwarded-for': '6.6.6.6, 203.0.113.7' };
+    const configured = RiskService.proxyHops;
+    
+    afterEach(() => {
+      RiskService.proxyHops = configured;
+    });
+    
+    it('takes the connecting address when no proxy is trusted', () => {
+      RiskService.proxyHops = 0;
+      
+      assert.equal(RiskService.clientIp(headers, '10.0.0.2'), '10.0.0.2');
+    });
+    
+    it('skips only the hops added by our own proxies', () => {
+      RiskService.proxyHops = 1;
+      
+      // The client wrote 6.6.6.6 itself; our proxy saw 203.0.113.7
+      assert.equal(RiskService.clientIp(headers, '10.0.0.2'), '203.0.113.7');
+    });
+    
+    it('stops at the far end of a short chain', () => {
+      RiskService.proxyHops = 5;
+      
+      assert.equal(RiskService.clientIp(headers, '10.0.0.2'), '6.6.6.6');
+    });
+  });
+  
+  describe('assess', () => {
+    let created;
+    
+    beforeEach(() => {
+      created = null;
+      mock.method(RiskAssessment, 'create', async (fields) => {
+        created = fields;
+        return fields;
+      });
+      mock.method(RiskService, 'newDevice', async () => []);
+      mock.method(RiskService, 'refundRatio', async () => []);
+      mock.method(RiskService, 'circularFlow', async () => []);
+    });
+    
+    it('adds the rule scores up and holds the movement for review', async () => {
+      mock.method(RiskService, 'velocity', async () => [
+        { rule: 'velocity', score: 30, detail: '6 attempts in the last hour' },
+        { rule: 'velocity', score: 20, detail: 'Amount is over 5x the 30-day average' }
+      ]);
+      
+      await RiskService.assess({ kind: 'topup', userId, amount: 100000 });
+      
+      assert.equal(created.score, 50);
+      assert.equal(created.decision, 'review');
+      assert.deepEqual(created.review, { status: 'pending' });
+    });
+    
+    it('skips a rule that fails instead of failing the payment', async () => {
+      mock.method(console, 'error', () => {});
+      mock.method(RiskService, 'velocity', async () => {
+        throw new Error('aggregate timed out');
+      });
+      
+      await RiskService.assess({ kind: 'topup', userId, amount: 100000 });
+      
+      assert.equal(created.decision, 'allow');
+    });
+  });
+  
+  describe('velocity', () => {
+    it('flags bursts of attempts and outsized amounts', async () => {
+      mock.method(RiskAssessment, 'aggregate', async () => [
+        { lastHour: 2, lastDay: 4, averageAmount: 1000, count: 4 }
+      ]);
+      
+      const signals = await RiskService.velocity({ kind: 'withdrawal', userId, amount: 6000 });
+      
+      assert.deepEqual(signals.map(signal => signal.score), [30, 20]);
+    });
+    
+    it('does not flag a first movement', async () => {
+      mock.method(RiskAssessment, 'aggregate', async () => []);
+      
+      assert.deepEqual(await RiskService.velocity({ kind: 'topup', userId, amount: 500000 }), []);
+    });
+  });
+});
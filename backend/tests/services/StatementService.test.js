@@ -0,0 +1,56 @@
+// backend/tests/services/StatementService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StatementService = require('../../src/services/StatementService');
+
+describe('StatementService', () => {
+  const earnerId = '64b000000000000000000001';
+  
+  beforeEach(() => {
+    mock.method(StatementService, 'getEarner', async () => ({ username: 'asha' }));
+    mock.method(StatementService, 'sumEarnings', async (id, from) => (from.getUTCMonth() === 2
+      ? { sessions: 2, minutes: 45, gross: 10000, commission: 2000, share: 8000 }
+      : { sessions: 0, minutes: 0, gross: 0, commission: 0, share: 0 }));
+    mock.method(StatementService, 'sumRefunds', async (id, from) => (from.getUTCMonth() === 2 ? 1500 : 0));
+    mock.method(StatementService, 'sumPayouts', async () => ({ count: 1, amount: 3000 }));
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('takes refunds out of the earner share', async () => {
+    const summary = await StatementService.summarize(earnerId, new Date(Date.UTC(2025, 2, 1)), new Date(Date.UTC(2025, 3, 1)));
+    
+    assert.equal(summary.net, 6500);
+    assert.equal(summary.refunds, 1500);
+  });
+  
+  it('adds the months of a year up to its totals', async () => {
+    const summary = await StatementService.getYearlySummary(earnerId, 2025);
+    
+    assert.equal(summary.months.length, 12);
+    assert.equal(summary.totals.sessions, 2);
+    assert.equal(summary.totals.net, 6500);
+    assert.deepEqual(summary.totals.payouts, { count: 12, amount: 36000 });
+    assert.deepEqual(summary.period.to, new Date(Date.UTC(2026, 0, 1)));
+  });
+  
+  it('answers 400 for a period it cannot have a statement for', async () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+    
+    await assert.rejects(StatementService.getYearlySummary(earnerId, nextYear), error => error.status === 400);
+    await assert.rejects(StatementService.getMonthlyStatement(earnerId, 2025, 13), error => error.status === 400);
+  });
+  
+  it('leaves other failures without a status', async () => {
+    mock.method(StatementService, 'sumPayouts', async () => {
+      throw new Error('connection lost');
+    });
+    
+    await assert.rejects(
+      StatementService.getYearlySummary(earnerId, 2025),
+      error => error.status === undefined && /connection lost/.test(error.message)
+    );
+  });
+});
@@ -0,0 +1,111 @@
+// backend/tests/services/WebhookService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeProvider, query } = require('../helpers');
+const WebhookService = require('../../src/services/WebhookService');
+const PaymentService = require('../../src/services/PaymentService');
+const PayoutService = require('../../src/services/PayoutService');
+const WebhookEvent = require('../../src/models/WebhookEvent');
+const PaymentIntent = require('../../src/models/PaymentIntent');
+
+describe('WebhookService', () => {
+  let provider;
+  let records;
+  
+  // Stands in for the unique (provider, eventId) index
+  const stubEvents = () => {
+    records = new Map();
+    mock.method(WebhookEvent, 'create', async (fields) => {
+      if (records.has(fields.eventId)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const record = { ...fields, save: async () => record };
+      records.set(fields.eventId, record);
+      return record;
+    });
+    mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+    mock.method(WebhookEvent, 'findOne', ({ eventId }) => query(records.get(eventId)));
+  };
+  
+  const deliver = async (action, data) => {
+    const { headers, body } = provider.buildWebhook(action, data);
+    const event = await WebhookService.parse('razorpay', headers, body);
+    return { event, receive: () => WebhookService.receive('razorpay', event.eventId, event.type, event.payload) };
+  };
+  
+  beforeEach(() => {
+    provider = fakeProvider('razorpay');
+    stubEvents();
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('rejects a webhook with a bad signature', async () => {
+    const { headers, body } = provider.buildWebhook('completed', { orderId: 'order_1' });
+    
+    const event = await WebhookService.parse('razorpay', { ...headers, 'x-fake-signature': 'forged' }, body);
+    assert.equal(event, null);
+  });
+  
+  it('completes the payment an event reports', async () => {
+    mock.method(PaymentIntent, 'findOne', async () => ({ _id: 'pi_1', status: 'pending' }));
+    const complete = mock.method(PaymentService, 'completePayment', async () => ({ status: 'completed' }));
+    
+    const { receive } = await deliver('completed', { orderId: 'order_1', providerPaymentId: 'pay_1' });
+    const result = await receive();
+    
+    assert.deepEqual(result, { duplicate: false, status: 'processed' });
+    assert.equal(complete.mock.callCount(), 1);
+  });
+  
+  it('applies a redelivered event once', async () => {
+    mock.method(PaymentIntent, 'findOne', async () => ({ _id: 'pi_1', status: 'pending' }));
+    const complete = mock.method(PaymentService, 'completePayment', async () => ({ status: 'completed' }));
+    
+    const { receive } = await deliver('completed', { orderId: 'order_1' });
+    await receive();
+    const again = await receive();
+    
+    assert.equal(again.duplicate, true);
+    assert.equal(complete.mock.callCount(), 1);
+  });
+  
+  it('defers an event that arrives before its payment, so it is delivered again', async () => {
+    mock.method(PaymentIntent, 'findOne', async () => null);
+    
+    const { event, receive } = await deliver('completed', { orderId: 'order_unknown' });
+    await assert.rejects(receive(), error => error.status === 503);
+    
+    assert.equal(records.get(event.eventId).status, 'deferred');
+  });
+  
+  it('ignores an event whose payment never turns up once it has been deferred enough', async () => {
+    mock.method(PaymentIntent, 'findOne', async () => null);
+    mock.method(WebhookEvent, 'findOneAndUpdate', async ({ eventId }) => {
+      const record = records.get(eventId);
+      if (record.status !== 'deferred') return null;
+      record.attempts++;
+      return record;
+    });
+    
+    const { event, receive } = await deliver('completed', { orderId: 'order_elsewhere' });
+    for (let attempt = 1; attempt < WebhookService.maxDeferrals; attempt++) {
+      await assert.rejects(receive(), error => error.status === 503);
+    }
+    const result = await receive();
+    
+    assert.deepEqual(result, { duplicate: false, status: 'ignored' });
+    assert.equal(records.get(event.eventId).attempts, WebhookService.maxDeferrals);
+  });
+  
+  it('passes payout events to the payout service', async () => {
+    const update = mock.method(PayoutService, 'applyProviderUpdate', async () => ({ applied: true }));
+    
+    const { receive } = await deliver('payout_updated', { payoutId: 'payout_1', payoutStatus: 'completed' });
+    await receive();
+    
+    assert.deepEqual(update.mock.calls[0].arguments, ['razorpay', 'payout_1', 'completed', undefined]);
+  });
+});
@@ -0,0 +1,47 @@
+// backend/tests/services/statements/csv.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { monthlyStatementCsv } = require('../../../src/services/statements/csv');
+
+describe('statement CSV', () => {
+  const statement = {
+    earner: { username: 'Asha, "the tutor"' },
+    period: { year: 2025, month: 3 },
+    currency: 'INR',
+    summary: {
+      sessions: 1,
+      minutes: 30,
+      gross: 10000,
+      commission: 2000,
+      refunds: 0,
+      net: 8000,
+      payouts: { count: 0, amount: 0 }
+    },
+    lines: [{
+      date: new Date(Date.UTC(2025, 2, 14, 9, 30)),
+      chatId: 'chat_1',
+      serviceType: 'chat',
+      minutes: 30,
+      gross: 10000,
+      commissionRate: 0.2,
+      commission: 2000,
+      refunded: 0,
+      net: 8000,
+      status: 'available'
+    }]
+  };
+  
+  it('quotes fields with commas or quotes in them', () => {
+    const rows = monthlyStatementCsv(statement).split('\r\n');
+    
+    assert.equal(rows[0], 'Statement,2025-03');
+    assert.equal(rows[1], 'Earner,"Asha, ""the tutor"""');
+  });
+  
+  it('writes amounts in major units of the currency', () => {
+    const rows = monthlyStatementCsv(statement).split('\r\n');
+    
+    assert.equal(rows[5], 'Gross,100.00');
+    assert.equal(rows[rows.length - 1], '2025-03-14T09:30:00.000Z,chat_1,chat,30,100.00,0.2,20.00,0.00,80.00,available');
+  });
+});
@@ -0,0 +1,118 @@
+// backend/tests/socket/callSessions.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { redisTest, connectRedis, uniqueName, until } = require('../helpers');
+const createCallSessions = require('../../src/socket/callSessions');
+
+describe('callSessions', redisTest, () => {
+  let redis;
+  let sessions;
+  let emitted;
+  let ended;
+  let caller;
+  let callee;
+  
+  // Records what each room or socket was sent
+  const target = (to, except) => ({
+    except: (socketId) => target(to, socketId),
+    emit: (event, data) => [].concat(to).forEach(room => emitted.push({ room, except, event, data }))
+  });
+  const io = { to: (to) => target(to) };
+  
+  const sent = (event, room) => emitted.filter(e => e.event === event && e.room === room).map(e => e.data);
+  
+  const ring = () => sessions.start({ callerId: caller, calleeId: callee, type: 'voice', socketId: 'caller-phone' });
+  
+  before(async () => {
+    process.env.CALL_RING_SECONDS = '1';
+    process.env.CALL_TIMEOUT_POLL_MS = '20';
+    redis = await connectRedis();
+  });
+  
+  after(async () => {
+    await redis.quit();
+  });
+  
+  beforeEach(() => {
+    emitted = [];
+    ended = [];
+    caller = uniqueName('caller');
+    callee = uniqueName('callee');
+    sessions = createCallSessions(io, redis, {
+      onEnded: async (call) => {
+        if ([caller, callee].includes(call.callerId)) ended.push(call);
+      }
+    });
+  });
+  
+  afterEach(async () => {
+    await sessions.stop();
+  });
+  
+  it('rings every device of the callee', async () => {
+    const call = await ring();
+    
+    assert.equal(call.status, 'ringing');
+    assert.equal(sent('incoming-call', `user:${callee}`)[0].callId, call.callId);
+  });
+  
+  it('refuses a call when either side is already in one', async () => {
+    await ring();
+    const other = uniqueName('user');
+    
+    await assert.rejects(
+      sessions.start({ callerId: other, calleeId: callee, type: 'voice', socketId: 'other-phone' }),
+      error => error.code === 'BUSY'
+    );
+    await assert.rejects(
+      sessions.start({ callerId: caller, calleeId: other, type: 'voice', socketId: 'caller-phone' }),
+      error => error.code === 'IN_CALL'
+    );
+  });
+  
+  it('sends signals only between the two devices on the call', async () => {
+    const { callId } = await ring();
+    await sessions.accept(callId, callee, 'callee-laptop');
+    
+    assert.deepEqual(sent('call-answered-elsewhere', `user:${callee}`), [{ callId }]);
+    assert.equal(emitted.find(e => e.event === 'call-answered-elsewhere').except, 'callee-laptop');
+    assert.equal(await sessions.routeSignal(callId, caller, 'caller-phone'), 'callee-laptop');
+    assert.equal(await sessions.routeSignal(callId, callee, 'callee-laptop'), 'caller-phone');
+    assert.equal(await sessions.routeSignal(callId, callee, 'callee-phone'), null);
+  });
+  
+  it('ends a call once and frees both sides', async () => {
+    const { callId } = await ring();
+    
+    const rejected = await sessions.hangUp(callId, callee);
+    const again = await sessions.end(callId, 'completed');
+    
+    assert.equal(rejected.endReason, 'rejected');
+    assert.equal(again, null);
+    assert.equal(ended.length, 1);
+    assert.equal(await sessions.getActiveFor(caller), null);
+    assert.equal(await sessions.getActiveFor(callee), null);
+  });
+  
+  it('marks a call nobody answered as missed', async () => {
+    const { callId } = await ring();
+    await until(() => sent('missed-call', `user:${callee}`).length, 3000);
+    
+    assert.equal((await sessions.get(callId)).endReason, 'missed');
+    assert.equal(sent('missed-call', `user:${callee}`)[0].callId, callId);
+  });
+  
+  it('holds a dropped call open for the device to come back', async () => {
+    const { callId } = await ring();
+    await sessions.accept(callId, callee, 'callee-laptop');
+    
+    await sessions.handleDisconnect(callee, 'callee-laptop');
+    assert.equal((await sessions.get(callId)).status, 'reconnecting');
+    assert.equal(sent('call-reconnecting', 'caller-phone').length, 1);
+    
+    const rejoined = await sessions.rejoin(callId, callee, 'callee-laptop-2');
+    assert.equal(rejoined.status, 'connected');
+    assert.equal(await sessions.routeSignal(callId, caller, 'caller-phone'), 'callee-laptop-2');
+    assert.equal(sent('call-reconnected', 'caller-phone')[0].restartIce, true);
+  });
+});
@@ -0,0 +1,197 @@
+// backend/tests/socket/chatTimers.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { redisTest, connectRedis, uniqueName, until } = require('../helpers');
+const createChatTimers = require('../../src/socket/chatTimers');
+
+describe('chatTimers', redisTest, () => {
+  let redis;
+  let emitted;
+  let chats;
+  let expired;
+  let running;
+  
+  const newChat = () => {
+    const chatId = uniqueName('chat');
+    chats.push(chatId);
+    return chatId;
+  };
+  
+  const sent = (event, chatId) => emitted
+    .filter(e => e.event === event && e.room === `chat:${chatId}`)
+    .map(e => e.data);
+  
+  const io = {
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) })
+  };
+  
+  // A worker's timers; minutes can be fractions so clocks run out quickly
+  const startTimers = (handlers = {}) => {
+    const timers = createChatTimers(io, redis, {
+      // Clocks left running by an earlier run end here too; only this
+      // test's chats count
+      onExpire: async (chatId) => {
+        if (chats.includes(chatId)) expired.push(chatId);
+      },
+      ...handlers
+    });
+    running.push(timers);
+    return timers;
+  };
+  
+  before(async () => {
+    process.env.CHAT_TIMER_POLL_MS = '20';
+    process.env.CHAT_TIME_TICK_MS = '20';
+    process.env.CHAT_TIME_WARNINGS = '60,1';
+    redis = await connectRedis();
+  });
+  
+  after(async () => {
+    await redis.quit();
+  });
+  
+  beforeEach(() => {
+    emitted = [];
+    chats = [];
+    expired = [];
+    running = [];
+  });
+  
+  afterEach(async () => {
+    for (const timers of running) {
+      await timers.stop();
+    }
+    for (const chatId of chats) {
+      await running[0].cancel(chatId);
+    }
+  });
+  
+  it('ends a chat once its paid minutes run out', async () => {
+    const timers = startTimers();
+    const chatId = newChat();
+    
+    await timers.schedule(chatId, 0.002);
+    await until(() => expired.length);
+    
+    assert.deepEqual(expired, [chatId]);
+    assert.equal(await redis.exists(`chat-timer:${chatId}`), 0);
+  });
+  
+  it('keeps a running clock when the worker holding it stops', async () => {
+    const chatId = newChat();
+    const first = startTimers();
+    await first.schedule(chatId, 0.003);
+    await first.stop();
+    
+    startTimers();
+    await until(() => expired.length);
+    
+    assert.deepEqual(expired, [chatId]);
+  });
+  
+  it('does not end a chat whose clock was cancelled', async () => {
+    const timers = startTimers();
+    const chatId = newChat();
+    
+    await timers.schedule(chatId, 0.002);
+    await timers.cancel(chatId);
+    await sleep(250);
+    
+    assert.deepEqual(expired, []);
+  });
+  
+  describe('countdown', () => {
+    it('pushes the remaining time to the chat room', async () => {
+      const timers = startTimers();
+      const chatId = newChat();
+      
+      await timers.schedule(chatId, 1);
+      await until(() => sent('chat-time-update', chatId).length);
+      
+      const [update] = sent('chat-time-update', chatId);
+      assert.equal(update.paused, false);
+      assert.ok(update.remainingTime > 55 && update.remainingTime <= 60);
+      assert.ok(update.deadline > update.serverTime);
+    });
+    
+    it('warns once at each threshold the clock passes', async () => {
+      const timers = startTimers();
+      const chatId = newChat();
+      
+      await timers.schedule(chatId, 0.02);
+      await until(() => expired.length);
+      
+      assert.deepEqual(sent('chat-time-warning', chatId).map(w => w.threshold), [60, 1]);
+      assert.deepEqual(expired, [chatId]);
+    });
+    
+    it('stops the clock while paused and carries on from where it stopped', async () => {
+      const timers = startTimers();
+      const chatId = newChat();
+      await timers.schedule(chatId, 0.002);
+      
+      const paused = await timers.pause(chatId);
+      await sleep(250);
+      
+      assert.equal(paused.paused, true);
+      assert.equal(paused.remainingTime, 1);
+      assert.deepEqual(expired, []);
+      
+      await timers.resume(chatId);
+      await until(() => expired.length);
+      assert.deepEqual(expired, [chatId]);
+    });
+  });
+  
+  describe('when the paid time runs out', () => {
+    it('keeps the chat going with the minutes auto-extend bought', async () => {
+      const chatId = newChat();
+      const asked = [];
+      const timers = startTimers({
+        onTimeUp: async (id) => {
+          if (id !== chatId) return 0;
+          asked.push(id);
+          return asked.length === 1 ? 0.002 : 0;
+        }
+      });
+      
+      await timers.schedule(chatId, 0.002);
+      await until(() => expired.length);
+      
+      assert.deepEqual(asked, [chatId, chatId]);
+      assert.deepEqual(expired, [chatId]);
+    });
+  });
+  
+  describe('extend', () => {
+    it('adds the minutes of an extension that is retried only once', async () => {
+      const timers = startTimers();
+      const chatId = newChat();
+      await timers.schedule(chatId, 10);
+      
+      await timers.extend(chatId, 5, { key: 'pi_1' });
+      const state = await timers.extend(chatId, 5, { key: 'pi_1' });
+      
+      assert.ok(state.remainingTime > 14 * 60 && state.remainingTime <= 15 * 60);
+    });
+    
+    it('adds paid minutes to a paused clock', async () => {
+      const timers = startTimers();
+      const chatId = newChat();
+      await timers.schedule(chatId, 1);
+      await timers.pause(chatId);
+      
+      const state = await timers.extend(chatId, 1, { key: 'pi_1' });
+      
+      assert.equal(state.paused, true);
+      assert.ok(state.remainingTime > 110 && state.remainingTime <= 120);
+    });
+    
+    it('refuses to extend a chat with no clock', async () => {
+      const timers = startTimers();
+      
+      await assert.rejects(timers.extend(newChat(), 5), error => error.code === 'TIMER_NOT_RUNNING');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+// backend/tests/utils/money.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const money = require('../../src/utils/money');
+
+describe('money', () => {
+  it('converts between major and minor units by currency exponent', () => {
+    assert.equal(money.toMinor(12.5, 'USD'), 1250);
+    assert.equal(money.toMinor(1500, 'JPY'), 1500);
+    assert.equal(money.toMinor(1.234, 'KWD'), 1234);
+    assert.equal(money.toMajorString(1250, 'USD'), '12.50');
+  });
+  
+  it('converts amounts between currencies with different exponents', () => {
+    // 10.00 USD at 150 JPY per USD
+    assert.equal(money.convert(1000, 'USD', 'JPY', 150), 1500);
+    // 1500 JPY back at 1/150 USD per JPY
+    assert.equal(money.convert(1500, 'JPY', 'USD', 1 / 150), 1000);
+  });
+  
+  it('splits an amount into parts that add back up to it', () => {
+    const parts = money.allocate(1001, [1, 1, 1]);
+    
+    assert.deepEqual(parts, [334, 334, 333]);
+    assert.equal(money.allocate(999, [70, 30]).reduce((sum, part) => sum + part, 0), 999);
+  });
+  
+  it('rejects currencies it has no exponent for', () => {
+    assert.throws(() => money.normalizeCurrency('XYZ'), /Unsupported currency XYZ/);
+    assert.equal(money.normalizeCurrency('usd'), 'USD');
+  });
+});
@@ -26,9 +26,14 @@ import UserProfile from './pages/profile/UserProfile';
 import Wallet from './pages/wallet/Wallet';
 import Settings from './pages/settings/Settings';
 import AdminDashboard from './pages/admin/AdminDashboard';
+import PaymentAnalytics from './pages/admin/PaymentAnalytics';
+import RiskReviews from './pages/admin/RiskReviews';
 import PrivacyPolicy from './pages/legal/PrivacyPolicy';
 import TermsOfService from './pages/legal/TermsOfService';
 import EarningsDashboard from './pages/earner/EarningsDashboard';
+import EarnerAnalytics from './pages/earner/EarnerAnalytics';
+import EarnerSchedule from './pages/earner/EarnerSchedule';
+import ChatRequestQueue from './pages/earner/ChatRequestQueue';
 import CallScreen from './pages/call/CallScreen';
 
 // Styles
@@ -103,8 +108,9 @@ function App() {
                     </ProtectedRoute>
                   }>
                     <Route path="dashboard" element={<EarningsDashboard />} />
-                    <Route path="schedule" element={<div>Schedule</div>} />
-                    <Route path="analytics" element={<div>Analytics</div>} />
+                    <Route path="schedule" element={<EarnerSchedule />} />
+                    <Route path="requests" element={<ChatRequestQueue />} />
+                    <Route path="analytics" element={<EarnerAnalytics />} />
                   </Route>
                   
                   {/* Admin Routes */}
@@ -114,6 +120,9 @@ function App() {
                     </ProtectedRoute>
                   }>
                     <Route index element={<AdminDashboard />} />
+                    {/* Time series with their own interval and breakdown controls, next to the dashboard's summary */}
+                    <Route path="analytics" element={<PaymentAnalytics />} />
+                    <Route path="risk" element={<RiskReviews />} />
                   </Route>
                   
                   {/* 404 */}
@@ -0,0 +1,143 @@
+// frontend/src/components/chat/AutoExtendControl.jsx
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSocket } from '../../context/SocketContext';
+import { formatMoney, toMajor, toMinor } from '../../utils/money';
+
+// The payer's auto-extend setting for a paid chat: buy another block of
+// time from the wallet when the clock runs out, up to an optional cap
+const AutoExtendControl = ({ chatId }) => {
+  const { socket } = useSocket();
+  const [settings, setSettings] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [enabled, setEnabled] = useState(false);
+  const [cap, setCap] = useState('');
+  const [saving, setSaving] = useState(false);
+  
+  useEffect(() => {
+    if (!socket || !chatId) return;
+    
+    const fetchSettings = () => {
+      socket.emit('get-auto-extend', chatId, (response) => {
+        if (response?.success) {
+          setSettings(response);
+        }
+      });
+    };
+    const handleUpdated = (update) => {
+      if (update.chatId?.toString() === chatId) {
+        setSettings(update);
+      }
+    };
+    // Each block bought moves the amount spent
+    const handleExtended = ({ chatId: extendedChatId }) => {
+      if (extendedChatId?.toString() === chatId) {
+        fetchSettings();
+      }
+    };
+    
+    fetchSettings();
+    socket.on('auto-extend-updated', handleUpdated);
+    socket.on('chat-auto-extended', handleExtended);
+    return () => {
+      socket.off('auto-extend-updated', handleUpdated);
+      socket.off('chat-auto-extended', handleExtended);
+    };
+  }, [socket, chatId]);
+  
+  // The form starts from the saved setting each time it opens
+  useEffect(() => {
+    if (!open || !settings) return;
+    
+    setEnabled(settings.autoExtend);
+    setCap(settings.spendingCap === null ? '' : String(toMajor(settings.spendingCap, settings.currency)));
+  }, [open]);
+  
+  const save = () => {
+    const spendingCap = cap.trim() === '' ? null : toMinor(Number(cap), settings.currency);
+    if (spendingCap !== null && !(spendingCap >= 0)) {
+      toast.error('Enter a valid spending cap');
+      return;
+    }
+    
+    setSaving(true);
+    socket.emit('update-auto-extend', { chatId, enabled, spendingCap }, (response) => {
+      setSaving(false);
+      if (!response?.success) {
+        toast.error(response?.message || 'Auto-extend not updated');
+        return;
+      }
+      setSettings(response);
+      setOpen(false);
+      toast.success(response.autoExtend ? 'Auto-extend is on' : 'Auto-extend is off');
+    });
+  };
+  
+  if (!settings) return null;
+  
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`ml-2 flex items-center space-x-1 px-3 py-1 text-xs rounded-lg transition-colors ${
+          settings.autoExtend
+            ? 'bg-purple-600 text-white hover:bg-purple-700'
+            : 'bg-white dark:bg-gray-800 text-purple-600 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-gray-700'
+        }`}
+        title="Auto-extend"
+      >
+        <RefreshCw className="w-3 h-3" />
+        <span>Auto</span>
+      </button>
+      
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-72 p-4 bg-white dark:bg-gray-800 rounded-lg shadow-lg text-sm text-gray-700 dark:text-gray-200">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-semibold">Auto-extend</h4>
+            <button onClick={() => setOpen(false)} className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700" title="Close">
+              <X className="w-4 h-4 text-gray-500" />
+            </button>
+          </div>
+          
+          <label className="flex items-center space-x-2 mb-3">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+              className="rounded text-purple-600 focus:ring-purple-500"
+            />
+            <span>Add {settings.blockMinutes} minutes from my wallet when time runs out</span>
+          </label>
+          
+          <label className="block mb-1 text-xs text-gray-500 dark:text-gray-400">
+            Spending cap for this chat ({settings.currency}, leave empty for none)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={cap}
+            onChange={(e) => setCap(e.target.value)}
+            disabled={!enabled}
+            className="w-full px-3 py-2 mb-2 bg-gray-100 dark:bg-gray-700 rounded-lg border-none focus:ring-2 focus:ring-purple-500 focus:outline-none disabled:opacity-50"
+          />
+          <p className="mb-3 text-xs text-gray-500 dark:text-gray-400">
+            Spent so far: {formatMoney(settings.spent, settings.currency)}
+            {settings.spendingCap !== null && ` of ${formatMoney(settings.spendingCap, settings.currency)}`}
+          </p>
+          
+          <button
+            onClick={save}
+            disabled={saving}
+            className="w-full py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AutoExtendControl;
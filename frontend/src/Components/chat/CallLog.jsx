@@ -0,0 +1,182 @@
+// frontend/src/components/chat/CallLog.jsx
+import React, { useState, useEffect } from 'react';
+import {
+  Phone,
+  PhoneIncoming,
+  PhoneOutgoing,
+  PhoneMissed,
+  Video,
+  X
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSocket } from '../../context/SocketContext';
+import { useAuth } from '../../context/AuthContext';
+import { formatMoney } from '../../utils/money';
+import { apiFetch } from '../../utils/api';
+
+const END_REASON_LABELS = {
+  completed: null,
+  rejected: 'Declined',
+  cancelled: 'Cancelled',
+  missed: 'Missed',
+  connection_lost: 'Connection lost',
+  insufficient_funds: 'Balance ran out',
+  billing_failed: 'Could not start billing'
+};
+
+// Listed records come populated; pushed ones carry plain IDs
+const idOf = (ref) => (ref && ref._id) || ref;
+
+const formatDuration = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Call history, either all of the user's calls or those with one person
+const CallLog = ({ peerId, onClose, onCall }) => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [calls, setCalls] = useState([]);
+  const [missedOnly, setMissedOnly] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  
+  useEffect(() => {
+    fetchCalls();
+  }, [peerId, missedOnly]);
+  
+  // Calls that end while the panel is open
+  useEffect(() => {
+    if (!socket) return;
+    
+    const handleLogged = (record) => {
+      if (peerId && ![idOf(record.callerId), idOf(record.calleeId)].includes(peerId)) return;
+      if (missedOnly && record.endReason !== 'missed') return;
+      setCalls(prev => [record, ...prev.filter(call => call._id !== record._id)]);
+    };
+    
+    socket.on('call-logged', handleLogged);
+    return () => socket.off('call-logged', handleLogged);
+  }, [socket, peerId, missedOnly]);
+  
+  const fetchCalls = async (before) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: '30' });
+      if (peerId) params.set('with', peerId);
+      if (missedOnly) params.set('missed', 'true');
+      if (before) params.set('before', before);
+      
+      const response = await apiFetch(`/api/v1/calls?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      
+      setCalls(prev => (before ? [...prev, ...data.calls] : data.calls));
+      setHasMore(data.calls.length === 30);
+      if (data.unseenMissed > 0) {
+        apiFetch('/api/v1/calls/missed/seen', { method: 'POST' });
+      }
+    } catch (error) {
+      console.error('Error fetching calls:', error);
+      toast.error('Could not load call history');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const renderCall = (call) => {
+    const outgoing = idOf(call.callerId) === user._id;
+    const missed = call.endReason === 'missed';
+    const peer = outgoing ? call.calleeId : call.callerId;
+    const Icon = missed ? PhoneMissed : outgoing ? PhoneOutgoing : PhoneIncoming;
+    const label = END_REASON_LABELS[call.endReason];
+    
+    return (
+      <li key={call._id} className="flex items-center justify-between px-4 py-3">
+        <div className="flex items-center space-x-3">
+          <Icon className={`w-5 h-5 ${missed && !outgoing ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`} />
+          <div>
+            <div className="flex items-center space-x-1 text-sm font-medium text-gray-900 dark:text-white">
+              {call.isVideo && <Video className="w-3 h-3" />}
+              <span>{!peerId && peer?.username ? peer.username : outgoing ? 'Outgoing' : 'Incoming'}</span>
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {new Date(call.startedAt).toLocaleString()}
+              {label ? ` · ${label}` : ` · ${formatDuration(call.durationSeconds)}`}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          {call.cost?.amount > 0 && (
+            <span className="text-xs text-gray-600 dark:text-gray-300">
+              {formatMoney(call.cost.amount, call.cost.currency)}
+            </span>
+          )}
+          {onCall && (
+            <button
+              onClick={() => onCall(call.isVideo ? 'video' : 'voice')}
+              className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              title="Call back"
+            >
+              <Phone className="w-4 h-4 text-green-600 dark:text-green-400" />
+            </button>
+          )}
+        </div>
+      </li>
+    );
+  };
+  
+  return (
+    <div className="w-80 flex flex-col bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between px-4 py-4 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Calls</h3>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+        >
+          <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+        </button>
+      </div>
+      
+      <div className="flex space-x-2 px-4 py-2">
+        {[false, true].map(missed => (
+          <button
+            key={String(missed)}
+            onClick={() => setMissedOnly(missed)}
+            className={`px-3 py-1 text-xs rounded-lg transition-colors ${
+              missedOnly === missed
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+            }`}
+          >
+            {missed ? 'Missed' : 'All'}
+          </button>
+        ))}
+      </div>
+      
+      <div className="flex-1 overflow-y-auto">
+        {calls.length === 0 && !loading ? (
+          <p className="px-4 py-8 text-sm text-center text-gray-500 dark:text-gray-400">
+            No calls yet
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+            {calls.map(renderCall)}
+          </ul>
+        )}
+        {hasMore && (
+          <button
+            onClick={() => fetchCalls(calls[calls.length - 1].startedAt)}
+            disabled={loading}
+            className="w-full py-3 text-sm text-purple-600 dark:text-purple-400 hover:bg-gray-50 dark:hover:bg-gray-700"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CallLog;
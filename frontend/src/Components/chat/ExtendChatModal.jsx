@@ -0,0 +1,182 @@
+// frontend/src/components/chat/ExtendChatModal.jsx
+import React, { useState } from 'react';
+import { Clock, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSocket } from '../../context/SocketContext';
+import { formatMoney } from '../../utils/money';
+
+const MINUTE_OPTIONS = [15, 30, 60];
+
+const METHODS = [
+  { value: 'wallet', label: 'Wallet' },
+  { value: 'razorpay', label: 'Razorpay' },
+  { value: 'paypal', label: 'PayPal' }
+];
+
+const RAZORPAY_CHECKOUT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+const loadRazorpay = () => new Promise((resolve, reject) => {
+  if (window.Razorpay) {
+    resolve(window.Razorpay);
+    return;
+  }
+  const script = document.createElement('script');
+  script.src = RAZORPAY_CHECKOUT_URL;
+  script.onload = () => resolve(window.Razorpay);
+  script.onerror = () => reject(new Error('Could not load checkout'));
+  document.body.appendChild(script);
+});
+
+// Buy more time for a paid chat. Wallet payments settle at once; Razorpay
+// and PayPal go through their checkout and are then confirmed. The modal
+// closes when the server pushes 'chat-extended'.
+const ExtendChatModal = ({ chatId, onClose }) => {
+  const { socket } = useSocket();
+  const [minutes, setMinutes] = useState(MINUTE_OPTIONS[0]);
+  const [method, setMethod] = useState('wallet');
+  const [busy, setBusy] = useState(false);
+  // A PayPal order waiting for the payer to approve it in the popup
+  const [awaitingApproval, setAwaitingApproval] = useState(null);
+  
+  const confirm = (paymentId, proof = {}) => {
+    setBusy(true);
+    socket.emit('confirm-extension-payment', { paymentId, ...proof }, (response) => {
+      setBusy(false);
+      if (!response?.success) {
+        toast.error(response?.message || 'Payment not confirmed');
+        return;
+      }
+      setAwaitingApproval(null);
+      toast.success('Payment received, extending your chat');
+    });
+  };
+  
+  const checkout = async (request) => {
+    if (request.method === 'razorpay') {
+      const Razorpay = await loadRazorpay();
+      const razorpay = new Razorpay({
+        key: request.key,
+        order_id: request.orderId,
+        amount: request.amount,
+        currency: request.currency,
+        description: `Chat extension, ${request.minutes} minutes`,
+        handler: (result) => confirm(request.paymentId, {
+          razorpayPaymentId: result.razorpay_payment_id,
+          razorpaySignature: result.razorpay_signature
+        }),
+        modal: { ondismiss: () => setBusy(false) }
+      });
+      razorpay.open();
+      return;
+    }
+    
+    if (request.method === 'paypal') {
+      window.open(request.approveUrl, 'paypal', 'width=500,height=700');
+      setAwaitingApproval(request);
+      setBusy(false);
+    }
+  };
+  
+  const extend = () => {
+    if (!socket) return;
+    
+    setBusy(true);
+    socket.emit('extend-chat', { chatId, additionalMinutes: minutes, method }, async (response) => {
+      if (!response?.success) {
+        setBusy(false);
+        toast.error(response?.message || 'Chat not extended');
+        return;
+      }
+      if (!response.paymentRequest) return;
+      
+      try {
+        await checkout(response.paymentRequest);
+      } catch (error) {
+        setBusy(false);
+        toast.error(error.message);
+      }
+    });
+  };
+  
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+      <div className="w-full max-w-sm p-6 bg-white dark:bg-gray-800 rounded-2xl shadow-xl">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+            <Clock className="w-5 h-5 text-purple-600" />
+            <span>Extend chat</span>
+          </h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700" title="Close">
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+        
+        {awaitingApproval ? (
+          <div className="space-y-4 text-sm text-gray-700 dark:text-gray-200">
+            <p>
+              Approve the payment of {formatMoney(awaitingApproval.amount, awaitingApproval.currency)} in
+              the PayPal window, then come back here.
+            </p>
+            <button
+              onClick={() => confirm(awaitingApproval.paymentId)}
+              disabled={busy}
+              className="w-full py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
+            >
+              {busy ? 'Confirming...' : 'I have approved the payment'}
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div>
+              <div className="mb-2 text-sm text-gray-500 dark:text-gray-400">Add</div>
+              <div className="grid grid-cols-3 gap-2">
+                {MINUTE_OPTIONS.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => setMinutes(option)}
+                    className={`py-2 rounded-lg text-sm ${
+                      minutes === option
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200'
+                    }`}
+                  >
+                    {option} min
+                  </button>
+                ))}
+              </div>
+            </div>
+            
+            <div>
+              <div className="mb-2 text-sm text-gray-500 dark:text-gray-400">Pay with</div>
+              <div className="grid grid-cols-3 gap-2">
+                {METHODS.map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => setMethod(value)}
+                    className={`py-2 rounded-lg text-sm ${
+                      method === value
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            
+            <button
+              onClick={extend}
+              disabled={busy}
+              className="w-full py-3 bg-gradient-to-r from-purple-600 to-pink-500 text-white rounded-lg hover:from-purple-700 hover:to-pink-600 transition-colors disabled:opacity-50"
+            >
+              {busy ? 'Processing...' : `Extend by ${minutes} minutes`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExtendChatModal;
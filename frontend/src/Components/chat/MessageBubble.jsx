@@ -0,0 +1,244 @@
+// frontend/src/components/chat/MessageBubble.jsx
+import React, { useState } from 'react';
+import {
+  Reply,
+  Pencil,
+  Trash2,
+  MoreVertical,
+  FileText,
+  Ban,
+  Plus,
+  Users
+} from 'lucide-react';
+import EmojiPicker from 'emoji-picker-react';
+import ReactionList from './ReactionList';
+
+// Keep in step with MESSAGE_EDIT_MINUTES and MESSAGE_DELETE_MINUTES on the server
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETE_WINDOW_MS = 60 * 60 * 1000;
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const MEDIA_LABELS = {
+  image: 'Photo',
+  video: 'Video',
+  audio: 'Voice message',
+  file: 'File'
+};
+
+const withinWindow = (message, windowMs) => (
+  Date.now() - new Date(message.createdAt).getTime() < windowMs
+);
+
+// Counts per emoji, in the order each emoji was first used
+const summarizeReactions = (reactions = [], currentUserId) => {
+  const byEmoji = new Map();
+  [...reactions]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(({ emoji, userId }) => {
+      if (!byEmoji.has(emoji)) {
+        byEmoji.set(emoji, { emoji, count: 0, mine: false });
+      }
+      const entry = byEmoji.get(emoji);
+      entry.count += 1;
+      entry.mine = entry.mine || userId === currentUserId;
+    });
+  return [...byEmoji.values()];
+};
+
+const MessageBody = ({ message }) => {
+  const { media } = message;
+  
+  if (message.type === 'image' && media?.url) {
+    return <img src={media.url} alt="" className="max-w-xs rounded-lg" />;
+  }
+  if (message.type === 'video' && media?.url) {
+    return <video src={media.url} controls className="max-w-xs rounded-lg" />;
+  }
+  if (message.type === 'audio' && media?.url) {
+    return <audio src={media.url} controls />;
+  }
+  if (message.type === 'file' && media?.url) {
+    return (
+      <a href={media.url} target="_blank" rel="noreferrer" className="flex items-center space-x-2 underline">
+        <FileText className="w-4 h-4" />
+        <span>{MEDIA_LABELS.file}</span>
+      </a>
+    );
+  }
+  return <p className="whitespace-pre-wrap break-words">{message.content}</p>;
+};
+
+// The quoted message above a reply; clicking it scrolls to the original
+const ReplyPreview = ({ preview, isOwn, currentUserId, onJumpTo }) => (
+  <button
+    onClick={() => onJumpTo?.(preview.messageId)}
+    className={`block w-full mb-2 px-3 py-1 text-left text-xs rounded border-l-4 ${
+      isOwn ? 'bg-white/20 border-white/60' : 'bg-gray-100 dark:bg-gray-600 border-purple-500'
+    }`}
+  >
+    <span className="block font-semibold">
+      {preview.senderId === currentUserId ? 'You' : 'Reply to'}
+    </span>
+    <span className="block truncate opacity-80">
+      {preview.deleted
+        ? 'This message was deleted'
+        : preview.content || MEDIA_LABELS[preview.type] || ''}
+    </span>
+  </button>
+);
+
+const MessageBubble = ({ message, isOwn, currentUserId, onReply, onEdit, onDelete, onJumpTo, onReact }) => {
+  const [showMenu, setShowMenu] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
+  const [showReactors, setShowReactors] = useState(false);
+  const deleted = Boolean(message.deletedAt);
+  // Nothing to act on until the server has it
+  const sent = !message.status;
+  
+  const time = new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const canEdit = isOwn && sent && message.type === 'text' && withinWindow(message, EDIT_WINDOW_MS);
+  const canDeleteForEveryone = isOwn && sent && withinWindow(message, DELETE_WINDOW_MS);
+  const reactions = deleted ? [] : summarizeReactions(message.reactions, currentUserId);
+  
+  const choose = (action) => {
+    setShowMenu(false);
+    action();
+  };
+  
+  const react = (emoji) => {
+    setShowMenu(false);
+    setShowPicker(false);
+    onReact?.(message, emoji);
+  };
+  
+  return (
+    <div className={`group flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+      <div className={`relative max-w-md px-4 py-2 rounded-2xl shadow-sm ${
+        deleted
+          ? 'bg-transparent border border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400 italic'
+          : isOwn
+            ? 'bg-gradient-to-r from-purple-600 to-pink-500 text-white'
+            : 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+      }`}>
+        {deleted ? (
+          <p className="flex items-center space-x-2">
+            <Ban className="w-4 h-4" />
+            <span>This message was deleted</span>
+          </p>
+        ) : (
+          <>
+            {message.replyPreview && (
+              <ReplyPreview
+                preview={message.replyPreview}
+                isOwn={isOwn}
+                currentUserId={currentUserId}
+                onJumpTo={onJumpTo}
+              />
+            )}
+            <MessageBody message={message} />
+          </>
+        )}
+        
+        <div className={`mt-1 text-xs text-right ${isOwn && !deleted ? 'text-white/70' : 'text-gray-400'}`}>
+          {message.editedAt && !deleted && <span className="mr-1">edited ·</span>}
+          {time}
+        </div>
+        
+        {sent && !deleted && (
+          <button
+            onClick={() => setShowMenu(prev => !prev)}
+            className={`absolute top-1 ${isOwn ? '-left-8' : '-right-8'} p-1 rounded-full opacity-0 group-hover:opacity-100 hover:bg-gray-200 dark:hover:bg-gray-600 transition-opacity`}
+            title="Message options"
+          >
+            <MoreVertical className="w-4 h-4 text-gray-500" />
+          </button>
+        )}
+        
+        {showMenu && (
+          <div className={`absolute z-10 top-8 ${isOwn ? 'right-full mr-2' : 'left-full ml-2'} w-48 py-1 bg-white dark:bg-gray-800 rounded-lg shadow-lg text-sm text-gray-700 dark:text-gray-200 not-italic`}>
+            <div className="flex items-center justify-between px-2 pb-1 mb-1 border-b border-gray-200 dark:border-gray-700">
+              {QUICK_REACTIONS.map(emoji => (
+                <button
+                  key={emoji}
+                  onClick={() => react(emoji)}
+                  className="p-1 rounded-full text-base hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  {emoji}
+                </button>
+              ))}
+              <button
+                onClick={() => setShowPicker(prev => !prev)}
+                className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+                title="More reactions"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+            <button onClick={() => choose(() => onReply?.(message))} className="flex items-center w-full px-3 py-2 space-x-2 hover:bg-gray-100 dark:hover:bg-gray-700">
+              <Reply className="w-4 h-4" />
+              <span>Reply</span>
+            </button>
+            {canEdit && (
+              <button onClick={() => choose(() => onEdit?.(message))} className="flex items-center w-full px-3 py-2 space-x-2 hover:bg-gray-100 dark:hover:bg-gray-700">
+                <Pencil className="w-4 h-4" />
+                <span>Edit</span>
+              </button>
+            )}
+            <button onClick={() => choose(() => onDelete?.(message, 'me'))} className="flex items-center w-full px-3 py-2 space-x-2 hover:bg-gray-100 dark:hover:bg-gray-700">
+              <Trash2 className="w-4 h-4" />
+              <span>Delete for me</span>
+            </button>
+            {canDeleteForEveryone && (
+              <button onClick={() => choose(() => onDelete?.(message, 'everyone'))} className="flex items-center w-full px-3 py-2 space-x-2 text-red-600 hover:bg-gray-100 dark:hover:bg-gray-700">
+                <Trash2 className="w-4 h-4" />
+                <span>Delete for everyone</span>
+              </button>
+            )}
+          </div>
+        )}
+        
+        {showPicker && (
+          <div className={`absolute z-20 top-8 ${isOwn ? 'right-full mr-2' : 'left-full ml-2'}`}>
+            <EmojiPicker onEmojiClick={(emojiData) => react(emojiData.emoji)} theme="dark" />
+          </div>
+        )}
+        
+        {/* Reactions, each a toggle for the current user */}
+        {reactions.length > 0 && (
+          <div className={`relative flex flex-wrap items-center gap-1 mt-2 -mb-4 not-italic ${isOwn ? 'justify-end' : 'justify-start'}`}>
+            {reactions.map(({ emoji, count, mine }) => (
+              <button
+                key={emoji}
+                onClick={() => onReact?.(message, emoji)}
+                className={`px-2 py-0.5 rounded-full text-xs border shadow-sm ${
+                  mine
+                    ? 'bg-purple-100 dark:bg-purple-900 border-purple-400 text-purple-700 dark:text-purple-200'
+                    : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200'
+                }`}
+              >
+                {emoji} {count}
+              </button>
+            ))}
+            <button
+              onClick={() => setShowReactors(prev => !prev)}
+              className="p-1 rounded-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 shadow-sm"
+              title="Who reacted"
+            >
+              <Users className="w-3 h-3 text-gray-500" />
+            </button>
+            {showReactors && (
+              <ReactionList
+                message={message}
+                summary={reactions}
+                onClose={() => setShowReactors(false)}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageBubble;
@@ -0,0 +1,80 @@
+// frontend/src/components/chat/ReactionList.jsx
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { apiFetch } from '../../utils/api';
+
+// Who reacted to a message, all together or one emoji at a time
+const ReactionList = ({ message, summary, onClose }) => {
+  const [selected, setSelected] = useState(null);
+  const [reactions, setReactions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  
+  useEffect(() => {
+    fetchReactions();
+  }, [message._id, selected, message.reactions?.length]);
+  
+  const fetchReactions = async () => {
+    setLoading(true);
+    try {
+      const params = selected ? `?${new URLSearchParams({ emoji: selected })}` : '';
+      const response = await apiFetch(`/api/v1/chat/${message.chatId}/messages/${message._id}/reactions${params}`);
+      const data = await response.json();
+      if (data.success) {
+        setReactions(data.reactions);
+      }
+    } catch (error) {
+      console.error('Error fetching reactions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  return (
+    <div className="absolute z-20 bottom-full mb-2 w-64 bg-white dark:bg-gray-800 rounded-lg shadow-lg text-sm text-gray-700 dark:text-gray-200 not-italic">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center space-x-1 overflow-x-auto">
+          <button
+            onClick={() => setSelected(null)}
+            className={`px-2 py-1 rounded-full text-xs ${!selected ? 'bg-purple-100 dark:bg-purple-900 text-purple-700 dark:text-purple-300' : ''}`}
+          >
+            All
+          </button>
+          {summary.map(({ emoji, count }) => (
+            <button
+              key={emoji}
+              onClick={() => setSelected(emoji)}
+              className={`px-2 py-1 rounded-full text-xs ${selected === emoji ? 'bg-purple-100 dark:bg-purple-900' : ''}`}
+            >
+              {emoji} {count}
+            </button>
+          ))}
+        </div>
+        <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700" title="Close">
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+      
+      <div className="max-h-60 overflow-y-auto py-1">
+        {loading && reactions.length === 0 ? (
+          <div className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">Loading...</div>
+        ) : (
+          reactions.map(({ emoji, user }) => (
+            <div key={`${user._id}:${emoji}`} className="flex items-center justify-between px-3 py-2">
+              <div className="flex items-center space-x-2 min-w-0">
+                <img
+                  src={user.profilePicture || '/default-avatar.png'}
+                  alt={user.name}
+                  className="w-6 h-6 rounded-full"
+                />
+                <span className="truncate">{user.name || 'Unknown user'}</span>
+              </div>
+              <span>{emoji}</span>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReactionList;
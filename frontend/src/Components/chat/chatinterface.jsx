@@ -1,6 +1,7 @@
 // frontend/src/components/chat/ChatInterface.jsx
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Virtuoso } from 'react-virtuoso';
 import { 
   Send, 
   Mic, 
@@ -14,40 +15,111 @@ import {
   Clock,
   DollarSign,
   Shield,
-  Volume2
+  Volume2,
+  History,
+  PhoneMissed,
+  ArrowDown,
+  Reply,
+  Pencil
 } from 'lucide-react';
 import { useSocket } from '../../context/SocketContext';
 import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
 import EmojiPicker from 'emoji-picker-react';
 import MessageBubble from './MessageBubble';
 import ChatSidebar from './ChatSidebar';
+import CallLog from './CallLog';
+import AutoExtendControl from './AutoExtendControl';
 import CallModal from '../call/CallModal';
-import PaymentModal from '../payment/PaymentModal';
+import ExtendChatModal from './ExtendChatModal';
+import { formatMoney } from '../../utils/money';
+import { getRtcConfiguration } from '../../utils/iceServers';
+import { loadOutbox, addToOutbox, removeFromOutbox, newClientId } from '../../utils/messageOutbox';
+import { apiFetch } from '../../utils/api';
+
+const PAGE_SIZE = 50;
+
+// Virtuoso keeps the scroll position when older pages are prepended as long
+// as the first item's index moves down by the number added; start high so
+// it never goes below zero
+const START_INDEX = 1000000;
+
+const ACK_TIMEOUT_MS = 10000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const isPending = (message) => message.status === 'sending' || message.status === 'failed';
+
+// Add messages to the list without duplicates: a message already shown,
+// by server ID or by the clientId it was sent with, is replaced. Messages
+// still on their way stay at the bottom.
+const mergeMessages = (current, incoming) => {
+  const next = [...current];
+  incoming.forEach(message => {
+    const index = next.findIndex(m =>
+      m._id === message._id || (message.clientId && m.clientId === message.clientId)
+    );
+    if (index >= 0) {
+      next[index] = message;
+    } else {
+      next.push(message);
+    }
+  });
+  return [...next.filter(m => !isPending(m)), ...next.filter(isPending)];
+};
+
+// Swap in a newer copy of a message, but only if it is already shown
+const replaceMessages = (current, updated) => current.map(message => (
+  updated.find(u => u._id === message._id) || message
+));
 
 const ChatInterface = () => {
   const { chatId } = useParams();
+  const [searchParams] = useSearchParams();
   const { user } = useAuth();
   const { socket, isConnected } = useSocket();
   
   const [messages, setMessages] = useState([]);
+  const [firstItemIndex, setFirstItemIndex] = useState(START_INDEX);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  // Remounts the list with a new starting position after a jump
+  const [listView, setListView] = useState({ key: 0, initialIndex: 0 });
+  const [highlightedId, setHighlightedId] = useState(null);
   const [inputMessage, setInputMessage] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
   const [isTyping, setIsTyping] = useState(false);
   const [typingUsers, setTypingUsers] = useState([]);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [showCallModal, setShowCallModal] = useState(false);
+  const [callType, setCallType] = useState('voice');
+  // A call ringing for this user, answered from the call modal
+  const [incomingCall, setIncomingCall] = useState(null);
   const [showPaymentModal, setShowPaymentModal] = useState(false);
+  const [showCallLog, setShowCallLog] = useState(false);
+  const [rtcConfig, setRtcConfig] = useState(null);
   const [chatInfo, setChatInfo] = useState(null);
   const [remainingTime, setRemainingTime] = useState(0);
+  const [timerPaused, setTimerPaused] = useState(false);
+  const [graceEndsAt, setGraceEndsAt] = useState(null);
   const [unreadCount, setUnreadCount] = useState(0);
   
-  const messagesEndRef = useRef(null);
+  const virtuosoRef = useRef(null);
   const fileInputRef = useRef(null);
+  // Live messages only append when the newest page is loaded
+  const hasNewerRef = useRef(false);
+  // Highest sequence number seen in each chat, where a reconnect resyncs from
+  const lastSeqRef = useRef({});
+  // clientIds with a send awaiting its acknowledgement
+  const inFlightRef = useRef(new Set());
+  // The ringing call, for socket handlers registered before it arrived
+  const incomingCallIdRef = useRef(null);
   
   // Fetch chat data
   useEffect(() => {
     if (chatId) {
       fetchChatData();
-      joinChatRoom();
     }
     
     return () => {
@@ -62,47 +134,301 @@ const ChatInterface = () => {
     if (!socket) return;
     
     socket.on('new-message', handleNewMessage);
+    socket.on('message-edited', handleMessageEdited);
+    socket.on('message-deleted', handleMessageDeleted);
+    socket.on('message-reactions', handleMessageReactions);
     socket.on('typing-indicator', handleTyping);
     socket.on('message-read', handleMessageRead);
     socket.on('user-joined', handleUserJoined);
     socket.on('user-left', handleUserLeft);
     socket.on('chat-time-update', handleTimeUpdate);
+    socket.on('chat-time-warning', handleTimeWarning);
+    socket.on('chat-grace-period', handleGracePeriod);
+    socket.on('chat-auto-extended', handleAutoExtended);
+    socket.on('chat-extended', handleChatExtended);
+    socket.on('extension-refunded', handleExtensionRefunded);
+    socket.on('auto-extend-stopped', handleAutoExtendStopped);
+    socket.on('incoming-call', handleIncomingCall);
+    socket.on('call-answered-elsewhere', handleCallAnsweredElsewhere);
     
     return () => {
       socket.off('new-message');
+      socket.off('message-edited');
+      socket.off('message-deleted');
+      socket.off('message-reactions');
       socket.off('typing-indicator');
       socket.off('message-read');
       socket.off('user-joined');
       socket.off('user-left');
       socket.off('chat-time-update');
+      socket.off('chat-time-warning');
+      socket.off('chat-grace-period');
+      socket.off('chat-auto-extended');
+      socket.off('chat-extended');
+      socket.off('extension-refunded');
+      socket.off('auto-extend-stopped');
+      socket.off('incoming-call');
+      socket.off('call-answered-elsewhere');
     };
-  }, [socket]);
+  }, [socket, chatId]);
+  
+  // Count down locally between server ticks; each tick overwrites this
+  useEffect(() => {
+    if (timerPaused || remainingTime <= 0) return;
+    
+    const interval = setInterval(() => {
+      setRemainingTime(prev => Math.max(0, prev - 1));
+    }, 1000);
+    
+    return () => clearInterval(interval);
+  }, [timerPaused, remainingTime > 0]);
   
-  // Scroll to bottom on new messages
   useEffect(() => {
-    scrollToBottom();
+    hasNewerRef.current = hasNewer;
+  }, [hasNewer]);
+  
+  // Edits and deletions take a sequence number too. Counted against the
+  // message's own chat, as the list still holds the last chat's messages
+  // for a moment after switching.
+  useEffect(() => {
+    messages.forEach(message => {
+      const messageChatId = message.chatId?.toString();
+      const seq = Math.max(message.seq || 0, message.updateSeq || 0);
+      if (messageChatId && seq > (lastSeqRef.current[messageChatId] || 0)) {
+        lastSeqRef.current[messageChatId] = seq;
+      }
+    });
   }, [messages]);
   
+  // A reply or an edit belongs to the chat it was started in, and so does
+  // an older window of history
+  useEffect(() => {
+    setReplyingTo(null);
+    setEditingMessage(null);
+    setHasNewer(false);
+    hasNewerRef.current = false;
+  }, [chatId]);
+  
+  // Whenever the connection comes (back), catch up on what was missed and
+  // send what is still waiting
+  useEffect(() => {
+    if (!isConnected || !chatId) return;
+    
+    joinChatRoom();
+    syncMissed();
+    flushOutbox();
+  }, [isConnected, chatId]);
+  
+  // Links to a message open the chat at that message
+  useEffect(() => {
+    const messageId = searchParams.get('message');
+    if (chatId && messageId) {
+      jumpToMessage(messageId);
+    }
+  }, [chatId, searchParams]);
+  
   const fetchChatData = async () => {
     try {
-      const response = await fetch(`/api/v1/chat/${chatId}`);
+      const response = await apiFetch(`/api/v1/chat/${chatId}`);
       const data = await response.json();
       setChatInfo(data.chat);
-      setMessages(data.messages);
       setRemainingTime(data.remainingTime || 0);
+      if (!searchParams.get('message')) {
+        await loadLatest();
+      }
     } catch (error) {
       console.error('Error fetching chat:', error);
     }
   };
   
+  const fetchHistory = async (cursor = {}) => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), ...cursor });
+    const response = await apiFetch(`/api/v1/chat/${chatId}/messages?${params}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message);
+    return data;
+  };
+  
+  // Replace the list with a fresh window of history
+  const showPage = (page, initialIndex) => {
+    setMessages(mergeMessages(page.messages, pendingMessages()));
+    setFirstItemIndex(START_INDEX);
+    setHasOlder(page.hasOlder);
+    setHasNewer(page.hasNewer);
+    setListView(prev => ({ key: prev.key + 1, initialIndex }));
+  };
+  
+  const loadLatest = async () => {
+    try {
+      const page = await fetchHistory();
+      showPage(page, Math.max(0, page.messages.length - 1));
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+    }
+  };
+  
+  // Infinite scroll upwards
+  const loadOlder = async () => {
+    if (!hasOlder || loadingHistory || messages.length === 0) return;
+    
+    setLoadingHistory(true);
+    try {
+      const page = await fetchHistory({ before: messages[0]._id });
+      setFirstItemIndex(prev => prev - page.messages.length);
+      setMessages(prev => [...page.messages, ...prev]);
+      setHasOlder(page.hasOlder);
+    } catch (error) {
+      console.error('Error fetching older messages:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+  
+  // After a jump the newer side is loaded on the way back down
+  const loadNewer = async () => {
+    if (!hasNewer || loadingHistory || messages.length === 0) return;
+    
+    setLoadingHistory(true);
+    try {
+      const page = await fetchHistory({ after: messages[messages.length - 1]._id });
+      setMessages(prev => [...prev, ...page.messages]);
+      setHasNewer(page.hasNewer);
+    } catch (error) {
+      console.error('Error fetching newer messages:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+  
+  // Scroll to a message, loading the history around it if it is not in
+  // the current window
+  const jumpToMessage = async (messageId) => {
+    const index = messages.findIndex(message => message._id === messageId);
+    try {
+      if (index >= 0) {
+        virtuosoRef.current?.scrollToIndex({ index, align: 'center', behavior: 'smooth' });
+      } else {
+        const page = await fetchHistory({ around: messageId });
+        const anchor = page.messages.findIndex(message => message._id === messageId);
+        showPage(page, Math.max(0, anchor));
+      }
+      setHighlightedId(messageId);
+      setTimeout(() => setHighlightedId(null), 2000);
+    } catch (error) {
+      toast.error('That message is no longer available');
+    }
+  };
+  
   const joinChatRoom = () => {
     if (socket && chatId) {
       socket.emit('join-chat', chatId);
     }
   };
   
+  // Messages this chat still has in the outbox, shown as pending
+  const pendingMessages = () => loadOutbox(user._id)
+    .filter(entry => entry.chatId === chatId)
+    .map(entry => ({ ...entry, status: 'sending' }));
+  
+  const syncMissed = () => {
+    const sinceSeq = lastSeqRef.current[chatId] || 0;
+    if (!socket || hasNewerRef.current || sinceSeq === 0) return;
+    
+    socket.emit('sync-messages', { chatId, sinceSeq }, (response) => {
+      if (!response?.success) return;
+      
+      // Too far behind to patch up; start again from the latest page
+      if (response.hasMore) {
+        loadLatest();
+        return;
+      }
+      // Older messages edited or deleted meanwhile are only updated in place
+      const missed = response.messages.filter(message => message.seq > sinceSeq);
+      const changed = response.messages.filter(message => message.seq <= sinceSeq);
+      setMessages(prev => mergeMessages(replaceMessages(prev, changed), missed));
+    });
+  };
+  
+  const flushOutbox = () => {
+    const pending = pendingMessages();
+    if (pending.length === 0) return;
+    
+    setMessages(prev => mergeMessages(prev, pending));
+    pending.forEach(entry => deliver(entry));
+  };
+  
+  // Send one outbox entry until the server acknowledges it. Each retry
+  // reuses the clientId, so the server never saves it twice.
+  const deliver = (entry, attempt = 0) => {
+    if (!socket || !socket.connected || inFlightRef.current.has(entry.clientId)) return;
+    
+    inFlightRef.current.add(entry.clientId);
+    const { chatId: targetChatId, clientId, content, type, media, replyTo } = entry;
+    
+    socket.timeout(ACK_TIMEOUT_MS).emit('send-message', { chatId: targetChatId, clientId, content, type, media, replyTo }, (error, response) => {
+      inFlightRef.current.delete(clientId);
+      
+      if (response?.success) {
+        removeFromOutbox(user._id, clientId);
+        setMessages(prev => mergeMessages(prev, [response.message]));
+        return;
+      }
+      
+      if (error || response?.retryable) {
+        // A reconnect flushes the outbox anyway
+        const delay = Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** attempt);
+        setTimeout(() => deliver(entry, attempt + 1), delay);
+        return;
+      }
+      
+      removeFromOutbox(user._id, clientId);
+      setMessages(prev => mergeMessages(prev, [{ ...entry, status: 'failed', error: response?.message }]));
+      toast.error(response?.message || 'Message not sent');
+    });
+  };
+  
+  const sendMessage = (payload) => {
+    const clientId = newClientId();
+    const entry = {
+      ...payload,
+      ...(replyingTo && {
+        replyTo: replyingTo._id,
+        // Shown until the server's own copy arrives
+        replyPreview: {
+          messageId: replyingTo._id,
+          senderId: replyingTo.sender,
+          type: replyingTo.type,
+          content: (replyingTo.content || '').slice(0, 140)
+        }
+      }),
+      chatId,
+      clientId,
+      _id: `local:${clientId}`,
+      sender: user._id,
+      createdAt: new Date().toISOString()
+    };
+    
+    addToOutbox(user._id, entry);
+    setMessages(prev => mergeMessages(prev, [{ ...entry, status: 'sending' }]));
+    setReplyingTo(null);
+    deliver(entry);
+  };
+  
+  const retryMessage = (message) => {
+    const { status, error, ...entry } = message;
+    addToOutbox(user._id, entry);
+    setMessages(prev => mergeMessages(prev, [{ ...entry, status: 'sending' }]));
+    deliver(entry);
+  };
+  
   const handleNewMessage = (message) => {
-    setMessages(prev => [...prev, message]);
+    // While older history is open a message shows up once they scroll back
+    // down, unless it is their own
+    if (!hasNewerRef.current) {
+      setMessages(prev => mergeMessages(prev, [message]));
+    } else if (message.sender === user._id) {
+      loadLatest();
+    }
     
     // Mark as read
     if (socket) {
@@ -113,6 +439,131 @@ const ChatInterface = () => {
     }
   };
   
+  const handleMessageEdited = (message) => {
+    if (message.chatId?.toString() !== chatId) return;
+    
+    setMessages(prev => replaceMessages(prev, [message]));
+  };
+  
+  const handleMessageDeleted = ({ chatId: deletedChatId, messageId, scope, message }) => {
+    if (deletedChatId?.toString() !== chatId) return;
+    
+    if (scope === 'me') {
+      setMessages(prev => prev.filter(m => m._id !== messageId));
+    } else {
+      setMessages(prev => replaceMessages(prev, [message]));
+    }
+    setReplyingTo(prev => (prev?._id === messageId ? null : prev));
+  };
+  
+  const handleMessageReactions = ({ chatId: reactedChatId, messageId, reactions, updateSeq }) => {
+    if (reactedChatId?.toString() !== chatId) return;
+    
+    setMessages(prev => prev.map(message => (
+      message._id === messageId ? { ...message, reactions, updateSeq } : message
+    )));
+  };
+  
+  const toggleReaction = (message, emoji) => {
+    if (!socket) return;
+    
+    socket.emit('toggle-reaction', { messageId: message._id, emoji }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || 'Reaction not saved');
+      }
+    });
+  };
+  
+  const startReply = (message) => {
+    setEditingMessage(null);
+    setReplyingTo(message);
+  };
+  
+  const startEditing = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setInputMessage(message.content);
+  };
+  
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInputMessage('');
+  };
+  
+  const saveEdit = () => {
+    const { _id: messageId } = editingMessage;
+    socket.emit('edit-message', { messageId, content: inputMessage }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || 'Message not edited');
+        return;
+      }
+      setMessages(prev => replaceMessages(prev, [response.message]));
+    });
+    cancelEditing();
+  };
+  
+  const deleteMessage = (message, scope) => {
+    if (scope === 'everyone' && !window.confirm('Delete this message for everyone?')) return;
+    
+    socket.emit('delete-message', { messageId: message._id, scope }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || 'Message not deleted');
+      }
+    });
+  };
+  
+  const handleTimeUpdate = (state) => {
+    if (state.chatId?.toString() !== chatId) return;
+    
+    setRemainingTime(state.remainingTime);
+    setTimerPaused(state.paused);
+    setGraceEndsAt(state.inGrace ? state.graceEndsAt : null);
+  };
+  
+  const handleTimeWarning = ({ chatId: warnedChatId, remainingTime: secondsLeft }) => {
+    if (warnedChatId?.toString() !== chatId) return;
+    
+    toast(`${formatTime(secondsLeft)} left in this chat`, { icon: '⏳' });
+  };
+  
+  const handleGracePeriod = ({ chatId: graceChatId, graceEndsAt: endsAt, gracePeriod }) => {
+    if (graceChatId?.toString() !== chatId) return;
+    
+    setRemainingTime(0);
+    setGraceEndsAt(endsAt);
+    toast.error(`Time is up. Extend within ${gracePeriod}s to keep chatting`);
+  };
+  
+  const handleAutoExtended = ({ chatId: extendedChatId, minutes, amount, currency }) => {
+    if (extendedChatId?.toString() !== chatId) return;
+    
+    toast.success(`Chat auto-extended by ${minutes} minutes (${formatMoney(amount, currency)} charged)`);
+  };
+  
+  const handleChatExtended = (state) => {
+    if (state.chatId?.toString() !== chatId) return;
+    
+    handleTimeUpdate(state);
+    setShowPaymentModal(false);
+    toast.success(`Chat extended by ${state.minutes} minutes`);
+  };
+  
+  // The chat ended before the payment came through
+  const handleExtensionRefunded = ({ chatId: refundedChatId }) => {
+    if (refundedChatId?.toString() !== chatId) return;
+    
+    setShowPaymentModal(false);
+    toast.error('The chat ended before your extension was paid; it has been refunded');
+  };
+  
+  const handleAutoExtendStopped = ({ chatId: stoppedChatId, reason }) => {
+    if (stoppedChatId?.toString() !== chatId) return;
+    
+    toast.error(reason === 'spending_cap_reached'
+      ? 'Auto-extend stopped: spending cap reached'
+      : 'Auto-extend stopped: insufficient wallet balance');
+  };
+  
   const handleTyping = ({ userId, isTyping }) => {
     setTypingUsers(prev => {
       if (isTyping) {
@@ -126,13 +577,14 @@ const ChatInterface = () => {
   const handleSendMessage = () => {
     if (!inputMessage.trim() || !socket) return;
     
-    const messageData = {
-      chatId,
+    if (editingMessage) {
+      saveEdit();
+      return;
+    }
+    sendMessage({
       content: inputMessage,
       type: 'text'
-    };
-    
-    socket.emit('send-message', messageData);
+    });
     setInputMessage('');
     setShowEmojiPicker(false);
   };
@@ -164,56 +616,77 @@ const ChatInterface = () => {
     formData.append('file', file);
     
     try {
-      const response = await fetch('/api/v1/upload', {
+      const response = await apiFetch('/api/v1/upload', {
         method: 'POST',
         body: formData
       });
       
       const data = await response.json();
       
-      if (socket) {
-        socket.emit('send-message', {
-          chatId,
-          content: '',
-          type: file.type.startsWith('image/') ? 'image' : 
-                 file.type.startsWith('video/') ? 'video' : 'file',
-          media: {
-            url: data.url,
-            mimeType: file.type,
-            size: file.size
-          }
-        });
-      }
+      sendMessage({
+        content: '',
+        type: file.type.startsWith('image/') ? 'image' :
+               file.type.startsWith('video/') ? 'video' : 'file',
+        media: {
+          url: data.url,
+          mimeType: file.type,
+          size: file.size
+        }
+      });
     } catch (error) {
       console.error('Upload error:', error);
     }
   };
   
-  const startVoiceCall = () => {
+  // Both ends need the TURN relays, so either side connects behind NAT
+  const openCall = async (type, incoming = null) => {
+    setRtcConfig(await getRtcConfiguration({ userId: user._id }));
+    setCallType(type);
+    setIncomingCall(incoming);
+    incomingCallIdRef.current = incoming?.callId || null;
+    setShowCallModal(true);
+  };
+  
+  const startCall = async (type) => {
     if (chatInfo && chatInfo.participants) {
       const otherUser = chatInfo.participants.find(p => p.userId !== user._id);
       if (otherUser) {
+        await openCall(type);
         socket.emit('call-user', {
           userId: otherUser.userId,
-          type: 'voice',
-          isVideo: false
+          type,
+          isVideo: type === 'video'
         });
-        setShowCallModal(true);
       }
     }
   };
   
-  const startVideoCall = () => {
-    if (chatInfo && chatInfo.participants) {
-      const otherUser = chatInfo.participants.find(p => p.userId !== user._id);
-      if (otherUser) {
-        socket.emit('call-user', {
-          userId: otherUser.userId,
-          type: 'video',
-          isVideo: true
-        });
-        setShowCallModal(true);
-      }
+  const startVoiceCall = () => startCall('voice');
+  
+  const startVideoCall = () => startCall('video');
+  
+  // The config is fetched while it rings, so it is ready when the call is accepted
+  const handleIncomingCall = (call) => {
+    openCall(call.type, call);
+  };
+  
+  const handleCallAnsweredElsewhere = ({ callId }) => {
+    if (incomingCallIdRef.current !== callId) return;
+    
+    incomingCallIdRef.current = null;
+    setIncomingCall(null);
+    setShowCallModal(false);
+  };
+  
+  const peerId = chatInfo?.participants?.find(p => p.userId !== user._id)?.userId;
+  
+  const isEarner = chatInfo?.participants?.some(
+    p => p.userId === user._id && p.role === 'earner'
+  );
+  
+  const toggleTimerPause = () => {
+    if (socket) {
+      socket.emit(timerPaused ? 'resume-chat-timer' : 'pause-chat-timer', chatId);
     }
   };
   
@@ -221,9 +694,45 @@ const ChatInterface = () => {
     setShowPaymentModal(true);
   };
   
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+  const renderMessage = (message) => (
+    <div className={`py-2 rounded-lg transition-colors ${highlightedId === message._id ? 'bg-purple-100 dark:bg-purple-900' : ''}`}>
+      {message.type === 'system' ? (
+        <div className="flex justify-center">
+          <span className="flex items-center space-x-2 px-3 py-1 text-xs rounded-full bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+            {message.metadata?.event === 'missed_call' && (
+              <PhoneMissed className="w-3 h-3 text-red-500" />
+            )}
+            <span>{message.content}</span>
+            <span className="text-gray-400">
+              {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          </span>
+        </div>
+      ) : (
+        <MessageBubble
+          message={message}
+          isOwn={message.sender === user._id}
+          currentUserId={user._id}
+          onReply={startReply}
+          onEdit={startEditing}
+          onDelete={deleteMessage}
+          onJumpTo={jumpToMessage}
+          onReact={toggleReaction}
+        />
+      )}
+      {message.status === 'sending' && (
+        <div className="text-right text-xs text-gray-400">Sending...</div>
+      )}
+      {message.status === 'failed' && (
+        <div className="text-right text-xs text-red-500">
+          {message.error || 'Not sent'} ·{' '}
+          <button onClick={() => retryMessage(message)} className="underline">
+            Retry
+          </button>
+        </div>
+      )}
+    </div>
+  );
   
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -296,18 +805,32 @@ const ChatInterface = () => {
           
           <div className="flex items-center space-x-4">
             {/* Chat Timer for Paid Chats */}
-            {remainingTime > 0 && (
+            {(remainingTime > 0 || graceEndsAt) && (
               <div className="flex items-center space-x-2 px-4 py-2 bg-purple-100 dark:bg-purple-900 rounded-lg">
                 <Clock className="w-4 h-4 text-purple-600 dark:text-purple-400" />
                 <span className="text-sm font-medium text-purple-700 dark:text-purple-300">
-                  {formatTime(remainingTime)}
+                  {graceEndsAt ? 'Grace period' : formatTime(remainingTime)}
                 </span>
+                {timerPaused && (
+                  <span className="text-xs text-purple-500 dark:text-purple-400">
+                    Paused
+                  </span>
+                )}
+                {isEarner && !graceEndsAt && (
+                  <button
+                    onClick={toggleTimerPause}
+                    className="ml-2 px-3 py-1 bg-white dark:bg-gray-800 text-purple-600 dark:text-purple-300 text-xs rounded-lg hover:bg-purple-50 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    {timerPaused ? 'Resume' : 'Pause'}
+                  </button>
+                )}
                 <button 
                   onClick={extendChatTime}
                   className="ml-2 px-3 py-1 bg-purple-600 text-white text-xs rounded-lg hover:bg-purple-700 transition-colors"
                 >
                   Extend
                 </button>
+                {!isEarner && <AutoExtendControl chatId={chatId} />}
               </div>
             )}
             
@@ -328,6 +851,16 @@ const ChatInterface = () => {
               <Video className="w-5 h-5" />
             </button>
             
+            <button
+              onClick={() => setShowCallLog(prev => !prev)}
+              className={`p-3 rounded-full transition-colors ${
+                showCallLog ? 'bg-purple-100 dark:bg-purple-900 text-purple-600 dark:text-purple-400' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+              title="Call History"
+            >
+              <History className="w-5 h-5" />
+            </button>
+            
             {/* More Options */}
             <div className="relative">
               <button className="p-3 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors">
@@ -338,7 +871,7 @@ const ChatInterface = () => {
         </div>
         
         {/* Messages Container */}
-        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+        <div className="relative flex-1 px-6">
           {messages.length === 0 ? (
             <div className="flex flex-col items-center justify-center h-full">
               <div className="w-32 h-32 mb-6 rounded-full bg-gradient-to-r from-purple-400 to-pink-500 flex items-center justify-center opacity-20">
@@ -352,16 +885,35 @@ const ChatInterface = () => {
               </p>
             </div>
           ) : (
-            <>
-              {messages.map((message) => (
-                <MessageBubble 
-                  key={message._id} 
-                  message={message} 
-                  isOwn={message.sender === user._id}
-                />
-              ))}
-              <div ref={messagesEndRef} />
-            </>
+            <Virtuoso
+              key={listView.key}
+              ref={virtuosoRef}
+              className="h-full"
+              data={messages}
+              firstItemIndex={firstItemIndex}
+              initialTopMostItemIndex={{ index: listView.initialIndex, align: 'center' }}
+              computeItemKey={(index, message) => message._id}
+              startReached={loadOlder}
+              endReached={loadNewer}
+              followOutput={(isAtBottom) => (isAtBottom && !hasNewer ? 'smooth' : false)}
+              itemContent={(index, message) => renderMessage(message)}
+              components={{
+                Header: () => (loadingHistory && hasOlder ? (
+                  <div className="py-2 text-center text-xs text-gray-500 dark:text-gray-400">Loading...</div>
+                ) : null)
+              }}
+            />
+          )}
+          
+          {/* Back to the present after jumping into older history */}
+          {hasNewer && (
+            <button
+              onClick={loadLatest}
+              className="absolute bottom-4 right-8 p-3 rounded-full bg-purple-600 text-white shadow-lg hover:bg-purple-700 transition-colors"
+              title="Jump to latest"
+            >
+              <ArrowDown className="w-5 h-5" />
+            </button>
           )}
         </div>
         
@@ -381,6 +933,34 @@ const ChatInterface = () => {
             </div>
           )}
           
+          {/* Replying to or editing a message */}
+          {(replyingTo || editingMessage) && (
+            <div className="mb-2 flex items-center justify-between px-4 py-2 bg-gray-100 dark:bg-gray-700 rounded-lg border-l-4 border-purple-500">
+              <div className="flex items-center space-x-2 min-w-0">
+                {editingMessage ? (
+                  <Pencil className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+                ) : (
+                  <Reply className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+                )}
+                <div className="min-w-0">
+                  <div className="text-xs font-semibold text-purple-600 dark:text-purple-400">
+                    {editingMessage ? 'Editing message' : 'Replying'}
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-300 truncate">
+                    {(editingMessage || replyingTo).content || (editingMessage || replyingTo).type}
+                  </div>
+                </div>
+              </div>
+              <button
+                onClick={() => (editingMessage ? cancelEditing() : setReplyingTo(null))}
+                className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"
+                title="Cancel"
+              >
+                <X className="w-4 h-4 text-gray-500" />
+              </button>
+            </div>
+          )}
+          
           <div className="flex items-center space-x-4">
             {/* Attachment Button */}
             <button 
@@ -464,20 +1044,34 @@ const ChatInterface = () => {
         </div>
       </div>
       
+      {/* Call History */}
+      {showCallLog && (
+        <CallLog
+          peerId={peerId}
+          onClose={() => setShowCallLog(false)}
+          onCall={(type) => (type === 'video' ? startVideoCall() : startVoiceCall())}
+        />
+      )}
+      
       {/* Call Modal */}
       {showCallModal && (
         <CallModal 
-          onClose={() => setShowCallModal(false)}
-          callType="voice"
+          onClose={() => {
+            setShowCallModal(false);
+            setIncomingCall(null);
+            incomingCallIdRef.current = null;
+          }}
+          callType={callType}
+          incomingCall={incomingCall}
+          rtcConfig={rtcConfig}
         />
       )}
       
-      {/* Payment Modal */}
+      {/* Extension Modal */}
       {showPaymentModal && (
-        <PaymentModal 
-          onClose={() => setShowPaymentModal(false)}
-          type="chat_extension"
+        <ExtendChatModal
           chatId={chatId}
+          onClose={() => setShowPaymentModal(false)}
         />
       )}
     </div>
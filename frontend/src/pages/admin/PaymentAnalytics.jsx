@@ -0,0 +1,205 @@
+// frontend/src/pages/admin/PaymentAnalytics.jsx
+import React, { useState, useEffect } from 'react';
+import { TrendingUp, RotateCcw, Percent, DollarSign, Users, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatMoney } from '../../utils/money';
+import { apiFetch } from '../../utils/api';
+
+const INTERVALS = [
+  { value: 'hour', label: 'Hourly' },
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' }
+];
+
+const DIMENSIONS = [
+  { value: '', label: 'No breakdown' },
+  { value: 'method', label: 'Payment method' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'earner', label: 'Earner' },
+  { value: 'serviceType', label: 'Service type' }
+];
+
+const sum = (points, field) => points.reduce((total, point) => total + point[field], 0);
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+const PaymentAnalytics = () => {
+  const [interval, setBucketInterval] = useState('day');
+  const [groupBy, setGroupBy] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  
+  useEffect(() => {
+    fetchAnalytics();
+  }, [interval, groupBy]);
+  
+  const fetchAnalytics = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ interval });
+      if (groupBy) params.set('groupBy', groupBy);
+      
+      const response = await apiFetch(`/api/v1/admin/analytics/payments?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setAnalytics(data.analytics);
+    } catch (error) {
+      console.error('Error fetching payment analytics:', error);
+      toast.error('Could not load payment analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const money = (amount) => formatMoney(amount, analytics?.currency);
+  const formatBucket = (bucket) => {
+    const date = new Date(bucket);
+    return interval === 'hour'
+      ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' })
+      : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  };
+  
+  const series = analytics?.series || [];
+  const gmv = sum(series, 'gmv');
+  const commission = sum(series, 'commission');
+  const sessions = sum(series, 'sessions');
+  const peak = Math.max(1, ...series.map(point => point.gmv));
+  
+  const cards = [
+    { label: 'GMV', value: money(gmv), icon: TrendingUp },
+    { label: 'Refunds', value: money(sum(series, 'refunds')), icon: RotateCcw },
+    { label: 'Take rate', value: percent(gmv ? commission / gmv : 0), icon: Percent },
+    { label: 'Avg. session value', value: money(sessions ? Math.round(gmv / sessions) : 0), icon: DollarSign },
+    {
+      label: 'New payers',
+      value: (analytics?.cohorts || []).reduce((total, cohort) => total + cohort.newPayers, 0),
+      icon: Users
+    }
+  ];
+  
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Payment Analytics</h1>
+        <div className="flex items-center space-x-3">
+          <select
+            value={interval}
+            onChange={(e) => setBucketInterval(e.target.value)}
+            className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          >
+            {INTERVALS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          >
+            {DIMENSIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchAnalytics}
+            className="p-2 rounded-lg bg-purple-100 dark:bg-purple-900 text-purple-600 dark:text-purple-300 hover:bg-purple-200 dark:hover:bg-purple-800 transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+      
+      {loading || !analytics ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {cards.map(({ label, value, icon: Icon }) => (
+              <div key={label} className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm">
+                <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
+                  <Icon className="w-4 h-4" />
+                  <span>{label}</span>
+                </div>
+                <div className="mt-2 text-xl font-semibold text-gray-900 dark:text-white">{value}</div>
+              </div>
+            ))}
+          </div>
+          
+          {/* GMV per bucket */}
+          <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm">
+            <h2 className="mb-4 text-lg font-semibold text-gray-900 dark:text-white">GMV</h2>
+            <div className="flex items-end h-48 space-x-1">
+              {series.map(point => (
+                <div
+                  key={point.bucket}
+                  title={`${formatBucket(point.bucket)}: ${money(point.gmv)}, refunds ${money(point.refunds)}`}
+                  className="flex-1 bg-purple-500 rounded-t hover:bg-purple-600 transition-colors"
+                  style={{ height: `${(point.gmv / peak) * 100}%` }}
+                />
+              ))}
+            </div>
+          </div>
+          
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* New vs returning payers */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <tr>
+                    <th className="px-4 py-3">Period</th>
+                    <th className="px-4 py-3">New payers</th>
+                    <th className="px-4 py-3">Returning</th>
+                    <th className="px-4 py-3">New GMV</th>
+                    <th className="px-4 py-3">Returning GMV</th>
+                  </tr>
+                </thead>
+                <tbody className="text-gray-900 dark:text-gray-100">
+                  {analytics.cohorts.map(cohort => (
+                    <tr key={cohort.bucket} className="border-b border-gray-100 dark:border-gray-700">
+                      <td className="px-4 py-2">{formatBucket(cohort.bucket)}</td>
+                      <td className="px-4 py-2">{cohort.newPayers}</td>
+                      <td className="px-4 py-2">{cohort.returningPayers}</td>
+                      <td className="px-4 py-2">{money(cohort.newGmv)}</td>
+                      <td className="px-4 py-2">{money(cohort.returningGmv)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            
+            {/* Breakdown by the chosen dimension */}
+            {analytics.breakdown && (
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <tr>
+                      <th className="px-4 py-3">{DIMENSIONS.find(option => option.value === groupBy)?.label}</th>
+                      <th className="px-4 py-3">GMV</th>
+                      <th className="px-4 py-3">Refunds</th>
+                      <th className="px-4 py-3">Take rate</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-gray-900 dark:text-gray-100">
+                    {analytics.breakdown.map(group => (
+                      <tr key={group.key} className="border-b border-gray-100 dark:border-gray-700">
+                        <td className="px-4 py-2">{group.label}</td>
+                        <td className="px-4 py-2">{money(group.totals.gmv)}</td>
+                        <td className="px-4 py-2">{money(group.totals.refunds)}</td>
+                        <td className="px-4 py-2">
+                          {percent(group.totals.gmv ? group.totals.commission / group.totals.gmv : 0)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PaymentAnalytics;
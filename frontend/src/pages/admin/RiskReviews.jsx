@@ -0,0 +1,147 @@
+// frontend/src/pages/admin/RiskReviews.jsx
+import React, { useState, useEffect } from 'react';
+import { ShieldAlert, Check, X, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatMoney } from '../../utils/money';
+import { apiFetch } from '../../utils/api';
+
+const KIND_LABELS = {
+  topup: 'Top-up',
+  chat_purchase: 'Chat purchase',
+  withdrawal: 'Withdrawal'
+};
+
+const RiskReviews = () => {
+  const [assessments, setAssessments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  
+  useEffect(() => {
+    fetchReviews();
+  }, []);
+  
+  const fetchReviews = async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch('/api/v1/admin/risk/reviews');
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setAssessments(data.assessments);
+    } catch (error) {
+      console.error('Error fetching risk reviews:', error);
+      toast.error('Could not load the review queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const resolve = async (id, action) => {
+    const note = action === 'reject' ? window.prompt('Reason for rejecting') : undefined;
+    if (note === null) return;
+    
+    setBusyId(id);
+    try {
+      const response = await apiFetch(`/api/v1/admin/risk/reviews/${id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ note })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      
+      setAssessments(current => current.filter(assessment => assessment._id !== id));
+      toast.success(action === 'approve' ? 'Approved' : 'Rejected');
+    } catch (error) {
+      toast.error(error.message || 'Could not resolve the review');
+    } finally {
+      setBusyId(null);
+    }
+  };
+  
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="flex items-center space-x-2 text-2xl font-bold text-gray-900 dark:text-white">
+          <ShieldAlert className="w-6 h-6" />
+          <span>Risk Reviews</span>
+        </h1>
+        <button
+          onClick={fetchReviews}
+          className="p-2 rounded-lg bg-purple-100 dark:bg-purple-900 text-purple-600 dark:text-purple-300 hover:bg-purple-200 dark:hover:bg-purple-800 transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw className="w-5 h-5" />
+        </button>
+      </div>
+      
+      {loading ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : assessments.length === 0 ? (
+        <div className="text-gray-500 dark:text-gray-400">Nothing is waiting for review.</div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                <th className="px-4 py-3">When</th>
+                <th className="px-4 py-3">User</th>
+                <th className="px-4 py-3">Type</th>
+                <th className="px-4 py-3">Amount</th>
+                <th className="px-4 py-3">Score</th>
+                <th className="px-4 py-3">Signals</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="text-gray-900 dark:text-gray-100">
+              {assessments.map(assessment => (
+                <tr key={assessment._id} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                  <td className="px-4 py-2">{new Date(assessment.createdAt).toLocaleString()}</td>
+                  <td className="px-4 py-2">
+                    {assessment.userId?.username}
+                    {assessment.counterpartyId && (
+                      <div className="text-xs text-gray-500">to {assessment.counterpartyId.username}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-2">{KIND_LABELS[assessment.kind]}</td>
+                  <td className="px-4 py-2">{formatMoney(assessment.amount, assessment.currency)}</td>
+                  <td className="px-4 py-2 font-semibold">{assessment.score}</td>
+                  <td className="px-4 py-2">
+                    <ul className="space-y-1">
+                      {assessment.signals.map((signal, index) => (
+                        <li key={index} className="text-xs">
+                          <span className="font-medium">+{signal.score}</span> {signal.detail}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => resolve(assessment._id, 'approve')}
+                        disabled={busyId === assessment._id}
+                        className="p-2 rounded-lg bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50"
+                        title="Approve"
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => resolve(assessment._id, 'reject')}
+                        disabled={busyId === assessment._id}
+                        className="p-2 rounded-lg bg-red-100 text-red-700 hover:bg-red-200 disabled:opacity-50"
+                        title="Reject"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskReviews;
@@ -0,0 +1,172 @@
+// frontend/src/pages/earner/ChatRequestQueue.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Check, X, Clock, Inbox, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSocket } from '../../context/SocketContext';
+import { formatMoney } from '../../utils/money';
+import { apiFetch } from '../../utils/api';
+
+const MAX_PARALLEL_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+const inputClass = 'px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white';
+
+const secondsLeft = (expiresAt, now) => Math.max(0, Math.round((new Date(expiresAt).getTime() - now) / 1000));
+
+const ChatRequestQueue = () => {
+  const navigate = useNavigate();
+  const { socket } = useSocket();
+  const [queue, setQueue] = useState({ requests: [], openChats: 0, maxParallelChats: 1 });
+  const [now, setNow] = useState(Date.now());
+  const [answering, setAnswering] = useState(null);
+  
+  useEffect(() => {
+    fetchQueue();
+    const ticker = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(ticker);
+  }, []);
+  
+  // The server pushes the whole queue whenever it changes
+  useEffect(() => {
+    if (!socket) return;
+    
+    const handleQueue = (update) => setQueue(update);
+    const handleStarted = ({ chatId, requestId }) => {
+      if (requestId) navigate(`/app/chat/${chatId}`);
+    };
+    
+    socket.on('chat-request-queue', handleQueue);
+    socket.on('chat-started', handleStarted);
+    return () => {
+      socket.off('chat-request-queue', handleQueue);
+      socket.off('chat-started', handleStarted);
+    };
+  }, [socket, navigate]);
+  
+  const fetchQueue = async () => {
+    try {
+      const response = await apiFetch('/api/v1/chat-requests/queue');
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      const { success, ...rest } = data;
+      setQueue(rest);
+    } catch (error) {
+      console.error('Error fetching chat requests:', error);
+      toast.error('Could not load your requests');
+    }
+  };
+  
+  const accept = (requestId) => {
+    setAnswering(requestId);
+    socket.emit('accept-chat-request', { requestId });
+    // chat-started or an error ends the wait
+    setTimeout(() => setAnswering(null), 5000);
+  };
+  
+  const decline = async (requestId) => {
+    setAnswering(requestId);
+    try {
+      const response = await apiFetch(`/api/v1/chat-requests/${requestId}/decline`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      toast.success('Request declined');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setAnswering(null);
+    }
+  };
+  
+  const changeLimit = async (maxParallelChats) => {
+    try {
+      const response = await apiFetch('/api/v1/chat-requests/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ maxParallelChats })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setQueue(current => ({ ...current, maxParallelChats: data.maxParallelChats }));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+  
+  const atLimit = queue.openChats >= queue.maxParallelChats;
+  
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Chat requests</h1>
+        <label className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-500 dark:text-gray-400">Chats at once</span>
+          <select value={queue.maxParallelChats} onChange={(e) => changeLimit(Number(e.target.value))} className={inputClass}>
+            {MAX_PARALLEL_OPTIONS.map(limit => (
+              <option key={limit} value={limit}>{limit}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      <div className="flex items-center space-x-2 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm text-sm text-gray-700 dark:text-gray-300">
+        <Users className="w-5 h-5" />
+        <span>
+          {queue.openChats} of {queue.maxParallelChats} chats open
+          {atLimit && ' · finish a chat to accept more'}
+        </span>
+      </div>
+      
+      <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm space-y-3 text-sm">
+        <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+          <Inbox className="w-5 h-5" />
+          <span>Waiting ({queue.requests.length})</span>
+        </h2>
+        {queue.requests.length === 0 ? (
+          <div className="text-gray-500 dark:text-gray-400">No one is waiting right now.</div>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+            {queue.requests.map(request => (
+              <li key={request.requestId} className="flex items-center justify-between py-3 text-gray-900 dark:text-gray-100">
+                <div>
+                  <div className="font-medium">{request.username || 'User'}</div>
+                  <div className="text-gray-500">
+                    {request.minutes} min · {formatMoney(request.amount, request.currency)}
+                    {request.message && ` · “${request.message}”`}
+                  </div>
+                  <div className="flex items-center space-x-1 text-xs text-gray-400">
+                    <Clock className="w-3 h-3" />
+                    <span>{secondsLeft(request.expiresAt, now)}s left to answer</span>
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => decline(request.requestId)}
+                    disabled={answering === request.requestId}
+                    className="flex items-center space-x-1 px-3 py-1 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-50"
+                  >
+                    <X className="w-4 h-4" />
+                    <span>Decline</span>
+                  </button>
+                  <button
+                    onClick={() => accept(request.requestId)}
+                    disabled={atLimit || answering === request.requestId}
+                    className="flex items-center space-x-1 px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    <Check className="w-4 h-4" />
+                    <span>Accept</span>
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChatRequestQueue;
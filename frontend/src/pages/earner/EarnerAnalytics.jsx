@@ -0,0 +1,166 @@
+// frontend/src/pages/earner/EarnerAnalytics.jsx
+import React, { useState, useEffect } from 'react';
+import { Download, FileText, Clock, TrendingUp, Percent, RotateCcw, Wallet } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatMoney } from '../../utils/money';
+import { apiFetch } from '../../utils/api';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const EarnerAnalytics = () => {
+  const currentYear = new Date().getUTCFullYear();
+  const [year, setYear] = useState(currentYear);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  
+  useEffect(() => {
+    fetchSummary();
+  }, [year]);
+  
+  const fetchSummary = async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/api/v1/wallet/statements/${year}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setSummary(data.statement);
+    } catch (error) {
+      console.error('Error fetching earnings summary:', error);
+      toast.error('Could not load your earnings summary');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Statements are generated on request and saved through a blob link
+  const download = async (path, filename) => {
+    try {
+      const response = await apiFetch(`/api/v1/wallet/statements/${path}`);
+      if (!response.ok) throw new Error('Download failed');
+      
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Could not download the statement');
+    }
+  };
+  
+  const monthPath = (month) => `${year}/${month}`;
+  const monthName = (month) => `${year}-${String(month).padStart(2, '0')}`;
+  const money = (amount) => formatMoney(amount, summary?.currency);
+  
+  const cards = summary ? [
+    { label: 'Gross', value: money(summary.totals.gross), icon: TrendingUp },
+    { label: 'Commission', value: money(summary.totals.commission), icon: Percent },
+    { label: 'Refunds', value: money(summary.totals.refunds), icon: RotateCcw },
+    { label: 'Net earnings', value: money(summary.totals.net), icon: Wallet },
+    { label: 'Minutes', value: summary.totals.minutes, icon: Clock }
+  ] : [];
+  
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Earnings &amp; Statements
+        </h1>
+        <div className="flex items-center space-x-3">
+          <select
+            value={year}
+            onChange={(e) => setYear(Number(e.target.value))}
+            className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          >
+            {Array.from({ length: 5 }, (_, index) => currentYear - index).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => download(`${year}?format=csv`, `earnings-${year}.csv`)}
+            className="flex items-center space-x-2 px-4 py-2 bg-white dark:bg-gray-800 text-purple-600 dark:text-purple-300 border border-purple-200 dark:border-purple-800 rounded-lg hover:bg-purple-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            <span>Year CSV</span>
+          </button>
+          <button
+            onClick={() => download(`${year}?format=pdf`, `earnings-${year}.pdf`)}
+            className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            <FileText className="w-4 h-4" />
+            <span>Tax summary PDF</span>
+          </button>
+        </div>
+      </div>
+      
+      {loading || !summary ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {cards.map(({ label, value, icon: Icon }) => (
+              <div key={label} className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm">
+                <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
+                  <Icon className="w-4 h-4" />
+                  <span>{label}</span>
+                </div>
+                <div className="mt-2 text-xl font-semibold text-gray-900 dark:text-white">
+                  {value}
+                </div>
+              </div>
+            ))}
+          </div>
+          
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="px-4 py-3">Month</th>
+                  <th className="px-4 py-3">Sessions</th>
+                  <th className="px-4 py-3">Minutes</th>
+                  <th className="px-4 py-3">Gross</th>
+                  <th className="px-4 py-3">Commission</th>
+                  <th className="px-4 py-3">Refunds</th>
+                  <th className="px-4 py-3">Net</th>
+                  <th className="px-4 py-3">Paid out</th>
+                  <th className="px-4 py-3">Statement</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-900 dark:text-gray-100">
+                {summary.months.map(month => (
+                  <tr key={month.month} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="px-4 py-3">{MONTHS[month.month - 1]}</td>
+                    <td className="px-4 py-3">{month.sessions}</td>
+                    <td className="px-4 py-3">{month.minutes}</td>
+                    <td className="px-4 py-3">{money(month.gross)}</td>
+                    <td className="px-4 py-3">{money(month.commission)}</td>
+                    <td className="px-4 py-3">{money(month.refunds)}</td>
+                    <td className="px-4 py-3 font-medium">{money(month.net)}</td>
+                    <td className="px-4 py-3">{money(month.payouts.amount)}</td>
+                    <td className="px-4 py-3 space-x-2">
+                      <button
+                        onClick={() => download(`${monthPath(month.month)}?format=csv`, `statement-${monthName(month.month)}.csv`)}
+                        className="text-purple-600 dark:text-purple-400 hover:underline"
+                      >
+                        CSV
+                      </button>
+                      <button
+                        onClick={() => download(`${monthPath(month.month)}?format=pdf`, `statement-${monthName(month.month)}.pdf`)}
+                        className="text-purple-600 dark:text-purple-400 hover:underline"
+                      >
+                        PDF
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EarnerAnalytics;
@@ -0,0 +1,298 @@
+// frontend/src/pages/earner/EarnerSchedule.jsx
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Save, CalendarOff, CalendarClock, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatMoney } from '../../utils/money';
+import { apiFetch } from '../../utils/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SERVICE_TYPES = ['chat', 'voice', 'video'];
+const SLOT_LENGTHS = [15, 30, 45, 60, 90, 120];
+
+const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const inputClass = 'px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white';
+
+const EarnerSchedule = () => {
+  const [settings, setSettings] = useState({
+    timezone: localTimeZone(),
+    weekly: [],
+    serviceTypes: ['chat'],
+    slotMinutes: 30,
+    bufferMinutes: 0,
+    minNoticeHours: 2,
+    maxAdvanceDays: 60
+  });
+  const [blackouts, setBlackouts] = useState([]);
+  const [blackout, setBlackout] = useState({ startDate: '', endDate: '', reason: '' });
+  const [bookings, setBookings] = useState([]);
+  const [saving, setSaving] = useState(false);
+  
+  useEffect(() => {
+    fetchAvailability();
+    fetchBookings();
+  }, []);
+  
+  const fetchAvailability = async () => {
+    try {
+      const response = await apiFetch('/api/v1/schedule/availability');
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      if (data.availability) {
+        const { blackouts: days, ...rest } = data.availability;
+        setSettings(current => ({ ...current, ...rest }));
+        setBlackouts(days);
+      }
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+      toast.error('Could not load your schedule');
+    }
+  };
+  
+  const fetchBookings = async () => {
+    try {
+      const params = new URLSearchParams({ as: 'earner', from: new Date().toISOString() });
+      const response = await apiFetch(`/api/v1/bookings?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setBookings(data.bookings.filter(booking => ['confirmed', 'pending_payment'].includes(booking.status)));
+    } catch (error) {
+      console.error('Error fetching bookings:', error);
+    }
+  };
+  
+  const update = (field, value) => setSettings(current => ({ ...current, [field]: value }));
+  
+  const addWindow = (weekday) => {
+    update('weekly', [...settings.weekly, { weekday, start: '09:00', end: '17:00' }]);
+  };
+  
+  const changeWindow = (index, field, value) => {
+    update('weekly', settings.weekly.map((window, i) => (i === index ? { ...window, [field]: value } : window)));
+  };
+  
+  const removeWindow = (index) => {
+    update('weekly', settings.weekly.filter((_, i) => i !== index));
+  };
+  
+  const toggleServiceType = (type) => {
+    const types = settings.serviceTypes.includes(type)
+      ? settings.serviceTypes.filter(t => t !== type)
+      : [...settings.serviceTypes, type];
+    if (types.length) update('serviceTypes', types);
+  };
+  
+  const save = async () => {
+    setSaving(true);
+    try {
+      const { timezone, weekly, serviceTypes, slotMinutes, bufferMinutes, minNoticeHours, maxAdvanceDays } = settings;
+      const response = await apiFetch('/api/v1/schedule/availability', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ timezone, weekly, serviceTypes, slotMinutes, bufferMinutes, minNoticeHours, maxAdvanceDays })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      toast.success('Schedule saved');
+    } catch (error) {
+      toast.error(error.message || 'Could not save your schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const addBlackout = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/api/v1/schedule/availability/blackouts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...blackout, endDate: blackout.endDate || blackout.startDate })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setBlackouts(data.availability.blackouts);
+      setBlackout({ startDate: '', endDate: '', reason: '' });
+    } catch (error) {
+      toast.error(error.message || 'Could not add the blackout');
+    }
+  };
+  
+  const removeBlackout = async (id) => {
+    try {
+      const response = await apiFetch(`/api/v1/schedule/availability/blackouts/${id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setBlackouts(data.availability.blackouts);
+    } catch (error) {
+      toast.error('Could not remove the blackout');
+    }
+  };
+  
+  const cancelBooking = async (id) => {
+    const reason = window.prompt('Let the booker know why (they get a full refund)');
+    if (reason === null) return;
+    
+    try {
+      const response = await apiFetch(`/api/v1/bookings/${id}/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      setBookings(current => current.filter(booking => booking._id !== id));
+      toast.success('Booking cancelled');
+    } catch (error) {
+      toast.error(error.message || 'Could not cancel the booking');
+    }
+  };
+  
+  const formatSlot = (booking) => {
+    const start = new Date(booking.startsAt);
+    return `${start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}, ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  };
+  
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Schedule</h1>
+        <button
+          onClick={save}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 transition-colors"
+        >
+          <Save className="w-4 h-4" />
+          <span>{saving ? 'Saving...' : 'Save'}</span>
+        </button>
+      </div>
+      
+      {/* Booking rules */}
+      <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm grid md:grid-cols-3 gap-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="text-gray-500 dark:text-gray-400">Time zone</span>
+          <input value={settings.timezone} onChange={(e) => update('timezone', e.target.value)} className={inputClass} />
+        </label>
+        <label className="flex flex-col space-y-1">
+          <span className="text-gray-500 dark:text-gray-400">Slot length</span>
+          <select value={settings.slotMinutes} onChange={(e) => update('slotMinutes', Number(e.target.value))} className={inputClass}>
+            {SLOT_LENGTHS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col space-y-1">
+          <span className="text-gray-500 dark:text-gray-400">Break between bookings (minutes)</span>
+          <input type="number" min="0" max="120" value={settings.bufferMinutes} onChange={(e) => update('bufferMinutes', Number(e.target.value))} className={inputClass} />
+        </label>
+        <label className="flex flex-col space-y-1">
+          <span className="text-gray-500 dark:text-gray-400">Minimum notice (hours)</span>
+          <input type="number" min="0" value={settings.minNoticeHours} onChange={(e) => update('minNoticeHours', Number(e.target.value))} className={inputClass} />
+        </label>
+        <label className="flex flex-col space-y-1">
+          <span className="text-gray-500 dark:text-gray-400">Bookable up to (days ahead)</span>
+          <input type="number" min="1" max="365" value={settings.maxAdvanceDays} onChange={(e) => update('maxAdvanceDays', Number(e.target.value))} className={inputClass} />
+        </label>
+        <div className="flex flex-col space-y-1">
+          <span className="text-gray-500 dark:text-gray-400">Sessions offered</span>
+          <div className="flex space-x-3 py-2">
+            {SERVICE_TYPES.map(type => (
+              <label key={type} className="flex items-center space-x-1 capitalize text-gray-900 dark:text-white">
+                <input type="checkbox" checked={settings.serviceTypes.includes(type)} onChange={() => toggleServiceType(type)} />
+                <span>{type}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+      
+      {/* Weekly hours */}
+      <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Weekly hours</h2>
+        {WEEKDAYS.map((day, weekday) => (
+          <div key={day} className="flex items-start space-x-4 text-sm">
+            <div className="w-28 py-2 font-medium text-gray-700 dark:text-gray-300">{day}</div>
+            <div className="flex-1 space-y-2">
+              {settings.weekly.map((window, index) => window.weekday === weekday && (
+                <div key={index} className="flex items-center space-x-2">
+                  <input type="time" value={window.start} onChange={(e) => changeWindow(index, 'start', e.target.value)} className={inputClass} />
+                  <span className="text-gray-500">to</span>
+                  <input type="time" value={window.end} onChange={(e) => changeWindow(index, 'end', e.target.value)} className={inputClass} />
+                  <button onClick={() => removeWindow(index)} className="p-2 text-gray-400 hover:text-red-500" title="Remove">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <button onClick={() => addWindow(weekday)} className="flex items-center space-x-1 py-2 text-purple-600 hover:text-purple-700">
+                <Plus className="w-4 h-4" />
+                <span>Add hours</span>
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Blackout dates */}
+        <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm space-y-3 text-sm">
+          <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+            <CalendarOff className="w-5 h-5" />
+            <span>Days off</span>
+          </h2>
+          <form onSubmit={addBlackout} className="flex flex-wrap gap-2">
+            <input type="date" required value={blackout.startDate} onChange={(e) => setBlackout({ ...blackout, startDate: e.target.value })} className={inputClass} />
+            <input type="date" value={blackout.endDate} min={blackout.startDate} onChange={(e) => setBlackout({ ...blackout, endDate: e.target.value })} className={inputClass} />
+            <input placeholder="Reason (optional)" value={blackout.reason} onChange={(e) => setBlackout({ ...blackout, reason: e.target.value })} className={`${inputClass} flex-1`} />
+            <button type="submit" className="px-3 py-2 rounded-lg bg-purple-100 dark:bg-purple-900 text-purple-600 dark:text-purple-300 hover:bg-purple-200">
+              Add
+            </button>
+          </form>
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+            {blackouts.map(day => (
+              <li key={day._id} className="flex items-center justify-between py-2 text-gray-900 dark:text-gray-100">
+                <span>
+                  {day.startDate === day.endDate ? day.startDate : `${day.startDate} – ${day.endDate}`}
+                  {day.reason && <span className="ml-2 text-gray-500">{day.reason}</span>}
+                </span>
+                <button onClick={() => removeBlackout(day._id)} className="p-1 text-gray-400 hover:text-red-500" title="Remove">
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+        
+        {/* Upcoming bookings */}
+        <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm space-y-3 text-sm">
+          <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+            <CalendarClock className="w-5 h-5" />
+            <span>Upcoming bookings</span>
+          </h2>
+          {bookings.length === 0 ? (
+            <div className="text-gray-500 dark:text-gray-400">No upcoming bookings.</div>
+          ) : (
+            <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+              {bookings.map(booking => (
+                <li key={booking._id} className="flex items-center justify-between py-2 text-gray-900 dark:text-gray-100">
+                  <div>
+                    <div className="font-medium">{formatSlot(booking)}</div>
+                    <div className="text-gray-500 capitalize">
+                      {booking.userId?.username} · {booking.serviceType} · {booking.minutes} min
+                      {booking.amount !== undefined && ` · ${formatMoney(booking.amount, booking.currency)}`}
+                      {booking.status === 'pending_payment' && ' · awaiting payment'}
+                    </div>
+                  </div>
+                  <button onClick={() => cancelBooking(booking._id)} className="px-3 py-1 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30">
+                    Cancel
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EarnerSchedule;
@@ -0,0 +1,14 @@
+// frontend/src/utils/api.js
+
+// The JWT the app signs in with, also sent in the socket handshake
+export const getToken = () => localStorage.getItem('token');
+
+// fetch for our API: every route is behind the bearer-token middleware
+export const apiFetch = (url, options = {}) => {
+  const headers = new Headers(options.headers);
+  const token = getToken();
+  if (token && !headers.has('Authorization')) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+  return fetch(url, { ...options, headers });
+};
@@ -0,0 +1,52 @@
+// frontend/src/utils/iceServers.js
+import { apiFetch } from './api';
+
+// TURN credentials expire, so a cached config is reused only while it has
+// at least this long left: enough to cover setting up a call
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Used when the server cannot be reached; direct connections only
+const FALLBACK = { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] };
+
+// TURN credentials carry the user they were issued to, so each user (and
+// region) has its own entry; another account signing in on this browser
+// never gets the last one's
+const cache = new Map();
+
+const cacheKey = (userId, region) => `${userId}:${region || ''}`;
+
+// The RTCConfiguration for a new peer connection, with the ICE servers the
+// server hands out for this user
+export const getRtcConfiguration = async ({ userId, region } = {}) => {
+  const cached = cache.get(cacheKey(userId, region));
+  if (cached && (!cached.expiresAt || cached.expiresAt - Date.now() > REFRESH_MARGIN_MS)) {
+    return cached.config;
+  }
+  
+  try {
+    const response = await apiFetch(`/api/v1/calls/ice-servers${region ? `?region=${region}` : ''}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message);
+    
+    const entry = {
+      config: { iceServers: data.iceServers },
+      expiresAt: data.expiresAt
+    };
+    cache.set(cacheKey(userId, region), entry);
+    return entry.config;
+  } catch (error) {
+    console.error('Error fetching ICE servers:', error);
+    return FALLBACK;
+  }
+};
+
+// Drop one user's cached configs, e.g. on logout, or everyone's
+export const clearRtcConfiguration = (userId) => {
+  if (userId === undefined) {
+    cache.clear();
+    return;
+  }
+  [...cache.keys()]
+    .filter(key => key.startsWith(`${userId}:`))
+    .forEach(key => cache.delete(key));
+};
@@ -0,0 +1,33 @@
+// frontend/src/utils/messageOutbox.js
+
+// Messages waiting for the server to acknowledge them, kept in localStorage
+// so a reload or a dropped connection does not lose them. Entries keep the
+// clientId they were first sent with, which is what makes retries safe.
+const storageKey = (userId) => `outbox:${userId}`;
+
+export const loadOutbox = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveOutbox = (userId, entries) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+};
+
+export const addToOutbox = (userId, entry) => {
+  const entries = loadOutbox(userId).filter(e => e.clientId !== entry.clientId);
+  saveOutbox(userId, [...entries, entry]);
+};
+
+export const removeFromOutbox = (userId, clientId) => {
+  saveOutbox(userId, loadOutbox(userId).filter(e => e.clientId !== clientId));
+};
+
+export const newClientId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
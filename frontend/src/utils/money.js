@@ -0,0 +1,13 @@
+// frontend/src/utils/money.js
+
+// The API sends every amount as an integer in the currency's minor unit
+// (paise, cents, ...); Intl knows how many digits each currency uses
+export const fractionDigits = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+export const toMajor = (minor, currency) => minor / 10 ** fractionDigits(currency);
+
+export const toMinor = (major, currency) => Math.round(major * 10 ** fractionDigits(currency));
+
+export const formatMoney = (minor, currency = 'INR', locale) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency }).format(toMajor(minor, currency));